@@ -12,7 +12,18 @@ import Retailers from './pages/Retailers'
 import Brands from './pages/Brands'
 import SKUs from './pages/SKUs'
 import Sales from './pages/Sales'
+import Backorders from './pages/Backorders'
+import Schemes from './pages/Schemes'
+import PriceLists from './pages/PriceLists'
+import Batches from './pages/Batches'
+import Warehouses from './pages/Warehouses'
+import StockCounts from './pages/StockCounts'
+import Forecasts from './pages/Forecasts'
+import StockHolds from './pages/StockHolds'
+import Kits from './pages/Kits'
 import PurchaseOrders from './pages/PurchaseOrders'
+import Suppliers from './pages/Suppliers'
+import Payables from './pages/Payables'
 import Returns from './pages/Returns'
 import Invoices from './pages/Invoices'
 import CreditControl from './pages/CreditControl'
@@ -26,6 +37,7 @@ import ProductTests from './pages/ProductTests'
 import ExcelImport from './pages/ExcelImport'
 import Backup from './pages/Backup'
 import Whatsapp from './pages/Whatsapp'
+import Settings from './pages/Settings'
 
 export default function App() {
   return (
@@ -42,7 +54,12 @@ export default function App() {
               <Route path="/brands"            element={<Brands />} />
               <Route path="/skus"              element={<SKUs />} />
               <Route path="/sales"             element={<Sales />} />
+              <Route path="/backorders"        element={<Backorders />} />
+              <Route path="/schemes"           element={<Schemes />} />
+              <Route path="/price-lists"       element={<PriceLists />} />
               <Route path="/purchase-orders"   element={<PurchaseOrders />} />
+              <Route path="/suppliers"         element={<Suppliers />} />
+              <Route path="/payables"          element={<Payables />} />
               <Route path="/returns"           element={<Returns />} />
               <Route path="/invoices"          element={<Invoices />} />
               <Route path="/credit-control"    element={<CreditControl />} />
@@ -52,10 +69,17 @@ export default function App() {
               <Route path="/weekly-review"     element={<WeeklyReview />} />
               <Route path="/profit-analysis"   element={<ProfitAnalysis />} />
               <Route path="/inventory-alerts"  element={<InventoryAlerts />} />
+              <Route path="/batches"           element={<Batches />} />
+              <Route path="/warehouses"        element={<Warehouses />} />
+              <Route path="/stock-counts"      element={<StockCounts />} />
+              <Route path="/forecasts"         element={<Forecasts />} />
+              <Route path="/stock-holds"       element={<StockHolds />} />
+              <Route path="/kits"              element={<Kits />} />
               <Route path="/product-tests"     element={<ProductTests />} />
               <Route path="/excel-import"      element={<ExcelImport />} />
               <Route path="/backup"            element={<Backup />} />
               <Route path="/whatsapp"          element={<Whatsapp />} />
+              <Route path="/settings"          element={<Settings />} />
             </Route>
           </Route>
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,29 @@
+import React, { useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+// Box a USB scanner in keyboard-wedge mode types into: the digits, then
+// Enter. Each scan is looked up and the SKU and unit handed to `onScan`.
+export default function ScanInput({ onScan, autoFocus = false }) {
+  const [code, setCode] = useState('')
+
+  const handleKeyDown = async (e) => {
+    if (e.key !== 'Enter') return
+    e.preventDefault()  // the scanner's Enter must not submit the form
+    const scanned = code.trim()
+    setCode('')
+    if (!scanned) return
+    try {
+      const { data } = await api.get(`/skus/barcode/${encodeURIComponent(scanned)}`)
+      onScan(data)
+    } catch (err) { toast.error(err.response?.data?.message || 'Barcode lookup failed') }
+  }
+
+  return (
+    <div className="search-bar">
+      <span className="search-icon">📷</span>
+      <input className="form-control" placeholder="Scan a barcode to add a line…" autoFocus={autoFocus} value={code}
+        onChange={e => setCode(e.target.value)} onKeyDown={handleKeyDown} />
+    </div>
+  )
+}
@@ -8,19 +8,31 @@ const NAV = [
   { to: '/dashboard',         icon: '📊', label: 'Dashboard' },
   { section: 'Commerce' },
   { to: '/sales',             icon: '🛒', label: 'Sales' },
+  { to: '/backorders',        icon: '⏳', label: 'Backorders' },
   { to: '/purchase-orders',   icon: '📋', label: 'Purchase Orders' },
   { to: '/returns',           icon: '↩️',  label: 'Returns' },
   { to: '/invoices',          icon: '🧾', label: 'Invoices' },
+  { to: '/schemes',           icon: '🎁', label: 'Trade Schemes' },
+  { to: '/price-lists',       icon: '🏷️', label: 'Price Lists' },
   { section: 'Customers' },
   { to: '/retailers',         icon: '🏪', label: 'Retailers' },
   { to: '/credit-control',    icon: '💳', label: 'Credit Control' },
   { to: '/payment-reminders', icon: '🔔', label: 'Payment Reminders' },
+  { section: 'Suppliers' },
+  { to: '/suppliers',         icon: '🏢', label: 'Suppliers' },
+  { to: '/payables',          icon: '💸', label: 'Payables' },
   { section: 'Catalogue' },
   { to: '/brands',            icon: '🏷️',  label: 'Brands' },
   { to: '/skus',              icon: '📦', label: 'SKUs / Products' },
+  { to: '/kits',              icon: '🎁', label: 'Bundles & Kits' },
   { to: '/inventory-alerts',  icon: '⚠️',  label: 'Inventory Alerts' },
+  { to: '/batches',           icon: '🧪', label: 'Batches' },
+  { to: '/warehouses',        icon: '🏭', label: 'Warehouses' },
+  { to: '/stock-counts',      icon: '📋', label: 'Stock Counts' },
+  { to: '/stock-holds',       icon: '🚧', label: 'Quarantine & Holds' },
   { section: 'Analytics' },
   { to: '/profit-analysis',   icon: '📈', label: 'Profit Analysis' },
+  { to: '/forecasts',         icon: '🔮', label: 'Demand Forecast' },
   { to: '/reports',           icon: '📄', label: 'Reports' },
   { to: '/weekly-review',     icon: '📅', label: 'Weekly Review' },
   { to: '/sales-targets',     icon: '🎯', label: 'Sales Targets' },
@@ -29,6 +41,7 @@ const NAV = [
   { to: '/excel-import',      icon: '📁', label: 'Excel Import' },
   { to: '/whatsapp',          icon: '💬', label: 'WhatsApp' },
   { to: '/backup',            icon: '💾', label: 'Backup / Restore' },
+  { to: '/settings',          icon: '⚙️',  label: 'Settings' },
 ]
 
 export default function Sidebar({ open, onClose }) {
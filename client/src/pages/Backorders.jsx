@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+export default function Backorders() {
+  const [backorders, setBackorders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filterStatus, setFilterStatus] = useState('open')
+
+  const load = async () => {
+    try { const { data } = await api.get('/backorders', { params: { status: filterStatus || undefined } }); setBackorders(data) }
+    catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [filterStatus])
+
+  const pendingQty = backorders.filter(b => b.status === 'open').reduce((a, b) => a + b.quantity - b.fulfilledQty, 0)
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Backorders</h1>
+        <button className="btn btn-secondary" onClick={load}>🔄 Refresh</button>
+      </div>
+      <div className="filters-bar">
+        <select className="form-control" value={filterStatus} onChange={e => setFilterStatus(e.target.value)}>
+          <option value="">All Status</option>
+          <option value="open">Open</option>
+          <option value="fulfilled">Fulfilled</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <span className="text-muted">{pendingQty} units awaiting stock</span>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Invoice</th><th>Retailer</th><th>Product</th><th>Ordered</th><th>Fulfilled</th><th>Pending</th><th>In Stock</th><th>Status</th><th>Date</th></tr></thead>
+              <tbody>
+                {backorders.length === 0 && <tr><td colSpan={9}><div className="empty-state"><div className="empty-icon">✅</div><p>No backorders</p></div></td></tr>}
+                {backorders.map(b => (
+                  <tr key={b._id}>
+                    <td><strong>{b.invoiceNumber}</strong></td>
+                    <td>{b.retailerName}</td>
+                    <td>{b.skuName}<br /><span className="text-muted text-sm">{b.sku?.code}</span></td>
+                    <td>{b.quantity}</td>
+                    <td style={{ color: 'var(--success)' }}>{b.fulfilledQty}</td>
+                    <td style={{ color: 'var(--danger)', fontWeight: 600 }}>{b.quantity - b.fulfilledQty}</td>
+                    <td className="text-muted">{b.sku?.stock ?? '—'} {b.sku?.unit}</td>
+                    <td><span className={`badge badge-${b.status === 'fulfilled' ? 'success' : b.status === 'cancelled' ? 'danger' : 'warning'}`}>{b.status}</span></td>
+                    <td className="text-muted">{new Date(b.createdAt).toLocaleDateString('en-IN')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const daysLeft = (d) => d ? Math.ceil((new Date(d) - new Date()) / 86400000) : null
+
+const expiryBadge = (b) => {
+  const days = daysLeft(b.expiryDate)
+  if (days === null) return <span className="badge badge-neutral">No expiry</span>
+  if (days < 0) return <span className="badge badge-danger">Expired</span>
+  if (days <= 30) return <span className="badge badge-warning">{days}d left</span>
+  return <span className="badge badge-success">{days}d left</span>
+}
+
+export default function Batches() {
+  const [batches, setBatches] = useState([])
+  const [skus, setSkus] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filterSku, setFilterSku] = useState('')
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
+  const [status, setStatus] = useState('in_stock')
+  const [trace, setTrace] = useState(null)
+
+  const load = async () => {
+    try {
+      const { data } = await api.get('/batches', { params: { sku: filterSku || undefined, warehouse: warehouse || undefined, status } })
+      setBatches(data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [filterSku, warehouse, status])
+  useEffect(() => { api.get('/skus').then(r => setSkus(r.data)).catch(() => {}) }, [])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data)).catch(() => {}) }, [])
+
+  const openTrace = async (b) => {
+    try { const { data } = await api.get(`/batches/${b._id}/trace`); setTrace(data) }
+    catch { toast.error('Failed to load trace') }
+  }
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Batches</h1>
+      </div>
+      <div className="filters-bar">
+        <select className="form-control" value={filterSku} onChange={e => setFilterSku(e.target.value)}>
+          <option value="">All SKUs</option>
+          {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+        </select>
+        {warehouses.length > 1 && (
+          <select className="form-control" value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">All warehouses</option>
+            {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
+        <select className="form-control" value={status} onChange={e => setStatus(e.target.value)}>
+          <option value="in_stock">In stock</option>
+          <option value="expired">Expired, still on hand</option>
+          <option value="all">All batches</option>
+        </select>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Batch</th><th>SKU</th><th>On Hand</th><th>Received</th><th>Mfg</th><th>Expiry</th><th>Source</th><th>Actions</th></tr></thead>
+              <tbody>
+                {batches.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🏷️</div><p>No batches</p></div></td></tr>}
+                {batches.map(b => (
+                  <tr key={b._id}>
+                    <td><strong>{b.batchNo}</strong>{b.warehouse && <><br /><span className="text-muted text-sm">🏭 {b.warehouse.name}</span></>}</td>
+                    <td>{b.sku?.name}</td>
+                    <td style={{ fontWeight: 600 }}>{b.quantity} {b.sku?.unit}</td>
+                    <td className="text-muted">{b.receivedQty}</td>
+                    <td className="text-muted">{date(b.mfgDate)}</td>
+                    <td>{date(b.expiryDate)} {expiryBadge(b)}</td>
+                    <td className="text-muted">{b.purchaseOrder?.poNumber || '—'}</td>
+                    <td><button className="btn btn-sm btn-secondary" onClick={() => openTrace(b)}>🔎 Trace</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {trace && (
+        <div className="modal-overlay" onClick={() => setTrace(null)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Batch {trace.batch.batchNo} — where it went</h2>
+            <div className="table-wrapper">
+              <table>
+                <thead><tr><th>Invoice</th><th>Date</th><th>Retailer</th><th>Qty</th></tr></thead>
+                <tbody>
+                  {trace.sales.length === 0 && <tr><td colSpan={4}><div className="empty-state"><p>Not sold yet</p></div></td></tr>}
+                  {trace.sales.map((s, i) => (
+                    <tr key={i}><td><strong>{s.invoiceNumber}</strong></td><td className="text-muted">{date(s.saleDate)}</td><td>{s.retailerName}</td><td>{s.quantity}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="modal-footer"><button className="btn btn-secondary" onClick={() => setTrace(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -11,9 +11,13 @@ export default function CreditControl() {
   const [payAmount, setPayAmount] = useState('')
   const [limitModal, setLimitModal] = useState(null)
   const [newLimit, setNewLimit] = useState('')
+  const [overrides, setOverrides] = useState([])
 
   const load = async () => {
-    try { const { data } = await api.get('/credit-control'); setRetailers(data) }
+    try {
+      const [r, o] = await Promise.all([api.get('/credit-control'), api.get('/credit-control/overrides')])
+      setRetailers(r.data); setOverrides(o.data)
+    }
     catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
   useEffect(() => { load() }, [])
@@ -82,6 +86,30 @@ export default function CreditControl() {
           </div>
         </div>
       )}
+      {!loading && overrides.length > 0 && (
+        <div className="card" style={{ marginTop: 24 }}>
+          <h3 style={{ marginBottom: 12 }}>Credit Overrides</h3>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Date</th><th>Invoice</th><th>Retailer</th><th>Amount</th><th>Hold Reason</th><th>Decision</th><th>Reason</th><th>By</th></tr></thead>
+              <tbody>
+                {overrides.map(o => (
+                  <tr key={o._id}>
+                    <td className="text-muted">{new Date(o.createdAt).toLocaleString('en-IN')}</td>
+                    <td><strong>{o.invoiceNumber}</strong></td>
+                    <td>{o.retailerName}</td>
+                    <td>{fmt(o.amount)}</td>
+                    <td className="text-muted text-sm">{o.holdReason}</td>
+                    <td><span className={`badge badge-${o.decision === 'approved' ? 'success' : 'danger'}`}>{o.decision}</span></td>
+                    <td>{o.reason}</td>
+                    <td className="text-muted">{o.decidedByName}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
       {payModal && (
         <div className="modal-overlay" onClick={() => setPayModal(null)}>
           <div className="modal" style={{ maxWidth: 400 }} onClick={e => e.stopPropagation()}>
@@ -7,11 +7,12 @@ export default function ExcelImport() {
   const [file, setFile] = useState(null)
   const [preview, setPreview] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [errors, setErrors] = useState([])
   const fileRef = useRef()
 
   const templates = {
     retailers: ['name*', 'phone*', 'area', 'city', 'creditLimit'],
-    skus: ['name*', 'code*', 'brand*', 'mrp*', 'sellingPrice*', 'purchasePrice', 'stock', 'minStock', 'unit', 'unitSize'],
+    skus: ['name*', 'code*', 'brand*', 'mrp*', 'sellingPrice*', 'purchasePrice', 'stock', 'minStock', 'unit', 'unitSize', 'barcode'],
     sales: ['retailerPhone*', 'skuCode*', 'qty*', 'price', 'saleDate'],
   }
 
@@ -27,10 +28,11 @@ export default function ExcelImport() {
     const formData = new FormData()
     formData.append('file', file)
     setLoading(true)
+    setErrors([])
     try {
       const { data } = await api.post(`/import/${tab}`, formData, { headers: { 'Content-Type': 'multipart/form-data' } })
       toast.success(`Imported ${data.inserted || 0} records! ${data.errors?.length ? `(${data.errors.length} errors)` : ''}`)
-      if (data.errors?.length) { console.log('Import errors:', data.errors) }
+      setErrors(data.errors || [])
       setFile(null); setPreview(null)
       if (fileRef.current) fileRef.current.value = ''
     } catch (e) { toast.error(e.response?.data?.error || 'Import failed') }
@@ -53,7 +55,7 @@ export default function ExcelImport() {
       </div>
       <div className="filters-bar">
         {['retailers', 'skus', 'sales'].map(t => (
-          <button key={t} className={`btn ${tab === t ? 'btn-primary' : 'btn-secondary'}`} onClick={() => {setTab(t); setFile(null); setPreview(null)}}>
+          <button key={t} className={`btn ${tab === t ? 'btn-primary' : 'btn-secondary'}`} onClick={() => {setTab(t); setFile(null); setPreview(null); setErrors([])}}>
             {t === 'retailers' ? '🏪 Retailers' : t === 'skus' ? '📦 Products' : '🛒 Sales'}
           </button>
         ))}
@@ -96,6 +98,14 @@ export default function ExcelImport() {
               {loading ? <span className="spinner-sm" /> : '⬆️ Start Import'}
             </button>
           )}
+          {errors.length > 0 && (
+            <div style={{ marginTop: 16 }}>
+              <h4 style={{ marginBottom: 8, color: 'var(--danger)' }}>{errors.length} row(s) not imported</h4>
+              <ul className="text-sm" style={{ paddingLeft: 20, lineHeight: 1.8, maxHeight: 240, overflowY: 'auto' }}>
+                {errors.map(e => <li key={e.row}>Row {e.row}{e.name ? ` (${e.name})` : ''}: {e.message}</li>)}
+              </ul>
+            </div>
+          )}
         </div>
         <div className="card">
           <h3 style={{ marginBottom: 16, fontWeight: 700 }}>Required Columns</h3>
@@ -120,6 +130,7 @@ export default function ExcelImport() {
               {tab === 'sales' && <li>retailerPhone must match an existing retailer</li>}
               {tab === 'sales' && <li>skuCode must match an existing product</li>}
               {tab === 'skus' && <li>brand must match an existing brand name</li>}
+              {tab === 'skus' && <li>barcode must be a valid EAN/UPC not already on another product</li>}
               <li>Duplicate checks are applied where applicable</li>
             </ul>
           </div>
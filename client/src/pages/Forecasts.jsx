@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+import { Line } from 'react-chartjs-2'
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend } from 'chart.js'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend)
+
+const METHODS = { auto: 'Auto', moving_average: 'Moving average', holt: 'Holt (trend)', holt_winters: 'Holt-Winters (seasonal)', croston: 'Croston (intermittent)' }
+const SHOWN_WEEKS = 52
+const week = (d) => new Date(d).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
+
+export default function Forecasts() {
+  const [weeks, setWeeks] = useState(8)
+  const [list, setList] = useState(null)
+  const [search, setSearch] = useState('')
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState(null)
+  const [method, setMethod] = useState('auto')
+  const [detail, setDetail] = useState(null)
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const { data } = await api.get('/forecasts', { params: { weeks, warehouse: warehouse || undefined } })
+      setList(data)
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [weeks, warehouse])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data)).catch(() => {}) }, [])
+
+  useEffect(() => {
+    if (!selected) return setDetail(null)
+    api.get(`/forecasts/${selected}`, { params: { weeks, method, warehouse: warehouse || undefined } })
+      .then(r => setDetail(r.data))
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load forecast'))
+  }, [selected, weeks, method, warehouse])
+
+  const open = (sku) => { setMethod('auto'); setSelected(sku) }
+
+  const items = (list?.items || []).filter(i => !search || `${i.name} ${i.code}`.toLowerCase().includes(search.toLowerCase()))
+  const shown = detail?.history.slice(-SHOWN_WEEKS) || []
+  const chartData = detail && {
+    labels: [...shown, ...detail.forecast].map(p => week(p.weekStart)),
+    datasets: [
+      { label: 'Sold', data: [...shown.map(p => p.quantity), ...detail.forecast.map(() => null)], borderColor: 'rgba(99,102,241,1)', backgroundColor: 'rgba(99,102,241,.2)', pointRadius: 2 },
+      { label: 'Forecast', data: [...shown.map((_, i) => (i === shown.length - 1 ? shown[i].quantity : null)), ...detail.forecast.map(p => p.quantity)], borderColor: 'rgba(245,158,11,1)', borderDash: [6, 4], pointRadius: 3 },
+    ],
+  }
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Demand Forecast</h1>
+        <button className="btn btn-secondary" onClick={load}>🔄 Refresh</button>
+      </div>
+      <div className="filters-bar">
+        <div className="search-bar"><span className="search-icon">🔍</span><input className="form-control" placeholder="Search SKU…" value={search} onChange={e => setSearch(e.target.value)} /></div>
+        <select className="form-control" value={weeks} onChange={e => setWeeks(Number(e.target.value))}>
+          {[4, 6, 8, 10, 12].map(w => <option key={w} value={w}>Next {w} weeks</option>)}
+        </select>
+        {warehouses.length > 1 && (
+          <select className="form-control" value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">All warehouses</option>
+            {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
+      </div>
+      {detail && (
+        <div className="card" style={{ marginBottom: 20 }}>
+          <div className="flex justify-between items-center" style={{ marginBottom: 12 }}>
+            <div>
+              <h3 style={{ marginBottom: 4 }}>{detail.sku.name} <span className="text-muted text-sm">{detail.sku.code}</span></h3>
+              <span className="text-muted text-sm">
+                {detail.weeksOfHistory} weeks of history · {detail.intermittent ? 'intermittent demand' : detail.seasonal ? 'seasonal demand' : 'regular demand'} · on hand {detail.sku.stockText}
+              </span>
+            </div>
+            <div className="flex gap-2 items-center">
+              <select className="form-control" value={method} onChange={e => setMethod(e.target.value)}>
+                {Object.entries(METHODS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+              </select>
+              <button className="btn btn-sm btn-secondary" onClick={() => setSelected(null)}>✕</button>
+            </div>
+          </div>
+          <div className="grid grid-4" style={{ marginBottom: 16 }}>
+            <div className="stat-card"><div className="stat-value">{Math.round(detail.total)} {detail.sku.unit}</div><div className="stat-label">Forecast, next {detail.horizonWeeks} weeks</div></div>
+            <div className="stat-card"><div className="stat-value">{METHODS[detail.method]}</div><div className="stat-label">Model</div></div>
+            <div className="stat-card"><div className="stat-value">{detail.metrics?.wape != null ? `${detail.metrics.wape}%` : '—'}</div><div className="stat-label">Backtest error (WAPE)</div></div>
+            <div className="stat-card"><div className="stat-value">{detail.metrics ? detail.metrics.bias : '—'}</div><div className="stat-label">Bias per week (+ over, − under)</div></div>
+          </div>
+          <Line data={chartData} options={{ responsive: true, plugins: { legend: { position: 'bottom' } }, scales: { y: { beginAtZero: true } } }} />
+          {detail.candidates.length > 0 && (
+            <div className="table-wrapper" style={{ marginTop: 16 }}>
+              <table>
+                <thead><tr><th>Model</th><th>MAE</th><th>RMSE</th><th>WAPE</th><th>Bias</th></tr></thead>
+                <tbody>
+                  {detail.candidates.map(c => (
+                    <tr key={c.method} style={c.method === detail.method ? { fontWeight: 700 } : undefined}>
+                      <td>{METHODS[c.method]}{c.method === detail.method && ' ✓'}</td>
+                      <td>{c.mae}</td><td>{c.rmse}</td><td>{c.wape != null ? `${c.wape}%` : '—'}</td><td>{c.bias}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-muted text-sm" style={{ marginTop: 8 }}>Each model was fitted without the latest weeks and scored on what actually sold in them.</p>
+            </div>
+          )}
+        </div>
+      )}
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Product</th><th>Brand</th><th>Last {weeks} Weeks</th><th>Next {weeks} Weeks</th><th>Change</th><th>Model</th><th>WAPE</th><th>History</th></tr></thead>
+              <tbody>
+                {items.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🔮</div><p>No SKUs</p></div></td></tr>}
+                {items.map(i => {
+                  const change = i.lastWeeks ? Math.round((i.forecast - i.lastWeeks) / i.lastWeeks * 100) : null
+                  return (
+                    <tr key={i.sku} onClick={() => open(i.sku)} style={{ cursor: 'pointer', background: selected === i.sku ? 'var(--bg)' : undefined }}>
+                      <td><strong>{i.name}</strong> <span className="text-muted text-sm">{i.code}</span></td>
+                      <td className="text-muted">{i.brand}</td>
+                      <td>{i.lastWeeks} {i.unit}</td>
+                      <td style={{ fontWeight: 700 }}>{i.forecast} {i.unit}</td>
+                      <td>{change == null ? '—' : <span className={`badge badge-${change > 20 ? 'success' : change < -20 ? 'danger' : 'info'}`}>{change > 0 ? '+' : ''}{change}%</span>}</td>
+                      <td>{METHODS[i.method]}</td>
+                      <td>{i.metrics?.wape != null ? `${i.metrics.wape}%` : '—'}</td>
+                      <td className="text-muted">{i.weeksOfHistory} wk</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
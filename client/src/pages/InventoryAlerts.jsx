@@ -2,15 +2,126 @@ import React, { useEffect, useState } from 'react'
 import api from '../api'
 import toast from 'react-hot-toast'
 
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const DAMAGE_INIT = { sku: '', batch: '', warehouse: '', quantity: 1, reason: '' }
+
 export default function InventoryAlerts() {
   const [data, setData] = useState(null)
+  const [writeOffs, setWriteOffs] = useState([])
+  const [skus, setSkus] = useState([])
+  const [lots, setLots] = useState([])
+  const [tab, setTab] = useState('stock')
   const [loading, setLoading] = useState(true)
+  const [damage, setDamage] = useState(null)
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
+  const [reorder, setReorder] = useState(null)
+  const [picks, setPicks] = useState({})
 
   const load = async () => {
-    try { const { data: d } = await api.get('/inventory-alerts'); setData(d) }
-    catch { toast.error('Failed to load') } finally { setLoading(false) }
+    try {
+      const [a, w] = await Promise.all([api.get('/inventory-alerts', { params: { warehouse: warehouse || undefined } }), api.get('/inventory-alerts/write-offs')])
+      setData(a.data); setWriteOffs(w.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [warehouse])
+
+  const loadReorder = async () => {
+    try {
+      const { data } = await api.get('/inventory-alerts/reorder-suggestions', { params: { warehouse: warehouse || undefined } })
+      setReorder(data)
+      setPicks(Object.fromEntries(data.suggestions.map(s => [s.sku, s.quantity])))
+    } catch { toast.error('Failed to load reorder suggestions') }
+  }
+  useEffect(() => { if (tab === 'reorder') loadReorder() }, [tab, warehouse])
+
+  const togglePick = (s) => setPicks(p => {
+    const next = { ...p }
+    if (s.sku in next) delete next[s.sku]
+    else next[s.sku] = s.quantity
+    return next
+  })
+
+  const raisePOs = async () => {
+    const items = Object.entries(picks).map(([sku, quantity]) => ({ sku, quantity: Number(quantity) })).filter(i => i.quantity > 0)
+    if (!items.length) return toast.error('Select at least one SKU')
+    try {
+      const { data } = await api.post('/inventory-alerts/reorder-suggestions/purchase-orders', { items, warehouse: warehouse || undefined })
+      toast.success(`Draft ${data.map(po => po.poNumber).join(', ')} created`)
+      loadReorder()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+  useEffect(() => { api.get('/skus').then(r => setSkus(r.data)).catch(() => {}) }, [])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data)).catch(() => {}) }, [])
+
+  const liquidate = async (b) => {
+    const percent = prompt(`Clearance discount for ${b.sku.name} batch ${b.batchNo} (${b.quantity} ${b.sku.unit}, expires ${date(b.expiryDate)})\nDiscount %:`, b.liquidationScheme?.percent || 20)
+    if (!percent) return
+    try { await api.post('/inventory-alerts/liquidate', { batch: b._id, percent: Number(percent) }); toast.success('Clearance scheme is live'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const writeOff = async (b) => {
+    const quantity = prompt(`Write off ${b.sku.name} batch ${b.batchNo}\nQuantity (${b.sku.unit}):`, b.quantity)
+    if (!quantity) return
+    const reason = prompt('Reason:', b.daysLeft < 0 ? 'Expired' : 'Near expiry, unsellable')
+    if (!reason) return
+    try {
+      await api.post('/inventory-alerts/write-off', { batch: b._id, quantity: Number(quantity), bucket: 'expired', reason })
+      toast.success('Written off'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  // Pull a lot off the shelf without writing it off yet; it's settled on Quarantine & Holds
+  const hold = async (b) => {
+    const quantity = prompt(`Hold ${b.sku.name} batch ${b.batchNo}\nQuantity (${b.sku.unit}):`, b.quantity)
+    if (!quantity) return
+    try {
+      await api.post('/stock-holds', { batch: b._id, quantity: Number(quantity), state: b.daysLeft < 0 ? 'damaged' : 'quarantine', reason: b.daysLeft < 0 ? 'Expired' : 'Near expiry' })
+      toast.success('Moved off sellable stock'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
   }
-  useEffect(() => { load() }, [])
+
+  const pickDamageSku = async (sku) => {
+    setDamage(p => ({ ...p, sku, batch: '' }))
+    setLots([])
+    if (sku) api.get('/batches', { params: { sku, warehouse: damage?.warehouse || undefined } }).then(r => setLots(r.data)).catch(() => {})
+  }
+
+  const saveDamage = async (e) => {
+    e.preventDefault()
+    try {
+      await api.post('/inventory-alerts/write-off', { ...damage, batch: damage.batch || undefined, warehouse: damage.warehouse || undefined, quantity: Number(damage.quantity), bucket: 'damaged' })
+      toast.success('Written off'); setDamage(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const batchRows = (rows, empty) => (
+    <table>
+      <thead><tr><th>Product</th><th>Batch</th><th>On Hand</th><th>Expiry</th><th>At Cost</th><th>Clearance</th><th>Actions</th></tr></thead>
+      <tbody>
+        {rows.length === 0 && <tr><td colSpan={7}><div className="empty-state"><div className="empty-icon">✅</div><p>{empty}</p></div></td></tr>}
+        {rows.map(b => (
+          <tr key={b._id}>
+            <td><strong>{b.sku.name}</strong><br /><span className="text-muted text-sm">{b.sku.category || '—'} · alert at {b.alertDays}d</span></td>
+            <td>{b.batchNo}{b.warehouse && <><br /><span className="text-muted text-sm">🏭 {b.warehouse.name}</span></>}</td>
+            <td style={{ fontWeight: 600 }}>{b.quantity} {b.sku.unit}</td>
+            <td>{date(b.expiryDate)} <span className={`badge badge-${b.daysLeft < 0 ? 'danger' : b.daysLeft <= 7 ? 'warning' : 'info'}`}>{b.daysLeft < 0 ? `${-b.daysLeft}d ago` : `${b.daysLeft}d left`}</span></td>
+            <td>{fmt(b.quantity * (b.sku.purchasePrice || 0))}</td>
+            <td>{b.liquidationScheme?.active ? <span className="badge badge-success">{b.liquidationScheme.percent}% off</span> : '—'}</td>
+            <td>
+              <div className="flex gap-2">
+                {b.daysLeft >= 0 && <button className="btn btn-sm btn-primary" onClick={() => liquidate(b)}>🏷️ Clearance</button>}
+                <button className="btn btn-sm btn-secondary" onClick={() => hold(b)}>🚧 Hold</button>
+                <button className="btn btn-sm btn-danger" onClick={() => writeOff(b)}>🗑️ Write off</button>
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
 
   if (loading) return <div className="loading-center"><div className="spinner" /></div>
 
@@ -20,6 +131,119 @@ export default function InventoryAlerts() {
         <h1 className="page-title">Inventory Alerts</h1>
         <button className="btn btn-secondary" onClick={load}>🔄 Refresh</button>
       </div>
+      <div className="filters-bar">
+        <div className="flex gap-2">
+          <button className={`btn ${tab === 'stock' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('stock')}>📦 Low Stock ({data?.total || 0})</button>
+          <button className={`btn ${tab === 'reorder' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('reorder')}>🔁 Reorder</button>
+          <button className={`btn ${tab === 'expiring' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('expiring')}>⏰ Near Expiry ({data?.expiring?.length || 0})</button>
+          <button className={`btn ${tab === 'expired' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('expired')}>☠️ Expired ({data?.expired?.length || 0})</button>
+          <button className={`btn ${tab === 'writeoffs' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('writeoffs')}>🗑️ Write-offs</button>
+        </div>
+        {tab !== 'writeoffs' && warehouses.length > 1 && (
+          <select className="form-control" value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">All warehouses</option>
+            {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
+      </div>
+      {tab === 'reorder' && (
+        <div className="card">
+          <div className="flex justify-between items-center" style={{ marginBottom: 12 }}>
+            <span className="text-muted text-sm">
+              {reorder && <>{reorder.settings.useForecast ? 'Demand from each SKU\'s forecast' : `Demand over the last ${reorder.settings.velocityDays} days`} · {reorder.settings.safetyDays} safety days · {reorder.settings.coverDays} days of cover · stock and open POs net of reservations and backorders</>}
+            </span>
+            <div className="flex gap-2 items-center">
+              <span className="text-muted">{Object.keys(picks).length} selected · {fmt(reorder?.suggestions.filter(s => s.sku in picks).reduce((a, s) => a + Number(picks[s.sku] || 0) * s.unitCost, 0))}</span>
+              <button className="btn btn-sm btn-primary" disabled={!Object.keys(picks).length} onClick={raisePOs}>📝 Create Draft POs</button>
+            </div>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th></th><th>Product</th><th>Supplier</th><th>Stock</th><th>On Order</th><th>{reorder?.settings.useForecast ? 'Forecast / Day' : 'Sold / Day'}</th><th>Days Left</th><th>Reorder Point</th><th>Order Qty</th><th>Est. Cost</th></tr></thead>
+              <tbody>
+                {!reorder?.suggestions.length && <tr><td colSpan={10}><div className="empty-state"><div className="empty-icon">✅</div><p>Nothing due for reordering</p></div></td></tr>}
+                {reorder?.suggestions.map(s => (
+                  <tr key={s.sku}>
+                    <td><input type="checkbox" checked={s.sku in picks} onChange={() => togglePick(s)} /></td>
+                    <td><strong>{s.name}</strong><br /><span className="text-muted text-sm">{s.code} · {s.brand}</span></td>
+                    <td>{s.supplier || <span className="badge badge-warning">Not set</span>}<br /><span className="text-muted text-sm">{s.leadTimeDays}d lead time</span></td>
+                    <td style={{ fontWeight: 600 }}>{s.stockText}{s.reserved > 0 && <><br /><span className="text-muted text-sm">{s.reserved} reserved</span></>}{s.backordered > 0 && <><br /><span className="text-muted text-sm">{s.backordered} backordered</span></>}</td>
+                    <td className="text-muted">{s.onOrder || '—'}</td>
+                    <td>{s.dailyVelocity}{s.forecastMethod && <><br /><span className="text-muted text-sm">{s.forecastMethod.replace('_', ' ')}</span></>}</td>
+                    <td>{s.daysOfCover == null ? '—' : <span className={`badge badge-${s.daysOfCover < s.leadTimeDays ? 'danger' : 'warning'}`}>{s.daysOfCover}d</span>}</td>
+                    <td className="text-muted">{s.reorderPoint} <span className="text-sm">({s.safetyStock} safety)</span></td>
+                    <td>
+                      <input className="form-control" type="number" min="0" style={{ width: 100 }} disabled={!(s.sku in picks)} value={picks[s.sku] ?? s.quantity} onChange={e => setPicks(p => ({ ...p, [s.sku]: e.target.value }))} />
+                      <span className="text-muted text-sm">{s.unit} · suggested {s.quantityText}</span>
+                    </td>
+                    <td>{fmt(Number(picks[s.sku] ?? s.quantity) * s.unitCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {tab === 'expiring' && <div className="card"><div className="table-wrapper">{batchRows(data?.expiring || [], 'Nothing inside its expiry alert window')}</div></div>}
+      {tab === 'expired' && <div className="card"><div className="table-wrapper">{batchRows(data?.expired || [], 'No expired stock on hand')}</div></div>}
+      {tab === 'writeoffs' && (
+        <div className="card">
+          <div className="flex justify-between items-center" style={{ marginBottom: 12 }}>
+            <span className="text-muted">{fmt(writeOffs.reduce((a, w) => a + w.value, 0))} written off (latest 200)</span>
+            <button className="btn btn-sm btn-danger" onClick={() => { setDamage(DAMAGE_INIT); setLots([]) }}>+ Damaged Stock</button>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Date</th><th>Product</th><th>Batch</th><th>Bucket</th><th>Qty</th><th>Value</th><th>Reason</th><th>By</th></tr></thead>
+              <tbody>
+                {writeOffs.length === 0 && <tr><td colSpan={8}><div className="empty-state"><p>No write-offs</p></div></td></tr>}
+                {writeOffs.map(w => (
+                  <tr key={w._id}>
+                    <td className="text-muted">{date(w.date)}</td>
+                    <td>{w.skuName}</td>
+                    <td>{w.batchNo || '—'}{w.warehouse && <><br /><span className="text-muted text-sm">🏭 {w.warehouse.name}</span></>}</td>
+                    <td><span className={`badge badge-${w.bucket === 'expired' ? 'danger' : 'warning'}`}>{w.bucket}</span></td>
+                    <td>{w.quantity}</td>
+                    <td style={{ fontWeight: 600 }}>{fmt(w.value)}</td>
+                    <td>{w.reason}</td>
+                    <td className="text-muted">{w.createdBy?.name || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {damage && (
+        <div className="modal-overlay" onClick={() => setDamage(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Write Off Damaged Stock</h2>
+            <form onSubmit={saveDamage}>
+              {warehouses.length > 1 && <div className="form-group"><label className="form-label">Warehouse</label>
+                <select className="form-control" value={damage.warehouse} onChange={e => { setDamage(p => ({ ...p, warehouse: e.target.value, sku: '', batch: '' })); setLots([]) }}>
+                  {warehouses.map(w => <option key={w._id} value={w.isDefault ? '' : w._id}>{w.name}</option>)}
+                </select>
+              </div>}
+              <div className="form-group"><label className="form-label">Product *</label>
+                <select className="form-control" required value={damage.sku} onChange={e => pickDamageSku(e.target.value)}>
+                  <option value="">Select SKU</option>
+                  {skus.map(s => <option key={s._id} value={s._id}>{s.name} — {s.stockText || s.stock}</option>)}
+                </select>
+              </div>
+              <div className="form-group"><label className="form-label">Batch</label>
+                <select className="form-control" value={damage.batch} onChange={e => setDamage(p => ({ ...p, batch: e.target.value }))}>
+                  <option value="">Not batch-specific</option>
+                  {lots.map(b => <option key={b._id} value={b._id}>{b.batchNo} — {b.quantity} on hand</option>)}
+                </select>
+              </div>
+              <div className="form-group"><label className="form-label">Quantity (base units) *</label><input className="form-control" type="number" min="1" required value={damage.quantity} onChange={e => setDamage(p => ({ ...p, quantity: e.target.value }))} /></div>
+              <div className="form-group"><label className="form-label">Reason *</label><input className="form-control" required value={damage.reason} onChange={e => setDamage(p => ({ ...p, reason: e.target.value }))} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setDamage(null)}>Cancel</button><button type="submit" className="btn btn-danger">Write Off</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+      {tab === 'stock' && <>
       <div className="grid grid-3" style={{ marginBottom: 24 }}>
         <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}>
           <div className="stat-value">{data?.outOfStock?.length || 0}</div>
@@ -37,20 +261,22 @@ export default function InventoryAlerts() {
       <div className="card">
         <div className="table-wrapper">
           <table>
-            <thead><tr><th>Product</th><th>Code</th><th>Brand</th><th>Current Stock</th><th>Min Stock</th><th>Alert Level</th></tr></thead>
+            <thead><tr><th>Product</th><th>Code</th><th>Brand</th><th>Available</th><th>Min Stock</th><th>Alert Level</th></tr></thead>
             <tbody>
               {(!data?.lowStock?.length) && <tr><td colSpan={6}><div className="empty-state"><div className="empty-icon">✅</div><p>All stock levels are healthy!</p></div></td></tr>}
               {data?.lowStock?.map(s => (
-                <tr key={s._id} style={{ background: s.stock === 0 ? '#fff1f2' : s.stock <= s.minStock / 2 ? '#fff7ed' : '#fefce8' }}>
+                <tr key={s._id} style={{ background: s.available === 0 ? '#fff1f2' : s.available <= s.minStock / 2 ? '#fff7ed' : '#fefce8' }}>
                   <td><strong>{s.name}</strong><br /><span className="text-muted text-sm">{s.unitSize}</span></td>
                   <td><code style={{ fontSize: 12, background: 'var(--bg)', padding: '2px 6px', borderRadius: 4 }}>{s.code}</code></td>
                   <td className="text-muted">{s.brand?.name}</td>
-                  <td style={{ fontWeight: 700, color: s.stock === 0 ? 'var(--danger)' : 'var(--warning)', fontSize: 18 }}>{s.stock} {s.unit}</td>
+                  <td style={{ fontWeight: 700, color: s.available === 0 ? 'var(--danger)' : 'var(--warning)', fontSize: 18 }}>{s.availableText}
+                    {s.reserved > 0 && <div className="text-muted text-sm" style={{ fontWeight: 400 }}>{s.stockText} on hand − {s.reserved} reserved</div>}
+                  </td>
                   <td className="text-muted">{s.minStock}</td>
                   <td>
-                    {s.stock === 0
+                    {s.available === 0
                       ? <span className="badge badge-danger">🔴 Out of Stock</span>
-                      : s.stock <= s.minStock / 2
+                      : s.available <= s.minStock / 2
                         ? <span className="badge badge-warning">🟠 Critical</span>
                         : <span className="badge" style={{ background: '#fef9c3', color: '#854d0e' }}>🟡 Low Stock</span>
                     }
@@ -61,6 +287,7 @@ export default function InventoryAlerts() {
           </table>
         </div>
       </div>
+      </>}
     </div>
   )
 }
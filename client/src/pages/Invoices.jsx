@@ -3,6 +3,8 @@ import api from '../api'
 import toast from 'react-hot-toast'
 
 const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+// An order or held sale carries its order number until it posts
+const docLabel = (inv) => inv.orderNumber && inv.invoiceNumber === inv.orderNumber ? 'Order' : 'Invoice'
 
 export default function Invoices() {
   const [invoices, setInvoices] = useState([])
@@ -13,9 +15,18 @@ export default function Invoices() {
     api.get('/invoices').then(r => setInvoices(r.data.invoices || [])).catch(() => toast.error('Failed to load')).finally(() => setLoading(false))
   }, [])
 
+  const batchText = (i) => {
+    const lots = (i.batches || []).filter(b => b.batchNo)
+    return lots.length ? `<br><small>Batch ${lots.map(b => `${b.batchNo}${b.expiryDate ? ` exp ${new Date(b.expiryDate).toLocaleDateString('en-IN')}` : ''}`).join(', ')}</small>` : ''
+  }
+
   const printInvoice = (inv) => {
-    const items = inv.items?.map(i => `<tr><td>${i.skuName}</td><td>${i.quantity}</td><td>${fmt(i.price)}</td><td>${fmt(i.total)}</td></tr>`).join('')
-    const html = `<!DOCTYPE html><html><head><title>Invoice ${inv.invoiceNumber}</title><style>body{font-family:sans-serif;padding:20px}table{width:100%;border-collapse:collapse}td,th{border:1px solid #ddd;padding:8px}h1{color:#6366f1}.total{font-size:18px;font-weight:bold}</style></head><body><h1>Invoice: ${inv.invoiceNumber}</h1><p>Retailer: <strong>${inv.retailerName || inv.retailer?.name}</strong></p><p>Date: ${new Date(inv.saleDate).toLocaleDateString('en-IN')}</p><table><thead><tr><th>Item</th><th>Qty</th><th>Price</th><th>Total</th></tr></thead><tbody>${items}</tbody></table><p class="total">Grand Total: ${fmt(inv.total)}</p><p>Paid: ${fmt(inv.paid)} | Balance: ${fmt(inv.balance)}</p></body></html>`
+    const igst = inv.interState
+    const items = inv.items?.map(i => `<tr><td>${i.skuName}${i.isFree ? ` <em>(FREE — ${i.schemeName})</em>` : i.schemeName ? ` <em>(${i.schemeName})</em>` : ''}${batchText(i)}</td><td>${i.hsnCode || ''}</td><td>${i.quantityText || i.quantity}</td><td>${fmt(Math.round(i.price * (i.uomFactor || 1) * 100) / 100)}${i.uom ? `/${i.uom}` : ''}</td><td>${fmt(i.taxableValue ?? i.total)}</td><td>${i.gstRate || 0}%</td><td>${fmt(i.total)}</td></tr>`).join('')
+    const taxHead = igst ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>'
+    const taxRows = inv.taxBreakup?.map(t => `<tr><td>${t.hsnCode || '—'}</td><td>${t.gstRate}%</td><td>${fmt(t.taxableValue)}</td>${igst ? `<td>${fmt(t.igst)}</td>` : `<td>${fmt(t.cgst)}</td><td>${fmt(t.sgst)}</td>`}<td>${fmt(t.cess)}</td></tr>`).join('') || ''
+    const taxTable = taxRows ? `<h3>Tax Summary (${igst ? 'Inter-state' : 'Intra-state'}, place of supply ${inv.placeOfSupply || '—'})</h3><table><thead><tr><th>HSN</th><th>Rate</th><th>Taxable</th>${taxHead}<th>Cess</th></tr></thead><tbody>${taxRows}</tbody></table>` : ''
+    const html = `<!DOCTYPE html><html><head><title>${docLabel(inv)} ${inv.invoiceNumber}</title><style>body{font-family:sans-serif;padding:20px}table{width:100%;border-collapse:collapse;margin-bottom:12px}td,th{border:1px solid #ddd;padding:8px}h1{color:#6366f1}.total{font-size:18px;font-weight:bold}</style></head><body><h1>${docLabel(inv)}: ${inv.invoiceNumber}</h1>${inv.status === 'cancelled' ? `<p style="color:#dc2626;font-weight:bold">CANCELLED — ${inv.cancellation?.reason || ''}</p>` : ''}<p>Retailer: <strong>${inv.retailerName || inv.retailer?.name}</strong>${inv.retailer?.gstin ? ` (GSTIN ${inv.retailer.gstin})` : ''}</p><p>Date: ${new Date(inv.saleDate).toLocaleDateString('en-IN')}</p><table><thead><tr><th>Item</th><th>HSN</th><th>Qty</th><th>Price</th><th>Taxable</th><th>GST</th><th>Amount</th></tr></thead><tbody>${items}</tbody></table>${taxTable}<p>Subtotal: ${fmt(inv.subtotal)} | Discount: ${fmt(inv.discount)} | Tax: ${fmt(inv.tax)}</p><p class="total">Grand Total: ${fmt(inv.total)}</p><p>Paid: ${fmt(inv.paid)} | Balance: ${fmt(inv.balance)}</p></body></html>`
     const w = window.open('', '_blank')
     w.document.write(html)
     w.document.close(); w.print()
@@ -35,12 +46,12 @@ export default function Invoices() {
                 {invoices.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🧾</div><p>No invoices</p></div></td></tr>}
                 {invoices.map(inv => (
                   <tr key={inv._id}>
-                    <td><strong>{inv.invoiceNumber}</strong></td>
+                    <td><strong>{inv.invoiceNumber}</strong>{docLabel(inv) === 'Order' && <span className="text-muted"> (order)</span>}</td>
                     <td>{inv.retailerName || inv.retailer?.name}</td>
                     <td style={{ fontWeight: 700 }}>{fmt(inv.total)}</td>
                     <td style={{ color: 'var(--success)' }}>{fmt(inv.paid)}</td>
                     <td style={{ color: inv.balance > 0 ? 'var(--danger)' : 'var(--success)', fontWeight: 600 }}>{fmt(inv.balance)}</td>
-                    <td><span className={`badge badge-${inv.status === 'paid' ? 'success' : inv.status === 'partial' ? 'warning' : 'neutral'}`}>{inv.status}</span></td>
+                    <td><span className={`badge badge-${inv.status === 'paid' ? 'success' : inv.status === 'partial' ? 'warning' : inv.status === 'cancelled' ? 'danger' : 'neutral'}`}>{inv.status}</span></td>
                     <td className="text-muted">{new Date(inv.saleDate).toLocaleDateString('en-IN')}</td>
                     <td><button className="btn btn-sm btn-secondary" onClick={() => printInvoice(inv)}>🖨️ Print</button></td>
                   </tr>
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+
+export default function Kits() {
+  const [data, setData] = useState(null)
+  const [kits, setKits] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [assembling, setAssembling] = useState(null)
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const params = { warehouse: warehouse || undefined }
+      const [b, k] = await Promise.all([api.get('/kit-assemblies/bundles', { params }), api.get('/kit-assemblies', { params })])
+      setData(b.data); setKits(k.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [warehouse])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {}) }, [])
+
+  const handleAssemble = async (e) => {
+    e.preventDefault()
+    try {
+      const { data: kit } = await api.post('/kit-assemblies', { bundle: assembling.bundle._id, warehouse: warehouse || undefined, quantity: Number(assembling.quantity), notes: assembling.notes })
+      toast.success(`${kit.assemblyNumber}: ${kit.quantity} kit(s) built`); setAssembling(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const bundles = data?.bundles || []
+  const quantity = Number(assembling?.quantity) || 0
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Bundles &amp; Kits</h1>
+        {warehouses.length > 1 && (
+          <select className="form-control" style={{ width: 220 }} value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">Main warehouse</option>
+            {warehouses.filter(w => !w.isDefault).map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
+      </div>
+      <p className="text-muted text-sm" style={{ marginBottom: 16 }}>
+        A bundle sells from its pre-built kits first and makes up the rest from its components at billing. Assemble kits ahead of a festive rush to pack them in advance. Components are set on the SKU form.
+      </p>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : <>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Bundle</th><th>Components (per unit)</th><th>Kits Built</th><th>Can Make</th><th>Available to Sell</th><th>Build Cost</th><th>Price</th><th></th></tr></thead>
+              <tbody>
+                {bundles.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🎁</div><p>No bundles yet — add components to a SKU to make it one</p></div></td></tr>}
+                {bundles.map(b => (
+                  <tr key={b._id} style={{ opacity: b.active ? 1 : 0.5 }}>
+                    <td><strong>{b.name}</strong><br /><span className="text-muted text-sm">{b.code}{b.brand ? ` · ${b.brand}` : ''}</span></td>
+                    <td className="text-sm">{b.components.map(c => (
+                      <div key={c.sku} style={{ color: c.makes === b.buildable ? 'var(--danger)' : undefined }}>{c.quantity} {c.unit} {c.name} <span className="text-muted">({c.onShelf} on hand)</span></div>
+                    ))}</td>
+                    <td style={{ fontWeight: 600 }}>{b.kits} {b.unit}</td>
+                    <td>{b.buildable} {b.unit}</td>
+                    <td style={{ fontWeight: 700 }}>{b.kits + b.buildable} {b.unit}</td>
+                    <td>{fmt(b.buildCost)}</td>
+                    <td>{fmt(b.sellingPrice)}{b.buildCost > 0 && <div className="text-muted text-sm">{Math.round((b.sellingPrice - b.buildCost) / b.sellingPrice * 100)}% margin</div>}</td>
+                    <td><button className="btn btn-sm btn-primary" disabled={!b.buildable} onClick={() => setAssembling({ bundle: b, quantity: b.buildable, notes: '' })}>🔧 Assemble</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {bundles.some(b => b.buildable) && <p className="text-muted text-sm" style={{ marginTop: 8 }}>The component in red limits how many more can be made.</p>}
+        </div>
+        <div className="card">
+          <h3 style={{ marginBottom: 12 }}>Assemblies</h3>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Number</th><th>Date</th><th>Bundle</th><th>Warehouse</th><th>Kits</th><th>Components Used</th><th>Cost / Kit</th><th>Expiry</th><th>By</th></tr></thead>
+              <tbody>
+                {kits.length === 0 && <tr><td colSpan={9}><div className="empty-state"><p>No kits assembled</p></div></td></tr>}
+                {kits.map(k => (
+                  <tr key={k._id}>
+                    <td><code>{k.assemblyNumber}</code></td>
+                    <td className="text-muted">{date(k.assemblyDate)}</td>
+                    <td><strong>{k.bundleName}</strong>{k.notes && <div className="text-muted text-sm">{k.notes}</div>}</td>
+                    <td className="text-muted">{k.warehouse?.name}</td>
+                    <td style={{ fontWeight: 600 }}>{k.quantity}</td>
+                    <td className="text-sm">{k.components.map(c => `${c.quantity} ${c.skuName}`).join(', ')}</td>
+                    <td>{fmt(k.unitCost)}</td>
+                    <td>{date(k.expiryDate)}</td>
+                    <td className="text-muted">{k.createdBy?.name}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </>}
+
+      {assembling && (
+        <div className="modal-overlay" onClick={() => setAssembling(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Assemble {assembling.bundle.name}</h2>
+            <form onSubmit={handleAssemble}>
+              <div className="form-group"><label className="form-label">Kits to build (up to {assembling.bundle.buildable})</label>
+                <input className="form-control" type="number" min="1" max={assembling.bundle.buildable} required value={assembling.quantity} onChange={e => setAssembling(p => ({ ...p, quantity: e.target.value }))} />
+              </div>
+              <table style={{ marginBottom: 16 }}>
+                <thead><tr><th>Component</th><th>Uses</th><th>On Hand</th></tr></thead>
+                <tbody>
+                  {assembling.bundle.components.map(c => (
+                    <tr key={c.sku}><td>{c.name}</td><td>{quantity * c.quantity} {c.unit}</td><td className="text-muted">{c.onShelf} {c.unit}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="form-group"><label className="form-label">Notes</label>
+                <input className="form-control" value={assembling.notes} onChange={e => setAssembling(p => ({ ...p, notes: e.target.value }))} />
+              </div>
+              <div className="text-muted text-sm" style={{ marginBottom: 8 }}>Approx. cost: {fmt(quantity * assembling.bundle.buildCost)}</div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setAssembling(null)}>Cancel</button><button type="submit" className="btn btn-primary">Assemble</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const today = () => new Date().toISOString().split('T')[0]
+const TABS = [
+  { key: 'ageing', label: '📊 Ageing' },
+  { key: 'bills', label: '🧾 Bills' },
+  { key: 'payments', label: '💸 Payments' },
+]
+const BILL_INIT = { supplier: '', purchaseOrder: '', billNumber: '', billDate: today(), amount: '', notes: '' }
+const PAY_INIT = { supplier: '', amount: '', mode: 'bank_transfer', reference: '', paymentDate: today(), bills: {}, notes: '' }
+
+export default function Payables() {
+  const [tab, setTab] = useState('ageing')
+  const [ageing, setAgeing] = useState(null)
+  const [bills, setBills] = useState([])
+  const [payments, setPayments] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [filter, setFilter] = useState({ supplier: '', status: 'open' })
+  const [loading, setLoading] = useState(true)
+  const [billForm, setBillForm] = useState(null)
+  const [orders, setOrders] = useState([])
+  const [payForm, setPayForm] = useState(null)
+  const [openBills, setOpenBills] = useState([])
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const params = { supplier: filter.supplier || undefined }
+      const [a, b, p] = await Promise.all([
+        api.get('/suppliers/ageing'),
+        api.get('/supplier-bills', { params: { ...params, status: filter.status || undefined } }),
+        api.get('/supplier-payments', { params }),
+      ])
+      setAgeing(a.data); setBills(b.data); setPayments(p.data)
+    } catch { toast.error('Failed to load payables') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [filter])
+  useEffect(() => { api.get('/suppliers').then(r => setSuppliers(r.data)).catch(() => {}) }, [])
+
+  // The PO picker and the bills to pay follow the chosen supplier
+  useEffect(() => {
+    if (!billForm?.supplier) return setOrders([])
+    api.get('/purchase-orders', { params: { supplier: billForm.supplier, limit: 100 } }).then(r => setOrders(r.data.orders.filter(o => o.status !== 'cancelled'))).catch(() => {})
+  }, [billForm?.supplier])
+  useEffect(() => {
+    if (!payForm?.supplier) return setOpenBills([])
+    api.get('/supplier-bills', { params: { supplier: payForm.supplier, status: 'open' } }).then(r => setOpenBills(r.data.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)))).catch(() => {})
+  }, [payForm?.supplier])
+
+  const handleBill = async (e) => {
+    e.preventDefault()
+    try {
+      const { data } = await api.post('/supplier-bills', { ...billForm, purchaseOrder: billForm.purchaseOrder || undefined, amount: Number(billForm.amount) })
+      toast.success(`Bill ${data.billNumber} booked, due ${date(data.dueDate)}`); setBillForm(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handlePay = async (e) => {
+    e.preventDefault()
+    try {
+      const shares = Object.fromEntries(Object.entries(payForm.bills).filter(([, v]) => Number(v) > 0).map(([k, v]) => [k, Number(v)]))
+      const { data } = await api.post('/supplier-payments', { ...payForm, amount: Number(payForm.amount), bills: shares })
+      toast.success(`${data.paymentNumber} recorded${data.unallocated > 0 ? ` — ${fmt(data.unallocated)} held as advance` : ''}`); setPayForm(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handleCancel = async (bill) => {
+    const reason = prompt(`Cancel bill ${bill.billNumber} from ${bill.supplierName} for ${fmt(bill.amount)}?\nReason:`)
+    if (!reason) return
+    try { await api.post(`/supplier-bills/${bill._id}/cancel`, { reason }); toast.success('Bill cancelled'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const totals = ageing?.totals || {}
+  const overdue = (ageing?.buckets || []).filter(b => b.key !== 'current').reduce((a, b) => a + (totals[b.key] || 0), 0)
+  const allocated = Object.values(payForm?.bills || {}).reduce((a, v) => a + Number(v || 0), 0)
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Payables</h1>
+        <div className="flex gap-2">
+          <button className="btn btn-secondary" onClick={() => setBillForm({ ...BILL_INIT, supplier: filter.supplier })}>+ Book Bill</button>
+          <button className="btn btn-primary" onClick={() => setPayForm({ ...PAY_INIT, supplier: filter.supplier })}>💸 Pay Supplier</button>
+        </div>
+      </div>
+      <div className="grid grid-4" style={{ marginBottom: 20 }}>
+        <div className="stat-card"><div className="stat-value">{fmt(totals.net)}</div><div className="stat-label">Net Payable</div></div>
+        <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}><div className="stat-value">{fmt(overdue)}</div><div className="stat-label">Overdue</div></div>
+        <div className="stat-card"><div className="stat-value">{fmt(totals.current)}</div><div className="stat-label">Not Yet Due</div></div>
+        <div className="stat-card"><div className="stat-value">{fmt(totals.advance)}</div><div className="stat-label">Advances Paid</div></div>
+      </div>
+      <div className="filters-bar">
+        {TABS.map(t => <button key={t.key} className={`btn ${tab === t.key ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab(t.key)}>{t.label}</button>)}
+        {tab !== 'ageing' && (
+          <select className="form-control" style={{ width: 220 }} value={filter.supplier} onChange={e => setFilter(p => ({ ...p, supplier: e.target.value }))}>
+            <option value="">All Suppliers</option>
+            {suppliers.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+          </select>
+        )}
+        {tab === 'bills' && (
+          <select className="form-control" style={{ width: 160 }} value={filter.status} onChange={e => setFilter(p => ({ ...p, status: e.target.value }))}>
+            <option value="open">Open</option><option value="paid">Paid</option><option value="cancelled">Cancelled</option><option value="">All</option>
+          </select>
+        )}
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : <div className="card"><div className="table-wrapper">
+        {tab === 'ageing' && (
+          <table>
+            <thead><tr><th>Supplier</th>{ageing.buckets.map(b => <th key={b.key}>{b.label}</th>)}<th>Total</th><th>Advance</th><th>Net</th><th>Oldest Due</th></tr></thead>
+            <tbody>
+              {ageing.suppliers.length === 0 && <tr><td colSpan={ageing.buckets.length + 5}><div className="empty-state"><div className="empty-icon">✅</div><p>Nothing owed to suppliers</p></div></td></tr>}
+              {ageing.suppliers.map(r => (
+                <tr key={r.supplier}>
+                  <td><strong>{r.supplierName}</strong></td>
+                  {ageing.buckets.map((b, i) => <td key={b.key} style={{ color: i >= 3 && r[b.key] ? 'var(--danger)' : undefined }}>{r[b.key] ? fmt(r[b.key]) : '—'}</td>)}
+                  <td style={{ fontWeight: 600 }}>{fmt(r.total)}</td>
+                  <td className="text-muted">{r.advance ? fmt(r.advance) : '—'}</td>
+                  <td style={{ fontWeight: 700 }}>{fmt(r.net)}</td>
+                  <td className="text-muted">{date(r.oldestDue)}</td>
+                </tr>
+              ))}
+              {ageing.suppliers.length > 0 && (
+                <tr><td><strong>Total</strong></td>{ageing.buckets.map(b => <td key={b.key}><strong>{fmt(totals[b.key])}</strong></td>)}<td><strong>{fmt(totals.total)}</strong></td><td><strong>{fmt(totals.advance)}</strong></td><td><strong>{fmt(totals.net)}</strong></td><td /></tr>
+              )}
+            </tbody>
+          </table>
+        )}
+        {tab === 'bills' && (
+          <table>
+            <thead><tr><th>Bill No.</th><th>Supplier</th><th>PO</th><th>Bill Date</th><th>Due</th><th>Amount</th><th>Paid</th><th>Balance</th><th>Status</th><th></th></tr></thead>
+            <tbody>
+              {bills.length === 0 && <tr><td colSpan={10}><div className="empty-state"><div className="empty-icon">🧾</div><p>No bills</p></div></td></tr>}
+              {bills.map(b => {
+                const late = ['unpaid', 'partial'].includes(b.status) && new Date(b.dueDate) < new Date()
+                return (
+                  <tr key={b._id}>
+                    <td><code>{b.billNumber}</code>{b.notes && <div className="text-muted text-sm">{b.notes}</div>}</td>
+                    <td>{b.supplierName}</td>
+                    <td className="text-muted">{b.poNumber || '—'}</td>
+                    <td className="text-muted">{date(b.billDate)}</td>
+                    <td style={{ color: late ? 'var(--danger)' : undefined, fontWeight: late ? 600 : undefined }}>{date(b.dueDate)}</td>
+                    <td>{fmt(b.amount)}</td>
+                    <td style={{ color: 'var(--success)' }}>{fmt(b.paid)}</td>
+                    <td style={{ fontWeight: 600 }}>{fmt(b.balance)}</td>
+                    <td><span className={`badge badge-${b.status === 'paid' ? 'success' : b.status === 'cancelled' ? 'neutral' : late ? 'danger' : 'warning'}`}>{late ? 'overdue' : b.status}</span>
+                      {b.cancellation?.reason && <div className="text-muted text-sm">{b.cancellation.reason}</div>}
+                    </td>
+                    <td>{b.status === 'unpaid' && b.paid === 0 && <button className="btn-icon" title="Cancel bill" onClick={() => handleCancel(b)}>🚫</button>}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+        {tab === 'payments' && (
+          <table>
+            <thead><tr><th>Number</th><th>Date</th><th>Supplier</th><th>Mode</th><th>Amount</th><th>Set Against</th><th>Advance</th><th>By</th></tr></thead>
+            <tbody>
+              {payments.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">💸</div><p>No payments</p></div></td></tr>}
+              {payments.map(p => (
+                <tr key={p._id}>
+                  <td><code>{p.paymentNumber}</code></td>
+                  <td className="text-muted">{date(p.paymentDate)}</td>
+                  <td>{p.supplierName}</td>
+                  <td className="text-muted">{p.mode.replace('_', ' ')}{p.reference && <div className="text-sm">{p.reference}</div>}</td>
+                  <td style={{ fontWeight: 700 }}>{fmt(p.amount)}</td>
+                  <td className="text-sm">{p.allocations.map(a => `${a.billNumber} (${fmt(a.amount)})`).join(', ') || '—'}</td>
+                  <td className="text-muted">{p.unallocated ? fmt(p.unallocated) : '—'}</td>
+                  <td className="text-muted">{p.createdBy?.name}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div></div>}
+
+      {billForm && (
+        <div className="modal-overlay" onClick={() => setBillForm(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Book Supplier Bill</h2>
+            <form onSubmit={handleBill}>
+              <div className="form-group"><label className="form-label">Supplier *</label>
+                <select className="form-control" required value={billForm.supplier} onChange={e => setBillForm(p => ({ ...p, supplier: e.target.value, purchaseOrder: '' }))}>
+                  <option value="">Select supplier</option>
+                  {suppliers.map(s => <option key={s._id} value={s._id}>{s.name}{s.paymentTermsDays ? ` — ${s.paymentTermsDays} days` : ''}</option>)}
+                </select>
+              </div>
+              <div className="form-group"><label className="form-label">Against PO</label>
+                <select className="form-control" value={billForm.purchaseOrder} onChange={e => setBillForm(p => ({ ...p, purchaseOrder: e.target.value, amount: p.amount || orders.find(o => o._id === e.target.value)?.total || '' }))}>
+                  <option value="">None</option>
+                  {orders.map(o => <option key={o._id} value={o._id}>{o.poNumber} — {fmt(o.total)} ({o.status.replace('_', ' ')})</option>)}
+                </select>
+              </div>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Supplier's Bill No. *</label><input className="form-control" required value={billForm.billNumber} onChange={e => setBillForm(p => ({ ...p, billNumber: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Bill Date *</label><input className="form-control" type="date" required value={billForm.billDate} onChange={e => setBillForm(p => ({ ...p, billDate: e.target.value }))} /></div>
+              </div>
+              <div className="form-group"><label className="form-label">Amount incl. GST (₹) *</label><input className="form-control" type="number" min="0.01" step="0.01" required value={billForm.amount} onChange={e => setBillForm(p => ({ ...p, amount: e.target.value }))} /></div>
+              <div className="form-group"><label className="form-label">Notes</label><input className="form-control" value={billForm.notes} onChange={e => setBillForm(p => ({ ...p, notes: e.target.value }))} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setBillForm(null)}>Cancel</button><button type="submit" className="btn btn-primary">Book Bill</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {payForm && (
+        <div className="modal-overlay" onClick={() => setPayForm(null)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Pay Supplier</h2>
+            <form onSubmit={handlePay}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Supplier *</label>
+                  <select className="form-control" required value={payForm.supplier} onChange={e => setPayForm(p => ({ ...p, supplier: e.target.value, bills: {} }))}>
+                    <option value="">Select supplier</option>
+                    {suppliers.map(s => <option key={s._id} value={s._id}>{s.name} — {fmt(s.outstandingBalance)}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Amount (₹) *</label><input className="form-control" type="number" min="0.01" step="0.01" required value={payForm.amount} onChange={e => setPayForm(p => ({ ...p, amount: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Mode</label>
+                  <select className="form-control" value={payForm.mode} onChange={e => setPayForm(p => ({ ...p, mode: e.target.value }))}>
+                    <option value="bank_transfer">Bank Transfer</option><option value="cheque">Cheque</option><option value="upi">UPI</option><option value="cash">Cash</option>
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Reference (UTR / Cheque No.)</label><input className="form-control" value={payForm.reference} onChange={e => setPayForm(p => ({ ...p, reference: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Payment Date</label><input className="form-control" type="date" value={payForm.paymentDate} onChange={e => setPayForm(p => ({ ...p, paymentDate: e.target.value }))} /></div>
+              </div>
+              {openBills.length > 0 && <>
+                <p className="text-muted text-sm" style={{ marginBottom: 8 }}>Set the payment against particular bills, or leave these blank to settle the oldest due first.</p>
+                <table style={{ marginBottom: 12 }}>
+                  <thead><tr><th>Bill</th><th>Due</th><th>Balance</th><th>Pay</th></tr></thead>
+                  <tbody>
+                    {openBills.map(b => (
+                      <tr key={b._id}>
+                        <td><code>{b.billNumber}</code>{b.poNumber && <span className="text-muted text-sm"> {b.poNumber}</span>}</td>
+                        <td className="text-muted">{date(b.dueDate)}</td>
+                        <td>{fmt(b.balance)}</td>
+                        <td><input className="form-control" type="number" min="0" max={b.balance} step="0.01" style={{ width: 120 }} value={payForm.bills[b._id] || ''} onChange={e => setPayForm(p => ({ ...p, bills: { ...p.bills, [b._id]: e.target.value } }))} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {allocated > 0 && <div className="text-sm" style={{ marginBottom: 8, color: allocated > Number(payForm.amount || 0) ? 'var(--danger)' : undefined }}>Set against bills: {fmt(allocated)} of {fmt(payForm.amount)}</div>}
+              </>}
+              <div className="form-group"><label className="form-label">Notes</label><input className="form-control" value={payForm.notes} onChange={e => setPayForm(p => ({ ...p, notes: e.target.value }))} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setPayForm(null)}>Cancel</button><button type="submit" className="btn btn-primary">Record Payment</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
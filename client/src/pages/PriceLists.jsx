@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const today = () => new Date().toISOString().split('T')[0]
+const CHANNELS = { wholesale: 'Wholesale', general_trade: 'General Trade', modern_trade: 'Modern Trade', key_account: 'Key Account' }
+const ROW = () => ({ sku: '', price: '', effectiveFrom: today(), effectiveTo: '' })
+const INIT = { name: '', channel: 'general_trade', description: '', active: true, items: [ROW()] }
+
+export default function PriceLists() {
+  const [lists, setLists] = useState([])
+  const [skus, setSkus] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [editId, setEditId] = useState(null)
+
+  const load = async () => {
+    try {
+      const [l, k] = await Promise.all([api.get('/price-lists'), api.get('/skus')])
+      setLists(l.data); setSkus(k.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [])
+
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const setRow = (i, k, v) => setForm(p => ({ ...p, items: p.items.map((r, idx) => idx === i ? { ...r, [k]: v } : r) }))
+
+  const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
+  const openEdit = (l) => {
+    setForm({
+      name: l.name, channel: l.channel, description: l.description || '', active: l.active,
+      items: l.items.length ? l.items.map(i => ({
+        sku: i.sku?._id || i.sku, price: i.price,
+        effectiveFrom: i.effectiveFrom?.split('T')[0] || today(), effectiveTo: i.effectiveTo?.split('T')[0] || '',
+      })) : [ROW()],
+    })
+    setEditId(l._id); setModal(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = {
+        ...form,
+        items: form.items.filter(i => i.sku && i.price !== '').map(i => ({
+          sku: i.sku, price: Number(i.price), effectiveFrom: i.effectiveFrom, effectiveTo: i.effectiveTo || null,
+        })),
+      }
+      if (editId) await api.put(`/price-lists/${editId}`, payload)
+      else await api.post('/price-lists', payload)
+      toast.success('Saved!'); setModal(false); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete price list?')) return
+    try { await api.delete(`/price-lists/${id}`); toast.success('Deleted'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+  }
+
+  const skuPrice = (id) => skus.find(s => s._id === id)?.sellingPrice
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Price Lists</h1>
+        <button className="btn btn-primary" onClick={openAdd}>+ New Price List</button>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Name</th><th>Channel</th><th>Prices</th><th>Retailers</th><th>Status</th><th>Actions</th></tr></thead>
+              <tbody>
+                {lists.length === 0 && <tr><td colSpan={6}><div className="empty-state"><div className="empty-icon">🏷️</div><p>No price lists — every retailer pays the SKU selling price</p></div></td></tr>}
+                {lists.map(l => (
+                  <tr key={l._id}>
+                    <td><strong>{l.name}</strong>{l.description && <><br /><span className="text-muted text-sm">{l.description}</span></>}</td>
+                    <td>{CHANNELS[l.channel]}</td>
+                    <td>{l.items.length}</td>
+                    <td>{l.retailerCount}</td>
+                    <td><span className={`badge badge-${l.active ? 'success' : 'neutral'}`}>{l.active ? 'Active' : 'Inactive'}</span></td>
+                    <td><div className="flex gap-2"><button className="btn-icon" onClick={() => openEdit(l)}>✏️</button><button className="btn-icon" onClick={() => handleDelete(l._id)}>🗑️</button></div></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" style={{ maxWidth: 850 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{editId ? 'Edit Price List' : 'New Price List'}</h2>
+            <form onSubmit={handleSave}>
+              <div className="grid grid-3">
+                <div className="form-group"><label className="form-label">Name *</label><input className="form-control" required value={form.name} onChange={e => f('name', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Channel</label>
+                  <select className="form-control" value={form.channel} onChange={e => f('channel', e.target.value)}>
+                    {Object.entries(CHANNELS).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Status</label><select className="form-control" value={form.active ? 'active' : 'inactive'} onChange={e => f('active', e.target.value === 'active')}><option value="active">Active</option><option value="inactive">Inactive</option></select></div>
+              </div>
+              <div className="form-group"><label className="form-label">Description</label><input className="form-control" value={form.description} onChange={e => f('description', e.target.value)} /></div>
+              <div style={{ marginBottom: 16 }}>
+                <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                  <label className="form-label" style={{ marginBottom: 0 }}>Prices (SKU · price · effective from · to)</label>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('items', [...form.items, ROW()])}>+ Price</button>
+                </div>
+                {form.items.map((row, i) => (
+                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1.3fr 1.3fr auto', gap: 8, marginBottom: 8 }}>
+                    <select className="form-control" value={row.sku} onChange={e => setRow(i, 'sku', e.target.value)}>
+                      <option value="">Select SKU</option>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name} — standard {fmt(s.sellingPrice)}</option>)}
+                    </select>
+                    <input className="form-control" type="number" min="0" step="0.01" placeholder={skuPrice(row.sku) ?? 'Price'} value={row.price} onChange={e => setRow(i, 'price', e.target.value)} />
+                    <input className="form-control" type="date" required value={row.effectiveFrom} onChange={e => setRow(i, 'effectiveFrom', e.target.value)} />
+                    <input className="form-control" type="date" value={row.effectiveTo} onChange={e => setRow(i, 'effectiveTo', e.target.value)} title="Leave blank for open-ended" />
+                    {form.items.length > 1 && <button type="button" className="btn-icon" onClick={() => f('items', form.items.filter((_, idx) => idx !== i))}>🗑️</button>}
+                  </div>
+                ))}
+                <p className="text-muted text-sm">SKUs not listed here bill at their standard selling price. Add a new row with a later start date to schedule a price change.</p>
+              </div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Save</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
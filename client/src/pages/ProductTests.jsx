@@ -42,6 +42,11 @@ export default function ProductTests() {
       toast.success('Saved!'); setShow(false); load()
     } catch (e) { toast.error(e.response?.data?.error || 'Error') }
   }
+  const quarantine = async (t) => {
+    if (!window.confirm(`Move all on-hand stock of batch ${t.batchNumber} into quarantine?`)) return
+    try { await api.post(`/product-tests/${t._id}/quarantine`); toast.success('Batch quarantined'); load() }
+    catch (e) { toast.error(e.response?.data?.message || 'Failed') }
+  }
   const handleDelete = async (id) => {
     if (!window.confirm('Delete?')) return
     await api.delete(`/product-tests/${id}`); toast.success('Deleted'); load()
@@ -69,6 +74,9 @@ export default function ProductTests() {
                     <td className="text-muted">{t.parameters?.length} params</td>
                     <td><span className={`badge badge-${t.result === 'pass' ? 'success' : 'danger'}`}>{t.result === 'pass' ? '✅ Pass' : '❌ Fail'}</span></td>
                     <td>
+                      {t.result === 'fail' && t.batchNumber && (t.holds?.length
+                        ? <span className="badge badge-warning" style={{ marginRight: 8 }}>🚧 Quarantined</span>
+                        : <button className="btn btn-secondary" style={{ marginRight: 8 }} onClick={() => quarantine(t)}>🚧 Quarantine</button>)}
                       <button className="btn btn-secondary" style={{ marginRight: 8 }} onClick={() => openEdit(t)}>Edit</button>
                       <button className="btn btn-danger" onClick={() => handleDelete(t._id)}>Delete</button>
                     </td>
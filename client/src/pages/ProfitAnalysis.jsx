@@ -28,8 +28,8 @@ export default function ProfitAnalysis() {
   useEffect(() => { load() }, [])
 
   const doughnutData = summary ? {
-    labels: ['COGS', 'Gross Profit'],
-    datasets: [{ data: [summary.cogs, summary.grossProfit], backgroundColor: ['#f87171', '#4ade80'], borderWidth: 0 }]
+    labels: ['COGS', 'Write-offs', 'Net Profit'],
+    datasets: [{ data: [summary.cogs, summary.writeOffs?.total || 0, summary.netProfit], backgroundColor: ['#f87171', '#fbbf24', '#4ade80'], borderWidth: 0 }]
   } : null
 
   const barData = {
@@ -67,6 +67,20 @@ export default function ProfitAnalysis() {
               <div className="stat-label">Profit Margin</div>
             </div>
           </div>
+          <div className="grid grid-3" style={{ marginBottom: 24 }}>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}>
+              <div className="stat-value">{fmt(summary?.writeOffs?.expired)}</div>
+              <div className="stat-label">Expired Write-offs</div>
+            </div>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}>
+              <div className="stat-value">{fmt(summary?.writeOffs?.damaged)}</div>
+              <div className="stat-label">Damaged Write-offs</div>
+            </div>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--success)' }}>
+              <div className="stat-value">{fmt(summary?.netProfit)}</div>
+              <div className="stat-label">Net of Write-offs</div>
+            </div>
+          </div>
           <div className="grid grid-2" style={{ gap: 20 }}>
             {doughnutData && (
               <div className="card">
@@ -85,13 +99,15 @@ export default function ProfitAnalysis() {
             <h3 style={{ marginBottom: 16, fontWeight: 700 }}>Product-wise Revenue</h3>
             <div className="table-wrapper">
               <table>
-                <thead><tr><th>Product</th><th>Qty Sold</th><th>Revenue</th></tr></thead>
+                <thead><tr><th>Product</th><th>Qty Sold</th><th>Revenue</th><th>Cost</th><th>Gross Profit</th></tr></thead>
                 <tbody>
                   {bySku.map(s => (
                     <tr key={s._id}>
                       <td><strong>{s.name}</strong></td>
                       <td>{s.qty}</td>
                       <td style={{ fontWeight: 700, color: 'var(--primary)' }}>{fmt(s.revenue)}</td>
+                      <td className="text-muted">{fmt(s.cogs)}</td>
+                      <td style={{ fontWeight: 600, color: s.grossProfit < 0 ? 'var(--danger)' : 'var(--success)' }}>{fmt(s.grossProfit)}</td>
                     </tr>
                   ))}
                 </tbody>
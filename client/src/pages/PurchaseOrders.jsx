@@ -1,9 +1,13 @@
 import React, { useEffect, useState } from 'react'
 import api from '../api'
 import toast from 'react-hot-toast'
+import ScanInput from '../components/ScanInput'
 
 const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
-const INIT = { supplier: '', supplierPhone: '', items: [{ skuName: '', quantity: 1, price: '', total: 0 }], status: 'draft', orderDate: new Date().toISOString().split('T')[0], expectedDate: '', notes: '' }
+const today = () => new Date().toISOString().split('T')[0]
+const STATUS_BADGE = { received: 'success', partially_received: 'warning', ordered: 'info', cancelled: 'danger' }
+const outstanding = (i) => Math.max(0, i.quantity - (i.receivedQty || 0))
+const INIT = { supplier: '', supplierPhone: '', warehouse: '', items: [{ sku: '', quantity: 1, uom: '', price: '', total: 0 }], status: 'draft', orderDate: new Date().toISOString().split('T')[0], expectedDate: '', notes: '' }
 
 export default function PurchaseOrders() {
   const [orders, setOrders] = useState([])
@@ -11,36 +15,110 @@ export default function PurchaseOrders() {
   const [modal, setModal] = useState(false)
   const [form, setForm] = useState(INIT)
   const [filterStatus, setFilterStatus] = useState('')
+  const [skus, setSkus] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [receiving, setReceiving] = useState(null)
+  const [lines, setLines] = useState([])
+  const [grn, setGrn] = useState({})
+  const [history, setHistory] = useState(null)
+  const [bill, setBill] = useState({})
+  const [suppliers, setSuppliers] = useState([])
+  const [filterSupplier, setFilterSupplier] = useState('')
 
   const load = async () => {
-    try { const { data } = await api.get('/purchase-orders', { params: { status: filterStatus || undefined } }); setOrders(data.orders || []) }
+    try { const { data } = await api.get('/purchase-orders', { params: { status: filterStatus || undefined, supplier: filterSupplier || undefined } }); setOrders(data.orders || []) }
     catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
-  useEffect(() => { load() }, [filterStatus])
+  useEffect(() => { load() }, [filterStatus, filterSupplier])
+  useEffect(() => { api.get('/suppliers').then(r => setSuppliers(r.data)).catch(() => {}) }, [])
+  useEffect(() => { api.get('/skus').then(r => setSkus(r.data)).catch(() => {}) }, [])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {}) }, [])
 
-  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { skuName: '', quantity: 1, price: '', total: 0 }] }))
+  const skuOf = (id) => skus.find(s => s._id === id)
+  const factorOf = (id, uom) => skuOf(id)?.uoms?.find(u => u.name === uom)?.factor || 1
+
+  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { sku: '', quantity: 1, uom: '', price: '', total: 0 }] }))
   const removeItem = (i) => setForm(p => ({ ...p, items: p.items.filter((_, idx) => idx !== i) }))
   const updateItem = (i, k, v) => setForm(p => {
     const items = [...p.items]; items[i] = { ...items[i], [k]: v }
-    if (k === 'quantity' || k === 'price') items[i].total = Number(items[i].quantity) * Number(items[i].price || 0)
+    // Purchase price is per base unit; scale it to the ordered pack
+    if (k === 'sku') items[i].uom = ''
+    if ((k === 'sku' || k === 'uom') && items[i].sku) items[i].price = Math.round((skuOf(items[i].sku)?.purchasePrice || 0) * factorOf(items[i].sku, items[i].uom) * 100) / 100
+    if (k !== 'total') items[i].total = Number(items[i].quantity) * Number(items[i].price || 0)
     return { ...p, items }
   })
 
+  // A scan adds one of the scanned unit at its purchase price, or one more to the line already on it
+  const handleScan = ({ sku, uom, factor }) => setForm(p => {
+    const at = p.items.findIndex(i => i.sku === sku._id && (i.uom || '') === uom)
+    if (at >= 0) return { ...p, items: p.items.map((i, idx) => idx === at ? { ...i, quantity: Number(i.quantity || 0) + 1, total: (Number(i.quantity || 0) + 1) * Number(i.price || 0) } : i) }
+    const price = Math.round((sku.purchasePrice || 0) * factor * 100) / 100
+    const line = { sku: sku._id, quantity: 1, uom, price, total: price }
+    const blank = p.items.findIndex(i => !i.sku)
+    return { ...p, items: blank >= 0 ? p.items.map((i, idx) => idx === blank ? line : i) : [...p.items, line] }
+  })
+
   const getTotal = () => form.items.reduce((a, i) => a + Number(i.total || 0), 0)
 
   const handleSave = async (e) => {
     e.preventDefault()
     try {
-      const items = form.items.filter(i => i.skuName && i.quantity && i.price).map(i => ({ skuName: i.skuName, quantity: Number(i.quantity), price: Number(i.price), total: Number(i.total) }))
-      await api.post('/purchase-orders', { ...form, items, subtotal: getTotal(), total: getTotal() })
+      const items = form.items.filter(i => i.sku && i.quantity && i.price).map(i => ({ sku: i.sku, uom: i.uom || undefined, quantity: Number(i.quantity), price: Number(i.price), total: Number(i.total) }))
+      await api.post('/purchase-orders', { ...form, warehouse: form.warehouse || undefined, items, subtotal: getTotal(), total: getTotal() })
       toast.success('PO created!'); setModal(false); load()
     } catch (err) { toast.error(err.response?.data?.message || 'Error') }
   }
 
-  const handleReceive = async (id) => {
-    if (!confirm('Mark PO as received and update stock?')) return
-    try { await api.post(`/purchase-orders/${id}/receive`); toast.success('PO received! Stock updated.'); load() }
-    catch { toast.error('Failed') }
+  // One GRN line per PO line still due, filled with what's outstanding
+  const openReceive = async (o) => {
+    try {
+      const { data: po } = await api.get(`/purchase-orders/${o._id}`)
+      setLines(po.items.filter(i => i.sku && outstanding(i)).map(i => ({
+        key: i._id, poItem: i._id, sku: i.sku._id, ordered: i.sku._id, skuName: i.skuName, due: outstanding(i), price: i.price,
+        received: outstanding(i), rejected: '', rejectReason: '', batchNo: '', mfgDate: '', expiryDate: '',
+      })))
+      setGrn({ receivedDate: today(), challanNo: '', notes: '' })
+      setBill({ billNumber: '', billDate: today(), amount: '' })
+      setReceiving(po)
+    } catch { toast.error('Failed to load PO') }
+  }
+  const setLine = (key, k, v) => setLines(p => p.map(l => l.key === key ? { ...l, [k]: v } : l))
+  const addSubstitute = (line) => setLines(p => {
+    const at = p.findIndex(l => l.key === line.key)
+    const sub = { ...line, key: `${line.key}-${Date.now()}`, sku: '', skuName: '', conversion: '', received: 0, rejected: '', rejectReason: '', batchNo: '', substitute: true }
+    return [...p.slice(0, at + 1), sub, ...p.slice(at + 1)]
+  })
+  const removeLine = (key) => setLines(p => p.filter(l => l.key !== key))
+  const acceptedValue = () => lines.reduce((a, l) => {
+    const cost = l.price * (l.substitute ? Number(l.conversion || 0) : 1)
+    return a + Math.max(0, Number(l.received || 0) - Number(l.rejected || 0)) * cost
+  }, 0)
+
+  const handleReceive = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = lines.filter(l => l.sku && Number(l.received)).map(l => ({
+        poItem: l.poItem, sku: l.sku, conversion: l.substitute ? Number(l.conversion) : undefined, received: Number(l.received), rejected: Number(l.rejected) || 0, rejectReason: l.rejectReason || undefined,
+        batchNo: l.batchNo || undefined, mfgDate: l.mfgDate || undefined, expiryDate: l.expiryDate || undefined,
+      }))
+      const { data } = await api.post('/goods-receipts', {
+        ...grn, purchaseOrder: receiving._id, lines: payload,
+        bill: bill.billNumber ? { ...bill, amount: Number(bill.amount) || undefined } : undefined,
+      })
+      toast.success(`${data.grnNumber} received${bill.billNumber ? ' and bill booked to payables' : '. Stock updated.'}`); setReceiving(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const openHistory = async (o) => {
+    try { const { data } = await api.get(`/purchase-orders/${o._id}`); setHistory(data) }
+    catch { toast.error('Failed to load PO') }
+  }
+
+  const handleClose = async (o) => {
+    const note = prompt(`Close ${o.poNumber} short. What didn't arrive, and why?`)
+    if (note === null) return
+    try { await api.post(`/purchase-orders/${o._id}/close`, { note }); toast.success('PO closed short'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
   }
 
   const handleStatusChange = async (id, status) => {
@@ -57,7 +135,11 @@ export default function PurchaseOrders() {
       <div className="filters-bar">
         <select className="form-control" value={filterStatus} onChange={e => setFilterStatus(e.target.value)}>
           <option value="">All Status</option>
-          <option value="draft">Draft</option><option value="ordered">Ordered</option><option value="received">Received</option><option value="cancelled">Cancelled</option>
+          <option value="draft">Draft</option><option value="ordered">Ordered</option><option value="partially_received">Partially Received</option><option value="received">Received</option><option value="closed">Closed Short</option><option value="cancelled">Cancelled</option>
+        </select>
+        <select className="form-control" value={filterSupplier} onChange={e => setFilterSupplier(e.target.value)}>
+          <option value="">All Suppliers</option>
+          {suppliers.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
         </select>
       </div>
       {loading ? <div className="loading-center"><div className="spinner" /></div> : (
@@ -70,14 +152,19 @@ export default function PurchaseOrders() {
                 {orders.map(o => (
                   <tr key={o._id}>
                     <td><strong>{o.poNumber}</strong></td>
-                    <td>{o.supplier}<br /><span className="text-muted text-sm">{o.supplierPhone}</span></td>
+                    <td>{o.supplierName}<br /><span className="text-muted text-sm">{o.supplierPhone}</span>{o.warehouse && <><br /><span className="text-muted text-sm">🏭 {o.warehouse.name}</span></>}</td>
                     <td style={{ fontWeight: 700 }}>{fmt(o.total)}</td>
-                    <td><span className={`badge badge-${o.status === 'received' ? 'success' : o.status === 'cancelled' ? 'danger' : o.status === 'ordered' ? 'info' : 'neutral'}`}>{o.status}</span></td>
+                    <td>
+                      <span className={`badge badge-${STATUS_BADGE[o.status] || 'neutral'}`}>{o.status === 'closed' ? 'closed short' : o.status.replace('_', ' ')}</span>
+                      {o.status === 'partially_received' && <div className="text-muted text-sm">{o.items.filter(i => i.sku && !outstanding(i)).length} of {o.items.filter(i => i.sku).length} lines in full</div>}
+                    </td>
                     <td className="text-muted">{new Date(o.orderDate).toLocaleDateString('en-IN')}</td>
                     <td className="text-muted">{o.expectedDate ? new Date(o.expectedDate).toLocaleDateString('en-IN') : '—'}</td>
                     <td>
                       <div className="flex gap-2">
-                        {o.status === 'ordered' && <button className="btn btn-sm btn-success" onClick={() => handleReceive(o._id)}>✅ Receive</button>}
+                        {['ordered', 'partially_received'].includes(o.status) && <button className="btn btn-sm btn-success" onClick={() => openReceive(o)}>✅ Receive</button>}
+                        {o.status === 'partially_received' && <button className="btn btn-sm btn-secondary" onClick={() => handleClose(o)}>Close Short</button>}
+                        {['partially_received', 'received', 'closed'].includes(o.status) && <button className="btn-icon" title="Goods receipts" onClick={() => openHistory(o)}>📦</button>}
                         {o.status === 'draft' && <button className="btn btn-sm btn-primary" onClick={() => handleStatusChange(o._id, 'ordered')}>📤 Place Order</button>}
                       </div>
                     </td>
@@ -94,20 +181,39 @@ export default function PurchaseOrders() {
             <h2 className="modal-title">New Purchase Order</h2>
             <form onSubmit={handleSave}>
               <div className="grid grid-2">
-                <div className="form-group"><label className="form-label">Supplier Name *</label><input className="form-control" required value={form.supplier} onChange={e => setForm(p => ({ ...p, supplier: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Supplier *</label>
+                  <select className="form-control" required value={form.supplier} onChange={e => setForm(p => ({ ...p, supplier: e.target.value, supplierPhone: suppliers.find(s => s._id === e.target.value)?.phone || '' }))}>
+                    <option value="">Select supplier</option>
+                    {suppliers.filter(s => s.active).map(s => <option key={s._id} value={s._id}>{s.name}{s.brands?.length ? ` — ${s.brands.map(b => b.name).join(', ')}` : ''}</option>)}
+                  </select>
+                </div>
                 <div className="form-group"><label className="form-label">Supplier Phone</label><input className="form-control" value={form.supplierPhone} onChange={e => setForm(p => ({ ...p, supplierPhone: e.target.value }))} /></div>
                 <div className="form-group"><label className="form-label">Order Date</label><input className="form-control" type="date" value={form.orderDate} onChange={e => setForm(p => ({ ...p, orderDate: e.target.value }))} /></div>
                 <div className="form-group"><label className="form-label">Expected Date</label><input className="form-control" type="date" value={form.expectedDate} onChange={e => setForm(p => ({ ...p, expectedDate: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Deliver To</label>
+                  <select className="form-control" value={form.warehouse} onChange={e => setForm(p => ({ ...p, warehouse: e.target.value }))}>
+                    <option value="">{warehouses.find(w => w.isDefault)?.name || 'Default warehouse'}</option>
+                    {warehouses.filter(w => !w.isDefault).map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>
               </div>
               <div style={{ marginBottom: 16 }}>
                 <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
                   <label className="form-label" style={{ marginBottom: 0 }}>Items</label>
                   <button type="button" className="btn btn-secondary btn-sm" onClick={addItem}>+ Add Item</button>
                 </div>
+                <div style={{ marginBottom: 10 }}><ScanInput onScan={handleScan} /></div>
                 {form.items.map((item, i) => (
-                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
-                    <input className="form-control" placeholder="Product name" value={item.skuName} onChange={e => updateItem(i, 'skuName', e.target.value)} />
+                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                    <select className="form-control" value={item.sku} onChange={e => updateItem(i, 'sku', e.target.value)}>
+                      <option value="">Select SKU</option>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                    </select>
                     <input className="form-control" type="number" min="1" placeholder="Qty" value={item.quantity} onChange={e => updateItem(i, 'quantity', e.target.value)} />
+                    <select className="form-control" value={item.uom || ''} onChange={e => updateItem(i, 'uom', e.target.value)}>
+                      <option value="">{skuOf(item.sku)?.unit || 'pcs'}</option>
+                      {skuOf(item.sku)?.uoms?.map(u => <option key={u.name} value={u.name}>{u.name} ({u.factor})</option>)}
+                    </select>
                     <input className="form-control" type="number" min="0" step="0.01" placeholder="Price" value={item.price} onChange={e => updateItem(i, 'price', e.target.value)} />
                     {form.items.length > 1 && <button type="button" className="btn-icon" onClick={() => removeItem(i)}>🗑️</button>}
                   </div>
@@ -120,6 +226,120 @@ export default function PurchaseOrders() {
           </div>
         </div>
       )}
+      {receiving && (
+        <div className="modal-overlay" onClick={() => setReceiving(null)}>
+          <div className="modal" style={{ maxWidth: 1100 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Goods Receipt — {receiving.poNumber}</h2>
+            <form onSubmit={handleReceive}>
+              <div className="grid grid-3">
+                <div className="form-group"><label className="form-label">Received On</label><input className="form-control" type="date" value={grn.receivedDate} onChange={e => setGrn(p => ({ ...p, receivedDate: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Supplier Challan No.</label><input className="form-control" value={grn.challanNo} onChange={e => setGrn(p => ({ ...p, challanNo: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Notes</label><input className="form-control" value={grn.notes} onChange={e => setGrn(p => ({ ...p, notes: e.target.value }))} /></div>
+              </div>
+              <p className="text-muted text-sm" style={{ marginBottom: 8 }}>Enter what came off the vehicle. Rejected goods go back with it and don't enter stock; anything not received stays due on the PO. For a substitute, enter how many ordered units each of its units counts as (e.g. 0.5 for a 500 g pack against a 1 kg order).</p>
+              <div className="table-wrapper">
+                <table>
+                  <thead><tr><th>Item</th><th>Due</th><th>Received</th><th>Rejected</th><th>Reason</th><th>Batch No.</th><th>Mfg Date</th><th>Expiry Date</th><th></th></tr></thead>
+                  <tbody>
+                    {lines.length === 0 && <tr><td colSpan={9}><div className="empty-state"><p>Nothing is still due on this PO</p></div></td></tr>}
+                    {lines.map(l => (
+                      <tr key={l.key}>
+                        <td>
+                          {l.substitute ? (
+                            <select className="form-control" value={l.sku} onChange={e => setLine(l.key, 'sku', e.target.value)}>
+                              <option value="">Substitute for {receiving.items.find(i => i._id === l.poItem)?.skuName}</option>
+                              {skus.filter(s => s._id !== l.ordered).map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                            </select>
+                          ) : l.skuName}
+                        </td>
+                        <td className="text-muted">
+                          {l.substitute
+                            ? <input className="form-control" type="number" min="0" step="any" required style={{ width: 80 }} title={`${skuOf(l.ordered)?.unit || 'units'} of the ordered item each substitute unit counts as`} placeholder="× ordered" value={l.conversion} onChange={e => setLine(l.key, 'conversion', e.target.value)} />
+                            : l.due}
+                        </td>
+                        <td><input className="form-control" type="number" min="0" style={{ width: 80 }} value={l.received} onChange={e => setLine(l.key, 'received', e.target.value)} /></td>
+                        <td><input className="form-control" type="number" min="0" style={{ width: 80 }} value={l.rejected} onChange={e => setLine(l.key, 'rejected', e.target.value)} /></td>
+                        <td><input className="form-control" placeholder="Damaged, short-dated…" disabled={!Number(l.rejected)} required={Number(l.rejected) > 0} value={l.rejectReason} onChange={e => setLine(l.key, 'rejectReason', e.target.value)} /></td>
+                        <td><input className="form-control" placeholder={receiving.poNumber} value={l.batchNo} onChange={e => setLine(l.key, 'batchNo', e.target.value)} /></td>
+                        <td><input className="form-control" type="date" value={l.mfgDate} onChange={e => setLine(l.key, 'mfgDate', e.target.value)} /></td>
+                        <td><input className="form-control" type="date" value={l.expiryDate} onChange={e => setLine(l.key, 'expiryDate', e.target.value)} /></td>
+                        <td>
+                          {l.substitute
+                            ? <button type="button" className="btn-icon" onClick={() => removeLine(l.key)}>🗑️</button>
+                            : <button type="button" className="btn-icon" title="Add a substitute SKU sent against this line" onClick={() => addSubstitute(l)}>🔁</button>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ textAlign: 'right', fontWeight: 700, marginTop: 8 }}>Accepted value: {fmt(acceptedValue())}</div>
+              <h3 style={{ margin: '16px 0 4px' }}>Supplier Bill</h3>
+              <p className="text-muted text-sm" style={{ marginBottom: 8 }}>Book {receiving.supplierName}'s invoice for this delivery now, or leave it blank and book it from Payables when it arrives.</p>
+              <div className="grid grid-3">
+                <div className="form-group"><label className="form-label">Bill No.</label><input className="form-control" value={bill.billNumber} onChange={e => setBill(p => ({ ...p, billNumber: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Bill Date</label><input className="form-control" type="date" value={bill.billDate} onChange={e => setBill(p => ({ ...p, billDate: e.target.value }))} /></div>
+                <div className="form-group"><label className="form-label">Amount (₹)</label><input className="form-control" type="number" min="0" step="0.01" placeholder="Accepted value + tax" value={bill.amount} onChange={e => setBill(p => ({ ...p, amount: e.target.value }))} /></div>
+              </div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setReceiving(null)}>Cancel</button><button type="submit" className="btn btn-success" disabled={!lines.length}>✅ Receive Stock</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+      {history && (
+        <div className="modal-overlay" onClick={() => setHistory(null)}>
+          <div className="modal" style={{ maxWidth: 900 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Receipts — {history.poNumber}</h2>
+            <div className="table-wrapper">
+              <table>
+                <thead><tr><th>Item</th><th>Ordered</th><th>Accepted</th><th>Rejected</th><th>Short</th></tr></thead>
+                <tbody>
+                  {history.items.map(i => (
+                    <tr key={i._id}>
+                      <td>{i.skuName}</td>
+                      <td>{i.quantityText || i.quantity}</td>
+                      <td>{i.receivedQty || 0}</td>
+                      <td style={{ color: i.rejectedQty ? 'var(--danger)' : undefined }}>{i.rejectedQty || 0}</td>
+                      <td style={{ fontWeight: outstanding(i) ? 600 : undefined }}>{i.sku ? outstanding(i) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {history.shortClose?.note && (
+              <p className="text-sm" style={{ marginTop: 8 }}><strong>Closed short</strong> on {new Date(history.shortClose.closedAt).toLocaleDateString('en-IN')}: {history.shortClose.note}</p>
+            )}
+            {history.receipts.map(r => (
+              <div key={r._id} style={{ marginTop: 16 }}>
+                <div className="flex justify-between items-center">
+                  <strong>{r.grnNumber}</strong>
+                  <span className="text-muted text-sm">
+                    {new Date(r.receivedDate).toLocaleDateString('en-IN')}{r.challanNo && ` · Challan ${r.challanNo}`}{r.createdBy && ` · ${r.createdBy.name}`} · {fmt(r.value)}
+                  </span>
+                </div>
+                <table style={{ marginTop: 4 }}>
+                  <thead><tr><th>Item</th><th>Received</th><th>Accepted</th><th>Rejected</th><th>Batch</th><th>Expiry</th></tr></thead>
+                  <tbody>
+                    {r.items.map(i => (
+                      <tr key={i._id}>
+                        <td>{i.skuName}{i.substitute && <> <span className="badge badge-info">substitute</span><div className="text-muted text-sm">counts as {i.countsAs} ordered</div></>}</td>
+                        <td>{i.received}</td>
+                        <td>{i.accepted}</td>
+                        <td>{i.rejected ? <>{i.rejected}<div className="text-muted text-sm">{i.rejectReason}</div></> : 0}</td>
+                        <td><code>{i.batchNo}</code></td>
+                        <td className="text-muted">{i.expiryDate ? new Date(i.expiryDate).toLocaleDateString('en-IN') : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {r.notes && <p className="text-muted text-sm">{r.notes}</p>}
+              </div>
+            ))}
+            {history.receipts.length === 0 && <p className="text-muted text-sm" style={{ marginTop: 12 }}>Received before goods receipt notes were kept.</p>}
+            <div className="modal-footer"><button className="btn btn-secondary" onClick={() => setHistory(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
@@ -10,24 +10,41 @@ export default function Reports() {
   const [loading, setLoading] = useState(false)
   const [from, setFrom] = useState('')
   const [to, setTo] = useState('')
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
 
   const load = async () => {
     setLoading(true)
     try {
-      const ep = { sales: '/reports/sales', retailer: '/reports/retailer-wise', product: '/reports/product-wise' }[tab]
-      const { data: d } = await api.get(ep, { params: { from: from || undefined, to: to || undefined } })
+      const ep = { sales: '/reports/sales', retailer: '/reports/retailer-wise', product: '/reports/product-wise', gst: '/reports/gst', valuation: '/reports/stock-valuation', analysis: '/reports/sku-analysis' }[tab]
+      const { data: d } = await api.get(ep, { params: { from: from || undefined, to: to || undefined, warehouse: warehouse || undefined } })
       setData(d)
     } catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
-  useEffect(() => { load() }, [tab])
+  useEffect(() => { load() }, [tab, warehouse])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data)).catch(() => {}) }, [])
+
+  const recompute = async () => {
+    try { await api.post('/skus/metrics/recompute'); toast.success('Classes recomputed'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
 
   const exportCSV = () => {
     let csv = ''
-    if (!data.length) return
-    if (tab === 'retailer') {
+    if (tab === 'gst') {
+      if (!data.hsn?.length) return
+      csv = 'HSN,GST Rate,Qty,Taxable Value,CGST,SGST,IGST,Cess\n' + data.hsn.map(r => `"${r.hsnCode}",${r.gstRate},${r.quantity},${r.taxableValue},${r.cgst},${r.sgst},${r.igst},${r.cess}`).join('\n')
+    } else if (tab === 'valuation') {
+      if (!data.items?.length) return
+      csv = 'Code,Product,Category,Qty (base units),Qty,Unit Cost,Value\n' + data.items.map(r => `"${r.code}","${r.name}","${r.category || ''}",${r.quantity},"${r.quantityText}",${r.unitCost},${r.value}`).join('\n')
+    } else if (tab === 'analysis') {
+      if (!data.items?.length) return
+      csv = 'Code,Product,Movement,ABC,XYZ,Revenue,Revenue %,Avg Monthly Sale,Demand CV,Days of Inventory,Stock Value\n' + data.items.map(r => `"${r.code}","${r.name}",${r.movement || ''},${r.abcClass || ''},${r.xyzClass || ''},${r.revenue},${r.revenueShare},${r.avgMonthlySale},${r.demandCv ?? ''},${r.daysOfInventory ?? ''},${r.stockValue}`).join('\n')
+    } else if (!data.length) return
+    else if (tab === 'retailer') {
       csv = 'Retailer,Sales,Paid,Balance,Orders\n' + data.map(r => `"${r.name}",${r.totalSales},${r.totalPaid},${r.totalBalance},${r.count}`).join('\n')
     } else if (tab === 'product') {
-      csv = 'Product,Qty Sold,Revenue\n' + data.map(r => `"${r.name}",${r.totalQty},${r.totalRevenue}`).join('\n')
+      csv = 'Product,Qty Sold (base units),Qty Sold,Revenue,Cost,Gross Profit\n' + data.map(r => `"${r.name}",${r.totalQty},"${r.quantityText || ''}",${r.totalRevenue},${r.totalCost},${r.grossProfit}`).join('\n')
     } else {
       csv = 'Invoice,Retailer,Total,Paid,Balance,Status,Date\n' + data.map(r => `"${r.invoiceNumber}","${r.retailerName || ''}",${r.total},${r.paid},${r.balance},${r.status},${new Date(r.saleDate).toLocaleDateString('en-IN')}`).join('\n')
     }
@@ -47,17 +64,23 @@ export default function Reports() {
       </div>
       <div className="filters-bar">
         <div className="flex gap-2">
-          {['sales', 'retailer', 'product'].map(t => (
-            <button key={t} className={`btn ${tab === t ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab(t)}>
-              {t === 'sales' ? '🛒 Sales' : t === 'retailer' ? '🏪 Retailer-wise' : '📦 Product-wise'}
+          {['sales', 'retailer', 'product', 'gst', 'valuation', 'analysis'].map(t => (
+            <button key={t} className={`btn ${tab === t ? 'btn-primary' : 'btn-secondary'}`} onClick={() => { setData([]); setTab(t) }}>
+              {t === 'sales' ? '🛒 Sales' : t === 'retailer' ? '🏪 Retailer-wise' : t === 'product' ? '📦 Product-wise' : t === 'gst' ? '🧮 GST' : t === 'valuation' ? '💰 Stock Valuation' : '🔬 SKU Analysis'}
             </button>
           ))}
         </div>
-        {tab !== 'product' && <>
+        {!['product', 'valuation', 'analysis'].includes(tab) && <>
           <input className="form-control" type="date" value={from} onChange={e => setFrom(e.target.value)} placeholder="From" title="From" />
           <input className="form-control" type="date" value={to} onChange={e => setTo(e.target.value)} placeholder="To" title="To" />
           <button className="btn btn-secondary" onClick={load}>Apply</button>
         </>}
+        {!['gst', 'analysis'].includes(tab) && warehouses.length > 1 && (
+          <select className="form-control" value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">All warehouses</option>
+            {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
       </div>
       {loading ? <div className="loading-center"><div className="spinner" /></div> : (
         <div className="card">
@@ -100,19 +123,124 @@ export default function Reports() {
             )}
             {tab === 'product' && (
               <table>
-                <thead><tr><th>Product</th><th>Qty Sold</th><th>Revenue</th></tr></thead>
+                <thead><tr><th>Product</th><th>Qty Sold</th><th>Revenue</th><th>Cost</th><th>Gross Profit</th></tr></thead>
                 <tbody>
-                  {data.length === 0 && <tr><td colSpan={3}><div className="empty-state"><p>No data</p></div></td></tr>}
+                  {data.length === 0 && <tr><td colSpan={5}><div className="empty-state"><p>No data</p></div></td></tr>}
                   {data.map(r => (
                     <tr key={r._id}>
                       <td><strong>{r.name}</strong></td>
-                      <td>{r.totalQty}</td>
+                      <td>{r.quantityText || r.totalQty}</td>
                       <td style={{ fontWeight: 700, color: 'var(--primary)' }}>{fmt(r.totalRevenue)}</td>
+                      <td className="text-muted">{fmt(r.totalCost)}</td>
+                      <td style={{ fontWeight: 600, color: r.grossProfit < 0 ? 'var(--danger)' : 'var(--success)' }}>{fmt(r.grossProfit)}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             )}
+            {tab === 'valuation' && (
+              <>
+                <div className="grid grid-3" style={{ marginBottom: 16 }}>
+                  <div className="stat-card"><div className="stat-value">{fmt(data.totalValue)}</div><div className="stat-label">Stock value{data.warehouse ? ` · ${data.warehouse.name}` : ''}</div></div>
+                  <div className="stat-card"><div className="stat-value">{fmt(data.heldValue)}</div><div className="stat-label">Quarantined & damaged, at cost</div></div>
+                  <div className="stat-card"><div className="stat-value">{data.method === 'fifo' ? 'FIFO' : 'Weighted Avg'}</div><div className="stat-label">Costing method (Settings)</div></div>
+                </div>
+                <table>
+                  <thead><tr><th>Product</th><th>Category</th><th>On Hand</th><th>Unit Cost</th><th>Value</th></tr></thead>
+                  <tbody>
+                    {!data.items?.length && <tr><td colSpan={5}><div className="empty-state"><p>No stock on hand</p></div></td></tr>}
+                    {data.items?.map(r => (
+                      <tr key={r.sku}>
+                        <td><strong>{r.name}</strong> <span className="text-muted text-sm">{r.code}</span></td>
+                        <td className="text-muted">{r.category || '—'}</td>
+                        <td>{r.quantityText}</td>
+                        <td>₹{Number(r.unitCost).toFixed(2)}</td>
+                        <td style={{ fontWeight: 700 }}>{fmt(r.value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+            {tab === 'analysis' && (
+              <>
+                <div className="flex justify-between items-center" style={{ marginBottom: 16 }}>
+                  <span className="text-muted text-sm">
+                    {data.metricsAt ? `As of ${new Date(data.metricsAt).toLocaleString('en-IN')}` : 'Not computed yet'}
+                    {data.settings && ` · last ${data.settings.months} × 30 days · A ≤ ${data.settings.abc.a}% of revenue, B ≤ ${data.settings.abc.b}% · X ≤ ${data.settings.xyz.x} CV, Y ≤ ${data.settings.xyz.y}`}
+                  </span>
+                  <button className="btn btn-sm btn-secondary" onClick={recompute}>♻️ Recompute now</button>
+                </div>
+                <div className="grid grid-2" style={{ marginBottom: 16 }}>
+                  <div className="grid grid-3">
+                    {['FAST', 'SLOW', 'DEAD'].map(m => (
+                      <div key={m} className="stat-card" style={{ borderLeft: `4px solid var(--${m === 'FAST' ? 'success' : m === 'SLOW' ? 'warning' : 'danger'})` }}>
+                        <div className="stat-value">{data.byMovement?.[m] || 0}</div><div className="stat-label">{m} moving</div>
+                      </div>
+                    ))}
+                  </div>
+                  <table>
+                    <thead><tr><th></th>{['X', 'Y', 'Z'].map(x => <th key={x}>{x} {x === 'X' ? '(steady)' : x === 'Y' ? '(variable)' : '(erratic)'}</th>)}</tr></thead>
+                    <tbody>
+                      {['A', 'B', 'C'].map(a => (
+                        <tr key={a}>
+                          <th>{a}</th>
+                          {['X', 'Y', 'Z'].map(x => {
+                            const cell = data.matrix?.[a + x]
+                            return <td key={x}>{cell ? <><strong>{cell.count}</strong> SKUs<br /><span className="text-muted text-sm">{fmt(cell.revenue)} sales · {fmt(cell.stockValue)} stock</span></> : '—'}</td>
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <table>
+                  <thead><tr><th>Product</th><th>Movement</th><th>Class</th><th>Revenue</th><th>Avg / Month</th><th>Demand CV</th><th>Days of Stock</th><th>Stock Value</th><th>Last Sale</th></tr></thead>
+                  <tbody>
+                    {!data.items?.length && <tr><td colSpan={9}><div className="empty-state"><p>No SKUs</p></div></td></tr>}
+                    {data.items?.map(r => (
+                      <tr key={r.sku}>
+                        <td><strong>{r.name}</strong> <span className="text-muted text-sm">{r.code}</span></td>
+                        <td>{r.movement ? <span className={`badge badge-${r.movement === 'FAST' ? 'success' : r.movement === 'SLOW' ? 'warning' : 'danger'}`}>{r.movement}</span> : '—'}</td>
+                        <td style={{ fontWeight: 700 }}>{r.abcClass ? r.abcClass + r.xyzClass : '—'}</td>
+                        <td>{fmt(r.revenue)} <span className="text-muted text-sm">{r.revenueShare}%</span></td>
+                        <td>{r.avgMonthlySale}</td>
+                        <td>{r.demandCv ?? '—'}</td>
+                        <td>{r.daysOfInventory ?? '—'}</td>
+                        <td>{fmt(r.stockValue)}</td>
+                        <td className="text-muted">{r.lastSaleDate ? new Date(r.lastSaleDate).toLocaleDateString('en-IN') : 'Never'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+            {tab === 'gst' && (
+              <>
+                <div className="grid grid-2" style={{ marginBottom: 16 }}>
+                  <div className="stat-card"><div className="stat-value">{fmt(data.intraState?.tax)}</div><div className="stat-label">Intra-state tax · {data.intraState?.invoices || 0} invoices</div></div>
+                  <div className="stat-card"><div className="stat-value">{fmt(data.interState?.tax)}</div><div className="stat-label">Inter-state tax · {data.interState?.invoices || 0} invoices</div></div>
+                </div>
+                <table>
+                  <thead><tr><th>HSN</th><th>Rate</th><th>Qty</th><th>Taxable Value</th><th>CGST</th><th>SGST</th><th>IGST</th><th>Cess</th></tr></thead>
+                  <tbody>
+                    {!data.hsn?.length && <tr><td colSpan={8}><div className="empty-state"><p>No data</p></div></td></tr>}
+                    {data.hsn?.map(r => (
+                      <tr key={`${r.hsnCode}-${r.gstRate}`}>
+                        <td><strong>{r.hsnCode || '—'}</strong></td>
+                        <td>{r.gstRate}%</td>
+                        <td>{r.quantity}</td>
+                        <td style={{ fontWeight: 700 }}>{fmt(r.taxableValue)}</td>
+                        <td>{fmt(r.cgst)}</td>
+                        <td>{fmt(r.sgst)}</td>
+                        <td>{fmt(r.igst)}</td>
+                        <td>{fmt(r.cess)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -2,7 +2,7 @@ import React, { useEffect, useState } from 'react'
 import api from '../api'
 import toast from 'react-hot-toast'
 
-const INIT = { name: '', contactPerson: '', phone: '', phone2: '', email: '', area: '', city: '', gstin: '', creditLimit: 0, status: 'active', notes: '' }
+const INIT = { name: '', contactPerson: '', phone: '', phone2: '', email: '', area: '', city: '', gstin: '', retailerClass: '', priceList: '', creditLimit: 0, status: 'active', notes: '' }
 
 export default function Retailers() {
   const [retailers, setRetailers] = useState([])
@@ -11,6 +11,7 @@ export default function Retailers() {
   const [modal, setModal] = useState(false)
   const [form, setForm] = useState(INIT)
   const [editId, setEditId] = useState(null)
+  const [priceLists, setPriceLists] = useState([])
 
   const load = async () => {
     try {
@@ -21,16 +22,18 @@ export default function Retailers() {
   }
 
   useEffect(() => { load() }, [search])
+  useEffect(() => { api.get('/price-lists').then(r => setPriceLists(r.data)).catch(() => {}) }, [])
 
   const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
-  const openEdit = (r) => { setForm({ ...r, creditLimit: r.creditLimit || 0 }); setEditId(r._id); setModal(true) }
+  const openEdit = (r) => { setForm({ ...r, creditLimit: r.creditLimit || 0, priceList: r.priceList || '' }); setEditId(r._id); setModal(true) }
   const closeModal = () => { setModal(false); setEditId(null) }
 
   const handleSave = async (e) => {
     e.preventDefault()
     try {
-      if (editId) { await api.put(`/retailers/${editId}`, form) }
-      else { await api.post('/retailers', form) }
+      const payload = { ...form, priceList: form.priceList || null }
+      if (editId) { await api.put(`/retailers/${editId}`, payload) }
+      else { await api.post('/retailers', payload) }
       toast.success(editId ? 'Retailer updated!' : 'Retailer added!')
       closeModal(); load()
     } catch (err) { toast.error(err.response?.data?.message || 'Error saving') }
@@ -65,7 +68,7 @@ export default function Retailers() {
                 {retailers.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🏪</div><p>No retailers found</p></div></td></tr>}
                 {retailers.map(r => (
                   <tr key={r._id}>
-                    <td><strong>{r.name}</strong></td>
+                    <td><strong>{r.name}</strong>{r.priceList && <><br /><span className="text-muted text-sm">🏷️ {priceLists.find(l => l._id === r.priceList)?.name}</span></>}</td>
                     <td>{r.contactPerson}</td>
                     <td>{r.phone}</td>
                     <td>{r.area}{r.city ? `, ${r.city}` : ''}</td>
@@ -99,6 +102,13 @@ export default function Retailers() {
                 <div className="form-group"><label className="form-label">Phone 2</label><input className="form-control" value={form.phone2} onChange={e => f('phone2', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">Email</label><input className="form-control" type="email" value={form.email} onChange={e => f('email', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">GSTIN</label><input className="form-control" value={form.gstin} onChange={e => f('gstin', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Class (e.g. A, Wholesale)</label><input className="form-control" value={form.retailerClass || ''} onChange={e => f('retailerClass', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Price List</label>
+                  <select className="form-control" value={form.priceList || ''} onChange={e => f('priceList', e.target.value)}>
+                    <option value="">Standard (SKU selling price)</option>
+                    {priceLists.map(l => <option key={l._id} value={l._id}>{l.name}</option>)}
+                  </select>
+                </div>
                 <div className="form-group"><label className="form-label">Area</label><input className="form-control" value={form.area} onChange={e => f('area', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">City</label><input className="form-control" value={form.city} onChange={e => f('city', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">Credit Limit (₹)</label><input className="form-control" type="number" min="0" value={form.creditLimit} onChange={e => f('creditLimit', Number(e.target.value))} /></div>
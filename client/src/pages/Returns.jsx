@@ -3,33 +3,66 @@ import api from '../api'
 import toast from 'react-hot-toast'
 
 const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
-const INIT = { retailer: '', items: [{ skuName: '', quantity: 1, price: 0 }], type: 'damage', notes: '' }
+const STATES = { sellable: 'Sellable', quarantine: 'Quarantine', damaged: 'Damaged' }
+// Where goods go by default, by return type (matches the server)
+const DEFAULT_STATE = { damage: 'damaged', expiry: 'damaged', quality: 'quarantine', wrong_item: 'sellable', other: 'quarantine' }
+const INIT = { retailer: '', items: [{ sku: '', quantity: 1, uom: '', batch: '', price: 0 }], type: 'damage', notes: '' }
 
 export default function Returns() {
   const [returns, setReturns] = useState([])
   const [retailers, setRetailers] = useState([])
+  const [skus, setSkus] = useState([])
+  const [lots, setLots] = useState({})
   const [loading, setLoading] = useState(true)
   const [modal, setModal] = useState(false)
   const [form, setForm] = useState(INIT)
+  const [receiving, setReceiving] = useState(null)
+  const [warehouses, setWarehouses] = useState([])
 
   const load = async () => {
     try {
-      const [r, ret] = await Promise.all([api.get('/returns'), api.get('/retailers', { params: { limit: 200 } })])
-      setReturns(r.data); setRetailers(ret.data.retailers || [])
+      const [r, ret, k] = await Promise.all([api.get('/returns'), api.get('/retailers', { params: { limit: 200 } }), api.get('/skus')])
+      setReturns(r.data); setRetailers(ret.data.retailers || []); setSkus(k.data)
     } catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
   useEffect(() => { load() }, [])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {}) }, [])
 
-  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { skuName: '', quantity: 1, price: 0 }] }))
+  const openReceive = (r) => setReceiving({ ret: r, warehouse: '', states: Object.fromEntries(r.items.map(i => [i._id, DEFAULT_STATE[r.type] || 'quarantine'])) })
+  const handleReceive = async (e) => {
+    e.preventDefault()
+    try {
+      await api.post(`/returns/${receiving.ret._id}/receive`, { warehouse: receiving.warehouse || undefined, states: receiving.states })
+      toast.success('Goods received'); setReceiving(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { sku: '', quantity: 1, uom: '', batch: '', price: 0 }] }))
   const removeItem = (i) => setForm(p => ({ ...p, items: p.items.filter((_, idx) => idx !== i) }))
-  const upd = (i, k, v) => setForm(p => { const items = [...p.items]; items[i] = { ...items[i], [k]: v }; return { ...p, items } })
+  const skuOf = (id) => skus.find(s => s._id === id)
+  // Batches a returned SKU could have come from, fetched once per SKU
+  const loadLots = (sku) => {
+    if (!sku || lots[sku]) return
+    api.get('/batches', { params: { sku, status: 'all' } }).then(r => setLots(p => ({ ...p, [sku]: r.data }))).catch(() => {})
+  }
+  const upd = (i, k, v) => setForm(p => {
+    const items = [...p.items]; items[i] = { ...items[i], [k]: v }
+    // Credit at the selling price of the returned pack
+    if (k === 'sku') { items[i].uom = ''; items[i].batch = ''; loadLots(v) }
+    if ((k === 'sku' || k === 'uom') && items[i].sku) {
+      const sku = skuOf(items[i].sku)
+      const factor = sku?.uoms?.find(u => u.name === items[i].uom)?.factor || 1
+      items[i].price = Math.round((sku?.sellingPrice || 0) * factor * 100) / 100
+    }
+    return { ...p, items }
+  })
 
   const getTotal = () => form.items.reduce((a, i) => a + Number(i.quantity || 0) * Number(i.price || 0), 0)
 
   const handleSave = async (e) => {
     e.preventDefault()
     try {
-      const items = form.items.filter(i => i.skuName).map(i => ({ skuName: i.skuName, quantity: Number(i.quantity), price: Number(i.price), total: Number(i.quantity) * Number(i.price) }))
+      const items = form.items.filter(i => i.sku).map(i => ({ sku: i.sku, uom: i.uom || undefined, batch: i.batch || undefined, batchNo: lots[i.sku]?.find(b => b._id === i.batch)?.batchNo, quantity: Number(i.quantity), price: Number(i.price), total: Number(i.quantity) * Number(i.price) }))
       const retailerName = retailers.find(r => r._id === form.retailer)?.name || ''
       await api.post('/returns', { ...form, items, retailerName, totalAmount: getTotal() })
       toast.success('Return created!'); setModal(false); load()
@@ -60,9 +93,15 @@ export default function Returns() {
                     <td>{r.retailerName || r.retailer?.name}</td>
                     <td><span className="badge badge-neutral">{r.type}</span></td>
                     <td style={{ fontWeight: 700 }}>{fmt(r.totalAmount)}</td>
-                    <td><span className={`badge badge-${r.status === 'approved' ? 'success' : r.status === 'rejected' ? 'danger' : 'warning'}`}>{r.status}</span></td>
+                    <td><span className={`badge badge-${r.status === 'approved' ? 'success' : r.status === 'processed' ? 'info' : r.status === 'rejected' ? 'danger' : 'warning'}`}>{r.status === 'processed' ? 'received' : r.status}</span></td>
                     <td className="text-muted">{new Date(r.returnDate).toLocaleDateString('en-IN')}</td>
-                    <td>{r.status === 'pending' && <button className="btn btn-sm btn-success" onClick={() => handleApprove(r._id)}>✅ Approve</button>}</td>
+                    <td>
+                      <div className="flex gap-2">
+                        {r.status === 'pending' && <button className="btn btn-sm btn-success" onClick={() => handleApprove(r._id)}>✅ Approve</button>}
+                        {['pending', 'approved'].includes(r.status) && <button className="btn btn-sm btn-primary" onClick={() => openReceive(r)}>📥 Receive Goods</button>}
+                        {r.status === 'processed' && <span className="text-muted text-sm">{r.items.map(i => `${i.skuName}: ${STATES[i.state] || '—'}`).join(' · ')}</span>}
+                      </div>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -70,6 +109,40 @@ export default function Returns() {
           </div>
         </div>
       )}
+      {receiving && (
+        <div className="modal-overlay" onClick={() => setReceiving(null)}>
+          <div className="modal" style={{ maxWidth: 640 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Receive {receiving.ret.returnNumber}</h2>
+            <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Sellable goods go straight back into stock. Quarantined and damaged goods wait on the Quarantine & Holds screen to be released, scrapped or sent back to the brand.</p>
+            <form onSubmit={handleReceive}>
+              {warehouses.length > 1 && <div className="form-group"><label className="form-label">Into Warehouse</label>
+                <select className="form-control" value={receiving.warehouse} onChange={e => setReceiving(p => ({ ...p, warehouse: e.target.value }))}>
+                  <option value="">Sale's warehouse (default)</option>
+                  {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                </select>
+              </div>}
+              <table>
+                <thead><tr><th>Product</th><th>Batch</th><th>Qty</th><th>Goes To</th></tr></thead>
+                <tbody>
+                  {receiving.ret.items.map(i => (
+                    <tr key={i._id}>
+                      <td>{i.skuName}</td>
+                      <td className="text-muted">{i.batchNo || '—'}</td>
+                      <td>{i.quantityText || i.quantity}</td>
+                      <td>
+                        <select className="form-control" value={receiving.states[i._id]} onChange={e => setReceiving(p => ({ ...p, states: { ...p.states, [i._id]: e.target.value } }))}>
+                          {Object.entries(STATES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setReceiving(null)}>Cancel</button><button type="submit" className="btn btn-primary">Receive</button></div>
+            </form>
+          </div>
+        </div>
+      )}
       {modal && (
         <div className="modal-overlay" onClick={() => setModal(false)}>
           <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
@@ -96,9 +169,20 @@ export default function Returns() {
                   <button type="button" className="btn btn-secondary btn-sm" onClick={addItem}>+ Add</button>
                 </div>
                 {form.items.map((item, i) => (
-                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
-                    <input className="form-control" placeholder="Product name" value={item.skuName} onChange={e => upd(i, 'skuName', e.target.value)} />
+                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr 2fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                    <select className="form-control" value={item.sku} onChange={e => upd(i, 'sku', e.target.value)}>
+                      <option value="">Select SKU</option>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                    </select>
                     <input className="form-control" type="number" min="1" placeholder="Qty" value={item.quantity} onChange={e => upd(i, 'quantity', e.target.value)} />
+                    <select className="form-control" value={item.uom || ''} onChange={e => upd(i, 'uom', e.target.value)}>
+                      <option value="">{skuOf(item.sku)?.unit || 'pcs'}</option>
+                      {skuOf(item.sku)?.uoms?.map(u => <option key={u.name} value={u.name}>{u.name} ({u.factor})</option>)}
+                    </select>
+                    <select className="form-control" value={item.batch || ''} onChange={e => upd(i, 'batch', e.target.value)}>
+                      <option value="">Batch unknown</option>
+                      {(lots[item.sku] || []).map(b => <option key={b._id} value={b._id}>{b.batchNo}{b.expiryDate ? ` · exp ${new Date(b.expiryDate).toLocaleDateString('en-IN')}` : ''}</option>)}
+                    </select>
                     <input className="form-control" type="number" min="0" placeholder="Price" value={item.price} onChange={e => upd(i, 'price', e.target.value)} />
                     {form.items.length > 1 && <button type="button" className="btn-icon" onClick={() => removeItem(i)}>🗑️</button>}
                   </div>
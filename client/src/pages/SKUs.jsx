@@ -2,7 +2,23 @@ import React, { useEffect, useState } from 'react'
 import api from '../api'
 import toast from 'react-hot-toast'
 
-const INIT = { name: '', code: '', brand: '', category: '', unitSize: '', mrp: '', sellingPrice: '', purchasePrice: '', stock: 0, minStock: 10, unit: 'pcs', active: true, description: '' }
+const MOVEMENT_TYPES = {
+  opening: 'Opening', import: 'Import', adjustment: 'Adjustment', sale: 'Sale', sale_amend: 'Sale Amendment',
+  sale_cancel: 'Sale Cancelled', backorder_fulfil: 'Backorder Filled', po_receipt: 'PO Receipt', write_off: 'Write-off',
+  transfer_out: 'Transfer Out', transfer_in: 'Transfer In', stock_count: 'Stock Count',
+  hold: 'To Quarantine/Damaged', hold_release: 'Released to Sellable', return: 'Customer Return', kit_assembly: 'Kit Assembly',
+}
+// Labels side by side on a sheet; the browser prints them or saves a PDF
+const printLabels = (svgs) => {
+  const w = window.open('', '_blank')
+  w.document.write(`<!DOCTYPE html><html><head><title>Labels</title><style>@page{margin:8mm}body{margin:0}.sheet{display:flex;flex-wrap:wrap;gap:2mm}svg{break-inside:avoid}</style></head><body><div class="sheet">${svgs.join('')}</div></body></html>`)
+  w.document.close(); w.print()
+}
+const ADJUST_INIT = { type: 'add', adjustment: '', reason: '', warehouse: '' }
+
+const INIT = { name: '', code: '', brand: '', category: '', unitSize: '', mrp: '', sellingPrice: '', purchasePrice: '', hsnCode: '', gstRate: 0, cessRate: 0, stock: 0, minStock: 10, supplier: '', supplierPhone: '', leadTimeDays: '', unit: 'pcs', uoms: [], barcodes: [], components: [], backorderPolicy: 'reject', active: true, description: '' }
+
+const MOVEMENT_BADGE = { FAST: 'success', SLOW: 'warning', DEAD: 'danger' }
 
 export default function SKUs() {
   const [skus, setSkus] = useState([])
@@ -10,30 +26,73 @@ export default function SKUs() {
   const [loading, setLoading] = useState(true)
   const [search, setSearch] = useState('')
   const [filterBrand, setFilterBrand] = useState('')
+  const [filterClass, setFilterClass] = useState({ movement: '', abc: '', xyz: '' })
   const [modal, setModal] = useState(false)
   const [form, setForm] = useState(INIT)
+  const [catalogue, setCatalogue] = useState([])
+  const [suppliers, setSuppliers] = useState([])
   const [editId, setEditId] = useState(null)
+  const [tab, setTab] = useState('products')
+  const [ledger, setLedger] = useState(null)
+  const [ledgerQuery, setLedgerQuery] = useState({ sku: '', warehouse: '', from: '', to: '', type: '' })
+  const [warehouses, setWarehouses] = useState([])
+  const [adjusting, setAdjusting] = useState(null)
+  const [adjust, setAdjust] = useState(ADJUST_INIT)
+  const [labelling, setLabelling] = useState(null)
+  const [labelSvg, setLabelSvg] = useState('')
 
   const load = async () => {
     try {
       const [s, b] = await Promise.all([
-        api.get('/skus', { params: { search, brand: filterBrand || undefined } }),
+        api.get('/skus', { params: { search, brand: filterBrand || undefined, movement: filterClass.movement || undefined, abc: filterClass.abc || undefined, xyz: filterClass.xyz || undefined } }),
         api.get('/brands')
       ])
       setSkus(s.data); setBrands(b.data)
     } catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
-  useEffect(() => { load() }, [search, filterBrand])
+  useEffect(() => { load() }, [search, filterBrand, filterClass])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {}) }, [])
+  useEffect(() => { if (modal) api.get('/skus').then(r => setCatalogue(r.data.filter(s => !s.isBundle))).catch(() => {}) }, [modal])
+  useEffect(() => { if (modal) api.get('/suppliers', { params: { active: true } }).then(r => setSuppliers(r.data)).catch(() => {}) }, [modal])
 
   const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
-  const openEdit = (s) => { setForm({ ...s, brand: s.brand?._id || s.brand }); setEditId(s._id); setModal(true) }
+  const openEdit = (s) => { setForm({ ...s, brand: s.brand?._id || s.brand, uoms: s.uoms || [], barcodes: s.barcodes || [], components: s.components || [] }); setEditId(s._id); setModal(true) }
   const closeModal = () => setModal(false)
+
+  const loadLedger = async (query = ledgerQuery) => {
+    if (!query.sku) return setLedger(null)
+    try {
+      const { data } = await api.get('/stock-movements', { params: { sku: query.sku, warehouse: query.warehouse || undefined, from: query.from || undefined, to: query.to || undefined, type: query.type || undefined } })
+      setLedger(data)
+    } catch { toast.error('Failed to load stock ledger') }
+  }
+  const openLedger = (s) => {
+    const query = { ...ledgerQuery, sku: s._id }
+    setLedgerQuery(query); setTab('ledger'); loadLedger(query)
+  }
+  const lq = (k, v) => setLedgerQuery(p => ({ ...p, [k]: v }))
+
+  const saveAdjust = async (e) => {
+    e.preventDefault()
+    try {
+      await api.patch(`/skus/${adjusting._id}/stock`, { ...adjust, warehouse: adjust.warehouse || undefined, adjustment: Number(adjust.adjustment) })
+      toast.success('Stock adjusted'); setAdjusting(null); load()
+      if (ledgerQuery.sku === adjusting._id) loadLedger()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
   const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const setBarcode = (i, k, v) => setForm(p => ({ ...p, barcodes: p.barcodes.map((b, idx) => idx === i ? { ...b, [k]: v } : b) }))
+  const addInStoreBarcode = async () => {
+    try { const { data } = await api.post('/skus/barcodes/next'); f('barcodes', [...form.barcodes, { code: data.code, uom: '' }]) }
+    catch { toast.error('Could not generate a barcode') }
+  }
+  const setComponent = (i, k, v) => setForm(p => ({ ...p, components: p.components.map((c, idx) => idx === i ? { ...c, [k]: v } : c) }))
+  const setUom = (i, k, v) => setForm(p => ({ ...p, uoms: p.uoms.map((u, idx) => idx === i ? { ...u, [k]: v } : u) }))
 
   const handleSave = async (e) => {
     e.preventDefault()
     try {
-      const payload = { ...form, mrp: Number(form.mrp), sellingPrice: Number(form.sellingPrice), purchasePrice: Number(form.purchasePrice), stock: Number(form.stock), minStock: Number(form.minStock) }
+      const payload = { ...form, mrp: Number(form.mrp), sellingPrice: Number(form.sellingPrice), purchasePrice: Number(form.purchasePrice), gstRate: Number(form.gstRate), cessRate: Number(form.cessRate || 0), stock: Number(form.stock), minStock: Number(form.minStock), leadTimeDays: form.leadTimeDays === '' || form.leadTimeDays == null ? null : Number(form.leadTimeDays), uoms: form.uoms.filter(u => u.name).map(u => ({ name: u.name, factor: Number(u.factor) })), components: form.components.filter(c => c.sku).map(c => ({ sku: c.sku, quantity: Number(c.quantity) })), barcodes: form.barcodes.filter(b => b.code).map(b => ({ code: String(b.code).trim(), uom: b.uom || undefined })) }
       if (editId) await api.put(`/skus/${editId}`, payload)
       else await api.post('/skus', payload)
       toast.success('Saved!'); closeModal(); load()
@@ -43,40 +102,136 @@ export default function SKUs() {
   const handleDelete = async (id) => {
     if (!confirm('Delete SKU?')) return
     try { await api.delete(`/skus/${id}`); toast.success('Deleted'); load() }
-    catch { toast.error('Delete failed') }
+    catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+  }
+
+  useEffect(() => {
+    if (!labelling) return setLabelSvg('')
+    api.get(`/skus/${labelling.sku._id}/label`, { params: { type: labelling.type, uom: labelling.uom }, responseType: 'text' })
+      .then(r => setLabelSvg(r.data)).catch(() => setLabelSvg(''))
+  }, [labelling?.sku, labelling?.type, labelling?.uom])
+  const openLabels = (s) => setLabelling({ sku: s, type: 'shelf', uom: '', copies: 1 })
+  const setLabelType = (type) => setLabelling(p => ({ ...p, type, uom: type === 'carton' ? [...(p.sku.uoms || [])].sort((a, b) => b.factor - a.factor)[0]?.name || '' : '' }))
+
+  // One shelf label for every SKU in the list as filtered
+  const printShelfLabels = async () => {
+    try {
+      const svgs = await Promise.all(skus.map(s => api.get(`/skus/${s._id}/label`, { params: { type: 'shelf' }, responseType: 'text' }).then(r => r.data)))
+      printLabels(svgs)
+    } catch { toast.error('Could not build labels') }
   }
 
   return (
     <div className="page">
       <div className="page-header">
         <h1 className="page-title">SKUs / Products <span style={{ fontSize: 18, color: 'var(--text-muted)' }}>({skus.length})</span></h1>
-        <button className="btn btn-primary" onClick={openAdd}>+ Add SKU</button>
+        <div className="flex gap-2">
+          <button className="btn btn-secondary" disabled={!skus.length} onClick={printShelfLabels}>🏷️ Shelf Labels</button>
+          <button className="btn btn-primary" onClick={openAdd}>+ Add SKU</button>
+        </div>
       </div>
+      <div className="filters-bar">
+        <div className="flex gap-2">
+          <button className={`btn ${tab === 'products' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('products')}>📦 Products</button>
+          <button className={`btn ${tab === 'ledger' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('ledger')}>📒 Stock Ledger</button>
+        </div>
+      </div>
+      {tab === 'ledger' && <>
+        <div className="filters-bar">
+          <select className="form-control" value={ledgerQuery.sku} onChange={e => lq('sku', e.target.value)}>
+            <option value="">Select SKU</option>
+            {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+          </select>
+          {warehouses.length > 1 && (
+            <select className="form-control" value={ledgerQuery.warehouse} onChange={e => lq('warehouse', e.target.value)}>
+              <option value="">All warehouses</option>
+              {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+            </select>
+          )}
+          <input className="form-control" type="date" value={ledgerQuery.from} onChange={e => lq('from', e.target.value)} title="From" />
+          <input className="form-control" type="date" value={ledgerQuery.to} onChange={e => lq('to', e.target.value)} title="To" />
+          <select className="form-control" value={ledgerQuery.type} onChange={e => lq('type', e.target.value)}>
+            <option value="">All movements</option>
+            {Object.entries(MOVEMENT_TYPES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+          </select>
+          <button className="btn btn-secondary" onClick={() => loadLedger()}>Apply</button>
+        </div>
+        {!ledger ? <div className="card"><div className="empty-state"><div className="empty-icon">📒</div><p>Pick a SKU to see its stock movements</p></div></div> : <>
+          <div className="grid grid-4" style={{ marginBottom: 20 }}>
+            <div className="stat-card"><div className="stat-value">{ledger.openingBalance}</div><div className="stat-label">Opening ({ledger.sku.unit})</div></div>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--success)' }}><div className="stat-value">+{ledger.inward}</div><div className="stat-label">In</div></div>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}><div className="stat-value">−{ledger.outward}</div><div className="stat-label">Out</div></div>
+            <div className="stat-card" style={{ borderLeft: '4px solid var(--primary)' }}><div className="stat-value">{ledger.closingBalance}</div><div className="stat-label">Closing ({ledger.sku.unit})</div></div>
+          </div>
+          <div className="card">
+            <div className="table-wrapper">
+              <table>
+                <thead><tr><th>Date</th><th>Type</th><th>Reference</th><th>Warehouse</th><th>Batch</th><th>Change</th><th>Balance</th><th>By</th><th>Reason</th></tr></thead>
+                <tbody>
+                  {ledger.movements.length === 0 && <tr><td colSpan={9}><div className="empty-state"><p>No movements in this period</p></div></td></tr>}
+                  {ledger.movements.map(m => (
+                    <tr key={m._id}>
+                      <td className="text-muted">{new Date(m.date).toLocaleString('en-IN')}</td>
+                      <td><span className="badge badge-neutral">{MOVEMENT_TYPES[m.type] || m.type}</span></td>
+                      <td>{m.refNumber || '—'}</td>
+                      <td className="text-muted">{m.warehouse?.name || '—'}</td>
+                      <td>{m.batchNo || '—'}</td>
+                      <td style={{ fontWeight: 700, color: m.delta > 0 ? 'var(--success)' : 'var(--danger)' }}>{m.delta > 0 ? `+${m.delta}` : m.delta}</td>
+                      <td>{ledger.warehouse ? m.warehouseBalance ?? m.balance : m.balance}</td>
+                      <td className="text-muted">{m.user?.name || '—'}</td>
+                      <td className="text-muted">{m.reason || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>}
+      </>}
+      {tab === 'products' && <>
       <div className="filters-bar">
         <div className="search-bar"><span className="search-icon">🔍</span><input className="form-control" placeholder="Search…" value={search} onChange={e => setSearch(e.target.value)} /></div>
         <select className="form-control" value={filterBrand} onChange={e => setFilterBrand(e.target.value)}>
           <option value="">All Brands</option>
           {brands.map(b => <option key={b._id} value={b._id}>{b.name}</option>)}
         </select>
+        <select className="form-control" value={filterClass.movement} onChange={e => setFilterClass(p => ({ ...p, movement: e.target.value }))}>
+          <option value="">All Movement</option>
+          {['FAST', 'SLOW', 'DEAD'].map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <select className="form-control" value={filterClass.abc} onChange={e => setFilterClass(p => ({ ...p, abc: e.target.value }))}>
+          <option value="">ABC</option>
+          {['A', 'B', 'C'].map(c => <option key={c} value={c}>Class {c}</option>)}
+        </select>
+        <select className="form-control" value={filterClass.xyz} onChange={e => setFilterClass(p => ({ ...p, xyz: e.target.value }))}>
+          <option value="">XYZ</option>
+          {['X', 'Y', 'Z'].map(c => <option key={c} value={c}>Class {c}</option>)}
+        </select>
       </div>
       {loading ? <div className="loading-center"><div className="spinner" /></div> : (
         <div className="card">
           <div className="table-wrapper">
             <table>
-              <thead><tr><th>Code</th><th>Name</th><th>Brand</th><th>MRP</th><th>Selling Price</th><th>Stock</th><th>Min Stock</th><th>Status</th><th>Actions</th></tr></thead>
+              <thead><tr><th>Code</th><th>Name</th><th>Brand</th><th>MRP</th><th>Selling Price</th><th>Stock</th><th>Min Stock</th><th>Status</th><th>Class</th><th>Actions</th></tr></thead>
               <tbody>
-                {skus.length === 0 && <tr><td colSpan={9}><div className="empty-state"><div className="empty-icon">📦</div><p>No SKUs found</p></div></td></tr>}
+                {skus.length === 0 && <tr><td colSpan={10}><div className="empty-state"><div className="empty-icon">📦</div><p>No SKUs found</p></div></td></tr>}
                 {skus.map(s => (
                   <tr key={s._id}>
                     <td><code style={{ background: 'var(--bg)', padding: '2px 6px', borderRadius: 4, fontSize: 12 }}>{s.code}</code></td>
-                    <td><strong>{s.name}</strong><br /><span className="text-muted text-sm">{s.unitSize}</span></td>
+                    <td><strong>{s.name}</strong>{s.isBundle && <> <span className="badge badge-info" title={`${s.components.length} component(s)`}>🎁 Bundle</span></>}<br /><span className="text-muted text-sm">{s.unitSize}</span></td>
                     <td>{s.brand?.name}</td>
                     <td>₹{s.mrp}</td>
-                    <td>₹{s.sellingPrice}</td>
-                    <td style={{ color: s.stock <= s.minStock ? 'var(--danger)' : 'var(--text)', fontWeight: 600 }}>{s.stock} {s.unit}</td>
+                    <td>₹{s.sellingPrice}{s.gstRate > 0 && <><br /><span className="text-muted text-sm">+{s.gstRate}% GST</span></>}</td>
+                    <td style={{ color: s.available <= s.minStock ? 'var(--danger)' : 'var(--text)', fontWeight: 600 }}>{s.stockText || `${s.stock} ${s.unit}`}
+                      {s.reserved > 0 && <div className="text-muted text-sm" style={{ fontWeight: 400 }}>{s.reserved} reserved · {s.available} free</div>}
+                    </td>
                     <td className="text-muted">{s.minStock}</td>
-                    <td>{s.stock === 0 ? <span className="badge badge-danger">Out of Stock</span> : s.stock <= s.minStock ? <span className="badge badge-warning">Low Stock</span> : <span className="badge badge-success">In Stock</span>}</td>
-                    <td><div className="flex gap-2"><button className="btn-icon" onClick={() => openEdit(s)}>✏️</button><button className="btn-icon" onClick={() => handleDelete(s._id)}>🗑️</button></div></td>
+                    <td>{s.available === 0 ? <span className="badge badge-danger">Out of Stock</span> : s.available <= s.minStock ? <span className="badge badge-warning">Low Stock</span> : <span className="badge badge-success">In Stock</span>}</td>
+                    <td>
+                      {s.movement ? <span className={`badge badge-${MOVEMENT_BADGE[s.movement]}`}>{s.movement}</span> : '—'}
+                      {s.abcClass && <span className="text-muted text-sm" title={`${s.avgMonthlySale}/month · ${s.daysOfInventory ?? '—'} days of stock`}> {s.abcClass}{s.xyzClass}</span>}
+                    </td>
+                    <td><div className="flex gap-2"><button className="btn-icon" title="Stock ledger" onClick={() => openLedger(s)}>📒</button><button className="btn-icon" title="Print labels" onClick={() => openLabels(s)}>🏷️</button><button className="btn-icon" title="Adjust stock" onClick={() => { setAdjust(ADJUST_INIT); setAdjusting(s) }}>⚖️</button><button className="btn-icon" onClick={() => openEdit(s)}>✏️</button><button className="btn-icon" onClick={() => handleDelete(s._id)}>🗑️</button></div></td>
                   </tr>
                 ))}
               </tbody>
@@ -84,6 +239,66 @@ export default function SKUs() {
           </div>
         </div>
       )}
+      </>}
+      {labelling && (
+        <div className="modal-overlay" onClick={() => setLabelling(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Labels — {labelling.sku.name}</h2>
+            <div className="grid grid-3">
+              <div className="form-group"><label className="form-label">Label</label>
+                <select className="form-control" value={labelling.type} onChange={e => setLabelType(e.target.value)}>
+                  <option value="shelf">Shelf (60 × 35 mm)</option>
+                  <option value="carton">Carton (100 × 70 mm)</option>
+                </select>
+              </div>
+              <div className="form-group"><label className="form-label">Unit</label>
+                <select className="form-control" value={labelling.uom} onChange={e => setLabelling(p => ({ ...p, uom: e.target.value }))}>
+                  <option value="">{labelling.sku.unit}</option>
+                  {labelling.sku.uoms?.map(u => <option key={u.name} value={u.name}>{u.name} ({u.factor})</option>)}
+                </select>
+              </div>
+              <div className="form-group"><label className="form-label">Copies</label>
+                <input className="form-control" type="number" min="1" max="500" value={labelling.copies} onChange={e => setLabelling(p => ({ ...p, copies: e.target.value }))} />
+              </div>
+            </div>
+            <div style={{ textAlign: 'center', marginBottom: 12 }} dangerouslySetInnerHTML={{ __html: labelSvg }} />
+            {!labelling.sku.barcodes?.some(b => (b.uom || '') === labelling.uom) && <p className="text-muted text-sm">No barcode on this unit yet — add one on the SKU form.</p>}
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={() => setLabelling(null)}>Close</button>
+              <button type="button" className="btn btn-secondary" disabled={!labelSvg} onClick={() => {
+                const url = URL.createObjectURL(new Blob([labelSvg], { type: 'image/svg+xml' }))
+                const a = document.createElement('a'); a.href = url; a.download = `${labelling.sku.code}-${labelling.type}.svg`; a.click()
+              }}>📥 SVG</button>
+              <button type="button" className="btn btn-primary" disabled={!labelSvg} onClick={() => printLabels(Array(Math.max(1, Number(labelling.copies) || 1)).fill(labelSvg))}>🖨️ Print / PDF</button>
+            </div>
+          </div>
+        </div>
+      )}
+      {adjusting && (
+        <div className="modal-overlay" onClick={() => setAdjusting(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Adjust Stock — {adjusting.name}</h2>
+            <p className="text-muted" style={{ marginBottom: 16 }}>On hand: {adjusting.stockText || `${adjusting.stock} ${adjusting.unit}`}</p>
+            <form onSubmit={saveAdjust}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Type</label>
+                  <select className="form-control" value={adjust.type} onChange={e => setAdjust(p => ({ ...p, type: e.target.value }))}>
+                    <option value="add">Add</option><option value="subtract">Subtract</option><option value="set">Set to</option>
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Quantity ({adjusting.unit}) *</label><input className="form-control" type="number" min="0" required value={adjust.adjustment} onChange={e => setAdjust(p => ({ ...p, adjustment: e.target.value }))} /></div>
+              </div>
+              {warehouses.length > 1 && <div className="form-group"><label className="form-label">Warehouse</label>
+                <select className="form-control" value={adjust.warehouse} onChange={e => setAdjust(p => ({ ...p, warehouse: e.target.value }))}>
+                  {warehouses.map(w => <option key={w._id} value={w.isDefault ? '' : w._id}>{w.name}</option>)}
+                </select>
+              </div>}
+              <div className="form-group"><label className="form-label">Reason *</label><input className="form-control" required value={adjust.reason} onChange={e => setAdjust(p => ({ ...p, reason: e.target.value }))} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setAdjusting(null)}>Cancel</button><button type="submit" className="btn btn-primary">Adjust</button></div>
+            </form>
+          </div>
+        </div>
+      )}
       {modal && (
         <div className="modal-overlay" onClick={closeModal}>
           <div className="modal" onClick={e => e.stopPropagation()}>
@@ -100,12 +315,80 @@ export default function SKUs() {
                 </div>
                 <div className="form-group"><label className="form-label">Category</label><input className="form-control" value={form.category} onChange={e => f('category', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">Unit Size (e.g. 500ml)</label><input className="form-control" value={form.unitSize} onChange={e => f('unitSize', e.target.value)} /></div>
-                <div className="form-group"><label className="form-label">Unit</label><input className="form-control" value={form.unit} onChange={e => f('unit', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Base Unit (stock is kept in this)</label><input className="form-control" value={form.unit} onChange={e => f('unit', e.target.value)} /></div>
+                <div className="form-group" style={{ gridColumn: '1/-1' }}>
+                  <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                    <label className="form-label" style={{ marginBottom: 0 }}>Pack Units (e.g. 1 cs = 144 {form.unit})</label>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('uoms', [...form.uoms, { name: '', factor: '' }])}>+ Unit</button>
+                  </div>
+                  {form.uoms.map((u, i) => (
+                    <div key={i} className="grid" style={{ gridTemplateColumns: '1fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                      <input className="form-control" placeholder="Unit name (cs, inner)" value={u.name} onChange={e => setUom(i, 'name', e.target.value)} />
+                      <input className="form-control" type="number" min="2" placeholder={`${form.unit} per unit`} value={u.factor} onChange={e => setUom(i, 'factor', e.target.value)} />
+                      <button type="button" className="btn-icon" onClick={() => f('uoms', form.uoms.filter((_, idx) => idx !== i))}>🗑️</button>
+                    </div>
+                  ))}
+                </div>
+                <div className="form-group" style={{ gridColumn: '1/-1' }}>
+                  <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                    <label className="form-label" style={{ marginBottom: 0 }}>Barcodes (EAN / UPC, one per unit)</label>
+                    <div className="flex gap-2">
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={addInStoreBarcode}>+ In-store Code</button>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('barcodes', [...form.barcodes, { code: '', uom: '' }])}>+ Barcode</button>
+                    </div>
+                  </div>
+                  {form.barcodes.map((b, i) => (
+                    <div key={i} className="grid" style={{ gridTemplateColumns: '2fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                      <input className="form-control" placeholder="Scan or type the barcode" inputMode="numeric" value={b.code} onChange={e => setBarcode(i, 'code', e.target.value)} onKeyDown={e => e.key === 'Enter' && e.preventDefault()} />
+                      <select className="form-control" value={b.uom || ''} onChange={e => setBarcode(i, 'uom', e.target.value)}>
+                        <option value="">{form.unit}</option>
+                        {form.uoms.filter(u => u.name).map(u => <option key={u.name} value={u.name}>{u.name}</option>)}
+                      </select>
+                      <button type="button" className="btn-icon" onClick={() => f('barcodes', form.barcodes.filter((_, idx) => idx !== i))}>🗑️</button>
+                    </div>
+                  ))}
+                </div>
+                <div className="form-group" style={{ gridColumn: '1/-1' }}>
+                  <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                    <label className="form-label" style={{ marginBottom: 0 }}>Bundle Components (gift packs, combos)</label>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('components', [...form.components, { sku: '', quantity: 1 }])}>+ Component</button>
+                  </div>
+                  {form.components.length > 0 && <p className="text-muted text-sm" style={{ marginBottom: 8 }}>Selling this SKU draws pre-built kits first, then makes the rest up from these components. Quantities are per {form.unit} of the bundle.</p>}
+                  {form.components.map((c, i) => (
+                    <div key={i} className="grid" style={{ gridTemplateColumns: '2fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                      <select className="form-control" value={c.sku} onChange={e => setComponent(i, 'sku', e.target.value)}>
+                        <option value="">Select SKU</option>
+                        {catalogue.filter(s => s._id !== editId).map(s => <option key={s._id} value={s._id}>{s.name} ({s.code})</option>)}
+                      </select>
+                      <input className="form-control" type="number" min="1" placeholder={catalogue.find(s => s._id === c.sku)?.unit || 'qty'} value={c.quantity} onChange={e => setComponent(i, 'quantity', e.target.value)} />
+                      <button type="button" className="btn-icon" onClick={() => f('components', form.components.filter((_, idx) => idx !== i))}>🗑️</button>
+                    </div>
+                  ))}
+                </div>
                 <div className="form-group"><label className="form-label">MRP (₹) *</label><input className="form-control" type="number" required min="0" step="0.01" value={form.mrp} onChange={e => f('mrp', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">Selling Price (₹) *</label><input className="form-control" type="number" required min="0" step="0.01" value={form.sellingPrice} onChange={e => f('sellingPrice', e.target.value)} /></div>
                 <div className="form-group"><label className="form-label">Purchase Price (₹)</label><input className="form-control" type="number" min="0" step="0.01" value={form.purchasePrice} onChange={e => f('purchasePrice', e.target.value)} /></div>
-                <div className="form-group"><label className="form-label">Current Stock</label><input className="form-control" type="number" min="0" value={form.stock} onChange={e => f('stock', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">HSN Code</label><input className="form-control" value={form.hsnCode || ''} onChange={e => f('hsnCode', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">GST Rate</label>
+                  <select className="form-control" value={form.gstRate} onChange={e => f('gstRate', e.target.value)}>
+                    {[0, 5, 12, 18, 28].map(r => <option key={r} value={r}>{r}%</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Cess (%)</label><input className="form-control" type="number" min="0" step="0.01" value={form.cessRate} onChange={e => f('cessRate', e.target.value)} /></div>
+                {!editId && <div className="form-group"><label className="form-label">Opening Stock ({form.unit})</label><input className="form-control" type="number" min="0" value={form.stock} onChange={e => f('stock', e.target.value)} /></div>}
                 <div className="form-group"><label className="form-label">Min Stock (reorder point)</label><input className="form-control" type="number" min="0" value={form.minStock} onChange={e => f('minStock', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Supplier</label><input className="form-control" list="supplier-names" placeholder="Brand's supplier if blank" value={form.supplier || ''} onChange={e => f('supplier', e.target.value)} />
+                  <datalist id="supplier-names">{suppliers.map(s => <option key={s._id} value={s.name} />)}</datalist>
+                </div>
+                <div className="form-group"><label className="form-label">Supplier Phone</label><input className="form-control" value={form.supplierPhone || ''} onChange={e => f('supplierPhone', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Lead Time (days)</label><input className="form-control" type="number" min="0" placeholder="Settings default" value={form.leadTimeDays ?? ''} onChange={e => f('leadTimeDays', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">When Out of Stock</label>
+                  <select className="form-control" value={form.backorderPolicy} onChange={e => f('backorderPolicy', e.target.value)}>
+                    <option value="reject">Reject the sale</option>
+                    <option value="backorder">Backorder the short quantity</option>
+                    <option value="partial">Ship what is available</option>
+                  </select>
+                </div>
                 <div className="form-group"><label className="form-label">Status</label><select className="form-control" value={form.active ? 'active' : 'inactive'} onChange={e => f('active', e.target.value === 'active')}><option value="active">Active</option><option value="inactive">Inactive</option></select></div>
               </div>
               <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={closeModal}>Cancel</button><button type="submit" className="btn btn-primary">Save</button></div>
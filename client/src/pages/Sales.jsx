@@ -1,18 +1,28 @@
 import React, { useEffect, useState } from 'react'
 import api from '../api'
 import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import ScanInput from '../components/ScanInput'
 
 const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+// Statuses still holding a reservation rather than posted stock
+const UNPOSTED = ['confirmed', 'pending_approval']
 
 export default function Sales() {
+  const { user } = useAuth()
   const [sales, setSales] = useState([])
   const [loading, setLoading] = useState(true)
   const [modal, setModal] = useState(false)
+  const [amendId, setAmendId] = useState(null)
+  const [history, setHistory] = useState(null)
   const [retailers, setRetailers] = useState([])
   const [skus, setSkus] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [prices, setPrices] = useState({})
   const [filterStatus, setFilterStatus] = useState('')
-  const [form, setForm] = useState({ retailer: '', items: [{ sku: '', quantity: 1, price: '', discount: 0 }], discount: 0, tax: 0, paid: 0, paymentMode: 'credit', notes: '' })
-  const [totals, setTotals] = useState({ subtotal: 0, total: 0, balance: 0 })
+  const [form, setForm] = useState({ retailer: '', warehouse: '', items: [{ sku: '', quantity: 1, uom: '', price: '', discount: 0 }], discount: 0, paid: 0, paymentMode: 'credit', dispatch: true, notes: '' })
+  const [totals, setTotals] = useState({ subtotal: 0, tax: 0, total: 0, balance: 0 })
 
   const load = async () => {
     try {
@@ -27,48 +37,112 @@ export default function Sales() {
     } catch { toast.error('Failed to load') } finally { setLoading(false) }
   }
   useEffect(() => { load() }, [filterStatus])
+  useEffect(() => { api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {}) }, [])
 
-  // Recalculate totals whenever items/discount/tax change
+  // Recalculate totals whenever items/discount change. GST mirrors the server:
+  // the bill discount is spread across lines before each SKU's rate applies.
   useEffect(() => {
-    let sub = 0
-    for (const item of form.items) {
-      if (item.sku && item.quantity && item.price) {
-        sub += (Number(item.price) * Number(item.quantity)) - Number(item.discount || 0)
-      }
-    }
-    const total = sub - Number(form.discount || 0) + Number(form.tax || 0)
+    const lines = form.items.filter(i => i.sku && i.quantity && i.price).map(i => ({
+      value: (Number(i.price) * Number(i.quantity)) - Number(i.discount || 0),
+      sku: skus.find(s => s._id === i.sku),
+    }))
+    const sub = lines.reduce((a, l) => a + l.value, 0)
+    const discount = Number(form.discount || 0)
+    const tax = lines.reduce((a, l) => {
+      const taxable = l.value - (sub > 0 ? discount * l.value / sub : 0)
+      return a + taxable * ((l.sku?.gstRate || 0) + (l.sku?.cessRate || 0)) / 100
+    }, 0)
+    const total = sub - discount + tax
     const balance = total - Number(form.paid || 0)
-    setTotals({ subtotal: sub, total, balance })
-  }, [form.items, form.discount, form.tax, form.paid])
+    setTotals({ subtotal: sub, tax, total, balance })
+  }, [form.items, form.discount, form.paid, skus])
 
   const openAdd = () => {
-    setForm({ retailer: '', items: [{ sku: '', quantity: 1, price: '', discount: 0 }], discount: 0, tax: 0, paid: 0, paymentMode: 'credit', notes: '' })
-    setModal(true)
+    setForm({ retailer: '', warehouse: warehouses.find(w => w.isDefault)?._id || '', items: [{ sku: '', quantity: 1, uom: '', price: '', discount: 0 }], discount: 0, paid: 0, paymentMode: 'credit', dispatch: true, notes: '' })
+    setPrices({}); setAmendId(null); setModal(true)
+  }
+
+  const openAmend = (sale) => {
+    setForm({
+      retailer: sale.retailer?._id || sale.retailer,
+      warehouse: sale.warehouse?._id || sale.warehouse || '',
+      // Free goods and scheme discounts are re-evaluated by the server
+      items: sale.items.filter(i => !i.isFree).map(i => {
+        // Re-key in the original pack unit when the quantity still divides evenly
+        const packed = i.uomFactor > 1 && i.quantity % i.uomFactor === 0
+        const factor = packed ? i.uomFactor : 1
+        return { sku: i.sku, uom: packed ? i.uom : '', quantity: i.quantity / factor, price: Math.round(i.price * factor * 100) / 100, discount: i.discount - (i.schemeDiscount || 0) }
+      }),
+      discount: sale.discount, paid: sale.paid, paymentMode: sale.paymentMode, notes: sale.notes || '', reason: '',
+    })
+    setAmendId(sale._id); setModal(true)
+  }
+
+  const openHistory = async (sale) => {
+    try { const { data } = await api.get(`/sales/${sale._id}/revisions`); setHistory({ sale, ...data }) }
+    catch { toast.error('Failed to load history') }
   }
 
-  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { sku: '', quantity: 1, price: '', discount: 0 }] }))
+  // The retailer's price list decides the default rate; SKU selling price is the fallback
+  const listPrice = (skuId, list = prices) => list[skuId] ?? skus.find(s => s._id === skuId)?.sellingPrice ?? ''
+  // Base units in a pack unit; prices above are per base unit
+  const factorOf = (skuId, uom) => skus.find(s => s._id === skuId)?.uoms?.find(u => u.name === uom)?.factor || 1
+  const unitPrice = (skuId, uom, list) => Math.round(listPrice(skuId, list) * factorOf(skuId, uom) * 100) / 100
+  const selectRetailer = async (retailer) => {
+    setForm(p => ({ ...p, retailer }))
+    let list = {}
+    if (retailer) {
+      try { ({ data: list } = await api.get('/price-lists/resolve', { params: { retailer } })) }
+      catch { toast.error('Could not load price list') }
+    }
+    setPrices(list)
+    setForm(p => ({ ...p, items: p.items.map(i => i.sku ? { ...i, price: unitPrice(i.sku, i.uom, list) } : i) }))
+  }
+
+  const addItem = () => setForm(p => ({ ...p, items: [...p.items, { sku: '', quantity: 1, uom: '', price: '', discount: 0 }] }))
   const removeItem = (i) => setForm(p => ({ ...p, items: p.items.filter((_, idx) => idx !== i) }))
   const updateItem = (i, k, v) => setForm(p => {
     const items = [...p.items]
     items[i] = { ...items[i], [k]: v }
-    // Auto-fill price from SKU
-    if (k === 'sku' && v) {
-      const sku = skus.find(s => s._id === v)
-      if (sku) items[i].price = sku.sellingPrice
-    }
+    // Auto-fill price from the price list or SKU, per the chosen unit
+    if (k === 'sku') items[i].uom = ''
+    if ((k === 'sku' || k === 'uom') && items[i].sku) items[i].price = unitPrice(items[i].sku, items[i].uom)
     return { ...p, items }
   })
 
+  // A scan adds one of the scanned unit, or one more to the line already on it
+  const handleScan = ({ sku, uom }) => {
+    if (!skus.some(s => s._id === sku._id)) return toast.error(`${sku.name} is not in the catalogue`)
+    setForm(p => {
+      const at = p.items.findIndex(i => i.sku === sku._id && (i.uom || '') === uom)
+      if (at >= 0) return { ...p, items: p.items.map((i, idx) => idx === at ? { ...i, quantity: Number(i.quantity || 0) + 1 } : i) }
+      const line = { sku: sku._id, quantity: 1, uom, price: unitPrice(sku._id, uom), discount: 0 }
+      const blank = p.items.findIndex(i => !i.sku)
+      return { ...p, items: blank >= 0 ? p.items.map((i, idx) => idx === blank ? line : i) : [...p.items, line] }
+    })
+  }
+
   const handleSave = async (e) => {
     e.preventDefault()
     try {
       const items = form.items.filter(i => i.sku && i.quantity && i.price).map(i => ({
-        sku: i.sku, quantity: Number(i.quantity), price: Number(i.price), discount: Number(i.discount || 0),
+        sku: i.sku, uom: i.uom || undefined, quantity: Number(i.quantity), price: Number(i.price), discount: Number(i.discount || 0),
         total: (Number(i.price) * Number(i.quantity)) - Number(i.discount || 0)
       }))
       if (!items.length) return toast.error('Add at least one item')
-      await api.post('/sales', { ...form, items, discount: Number(form.discount), tax: Number(form.tax), paid: Number(form.paid) })
-      toast.success('Sale created!'); setModal(false); load()
+      if (amendId) {
+        await api.post(`/sales/${amendId}/amend`, { items, discount: Number(form.discount), reason: form.reason })
+        toast.success('Sale amended!'); setModal(false); load()
+        return
+      }
+      const { data } = await api.post('/sales', { ...form, items, discount: Number(form.discount), paid: Number(form.paid) })
+      const backordered = data.items.reduce((a, i) => a + (i.backorderQty || 0), 0)
+      const schemes = [...new Set(data.items.filter(i => i.schemeName).map(i => i.schemeName))]
+      if (schemes.length) toast(`Schemes applied: ${schemes.join(', ')}`, { icon: '🎁' })
+      if (data.status === 'confirmed') toast.success(`Order confirmed — stock reserved until ${date(data.reservedUntil)}`)
+      else if (data.status === 'pending_approval') toast(`Held for owner approval: ${data.creditHold?.reason}`, { icon: '⏸️', duration: 6000 })
+      else toast.success(backordered ? `Sale created — ${backordered} units backordered` : 'Sale created!')
+      setModal(false); load()
     } catch (err) { toast.error(err.response?.data?.message || 'Error') }
   }
 
@@ -81,6 +155,35 @@ export default function Sales() {
     } catch { toast.error('Failed') }
   }
 
+  const handleDispatch = async (sale) => {
+    if (!confirm(`Dispatch ${sale.invoiceNumber} to ${sale.retailerName} and invoice it today?`)) return
+    try {
+      const { data } = await api.post(`/sales/${sale._id}/dispatch`)
+      if (data.status === 'pending_approval') toast(`Held for owner approval: ${data.creditHold?.reason}`, { icon: '⏸️', duration: 6000 })
+      else toast.success('Order dispatched and invoiced')
+      load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handleCancel = async (sale) => {
+    const effect = UNPOSTED.includes(sale.status) ? 'Its reserved stock will be released.' : `Stock will be restored and ${fmt(sale.balance)} reversed from the retailer.`
+    const reason = prompt(`Cancel ${sale.invoiceNumber} for ${sale.retailerName}?\n${effect}\nReason:`)
+    if (!reason) return
+    try {
+      await api.post(`/sales/${sale._id}/cancel`, { reason })
+      toast.success('Sale cancelled'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handleDecision = async (sale, decision) => {
+    const reason = prompt(`${decision === 'approve' ? 'Approve' : 'Reject'} ${sale.invoiceNumber} for ${sale.retailerName}\n${sale.creditHold?.reason || ''}\nReason:`)
+    if (!reason) return
+    try {
+      await api.post(`/sales/${sale._id}/${decision}`, { reason })
+      toast.success(decision === 'approve' ? 'Sale approved and posted' : 'Sale rejected'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
   return (
     <div className="page">
       <div className="page-header">
@@ -90,10 +193,13 @@ export default function Sales() {
       <div className="filters-bar">
         <select className="form-control" value={filterStatus} onChange={e => setFilterStatus(e.target.value)}>
           <option value="">All Status</option>
+          <option value="confirmed">Confirmed Orders</option>
           <option value="pending">Pending</option>
           <option value="partial">Partial</option>
           <option value="paid">Paid</option>
           <option value="cancelled">Cancelled</option>
+          <option value="pending_approval">Awaiting Approval</option>
+          <option value="rejected">Rejected</option>
         </select>
       </div>
       {loading ? <div className="loading-center"><div className="spinner" /></div> : (
@@ -105,17 +211,35 @@ export default function Sales() {
                 {sales.length === 0 && <tr><td colSpan={9}><div className="empty-state"><div className="empty-icon">🛒</div><p>No sales</p></div></td></tr>}
                 {sales.map(s => (
                   <tr key={s._id}>
-                    <td><strong>{s.invoiceNumber}</strong></td>
-                    <td>{s.retailerName}</td>
+                    <td>
+                      <strong>{s.invoiceNumber}</strong>{s.version > 1 && <span className="text-muted text-sm"> v{s.version}</span>}
+                      {s.orderNumber && <div className="text-muted text-sm">{s.orderNumber !== s.invoiceNumber ? `Order ${s.orderNumber}` : 'Order, not yet invoiced'}</div>}
+                    </td>
+                    <td>{s.retailerName}{s.warehouse && <div className="text-muted text-sm">🏭 {s.warehouse.name}</div>}</td>
                     <td style={{ fontWeight: 700 }}>{fmt(s.total)}</td>
                     <td style={{ color: 'var(--success)' }}>{fmt(s.paid)}</td>
                     <td style={{ color: s.balance > 0 ? 'var(--danger)' : 'var(--success)', fontWeight: 600 }}>{fmt(s.balance)}</td>
                     <td className="text-muted">{s.paymentMode}</td>
-                    <td><span className={`badge badge-${s.status === 'paid' ? 'success' : s.status === 'partial' ? 'warning' : s.status === 'cancelled' ? 'danger' : 'neutral'}`}>{s.status}</span></td>
+                    <td>
+                      <span className={`badge badge-${s.status === 'paid' ? 'success' : s.status === 'partial' || s.status === 'pending_approval' ? 'warning' : s.status === 'cancelled' || s.status === 'rejected' ? 'danger' : s.status === 'confirmed' ? 'info' : 'neutral'}`}>{s.status.replace('_', ' ')}</span>
+                      {UNPOSTED.includes(s.status) && s.reservedUntil && (new Date(s.reservedUntil) > new Date()
+                        ? <div className="text-muted text-sm">Reserved until {date(s.reservedUntil)}</div>
+                        : <div className="text-sm" style={{ color: 'var(--danger)' }}>Reservation expired</div>)}
+                      {s.creditHold?.reason && <div className="text-muted text-sm" title={s.creditHold.note}>{s.creditHold.reason}</div>}
+                      {s.cancellation?.reason && <div className="text-muted text-sm">{s.cancellation.reason}</div>}
+                    </td>
                     <td className="text-muted">{new Date(s.saleDate).toLocaleDateString('en-IN')}</td>
                     <td>
                       <div className="flex gap-2">
-                        {s.balance > 0 && <button className="btn btn-sm btn-success" onClick={() => handlePayment(s)}>💰 Pay</button>}
+                        {s.status === 'confirmed' && <button className="btn btn-sm btn-primary" onClick={() => handleDispatch(s)}>🚚 Dispatch</button>}
+                        {s.balance > 0 && !['pending_approval', 'rejected', 'confirmed'].includes(s.status) && <button className="btn btn-sm btn-success" onClick={() => handlePayment(s)}>💰 Pay</button>}
+                        {s.status === 'pending_approval' && user?.role === 'owner' && <>
+                          <button className="btn btn-sm btn-success" onClick={() => handleDecision(s, 'approve')}>✅ Approve</button>
+                          <button className="btn btn-sm btn-danger" onClick={() => handleDecision(s, 'reject')}>✖ Reject</button>
+                        </>}
+                        {!['cancelled', 'rejected', 'pending_approval', 'confirmed'].includes(s.status) && <button className="btn-icon" title="Amend items" onClick={() => openAmend(s)}>✏️</button>}
+                        {s.version > 1 && <button className="btn-icon" title="Revision history" onClick={() => openHistory(s)}>🕘</button>}
+                        {!['cancelled', 'rejected'].includes(s.status) && <button className="btn-icon" title="Cancel sale" onClick={() => handleCancel(s)}>🚫</button>}
                       </div>
                     </td>
                   </tr>
@@ -129,16 +253,22 @@ export default function Sales() {
       {modal && (
         <div className="modal-overlay" onClick={() => setModal(false)}>
           <div className="modal" style={{ maxWidth: 800 }} onClick={e => e.stopPropagation()}>
-            <h2 className="modal-title">New Sale</h2>
+            <h2 className="modal-title">{amendId ? 'Amend Sale' : 'New Sale'}</h2>
             <form onSubmit={handleSave}>
               <div className="grid grid-2">
-                <div className="form-group" style={{ gridColumn: '1/-1' }}>
+                <div className="form-group">
                   <label className="form-label">Retailer *</label>
-                  <select className="form-control" required value={form.retailer} onChange={e => setForm(p => ({ ...p, retailer: e.target.value }))}>
+                  <select className="form-control" required disabled={!!amendId} value={form.retailer} onChange={e => selectRetailer(e.target.value)}>
                     <option value="">Select retailer</option>
                     {retailers.map(r => <option key={r._id} value={r._id}>{r.name} — {r.phone}</option>)}
                   </select>
                 </div>
+                <div className="form-group">
+                  <label className="form-label">Ship From</label>
+                  <select className="form-control" disabled={!!amendId} value={form.warehouse} onChange={e => setForm(p => ({ ...p, warehouse: e.target.value }))}>
+                    {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>
               </div>
 
               <div style={{ marginBottom: 16 }}>
@@ -146,13 +276,18 @@ export default function Sales() {
                   <label className="form-label" style={{ marginBottom: 0 }}>Items</label>
                   <button type="button" className="btn btn-secondary btn-sm" onClick={addItem}>+ Add Item</button>
                 </div>
+                <div style={{ marginBottom: 10 }}><ScanInput onScan={handleScan} /></div>
                 {form.items.map((item, i) => (
-                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr 1fr auto', gap: 8, marginBottom: 8, alignItems: 'flex-end' }}>
+                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr 1fr 1fr auto', gap: 8, marginBottom: 8, alignItems: 'flex-end' }}>
                     <select className="form-control" value={item.sku} onChange={e => updateItem(i, 'sku', e.target.value)}>
                       <option value="">Select SKU</option>
-                      {skus.map(s => <option key={s._id} value={s._id}>{s.name} — ₹{s.sellingPrice}</option>)}
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.isBundle ? '🎁 ' : ''}{s.name} — ₹{listPrice(s._id)}{s.gstRate ? ` + ${s.gstRate}% GST` : ''}</option>)}
                     </select>
                     <input className="form-control" type="number" min="1" placeholder="Qty" value={item.quantity} onChange={e => updateItem(i, 'quantity', e.target.value)} />
+                    <select className="form-control" value={item.uom || ''} onChange={e => updateItem(i, 'uom', e.target.value)}>
+                      <option value="">{skus.find(s => s._id === item.sku)?.unit || 'pcs'}</option>
+                      {skus.find(s => s._id === item.sku)?.uoms?.map(u => <option key={u.name} value={u.name}>{u.name} ({u.factor})</option>)}
+                    </select>
                     <input className="form-control" type="number" min="0" step="0.01" placeholder="Price" value={item.price} onChange={e => updateItem(i, 'price', e.target.value)} />
                     <input className="form-control" type="number" min="0" placeholder="Disc" value={item.discount} onChange={e => updateItem(i, 'discount', e.target.value)} />
                     {form.items.length > 1 && <button type="button" className="btn-icon" onClick={() => removeItem(i)}>🗑️</button>}
@@ -162,32 +297,71 @@ export default function Sales() {
 
               <div className="grid grid-2">
                 <div className="form-group"><label className="form-label">Discount (₹)</label><input className="form-control" type="number" min="0" value={form.discount} onChange={e => setForm(p => ({ ...p, discount: e.target.value }))} /></div>
-                <div className="form-group"><label className="form-label">Tax (₹)</label><input className="form-control" type="number" min="0" value={form.tax} onChange={e => setForm(p => ({ ...p, tax: e.target.value }))} /></div>
+                {!amendId && <>
                 <div className="form-group"><label className="form-label">Amount Paid (₹)</label><input className="form-control" type="number" min="0" value={form.paid} onChange={e => setForm(p => ({ ...p, paid: e.target.value }))} /></div>
                 <div className="form-group"><label className="form-label">Payment Mode</label>
                   <select className="form-control" value={form.paymentMode} onChange={e => setForm(p => ({ ...p, paymentMode: e.target.value }))}>
                     <option value="credit">Credit</option><option value="cash">Cash</option><option value="upi">UPI</option><option value="bank_transfer">Bank Transfer</option>
                   </select>
                 </div>
+                <div className="form-group"><label className="form-label">Dispatch</label>
+                  <select className="form-control" value={form.dispatch ? 'now' : 'later'} onChange={e => setForm(p => ({ ...p, dispatch: e.target.value === 'now' }))}>
+                    <option value="now">Now — invoice and ship</option><option value="later">Later — confirm order and reserve stock</option>
+                  </select>
+                </div>
+                </>}
               </div>
 
               <div className="card" style={{ background: 'var(--primary-light)', marginBottom: 16, padding: 16 }}>
-                <div className="flex justify-between"><span>Subtotal</span><strong>{fmt(totals.subtotal)}</strong></div>
+                <div className="flex justify-between"><span>Subtotal (before schemes)</span><strong>{fmt(totals.subtotal)}</strong></div>
                 <div className="flex justify-between"><span>Discount</span><strong>- {fmt(form.discount)}</strong></div>
-                <div className="flex justify-between"><span>Tax</span><strong>+ {fmt(form.tax)}</strong></div>
+                <div className="flex justify-between"><span>GST (calculated on save)</span><strong>+ {fmt(totals.tax.toFixed(2))}</strong></div>
                 <div className="flex justify-between" style={{ fontSize: 18, marginTop: 8 }}><strong>Total</strong><strong style={{ color: 'var(--primary)' }}>{fmt(totals.total)}</strong></div>
                 <div className="flex justify-between" style={{ color: 'var(--danger)' }}><span>Balance</span><strong>{fmt(totals.balance)}</strong></div>
               </div>
 
-              <div className="form-group"><label className="form-label">Notes</label><textarea className="form-control" rows={2} value={form.notes} onChange={e => setForm(p => ({ ...p, notes: e.target.value }))} /></div>
+              {amendId
+                ? <div className="form-group"><label className="form-label">Reason for Amendment *</label><input className="form-control" required value={form.reason} onChange={e => setForm(p => ({ ...p, reason: e.target.value }))} /></div>
+                : <div className="form-group"><label className="form-label">Notes</label><textarea className="form-control" rows={2} value={form.notes} onChange={e => setForm(p => ({ ...p, notes: e.target.value }))} /></div>}
               <div className="modal-footer">
                 <button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button>
-                <button type="submit" className="btn btn-primary">Create Sale</button>
+                <button type="submit" className="btn btn-primary">{amendId ? 'Save Amendment' : form.dispatch ? 'Create Sale' : 'Confirm Order'}</button>
               </div>
             </form>
           </div>
         </div>
       )}
+
+      {history && (
+        <div className="modal-overlay" onClick={() => setHistory(null)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{history.sale.invoiceNumber} — Revision History</h2>
+            {history.changes.map(c => (
+              <div key={c.to} className="card" style={{ marginBottom: 12, padding: 16 }}>
+                <div className="flex justify-between" style={{ marginBottom: 8 }}>
+                  <strong>v{c.from} → v{c.to}</strong>
+                  <span className="text-muted text-sm">{c.changedBy || 'Unknown'} · {new Date(c.changedAt).toLocaleString('en-IN')}</span>
+                </div>
+                {c.reason && <p className="text-muted text-sm" style={{ marginBottom: 8 }}>{c.reason}</p>}
+                <table>
+                  <thead><tr><th>Item</th><th>Before</th><th>After</th></tr></thead>
+                  <tbody>
+                    {c.lines.map(l => (
+                      <tr key={l.sku}>
+                        <td>{l.skuName} <span className={`badge badge-${l.change === 'added' ? 'success' : l.change === 'removed' ? 'danger' : 'warning'}`}>{l.change}</span></td>
+                        <td className="text-muted">{l.before ? `${l.before.quantity} × ${fmt(l.before.price)}` : '—'}</td>
+                        <td>{l.after ? `${l.after.quantity} × ${fmt(l.after.price)}` : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ textAlign: 'right', marginTop: 8 }}>Total: {fmt(c.totalBefore)} → <strong>{fmt(c.totalAfter)}</strong></div>
+              </div>
+            ))}
+            <div className="modal-footer"><button className="btn btn-secondary" onClick={() => setHistory(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
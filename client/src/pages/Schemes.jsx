@@ -0,0 +1,249 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const today = () => new Date().toISOString().split('T')[0]
+const INIT = {
+  name: '', description: '', type: 'percent_off', validFrom: today(), validTo: today(), active: true,
+  target: { brands: [], skus: [], retailerClasses: '', areas: '' },
+  buyQty: 10, freeQty: 1, freeSku: '', percent: 0,
+  slabs: [{ minQty: 1, uom: '', percent: 0 }], comboItems: [{ sku: '', quantity: 1 }],
+}
+const TYPES = { percent_off: '% Off', slab_discount: 'Slab Discount', free_goods: 'Buy X Get Y Free', combo: 'Combo Offer' }
+const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean)
+const ids = (arr) => (arr || []).map(x => x?._id || x)
+
+const describe = (s) => {
+  if (s.type === 'percent_off') return `${s.percent}% off`
+  if (s.type === 'slab_discount') return s.slabs.map(sl => `${sl.minQty}${sl.uom ? ` ${sl.uom}` : ''}+ → ${sl.percent}%`).join(', ')
+  if (s.type === 'free_goods') return `Buy ${s.buyQty} get ${s.freeQty} ${s.freeSku?.name || 'same'} free`
+  return `${s.comboItems.map(c => `${c.quantity}× ${c.sku?.name || '?'}`).join(' + ')} → ${s.percent}% off`
+}
+
+export default function Schemes() {
+  const [tab, setTab] = useState('schemes')
+  const [schemes, setSchemes] = useState([])
+  const [claims, setClaims] = useState([])
+  const [brands, setBrands] = useState([])
+  const [skus, setSkus] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [editId, setEditId] = useState(null)
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+
+  const load = async () => {
+    try {
+      const [s, c, b, k] = await Promise.all([
+        api.get('/schemes'),
+        api.get('/schemes/claims', { params: { from: from || undefined, to: to || undefined } }),
+        api.get('/brands'), api.get('/skus'),
+      ])
+      setSchemes(s.data); setClaims(c.data); setBrands(b.data); setSkus(k.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [])
+
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const ft = (k, v) => setForm(p => ({ ...p, target: { ...p.target, [k]: v } }))
+  const setRow = (k, i, field, v) => setForm(p => ({ ...p, [k]: p[k].map((r, idx) => idx === i ? { ...r, [field]: v } : r) }))
+  // Pack units the SKUs trade in, for slabs counted in cases or boxes
+  const packUnits = [...new Set(skus.flatMap(s => (s.uoms || []).map(u => u.name)))]
+  const multi = (e) => [...e.target.selectedOptions].map(o => o.value)
+
+  const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
+  const openEdit = (s) => {
+    setForm({
+      ...INIT, ...s,
+      validFrom: s.validFrom?.split('T')[0], validTo: s.validTo?.split('T')[0],
+      freeSku: s.freeSku?._id || '',
+      target: { brands: ids(s.target?.brands), skus: ids(s.target?.skus), retailerClasses: (s.target?.retailerClasses || []).join(', '), areas: (s.target?.areas || []).join(', '), warehouses: ids(s.target?.warehouses), batch: s.target?.batch },
+      slabs: s.slabs?.length ? s.slabs.map(sl => ({ ...sl, uom: sl.uom || '' })) : INIT.slabs,
+      comboItems: s.comboItems?.length ? s.comboItems.map(c => ({ sku: c.sku?._id || c.sku, quantity: c.quantity })) : INIT.comboItems,
+    })
+    setEditId(s._id); setModal(true)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = {
+        name: form.name, description: form.description, type: form.type,
+        validFrom: form.validFrom, validTo: form.validTo, active: form.active,
+        target: { brands: form.target.brands, skus: form.target.skus, retailerClasses: list(form.target.retailerClasses), areas: list(form.target.areas), warehouses: form.target.warehouses, batch: form.target.batch },
+        buyQty: Number(form.buyQty), freeQty: Number(form.freeQty), freeSku: form.freeSku || undefined,
+        percent: Number(form.percent),
+        slabs: form.slabs.map(s => ({ minQty: Number(s.minQty), uom: s.uom || undefined, percent: Number(s.percent) })),
+        comboItems: form.comboItems.filter(c => c.sku).map(c => ({ sku: c.sku, quantity: Number(c.quantity) })),
+      }
+      if (editId) await api.put(`/schemes/${editId}`, payload)
+      else await api.post('/schemes', payload)
+      toast.success('Saved!'); setModal(false); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete scheme?')) return
+    try { await api.delete(`/schemes/${id}`); toast.success('Deleted'); load() }
+    catch { toast.error('Delete failed') }
+  }
+
+  const isLive = (s) => s.active && new Date(s.validFrom) <= new Date() && new Date(s.validTo) >= new Date()
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Trade Schemes</h1>
+        <button className="btn btn-primary" onClick={openAdd}>+ New Scheme</button>
+      </div>
+      <div className="filters-bar">
+        <div className="flex gap-2">
+          <button className={`btn ${tab === 'schemes' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('schemes')}>🎁 Schemes</button>
+          <button className={`btn ${tab === 'claims' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('claims')}>📑 Claims</button>
+        </div>
+        {tab === 'claims' && <>
+          <input className="form-control" type="date" value={from} onChange={e => setFrom(e.target.value)} title="From" />
+          <input className="form-control" type="date" value={to} onChange={e => setTo(e.target.value)} title="To" />
+          <button className="btn btn-secondary" onClick={load}>Apply</button>
+        </>}
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            {tab === 'schemes' ? (
+              <table>
+                <thead><tr><th>Scheme</th><th>Type</th><th>Benefit</th><th>Valid</th><th>Status</th><th>Actions</th></tr></thead>
+                <tbody>
+                  {schemes.length === 0 && <tr><td colSpan={6}><div className="empty-state"><div className="empty-icon">🎁</div><p>No schemes</p></div></td></tr>}
+                  {schemes.map(s => (
+                    <tr key={s._id}>
+                      <td><strong>{s.name}</strong><br /><span className="text-muted text-sm">{[...(s.target?.brands || []).map(b => b.name), ...(s.target?.skus || []).map(k => k.name)].join(', ') || 'All products'}</span></td>
+                      <td>{TYPES[s.type]}</td>
+                      <td>{describe(s)}</td>
+                      <td className="text-muted">{new Date(s.validFrom).toLocaleDateString('en-IN')} – {new Date(s.validTo).toLocaleDateString('en-IN')}</td>
+                      <td>{isLive(s) ? <span className="badge badge-success">Live</span> : <span className="badge badge-neutral">{s.active ? 'Scheduled/Expired' : 'Inactive'}</span>}</td>
+                      <td><div className="flex gap-2"><button className="btn-icon" onClick={() => openEdit(s)}>✏️</button><button className="btn-icon" onClick={() => handleDelete(s._id)}>🗑️</button></div></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <table>
+                <thead><tr><th>Scheme</th><th>Invoices</th><th>Free Qty</th><th>Free Goods Value</th><th>Discount Given</th><th>Claim Value</th></tr></thead>
+                <tbody>
+                  {claims.length === 0 && <tr><td colSpan={6}><div className="empty-state"><p>No scheme benefits in this period</p></div></td></tr>}
+                  {claims.map(c => (
+                    <tr key={c._id}>
+                      <td><strong>{c.name}</strong></td>
+                      <td>{c.invoices}</td>
+                      <td>{c.freeQty}</td>
+                      <td>{fmt(c.freeValue)}</td>
+                      <td>{fmt(c.discountValue)}</td>
+                      <td style={{ fontWeight: 700, color: 'var(--primary)' }}>{fmt(c.claimValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" style={{ maxWidth: 750 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{editId ? 'Edit Scheme' : 'New Scheme'}</h2>
+            <form onSubmit={handleSave}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Name *</label><input className="form-control" required value={form.name} onChange={e => f('name', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Type</label>
+                  <select className="form-control" value={form.type} onChange={e => f('type', e.target.value)}>
+                    {Object.entries(TYPES).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Valid From *</label><input className="form-control" type="date" required value={form.validFrom} onChange={e => f('validFrom', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Valid To *</label><input className="form-control" type="date" required value={form.validTo} onChange={e => f('validTo', e.target.value)} /></div>
+              </div>
+
+              {form.type === 'percent_off' && (
+                <div className="form-group"><label className="form-label">Discount (%)</label><input className="form-control" type="number" min="0" max="100" step="0.01" value={form.percent} onChange={e => f('percent', e.target.value)} /></div>
+              )}
+              {form.type === 'free_goods' && (
+                <div className="grid grid-3">
+                  <div className="form-group"><label className="form-label">Buy Qty</label><input className="form-control" type="number" min="1" value={form.buyQty} onChange={e => f('buyQty', e.target.value)} /></div>
+                  <div className="form-group"><label className="form-label">Free Qty</label><input className="form-control" type="number" min="1" value={form.freeQty} onChange={e => f('freeQty', e.target.value)} /></div>
+                  <div className="form-group"><label className="form-label">Free Product</label>
+                    <select className="form-control" value={form.freeSku} onChange={e => f('freeSku', e.target.value)}>
+                      <option value="">Same as bought</option>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                    </select>
+                  </div>
+                </div>
+              )}
+              {form.type === 'slab_discount' && (
+                <div style={{ marginBottom: 16 }}>
+                  <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                    <label className="form-label" style={{ marginBottom: 0 }}>Slabs (min qty in unit → %)</label>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('slabs', [...form.slabs, { minQty: 1, uom: '', percent: 0 }])}>+ Slab</button>
+                  </div>
+                  {form.slabs.map((sl, i) => (
+                    <div key={i} className="grid" style={{ gridTemplateColumns: '1fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                      <input className="form-control" type="number" min="1" placeholder="Min qty" value={sl.minQty} onChange={e => setRow('slabs', i, 'minQty', e.target.value)} />
+                      <select className="form-control" value={sl.uom} onChange={e => setRow('slabs', i, 'uom', e.target.value)}>
+                        <option value="">Base units</option>
+                        {packUnits.map(u => <option key={u} value={u}>{u}</option>)}
+                      </select>
+                      <input className="form-control" type="number" min="0" max="100" step="0.01" placeholder="%" value={sl.percent} onChange={e => setRow('slabs', i, 'percent', e.target.value)} />
+                      {form.slabs.length > 1 && <button type="button" className="btn-icon" onClick={() => f('slabs', form.slabs.filter((_, idx) => idx !== i))}>🗑️</button>}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {form.type === 'combo' && (
+                <div style={{ marginBottom: 16 }}>
+                  <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                    <label className="form-label" style={{ marginBottom: 0 }}>Combo Components</label>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => f('comboItems', [...form.comboItems, { sku: '', quantity: 1 }])}>+ Component</button>
+                  </div>
+                  {form.comboItems.map((c, i) => (
+                    <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                      <select className="form-control" value={c.sku} onChange={e => setRow('comboItems', i, 'sku', e.target.value)}>
+                        <option value="">Select SKU</option>
+                        {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                      </select>
+                      <input className="form-control" type="number" min="1" value={c.quantity} onChange={e => setRow('comboItems', i, 'quantity', e.target.value)} />
+                      {form.comboItems.length > 1 && <button type="button" className="btn-icon" onClick={() => f('comboItems', form.comboItems.filter((_, idx) => idx !== i))}>🗑️</button>}
+                    </div>
+                  ))}
+                  <div className="form-group"><label className="form-label">Discount per complete set (%)</label><input className="form-control" type="number" min="0" max="100" step="0.01" value={form.percent} onChange={e => f('percent', e.target.value)} /></div>
+                </div>
+              )}
+
+              {form.type !== 'combo' && (
+                <div className="grid grid-2">
+                  <div className="form-group"><label className="form-label">Brands (none = all)</label>
+                    <select className="form-control" multiple size={4} value={form.target.brands} onChange={e => ft('brands', multi(e))}>
+                      {brands.map(b => <option key={b._id} value={b._id}>{b.name}</option>)}
+                    </select>
+                  </div>
+                  <div className="form-group"><label className="form-label">SKUs (none = all)</label>
+                    <select className="form-control" multiple size={4} value={form.target.skus} onChange={e => ft('skus', multi(e))}>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                    </select>
+                  </div>
+                </div>
+              )}
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Retailer Classes (comma separated)</label><input className="form-control" value={form.target.retailerClasses} onChange={e => ft('retailerClasses', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Areas (comma separated)</label><input className="form-control" value={form.target.areas} onChange={e => ft('areas', e.target.value)} /></div>
+              </div>
+              <div className="form-group"><label className="form-label">Status</label><select className="form-control" value={form.active ? 'active' : 'inactive'} onChange={e => f('active', e.target.value === 'active')}><option value="active">Active</option><option value="inactive">Inactive</option></select></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Save</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+
+const SERIES = [
+  { key: 'sale',          label: 'Sales Invoice' },
+  { key: 'order',         label: 'Sales Order' },
+  { key: 'purchaseOrder', label: 'Purchase Order' },
+  { key: 'return',        label: 'Return' },
+  { key: 'transfer',      label: 'Stock Transfer' },
+  { key: 'stockCount',    label: 'Stock Count' },
+  { key: 'kitAssembly',   label: 'Kit Assembly' },
+  { key: 'supplierPayment', label: 'Supplier Payment' },
+  { key: 'goodsReceipt',  label: 'Goods Receipt Note' },
+]
+
+const REORDER_FIELDS = [
+  ['velocityDays', 'Sales Look-back (days)', 30],
+  ['leadTimeDays', 'Default Lead Time (days)', 7],
+  ['safetyDays',   'Safety Stock (days)', 7],
+  ['coverDays',    'Order Cover (days)', 15],
+]
+
+// [group, key, label, default]; group nests under analysis.abc / analysis.xyz
+const ANALYSIS_FIELDS = [
+  [null, 'months',   'Window (30-day periods)', 6],
+  [null, 'fastDays', 'FAST if sold within (days)', 15],
+  [null, 'deadDays', 'DEAD if unsold for (days)', 45],
+  ['abc', 'a', 'Class A up to (% revenue)', 80],
+  ['abc', 'b', 'Class B up to (% revenue)', 95],
+  ['xyz', 'x', 'Class X up to (demand CV)', 0.5],
+  ['xyz', 'y', 'Class Y up to (demand CV)', 1],
+]
+
+export default function Settings() {
+  const { user } = useAuth()
+  const isOwner = user?.role === 'owner'
+  const [settings, setSettings] = useState(null)
+  const [numbering, setNumbering] = useState({})
+  const [loading, setLoading] = useState(true)
+
+  const load = async () => {
+    try {
+      const [s, n] = await Promise.all([api.get('/settings'), api.get('/settings/numbering')])
+      setSettings(s.data); setNumbering(n.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [])
+
+  const setCompany = (k, v) => setSettings(p => ({ ...p, company: { ...p.company, [k]: v } }))
+  const setExpiry = (k, v) => setSettings(p => ({ ...p, expiry: { ...p.expiry, [k]: v } }))
+  const setCategoryDays = (i, k, v) => setExpiry('byCategory', settings.expiry.byCategory.map((c, idx) => idx === i ? { ...c, [k]: v } : c))
+  const setSeries = (type, k, v) => setSettings(p => ({ ...p, numbering: { ...p.numbering, [type]: { ...p.numbering[type], [k]: v } } }))
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const numberingPayload = Object.fromEntries(SERIES.map(({ key }) => [key, { ...settings.numbering[key], padding: Number(settings.numbering[key].padding) }]))
+      const expiry = {
+        alertDays: Number(settings.expiry?.alertDays || 30),
+        byCategory: (settings.expiry?.byCategory || []).filter(c => c.category && c.alertDays).map(c => ({ category: c.category, alertDays: Number(c.alertDays) })),
+      }
+      await api.put('/settings', { company: settings.company, numbering: numberingPayload, expiry, costing: settings.costing, reorder: settings.reorder, forecast: settings.forecast, analysis: settings.analysis, reservation: settings.reservation })
+      toast.success('Settings saved!'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleSetNext = async (type) => {
+    const next = prompt(`Next ${SERIES.find(s => s.key === type).label} number for ${numbering[type]?.financialYear}:`, numbering[type]?.next)
+    if (!next) return
+    try { await api.put(`/settings/numbering/${type}`, { next: Number(next) }); toast.success('Series updated'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  if (loading) return <div className="loading-center"><div className="spinner" /></div>
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Settings</h1>
+      </div>
+      <form onSubmit={handleSave}>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Company &amp; GST</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Retailers whose GSTIN is from another state are billed IGST; everyone else CGST + SGST.</p>
+          <div className="grid grid-2">
+            <div className="form-group"><label className="form-label">Business Name</label><input className="form-control" disabled={!isOwner} value={settings.company?.name || ''} onChange={e => setCompany('name', e.target.value)} /></div>
+            <div className="form-group"><label className="form-label">GSTIN</label><input className="form-control" disabled={!isOwner} value={settings.company?.gstin || ''} onChange={e => setCompany('gstin', e.target.value.toUpperCase())} /></div>
+            <div className="form-group"><label className="form-label">State Code (e.g. 27)</label><input className="form-control" disabled={!isOwner} maxLength={2} placeholder={settings.company?.gstin?.slice(0, 2)} value={settings.company?.stateCode || ''} onChange={e => setCompany('stateCode', e.target.value)} /></div>
+            <div className="form-group"><label className="form-label">Address</label><input className="form-control" disabled={!isOwner} value={settings.company?.address || ''} onChange={e => setCompany('address', e.target.value)} /></div>
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Document Numbering</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Series restart every April 1 for the new financial year.</p>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Document</th><th>Prefix</th><th>Digits</th><th>Next Number</th><th></th></tr></thead>
+              <tbody>
+                {SERIES.map(({ key, label }) => (
+                  <tr key={key}>
+                    <td><strong>{label}</strong></td>
+                    <td><input className="form-control" disabled={!isOwner} value={settings.numbering[key].prefix} onChange={e => setSeries(key, 'prefix', e.target.value)} /></td>
+                    <td><input className="form-control" type="number" min="1" max="10" disabled={!isOwner} value={settings.numbering[key].padding} onChange={e => setSeries(key, 'padding', e.target.value)} /></td>
+                    <td><code>{numbering[key]?.preview}</code></td>
+                    <td>{isOwner && <button type="button" className="btn btn-sm btn-secondary" onClick={() => handleSetNext(key)}>Set Next</button>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Inventory Costing</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>How stock going out is costed on sales, write-offs and the valuation report. Each sale line keeps the cost it was billed at.</p>
+          <div className="form-group" style={{ maxWidth: 320 }}><label className="form-label">Method</label>
+            <select className="form-control" disabled={!isOwner} value={settings.costing?.method || 'wac'} onChange={e => setSettings(p => ({ ...p, costing: { ...p.costing, method: e.target.value } }))}>
+              <option value="wac">Moving weighted average</option>
+              <option value="fifo">FIFO (first in, first out)</option>
+            </select>
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Reorder Suggestions</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>A SKU is due once stock on hand and on order covers less than its lead time plus the safety days of recent sales. Orders top it up by the cover days on top.</p>
+          <div className="grid grid-4">
+            {REORDER_FIELDS.map(([key, label, fallback]) => (
+              <div key={key} className="form-group"><label className="form-label">{label}</label>
+                <input className="form-control" type="number" min={key === 'velocityDays' ? 1 : 0} disabled={!isOwner} value={settings.reorder?.[key] ?? fallback} onChange={e => setSettings(p => ({ ...p, reorder: { ...p.reorder, [key]: e.target.value } }))} />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-4">
+            <div className="form-group"><label className="form-label">Demand From</label>
+              <select className="form-control" disabled={!isOwner} value={settings.reorder?.useForecast ? 'forecast' : 'velocity'} onChange={e => setSettings(p => ({ ...p, reorder: { ...p.reorder, useForecast: e.target.value === 'forecast' } }))}>
+                <option value="velocity">Recent sales rate</option>
+                <option value="forecast">SKU demand forecast</option>
+              </select>
+            </div>
+            <div className="form-group"><label className="form-label">Forecast History (weeks)</label>
+              <input className="form-control" type="number" min="8" max="260" disabled={!isOwner} value={settings.forecast?.historyWeeks ?? 104} onChange={e => setSettings(p => ({ ...p, forecast: { ...p.forecast, historyWeeks: e.target.value } }))} />
+            </div>
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Order Reservations</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Confirmed orders and sales awaiting credit approval hold their stock until dispatched. If they aren't dispatched in time the stock goes back on sale.</p>
+          <div className="form-group" style={{ maxWidth: 240 }}><label className="form-label">Reserve for (days)</label>
+            <input className="form-control" type="number" min="1" disabled={!isOwner} value={settings.reservation?.days ?? 3} onChange={e => setSettings(p => ({ ...p, reservation: { ...p.reservation, days: e.target.value } }))} />
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>SKU Classification</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Recomputed daily from posted sales. ABC ranks SKUs by their share of revenue; XYZ by how much monthly demand varies (coefficient of variation).</p>
+          <div className="grid grid-4">
+            {ANALYSIS_FIELDS.map(([group, key, label, fallback]) => (
+              <div key={`${group}.${key}`} className="form-group"><label className="form-label">{label}</label>
+                <input className="form-control" type="number" min="0" step="any" disabled={!isOwner}
+                  value={(group ? settings.analysis?.[group]?.[key] : settings.analysis?.[key]) ?? fallback}
+                  onChange={e => setSettings(p => ({ ...p, analysis: group ? { ...p.analysis, [group]: { ...p.analysis?.[group], [key]: e.target.value } } : { ...p.analysis, [key]: e.target.value } }))} />
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 4 }}>Expiry Alerts</h3>
+          <p className="text-muted text-sm" style={{ marginBottom: 16 }}>Batches start showing as "expiring in N days" this many days ahead.</p>
+          <div className="form-group" style={{ maxWidth: 240 }}><label className="form-label">Default (days)</label><input className="form-control" type="number" min="1" disabled={!isOwner} value={settings.expiry?.alertDays ?? 30} onChange={e => setExpiry('alertDays', e.target.value)} /></div>
+          {(settings.expiry?.byCategory || []).map((c, i) => (
+            <div key={i} className="grid" style={{ gridTemplateColumns: '2fr 1fr auto', gap: 8, marginBottom: 8 }}>
+              <input className="form-control" placeholder="Category (e.g. Dairy)" disabled={!isOwner} value={c.category} onChange={e => setCategoryDays(i, 'category', e.target.value)} />
+              <input className="form-control" type="number" min="1" placeholder="Days" disabled={!isOwner} value={c.alertDays} onChange={e => setCategoryDays(i, 'alertDays', e.target.value)} />
+              {isOwner && <button type="button" className="btn-icon" onClick={() => setExpiry('byCategory', settings.expiry.byCategory.filter((_, idx) => idx !== i))}>🗑️</button>}
+            </div>
+          ))}
+          {isOwner && <button type="button" className="btn btn-secondary btn-sm" onClick={() => setExpiry('byCategory', [...(settings.expiry?.byCategory || []), { category: '', alertDays: 7 }])}>+ Category Rule</button>}
+        </div>
+        {isOwner && <div className="flex justify-between"><span /><button type="submit" className="btn btn-primary">Save Settings</button></div>}
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const INIT = { warehouse: '', type: 'full', brand: '', category: '', notes: '' }
+const STATUS = { counting: ['warning', 'Counting'], posted: ['success', 'Posted'], cancelled: ['neutral', 'Cancelled'] }
+
+export default function StockCounts() {
+  const { user } = useAuth()
+  const [counts, setCounts] = useState([])
+  const [warehouses, setWarehouses] = useState([])
+  const [brands, setBrands] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [session, setSession] = useState(null)
+  const [entered, setEntered] = useState({})
+  const [onlyVariances, setOnlyVariances] = useState(false)
+
+  const load = async () => {
+    try { const { data } = await api.get('/stock-counts'); setCounts(data) }
+    catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [])
+  useEffect(() => {
+    api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {})
+    api.get('/brands').then(r => setBrands(r.data)).catch(() => {})
+    api.get('/skus').then(r => setCategories([...new Set(r.data.map(s => s.category).filter(Boolean))].sort())).catch(() => {})
+  }, [])
+
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+
+  const show = (data) => {
+    setSession(data)
+    setEntered(Object.fromEntries(data.items.map(i => [i.sku, i.countedQty ?? ''])))
+  }
+  const openSession = async (c) => {
+    try { const { data } = await api.get(`/stock-counts/${c._id}`); show(data) }
+    catch { toast.error('Failed to load count') }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      const { data } = await api.post('/stock-counts', { ...form, warehouse: form.warehouse || undefined, brand: form.brand || undefined, category: form.category || undefined })
+      toast.success(`${data.countNumber} opened with ${data.items.length} SKUs`); setModal(false); load(); show(data)
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const saveCounts = async () => {
+    try {
+      const changed = session.items.filter(i => String(entered[i.sku] ?? '') !== String(i.countedQty ?? ''))
+      if (!changed.length) return toast('No changes to save')
+      const { data } = await api.put(`/stock-counts/${session._id}/counts`, { counts: changed.map(i => ({ sku: i.sku, countedQty: entered[i.sku] })) })
+      toast.success('Counts saved'); show(data); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    const formData = new FormData()
+    formData.append('file', file)
+    try {
+      const { data } = await api.post(`/stock-counts/${session._id}/upload`, formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+      toast.success(`${data.summary.counted} of ${data.summary.lines} lines counted`)
+      if (data.unmatched.length) toast(`Not in this count: ${data.unmatched.join(', ')}`, { icon: '⚠️', duration: 6000 })
+      show(data); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Upload failed') }
+  }
+
+  // Blank count sheet; system quantities are left off so the count stays blind
+  const downloadSheet = () => {
+    const csv = 'Code,Name,Unit,Counted\n' + session.items.map(i => `"${i.code}","${i.skuName}","${i.unit || ''}",`).join('\n')
+    const blob = new Blob([csv], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a'); a.href = url; a.download = `${session.countNumber.replace(/\//g, '-')}.csv`; a.click()
+  }
+
+  const handleApprove = async () => {
+    const s = session.summary
+    if (!confirm(`Post ${s.withVariance} variance(s) to stock?\nShort ${fmt(s.shortValue)} · Excess ${fmt(s.excessValue)} · Net ${fmt(s.netValue)}\n${s.lines - s.counted} uncounted line(s) are left as they are.`)) return
+    try { const { data } = await api.post(`/stock-counts/${session._id}/approve`); toast.success('Variances posted'); show(data); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handleCancel = async () => {
+    if (!confirm(`Cancel ${session.countNumber}? Nothing will be posted.`)) return
+    try { const { data } = await api.post(`/stock-counts/${session._id}/cancel`); toast.success('Count cancelled'); show(data); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const scopeText = (c) => c.scope?.type === 'cycle' ? `Cycle · ${[c.scope.brand?.name, c.scope.category].filter(Boolean).join(' / ')}` : 'Full'
+
+  if (session) {
+    const editable = session.status === 'counting'
+    const rows = onlyVariances ? session.items.filter(i => i.countedQty !== null && i.variance) : session.items
+    const s = session.summary
+    return (
+      <div className="page">
+        <div className="page-header">
+          <h1 className="page-title">{session.countNumber} — {session.warehouse?.name}</h1>
+          <div className="flex gap-2">
+            <button className="btn btn-secondary" onClick={() => setSession(null)}>← All Counts</button>
+            {editable && <>
+              <button className="btn btn-secondary" onClick={downloadSheet}>📥 Count Sheet</button>
+              <label className="btn btn-secondary" style={{ cursor: 'pointer' }}>📤 Upload<input type="file" accept=".xlsx,.xls,.csv" hidden onChange={handleUpload} /></label>
+              <button className="btn btn-primary" onClick={saveCounts}>💾 Save Counts</button>
+            </>}
+          </div>
+        </div>
+        <div className="grid grid-4" style={{ marginBottom: 20 }}>
+          <div className="stat-card"><div className="stat-value">{s.counted}/{s.lines}</div><div className="stat-label">Lines Counted</div></div>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}><div className="stat-value">{fmt(s.shortValue)}</div><div className="stat-label">Shortage at Cost</div></div>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--success)' }}><div className="stat-value">{fmt(s.excessValue)}</div><div className="stat-label">Excess at Cost</div></div>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--primary)' }}><div className="stat-value">{fmt(s.netValue)}</div><div className="stat-label">Net Variance</div></div>
+        </div>
+        <div className="filters-bar">
+          <span className="text-muted">{scopeText(session)} · opened {date(session.countDate)} · <span className={`badge badge-${STATUS[session.status][0]}`}>{STATUS[session.status][1]}</span></span>
+          <label className="flex gap-2 items-center"><input type="checkbox" checked={onlyVariances} onChange={e => setOnlyVariances(e.target.checked)} /> Only variances</label>
+          {editable && <div className="flex gap-2" style={{ marginLeft: 'auto' }}>
+            <button className="btn btn-secondary" onClick={handleCancel}>✖ Cancel Count</button>
+            {user?.role === 'owner' && <button className="btn btn-success" onClick={handleApprove}>✅ Approve &amp; Post</button>}
+          </div>}
+        </div>
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Code</th><th>Product</th><th>System</th><th>Counted</th><th>Variance</th><th>Unit Cost</th><th>Value</th></tr></thead>
+              <tbody>
+                {rows.length === 0 && <tr><td colSpan={7}><div className="empty-state"><p>No variances</p></div></td></tr>}
+                {rows.map(i => (
+                  <tr key={i.sku} style={{ background: i.countedQty !== null && i.variance ? (i.variance < 0 ? '#fff1f2' : '#f0fdf4') : undefined }}>
+                    <td><code>{i.code}</code></td>
+                    <td><strong>{i.skuName}</strong></td>
+                    <td>{i.systemQty} {i.unit}</td>
+                    <td>{editable
+                      ? <input className="form-control" type="number" min="0" style={{ width: 110 }} value={entered[i.sku] ?? ''} onChange={e => setEntered(p => ({ ...p, [i.sku]: e.target.value }))} />
+                      : i.countedQty ?? '—'}</td>
+                    <td style={{ fontWeight: 700, color: i.variance < 0 ? 'var(--danger)' : i.variance > 0 ? 'var(--success)' : undefined }}>{i.countedQty === null ? '—' : i.variance > 0 ? `+${i.variance}` : i.variance}</td>
+                    <td className="text-muted">{fmt(i.unitCost)}</td>
+                    <td style={{ fontWeight: 600 }}>{i.countedQty === null ? '—' : fmt(i.varianceValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Stock Counts</h1>
+        <button className="btn btn-primary" onClick={() => { setForm({ ...INIT, warehouse: warehouses.find(w => w.isDefault)?._id || '' }); setModal(true) }}>+ New Count</button>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Count #</th><th>Date</th><th>Warehouse</th><th>Scope</th><th>Counted</th><th>Net Variance</th><th>Status</th><th>Actions</th></tr></thead>
+              <tbody>
+                {counts.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">📋</div><p>No stock counts yet</p></div></td></tr>}
+                {counts.map(c => (
+                  <tr key={c._id}>
+                    <td><strong>{c.countNumber}</strong></td>
+                    <td className="text-muted">{date(c.countDate)}</td>
+                    <td>{c.warehouse?.name}</td>
+                    <td>{scopeText(c)}</td>
+                    <td>{c.summary.counted}/{c.summary.lines}</td>
+                    <td style={{ fontWeight: 600, color: c.summary.netValue < 0 ? 'var(--danger)' : undefined }}>{fmt(c.summary.netValue)}</td>
+                    <td><span className={`badge badge-${STATUS[c.status][0]}`}>{STATUS[c.status][1]}</span>{c.approvedBy && <><br /><span className="text-muted text-sm">by {c.approvedBy.name}</span></>}</td>
+                    <td><button className="btn btn-sm btn-secondary" onClick={() => openSession(c)}>{c.status === 'counting' ? '✏️ Count' : '👁️ View'}</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">New Stock Count</h2>
+            <form onSubmit={handleCreate}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Warehouse</label>
+                  <select className="form-control" value={form.warehouse} onChange={e => f('warehouse', e.target.value)}>
+                    {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Count Type</label>
+                  <select className="form-control" value={form.type} onChange={e => f('type', e.target.value)}>
+                    <option value="full">Full count</option><option value="cycle">Cycle count</option>
+                  </select>
+                </div>
+              </div>
+              {form.type === 'cycle' && <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Brand</label>
+                  <select className="form-control" value={form.brand} onChange={e => f('brand', e.target.value)}>
+                    <option value="">Any brand</option>
+                    {brands.map(b => <option key={b._id} value={b._id}>{b.name}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">Category</label>
+                  <select className="form-control" value={form.category} onChange={e => f('category', e.target.value)}>
+                    <option value="">Any category</option>
+                    {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+              </div>}
+              <div className="form-group"><label className="form-label">Notes</label><input className="form-control" value={form.notes} onChange={e => f('notes', e.target.value)} /></div>
+              <p className="text-muted text-sm">System stock is frozen when the count opens. Variances post against that snapshot, so billing can carry on while you count.</p>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Open Count</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
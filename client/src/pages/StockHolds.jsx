@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const TABS = [
+  { key: 'quarantine', label: '🚧 Quarantine', badge: 'warning' },
+  { key: 'damaged',    label: '💥 Damaged',    badge: 'danger' },
+  { key: 'reserved',   label: '🔒 Reserved',   badge: 'info' },
+  { key: 'closed',     label: '📁 Closed',     badge: 'neutral' },
+]
+const ACTIONS = { release: 'Released', scrap: 'Scrapped', return_to_brand: 'Returned to brand' }
+const INIT = { sku: '', warehouse: '', batch: '', state: 'quarantine', quantity: '', reason: '' }
+
+export default function StockHolds() {
+  const [tab, setTab] = useState('quarantine')
+  const [holds, setHolds] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [warehouses, setWarehouses] = useState([])
+  const [warehouse, setWarehouse] = useState('')
+  const [skus, setSkus] = useState([])
+  const [batches, setBatches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [disposing, setDisposing] = useState(null)
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      const params = { warehouse: warehouse || undefined, ...(tab === 'closed' ? { status: 'closed' } : { state: tab }) }
+      const [h, s] = await Promise.all([api.get('/stock-holds', { params }), api.get('/stock-holds/summary', { params: { warehouse: warehouse || undefined } })])
+      setHolds(h.data); setSummary(s.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [tab, warehouse])
+  useEffect(() => {
+    api.get('/warehouses').then(r => setWarehouses(r.data.filter(w => w.active))).catch(() => {})
+    api.get('/skus').then(r => setSkus(r.data.filter(s => s.active))).catch(() => {})
+  }, [])
+  useEffect(() => {
+    if (!form.sku) return setBatches([])
+    api.get('/batches', { params: { sku: form.sku, warehouse: form.warehouse || undefined } }).then(r => setBatches(r.data)).catch(() => setBatches([]))
+  }, [form.sku, form.warehouse])
+
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const sku = skus.find(s => s._id === form.sku)
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      await api.post('/stock-holds', { ...form, warehouse: form.warehouse || undefined, batch: form.batch || undefined })
+      toast.success(form.state === 'reserved' ? 'Stock reserved' : `Moved to ${form.state}`); setModal(false); setForm(INIT); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleDispose = async (e) => {
+    e.preventDefault()
+    try {
+      await api.post(`/stock-holds/${disposing.hold._id}/dispose`, { action: disposing.action, quantity: disposing.quantity, note: disposing.note })
+      toast.success(ACTIONS[disposing.action]); setDisposing(null); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+  const openDispose = (hold, action) => setDisposing({ hold, action, quantity: hold.quantity, note: '' })
+
+  const current = TABS.find(t => t.key === tab)
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Quarantine &amp; Holds</h1>
+        <button className="btn btn-primary" onClick={() => { setForm({ ...INIT, warehouse }); setModal(true) }}>+ Move Stock</button>
+      </div>
+      {summary && (
+        <div className="grid grid-3" style={{ marginBottom: 20 }}>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--warning)' }}><div className="stat-value">{fmt(summary.quarantine.value)}</div><div className="stat-label">In Quarantine · {summary.quarantine.holds} hold(s)</div></div>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}><div className="stat-value">{fmt(summary.damaged.value)}</div><div className="stat-label">Damaged · {summary.damaged.holds} hold(s)</div></div>
+          <div className="stat-card" style={{ borderLeft: '4px solid var(--primary)' }}><div className="stat-value">{fmt(summary.reserved.value)}</div><div className="stat-label">Reserved · {summary.reserved.holds} hold(s)</div></div>
+        </div>
+      )}
+      <div className="filters-bar">
+        <div className="flex gap-2">
+          {TABS.map(t => <button key={t.key} className={`btn btn-sm ${tab === t.key ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab(t.key)}>{t.label}</button>)}
+        </div>
+        {warehouses.length > 1 && (
+          <select className="form-control" value={warehouse} onChange={e => setWarehouse(e.target.value)}>
+            <option value="">All warehouses</option>
+            {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+          </select>
+        )}
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Product</th><th>Warehouse</th>{tab === 'closed' && <th>State</th>}<th>Batches</th><th>Held</th><th>Value</th><th>Reason / Source</th><th>Since</th><th>{tab === 'closed' ? 'Outcome' : 'Actions'}</th></tr></thead>
+              <tbody>
+                {holds.length === 0 && <tr><td colSpan={9}><div className="empty-state"><div className="empty-icon">🚧</div><p>Nothing {tab === 'closed' ? 'closed yet' : `in ${current.label.slice(3).toLowerCase()}`}</p></div></td></tr>}
+                {holds.map(h => (
+                  <tr key={h._id}>
+                    <td><strong>{h.skuName}</strong> <span className="text-muted text-sm">{h.sku?.code}</span></td>
+                    <td className="text-muted">{h.warehouse?.name}</td>
+                    {tab === 'closed' && <td><span className={`badge badge-${TABS.find(t => t.key === h.state)?.badge}`}>{h.state}</span></td>}
+                    <td className="text-muted text-sm">{h.batches.map(b => b.batchNo).filter(Boolean).join(', ') || '—'}</td>
+                    <td style={{ fontWeight: 700 }}>{tab === 'closed' ? h.originalQty : h.quantity} {h.sku?.unit}</td>
+                    <td>{fmt((tab === 'closed' ? h.originalQty : h.quantity) * h.unitCost)}</td>
+                    <td>{h.reason}{h.refNumber && <div className="text-muted text-sm">{h.refModel} {h.refNumber}</div>}</td>
+                    <td className="text-muted">{date(h.createdAt)}{h.expiresAt && h.status === 'open' && <div className="text-sm">until {date(h.expiresAt)}</div>}</td>
+                    <td>
+                      {h.status === 'open' ? (
+                        <div className="flex gap-2">
+                          <button className="btn btn-sm btn-success" onClick={() => openDispose(h, 'release')}>↩ Release</button>
+                          {h.state !== 'reserved' && <>
+                            <button className="btn btn-sm btn-secondary" onClick={() => openDispose(h, 'return_to_brand')}>🚚 To Brand</button>
+                            <button className="btn btn-sm btn-danger" onClick={() => openDispose(h, 'scrap')}>🗑 Scrap</button>
+                          </>}
+                        </div>
+                      ) : (
+                        <span className="text-sm">{h.dispositions.map(d => `${ACTIONS[d.action]} ${d.quantity}`).join(' · ')}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Move Stock</h2>
+            <form onSubmit={handleCreate}>
+              <div className="form-group"><label className="form-label">Product *</label>
+                <select className="form-control" required value={form.sku} onChange={e => setForm(p => ({ ...p, sku: e.target.value, batch: '' }))}>
+                  <option value="">Select SKU</option>
+                  {skus.map(s => <option key={s._id} value={s._id}>{s.name} ({s.code})</option>)}
+                </select>
+              </div>
+              <div className="grid grid-2">
+                {warehouses.length > 1 && <div className="form-group"><label className="form-label">Warehouse</label>
+                  <select className="form-control" value={form.warehouse} onChange={e => setForm(p => ({ ...p, warehouse: e.target.value, batch: '' }))}>
+                    <option value="">Main warehouse</option>
+                    {warehouses.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>}
+                <div className="form-group"><label className="form-label">Move To *</label>
+                  <select className="form-control" value={form.state} onChange={e => setForm(p => ({ ...p, state: e.target.value, batch: e.target.value === 'reserved' ? '' : p.batch }))}>
+                    <option value="quarantine">Quarantine</option>
+                    <option value="damaged">Damaged</option>
+                    <option value="reserved">Reserved</option>
+                  </select>
+                </div>
+              </div>
+              {form.state !== 'reserved' && batches.length > 0 && <div className="form-group"><label className="form-label">Batch</label>
+                <select className="form-control" value={form.batch} onChange={e => f('batch', e.target.value)}>
+                  <option value="">First expiry first</option>
+                  {batches.map(b => <option key={b._id} value={b._id}>{b.batchNo} · {b.quantity} left{b.expiryDate ? ` · exp ${date(b.expiryDate)}` : ''}</option>)}
+                </select>
+              </div>}
+              <div className="form-group"><label className="form-label">Quantity{sku ? ` (${sku.unit})` : ''} *</label>
+                <input className="form-control" type="number" min="1" required value={form.quantity} onChange={e => f('quantity', e.target.value)} />
+              </div>
+              <div className="form-group"><label className="form-label">Reason *</label>
+                <input className="form-control" required placeholder="e.g. Leaking cartons, awaiting QC" value={form.reason} onChange={e => f('reason', e.target.value)} />
+              </div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Move</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {disposing && (
+        <div className="modal-overlay" onClick={() => setDisposing(null)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{{ release: 'Release', scrap: 'Scrap', return_to_brand: 'Return to Brand' }[disposing.action]} — {disposing.hold.skuName}</h2>
+            <p className="text-muted text-sm" style={{ marginBottom: 16 }}>
+              {disposing.action === 'release' && (disposing.hold.state === 'reserved' ? 'The reserved quantity becomes available to sell again.' : 'Goods go back into sellable stock at the cost they were held at.')}
+              {disposing.action === 'scrap' && 'A write-off is booked at the held cost.'}
+              {disposing.action === 'return_to_brand' && 'Goods leave the books; their held value is recorded for the brand claim.'}
+            </p>
+            <form onSubmit={handleDispose}>
+              <div className="form-group"><label className="form-label">Quantity (of {disposing.hold.quantity} held)</label>
+                <input className="form-control" type="number" min="1" max={disposing.hold.quantity} required value={disposing.quantity} onChange={e => setDisposing(p => ({ ...p, quantity: e.target.value }))} />
+              </div>
+              <div className="form-group"><label className="form-label">Note</label>
+                <input className="form-control" value={disposing.note} onChange={e => setDisposing(p => ({ ...p, note: e.target.value }))} />
+              </div>
+              <div className="text-muted text-sm" style={{ marginBottom: 8 }}>Value: {fmt((Number(disposing.quantity) || 0) * disposing.hold.unitCost)}</div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setDisposing(null)}>Cancel</button><button type="submit" className={`btn ${disposing.action === 'scrap' ? 'btn-danger' : 'btn-primary'}`}>Confirm</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
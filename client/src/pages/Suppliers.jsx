@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const INIT = { name: '', contactPerson: '', phone: '', email: '', address: '', city: '', gstin: '', paymentTermsDays: 30, brands: [], active: true, notes: '' }
+
+export default function Suppliers() {
+  const [suppliers, setSuppliers] = useState([])
+  const [brands, setBrands] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [editId, setEditId] = useState(null)
+  const [statement, setStatement] = useState(null)
+  const [period, setPeriod] = useState({ from: '', to: '' })
+
+  const load = async () => {
+    try {
+      const { data } = await api.get('/suppliers', { params: { search: search || undefined } })
+      setSuppliers(data)
+    } catch { toast.error('Failed to load suppliers') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [search])
+  useEffect(() => { api.get('/brands').then(r => setBrands(r.data)).catch(() => {}) }, [])
+
+  const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
+  const openEdit = (s) => { setForm({ ...INIT, ...s, brands: s.brands.map(b => b._id) }); setEditId(s._id); setModal(true) }
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const toggleBrand = (id) => f('brands', form.brands.includes(id) ? form.brands.filter(b => b !== id) : [...form.brands, id])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const payload = { ...form, paymentTermsDays: Number(form.paymentTermsDays), gstin: form.gstin || null }
+      if (editId) await api.put(`/suppliers/${editId}`, payload)
+      else await api.post('/suppliers', payload)
+      toast.success(editId ? 'Supplier updated!' : 'Supplier added!'); setModal(false); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error saving') }
+  }
+
+  const handleDelete = async (s) => {
+    if (!confirm(`Delete ${s.name}?`)) return
+    try { await api.delete(`/suppliers/${s._id}`); toast.success('Deleted'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+  }
+
+  const openStatement = async (supplier, range = period) => {
+    try {
+      const { data } = await api.get(`/suppliers/${supplier._id}/statement`, { params: { from: range.from || undefined, to: range.to || undefined } })
+      setStatement(data)
+    } catch { toast.error('Failed to load statement') }
+  }
+
+  const owed = suppliers.reduce((a, s) => a + Math.max(0, s.outstandingBalance || 0), 0)
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Suppliers <span style={{ fontSize: 18, color: 'var(--text-muted)' }}>({suppliers.length})</span></h1>
+        <button className="btn btn-primary" onClick={openAdd}>+ Add Supplier</button>
+      </div>
+      <div className="filters-bar">
+        <div className="search-bar">
+          <span className="search-icon">🔍</span>
+          <input className="form-control" placeholder="Search by name, contact, phone or GSTIN…" value={search} onChange={e => setSearch(e.target.value)} />
+        </div>
+        <span className="text-muted">Total payable: <strong style={{ color: 'var(--danger)' }}>{fmt(owed)}</strong></span>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Name</th><th>Contact</th><th>GSTIN</th><th>Brands</th><th>Terms</th><th>Payable</th><th>Status</th><th>Actions</th></tr></thead>
+              <tbody>
+                {suppliers.length === 0 && <tr><td colSpan={8}><div className="empty-state"><div className="empty-icon">🏢</div><p>No suppliers found</p></div></td></tr>}
+                {suppliers.map(s => (
+                  <tr key={s._id}>
+                    <td><strong>{s.name}</strong>{s.city && <><br /><span className="text-muted text-sm">{s.city}</span></>}</td>
+                    <td>{s.contactPerson}{s.phone && <><br /><span className="text-muted text-sm">{s.phone}</span></>}</td>
+                    <td><code style={{ fontSize: 12 }}>{s.gstin || '—'}</code></td>
+                    <td className="text-sm">{s.brands.map(b => b.name).join(', ') || '—'}</td>
+                    <td className="text-muted">{s.paymentTermsDays ? `${s.paymentTermsDays} days` : 'On receipt'}</td>
+                    <td style={{ color: s.outstandingBalance > 0 ? 'var(--danger)' : 'var(--success)', fontWeight: 600 }}>
+                      {fmt(Math.abs(s.outstandingBalance))}{s.outstandingBalance < 0 && <span className="text-sm"> advance</span>}
+                    </td>
+                    <td><span className={`badge badge-${s.active ? 'success' : 'neutral'}`}>{s.active ? 'active' : 'inactive'}</span></td>
+                    <td>
+                      <div className="flex gap-2">
+                        <button className="btn-icon" title="Statement" onClick={() => { setPeriod({ from: '', to: '' }); openStatement(s, { from: '', to: '' }) }}>📒</button>
+                        <button className="btn-icon" onClick={() => openEdit(s)}>✏️</button>
+                        <button className="btn-icon" onClick={() => handleDelete(s)}>🗑️</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{editId ? 'Edit Supplier' : 'Add Supplier'}</h2>
+            <form onSubmit={handleSave}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Name *</label><input className="form-control" required value={form.name} onChange={e => f('name', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">GSTIN</label><input className="form-control" maxLength={15} placeholder="27AAPFU0939F1ZV" value={form.gstin || ''} onChange={e => f('gstin', e.target.value.toUpperCase())} /></div>
+                <div className="form-group"><label className="form-label">Contact Person</label><input className="form-control" value={form.contactPerson || ''} onChange={e => f('contactPerson', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Phone</label><input className="form-control" value={form.phone || ''} onChange={e => f('phone', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Email</label><input className="form-control" type="email" value={form.email || ''} onChange={e => f('email', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">City</label><input className="form-control" value={form.city || ''} onChange={e => f('city', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Payment Terms (days)</label><input className="form-control" type="number" min="0" value={form.paymentTermsDays} onChange={e => f('paymentTermsDays', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Status</label>
+                  <select className="form-control" value={form.active ? 'active' : 'inactive'} onChange={e => f('active', e.target.value === 'active')}>
+                    <option value="active">Active</option><option value="inactive">Inactive</option>
+                  </select>
+                </div>
+              </div>
+              <div className="form-group"><label className="form-label">Address</label><textarea className="form-control" rows={2} value={form.address || ''} onChange={e => f('address', e.target.value)} /></div>
+              <div className="form-group"><label className="form-label">Brands Supplied</label>
+                <div className="flex gap-2" style={{ flexWrap: 'wrap' }}>
+                  {brands.map(b => (
+                    <label key={b._id} className="text-sm" style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                      <input type="checkbox" checked={form.brands.includes(b._id)} onChange={() => toggleBrand(b._id)} /> {b.name}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-muted text-sm" style={{ marginTop: 4 }}>Reorder suggestions buy a brand's SKUs from this supplier unless the SKU names its own.</p>
+              </div>
+              <div className="form-group"><label className="form-label">Notes</label><textarea className="form-control" rows={2} value={form.notes || ''} onChange={e => f('notes', e.target.value)} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">{editId ? 'Update' : 'Add Supplier'}</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {statement && (
+        <div className="modal-overlay" onClick={() => setStatement(null)}>
+          <div className="modal" style={{ maxWidth: 900 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">Statement — {statement.supplier.name}</h2>
+            <div className="flex gap-2 items-center" style={{ marginBottom: 12 }}>
+              <input className="form-control" type="date" value={period.from} onChange={e => setPeriod(p => ({ ...p, from: e.target.value }))} />
+              <span className="text-muted">to</span>
+              <input className="form-control" type="date" value={period.to} onChange={e => setPeriod(p => ({ ...p, to: e.target.value }))} />
+              <button className="btn btn-secondary btn-sm" onClick={() => openStatement(statement.supplier)}>Apply</button>
+              <button className="btn btn-secondary btn-sm" onClick={() => window.print()}>🖨️ Print</button>
+            </div>
+            <div className="table-wrapper">
+              <table>
+                <thead><tr><th>Date</th><th>Type</th><th>Number</th><th>Details</th><th>Billed</th><th>Paid</th><th>Balance</th></tr></thead>
+                <tbody>
+                  <tr><td className="text-muted">{period.from ? date(period.from) : ''}</td><td colSpan={5}><strong>Opening balance</strong></td><td style={{ fontWeight: 600 }}>{fmt(statement.opening)}</td></tr>
+                  {statement.entries.length === 0 && <tr><td colSpan={7}><div className="empty-state"><p>No bills or payments in this period</p></div></td></tr>}
+                  {statement.entries.map(e => (
+                    <tr key={`${e.type}-${e.id}`}>
+                      <td className="text-muted">{date(e.date)}</td>
+                      <td><span className={`badge badge-${e.type === 'bill' ? 'warning' : 'success'}`}>{e.type}</span></td>
+                      <td><code>{e.number}</code>{e.ref && <div className="text-muted text-sm">{e.ref}</div>}</td>
+                      <td className="text-muted text-sm">{e.detail}</td>
+                      <td>{e.billed ? fmt(e.billed) : ''}</td>
+                      <td style={{ color: 'var(--success)' }}>{e.paid ? fmt(e.paid) : ''}</td>
+                      <td style={{ fontWeight: 600 }}>{fmt(e.balance)}</td>
+                    </tr>
+                  ))}
+                  <tr><td colSpan={4}><strong>Closing balance</strong></td><td><strong>{fmt(statement.totalBilled)}</strong></td><td><strong>{fmt(statement.totalPaid)}</strong></td><td style={{ fontWeight: 700, color: statement.closing > 0 ? 'var(--danger)' : 'var(--success)' }}>{fmt(statement.closing)}</td></tr>
+                </tbody>
+              </table>
+            </div>
+            <div className="modal-footer"><button className="btn btn-secondary" onClick={() => setStatement(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
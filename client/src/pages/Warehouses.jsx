@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react'
+import api from '../api'
+import toast from 'react-hot-toast'
+
+const fmt = (n) => `₹${Number(n || 0).toLocaleString('en-IN')}`
+const date = (d) => d ? new Date(d).toLocaleDateString('en-IN') : '—'
+const INIT = { name: '', code: '', address: '', active: true }
+const ROW = () => ({ sku: '', quantity: 1, uom: '' })
+const TRANSFER = { from: '', to: '', notes: '', items: [ROW()] }
+const STATUS = { in_transit: ['warning', 'In Transit'], received: ['success', 'Received'], cancelled: ['neutral', 'Cancelled'] }
+
+export default function Warehouses() {
+  const [tab, setTab] = useState('warehouses')
+  const [warehouses, setWarehouses] = useState([])
+  const [transfers, setTransfers] = useState([])
+  const [skus, setSkus] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modal, setModal] = useState(false)
+  const [form, setForm] = useState(INIT)
+  const [editId, setEditId] = useState(null)
+  const [stock, setStock] = useState(null)
+  const [transferModal, setTransferModal] = useState(false)
+  const [transfer, setTransfer] = useState(TRANSFER)
+
+  const load = async () => {
+    try {
+      const [w, t] = await Promise.all([api.get('/warehouses'), api.get('/stock-transfers')])
+      setWarehouses(w.data); setTransfers(t.data)
+    } catch { toast.error('Failed to load') } finally { setLoading(false) }
+  }
+  useEffect(() => { load() }, [])
+  useEffect(() => { api.get('/skus').then(r => setSkus(r.data)).catch(() => {}) }, [])
+
+  const f = (k, v) => setForm(p => ({ ...p, [k]: v }))
+  const t = (k, v) => setTransfer(p => ({ ...p, [k]: v }))
+  const setRow = (i, k, v) => setTransfer(p => ({ ...p, items: p.items.map((r, idx) => idx === i ? { ...r, [k]: v, ...(k === 'sku' && { uom: '' }) } : r) }))
+  const skuOf = (id) => skus.find(s => s._id === id)
+  const active = warehouses.filter(w => w.active)
+
+  const openAdd = () => { setForm(INIT); setEditId(null); setModal(true) }
+  const openEdit = (w) => { setForm({ name: w.name, code: w.code, address: w.address || '', active: w.active }); setEditId(w._id); setModal(true) }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      if (editId) await api.put(`/warehouses/${editId}`, form)
+      else await api.post('/warehouses', form)
+      toast.success('Saved!'); setModal(false); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete warehouse?')) return
+    try { await api.delete(`/warehouses/${id}`); toast.success('Deleted'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+  }
+
+  const openStock = async (w) => {
+    try { const { data } = await api.get(`/warehouses/${w._id}/stock`); setStock(data) }
+    catch { toast.error('Failed to load stock') }
+  }
+
+  const openTransfer = () => {
+    setTransfer({ ...TRANSFER, from: warehouses.find(w => w.isDefault)?._id || '', items: [ROW()] })
+    setTransferModal(true)
+  }
+
+  const handleDispatch = async (e) => {
+    e.preventDefault()
+    try {
+      const items = transfer.items.filter(i => i.sku && i.quantity).map(i => ({ sku: i.sku, uom: i.uom || undefined, quantity: Number(i.quantity) }))
+      await api.post('/stock-transfers', { ...transfer, items })
+      toast.success('Transfer dispatched'); setTransferModal(false); setTab('transfers'); load()
+    } catch (err) { toast.error(err.response?.data?.message || 'Error') }
+  }
+
+  const handleReceive = async (tr) => {
+    if (!confirm(`Receive ${tr.transferNumber} into ${tr.to?.name}?`)) return
+    try { await api.post(`/stock-transfers/${tr._id}/receive`); toast.success('Transfer received'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  const handleCancel = async (tr) => {
+    const reason = prompt(`Reason for cancelling ${tr.transferNumber}? Stock goes back to ${tr.from?.name}.`)
+    if (!reason?.trim()) return
+    try { await api.post(`/stock-transfers/${tr._id}/cancel`, { reason }); toast.success('Transfer cancelled'); load() }
+    catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+  }
+
+  return (
+    <div className="page">
+      <div className="page-header">
+        <h1 className="page-title">Warehouses</h1>
+        <div className="flex gap-2">
+          <button className="btn btn-secondary" onClick={openTransfer} disabled={active.length < 2}>🚚 New Transfer</button>
+          <button className="btn btn-primary" onClick={openAdd}>+ New Warehouse</button>
+        </div>
+      </div>
+      <div className="filters-bar">
+        <div className="flex gap-2">
+          <button className={`btn ${tab === 'warehouses' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('warehouses')}>🏭 Warehouses</button>
+          <button className={`btn ${tab === 'transfers' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setTab('transfers')}>🚚 Transfers</button>
+        </div>
+      </div>
+      {loading ? <div className="loading-center"><div className="spinner" /></div> : (
+        <div className="card">
+          <div className="table-wrapper">
+            {tab === 'warehouses' ? (
+              <table>
+                <thead><tr><th>Code</th><th>Name</th><th>Address</th><th>Status</th><th>Actions</th></tr></thead>
+                <tbody>
+                  {warehouses.map(w => (
+                    <tr key={w._id}>
+                      <td><code>{w.code}</code></td>
+                      <td><strong>{w.name}</strong> {w.isDefault && <span className="badge badge-info">Default</span>}</td>
+                      <td className="text-muted">{w.address || '—'}</td>
+                      <td><span className={`badge badge-${w.active ? 'success' : 'neutral'}`}>{w.active ? 'Active' : 'Inactive'}</span></td>
+                      <td><div className="flex gap-2">
+                        <button className="btn btn-sm btn-secondary" onClick={() => openStock(w)}>📦 Stock</button>
+                        <button className="btn-icon" onClick={() => openEdit(w)}>✏️</button>
+                        {!w.isDefault && <button className="btn-icon" onClick={() => handleDelete(w._id)}>🗑️</button>}
+                      </div></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <table>
+                <thead><tr><th>Transfer #</th><th>Dispatched</th><th>From → To</th><th>Items</th><th>Status</th><th>Actions</th></tr></thead>
+                <tbody>
+                  {transfers.length === 0 && <tr><td colSpan={6}><div className="empty-state"><div className="empty-icon">🚚</div><p>No transfers yet</p></div></td></tr>}
+                  {transfers.map(tr => (
+                    <tr key={tr._id}>
+                      <td><strong>{tr.transferNumber}</strong></td>
+                      <td className="text-muted">{date(tr.dispatchDate)}{tr.receivedDate && <><br /><span className="text-sm">Recd {date(tr.receivedDate)}</span></>}</td>
+                      <td>{tr.from?.name} → {tr.to?.name}</td>
+                      <td className="text-sm">{tr.items.map(i => <div key={i._id}>{i.skuName} × {i.quantityText || i.quantity}</div>)}</td>
+                      <td><span className={`badge badge-${STATUS[tr.status][0]}`}>{STATUS[tr.status][1]}</span>{tr.cancellation?.reason && <><br /><span className="text-muted text-sm">{tr.cancellation.reason}</span></>}</td>
+                      <td>{tr.status === 'in_transit' && <div className="flex gap-2">
+                        <button className="btn btn-sm btn-success" onClick={() => handleReceive(tr)}>✅ Receive</button>
+                        <button className="btn btn-sm btn-secondary" onClick={() => handleCancel(tr)}>✖ Cancel</button>
+                      </div>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+      {modal && (
+        <div className="modal-overlay" onClick={() => setModal(false)}>
+          <div className="modal" onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{editId ? 'Edit Warehouse' : 'New Warehouse'}</h2>
+            <form onSubmit={handleSave}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">Name *</label><input className="form-control" required value={form.name} onChange={e => f('name', e.target.value)} /></div>
+                <div className="form-group"><label className="form-label">Code *</label><input className="form-control" required value={form.code} onChange={e => f('code', e.target.value.toUpperCase())} /></div>
+              </div>
+              <div className="form-group"><label className="form-label">Address</label><input className="form-control" value={form.address} onChange={e => f('address', e.target.value)} /></div>
+              <div className="form-group"><label className="form-label">Status</label><select className="form-control" value={form.active ? 'active' : 'inactive'} onChange={e => f('active', e.target.value === 'active')}><option value="active">Active</option><option value="inactive">Inactive</option></select></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Save</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+      {stock && (
+        <div className="modal-overlay" onClick={() => setStock(null)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">{stock.warehouse.name} — stock on hand</h2>
+            <div className="table-wrapper">
+              <table>
+                <thead><tr><th>SKU</th><th>Brand</th><th>On Hand</th><th>Value</th></tr></thead>
+                <tbody>
+                  {stock.stock.length === 0 && <tr><td colSpan={4}><div className="empty-state"><p>Nothing held here</p></div></td></tr>}
+                  {stock.stock.map(s => (
+                    <tr key={s.sku}><td><strong>{s.name}</strong> <span className="text-muted text-sm">{s.code}</span></td><td className="text-muted">{s.brand || '—'}</td><td style={{ fontWeight: 600 }}>{s.quantityText}</td><td>{fmt(s.value)}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="modal-footer"><span style={{ marginRight: 'auto', fontWeight: 600 }}>Total {fmt(stock.totalValue)}</span><button className="btn btn-secondary" onClick={() => setStock(null)}>Close</button></div>
+          </div>
+        </div>
+      )}
+      {transferModal && (
+        <div className="modal-overlay" onClick={() => setTransferModal(false)}>
+          <div className="modal" style={{ maxWidth: 700 }} onClick={e => e.stopPropagation()}>
+            <h2 className="modal-title">New Stock Transfer</h2>
+            <form onSubmit={handleDispatch}>
+              <div className="grid grid-2">
+                <div className="form-group"><label className="form-label">From *</label>
+                  <select className="form-control" required value={transfer.from} onChange={e => t('from', e.target.value)}>
+                    <option value="">Select warehouse</option>
+                    {active.map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>
+                <div className="form-group"><label className="form-label">To *</label>
+                  <select className="form-control" required value={transfer.to} onChange={e => t('to', e.target.value)}>
+                    <option value="">Select warehouse</option>
+                    {active.filter(w => w._id !== transfer.from).map(w => <option key={w._id} value={w._id}>{w.name}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div style={{ marginBottom: 16 }}>
+                <div className="flex justify-between items-center" style={{ marginBottom: 10 }}>
+                  <label className="form-label" style={{ marginBottom: 0 }}>Items</label>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => t('items', [...transfer.items, ROW()])}>+ Item</button>
+                </div>
+                {transfer.items.map((row, i) => (
+                  <div key={i} className="grid" style={{ gridTemplateColumns: '3fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}>
+                    <select className="form-control" value={row.sku} onChange={e => setRow(i, 'sku', e.target.value)}>
+                      <option value="">Select SKU</option>
+                      {skus.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                    </select>
+                    <input className="form-control" type="number" min="1" value={row.quantity} onChange={e => setRow(i, 'quantity', e.target.value)} />
+                    <select className="form-control" value={row.uom} onChange={e => setRow(i, 'uom', e.target.value)}>
+                      <option value="">{skuOf(row.sku)?.unit || 'unit'}</option>
+                      {skuOf(row.sku)?.uoms?.map(u => <option key={u.name} value={u.name}>{u.name} ({u.factor})</option>)}
+                    </select>
+                    {transfer.items.length > 1 && <button type="button" className="btn-icon" onClick={() => t('items', transfer.items.filter((_, idx) => idx !== i))}>🗑️</button>}
+                  </div>
+                ))}
+                <p className="text-muted text-sm">Stock leaves the source first-expiry-first-out and is in transit until the destination receives it.</p>
+              </div>
+              <div className="form-group"><label className="form-label">Notes</label><input className="form-control" value={transfer.notes} onChange={e => t('notes', e.target.value)} /></div>
+              <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={() => setTransferModal(false)}>Cancel</button><button type="submit" className="btn btn-primary">Dispatch</button></div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
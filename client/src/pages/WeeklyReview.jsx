@@ -53,6 +53,27 @@ export default function WeeklyReview() {
           <div className="empty-state"><div className="empty-icon">📅</div><p>No sales this week</p></div>
         )}
       </div>
+      <div className="card" style={{ marginTop: 20 }}>
+        <h3 style={{ marginBottom: 4, fontWeight: 700 }}>Dead Stock to Clear</h3>
+        <p className="text-muted text-sm" style={{ marginBottom: 16 }}>SKUs classed DEAD that still hold stock — {fmt(data?.deadStock?.reduce((a, s) => a + s.value, 0))} tied up.</p>
+        <div className="table-wrapper">
+          <table>
+            <thead><tr><th>Product</th><th>Code</th><th>Stock</th><th>Value</th><th>Last Sale</th></tr></thead>
+            <tbody>
+              {!data?.deadStock?.length && <tr><td colSpan={5}><div className="empty-state"><p>No dead stock</p></div></td></tr>}
+              {data?.deadStock?.map(s => (
+                <tr key={s._id}>
+                  <td><strong>{s.name}</strong></td>
+                  <td className="text-muted">{s.code}</td>
+                  <td>{s.stockText}</td>
+                  <td>{fmt(s.value)}</td>
+                  <td className="text-muted">{s.lastSaleDate ? new Date(s.lastSaleDate).toLocaleDateString('en-IN') : 'Never'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
     </div>
   )
 }
@@ -0,0 +1,9 @@
+// Restrict a route to the given user roles. Must run after authMiddleware.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    return res.status(403).json({ message: 'You do not have permission to do this.' });
+  }
+  next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Short quantity on a sale line that was billed but not shipped.
+// Filled oldest-first as stock arrives on purchase order receipts.
+const backorderSchema = new mongoose.Schema({
+  sku:          { type: mongoose.Schema.Types.ObjectId, ref: 'SKU', required: true },
+  skuName:      { type: String },
+  sale:         { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+  saleItem:     { type: mongoose.Schema.Types.ObjectId },
+  invoiceNumber:{ type: String },
+  retailer:     { type: mongoose.Schema.Types.ObjectId, ref: 'Retailer', required: true },
+  retailerName: { type: String },
+  warehouse:    { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },  // godown the sale ships from
+  quantity:     { type: Number, required: true, min: 1 },
+  fulfilledQty: { type: Number, default: 0 },
+  status:       { type: String, enum: ['open', 'fulfilled', 'cancelled'], default: 'open' },
+  fulfilledDate:{ type: Date },
+  createdBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+backorderSchema.index({ sku: 1, status: 1, createdAt: 1 });
+
+// Allocate whatever sellable stock of a SKU is now on hand in a warehouse
+// (default if omitted) to the open backorders shipping from it, drawing
+// batches first-expiry-first-out. A bundle is filled from kits and its
+// components, and stock of a component goes on to fill the bundles made from
+// it. Returns the backorders that were touched.
+backorderSchema.statics.fulfilFromStock = async function (skuId, session, userId, warehouse) {
+  const SKU = mongoose.model('SKU');
+  const Sale = mongoose.model('Sale');
+  const Batch = mongoose.model('Batch');
+  const StockMovement = mongoose.model('StockMovement');
+  const Warehouse = mongoose.model('Warehouse');
+  const where = warehouse?._id ? warehouse : await Warehouse.resolve(warehouse, session);
+  const sku = await SKU.findById(skuId).session(session);
+  if (!sku) return [];
+  let available = await Batch.sellable(sku, where, session);
+  const open = available > 0
+    ? await this.find({ sku: skuId, warehouse: Warehouse.scope(where), status: 'open' }).sort({ createdAt: 1 }).session(session)
+    : [];
+  const touched = [];
+  for (const bo of open) {
+    if (available <= 0) break;
+    const take = Math.min(available, bo.quantity - bo.fulfilledQty);
+    const movement = { warehouse: where, type: 'backorder_fulfil', ref: bo.sale, refModel: 'Sale', refNumber: bo.invoiceNumber, user: userId };
+    let drawn;
+    if (sku.isBundle) {
+      const { components } = await sku.issueBundle(take, session, movement);
+      drawn = { 'items.$.components': { $each: components } };
+    } else {
+      const batches = await Batch.allocate(sku, take, session, { warehouse: where });
+      await StockMovement.record({ ...movement, sku: sku._id, delta: -take }, session);
+      drawn = { 'items.$.batches': { $each: batches } };
+    }
+    available -= take;
+    bo.fulfilledQty += take;
+    if (bo.fulfilledQty >= bo.quantity) {
+      bo.status = 'fulfilled';
+      bo.fulfilledDate = new Date();
+    }
+    await bo.save({ session });
+    await Sale.updateOne(
+      { _id: bo.sale, 'items._id': bo.saleItem },
+      { $inc: { 'items.$.backorderQty': -take }, $push: drawn },
+      { session }
+    );
+    touched.push(bo);
+  }
+  if (!sku.isBundle) {
+    for (const bundle of await SKU.find({ 'components.sku': sku._id }, '_id').session(session)) {
+      touched.push(...await this.fulfilFromStock(bundle._id, session, userId, where));
+    }
+  }
+  return touched;
+};
+
+module.exports = mongoose.model('Backorder', backorderSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const StockHold = require('./StockHold');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Stock of one SKU from one manufacturing lot in one warehouse, in base
+// units. Warehouse stock stays the total across its batches plus any stock
+// that predates batch tracking. Untagged batches sit in the default warehouse.
+const batchSchema = new mongoose.Schema({
+  sku:           { type: ObjectId, ref: 'SKU', required: true },
+  warehouse:     { type: ObjectId, ref: 'Warehouse' },
+  batchNo:       { type: String, required: true, trim: true },
+  mfgDate:       { type: Date },
+  expiryDate:    { type: Date },
+  quantity:      { type: Number, default: 0, min: 0 },  // on hand
+  receivedQty:   { type: Number, default: 0 },
+  purchaseOrder: { type: ObjectId, ref: 'PurchaseOrder' },
+  receivedDate:  { type: Date, default: Date.now },
+  // Markdown scheme raised to clear this batch before it expires
+  liquidationScheme: { type: ObjectId, ref: 'Scheme' },
+}, { timestamps: true });
+
+batchSchema.index({ sku: 1, batchNo: 1, warehouse: 1 }, { unique: true });
+batchSchema.index({ expiryDate: 1 });
+
+// A markdown raised to clear this batch stops once the batch is gone, so
+// fresh stock of the SKU isn't sold at the clearance price
+batchSchema.post('save', async function () {
+  if (this.quantity || !this.liquidationScheme) return;
+  await mongoose.model('Scheme').updateOne({ _id: this.liquidationScheme, active: true }, { active: false }, { session: this.$session() });
+});
+
+const startOfToday = () => { const d = new Date(); d.setHours(0, 0, 0, 0); return d; };
+const expired = (b) => b.expiryDate && b.expiryDate < startOfToday();
+
+// A SKU's own stock in a warehouse that can still be sold: everything
+// except expired batches and reserved stock
+batchSchema.statics.onShelf = async function (sku, warehouse, session) {
+  const Warehouse = mongoose.model('Warehouse');
+  const batches = await this.find({
+    sku: sku._id, warehouse: Warehouse.scope(warehouse), quantity: { $gt: 0 }, expiryDate: { $lt: startOfToday() },
+  }).session(session);
+  const reserved = await StockHold.reservedIn(sku, warehouse, session);
+  return Math.max(0, (await Warehouse.stockOf(sku, warehouse, session)) - batches.reduce((a, b) => a + b.quantity, 0) - reserved);
+};
+
+// Bundles that could be made up from the sellable stock of their components
+batchSchema.statics.buildable = async function (bundle, warehouse, session) {
+  let most = Infinity;
+  for (const part of await bundle.componentSkus(session)) {
+    most = Math.min(most, Math.floor((await this.onShelf(part.sku, warehouse, session)) / part.quantity));
+  }
+  return Number.isFinite(most) ? most : 0;
+};
+
+// What can be sold: a SKU's own stock on the shelf, and for a bundle also
+// what its components can still make up
+batchSchema.statics.sellable = async function (sku, warehouse, session) {
+  const own = await this.onShelf(sku, warehouse, session);
+  return sku.isBundle ? own + await this.buildable(sku, warehouse, session) : own;
+};
+
+// Take `quantity` of a SKU from a warehouse first-expiry-first-out.
+// Unexpired batches go in expiry order (undated last); stock from before
+// batch tracking fills the rest and is recorded without a batch. `onHand`
+// overrides the warehouse's stock when the caller has moved it in memory;
+// `expired` lets expired batches go first, for stock that isn't being sold.
+// Returns the allocation for the line.
+batchSchema.statics.allocate = async function (sku, quantity, session, { warehouse, onHand, expired: withExpired } = {}) {
+  if (quantity <= 0) return [];
+  const Warehouse = mongoose.model('Warehouse');
+  const where = warehouse || await Warehouse.main(session);
+  const batches = await this.find({ sku: sku._id, warehouse: Warehouse.scope(where), quantity: { $gt: 0 } }).session(session);
+  const stock = onHand ?? await Warehouse.stockOf(sku, where, session);
+  const untracked = stock - batches.reduce((a, b) => a + b.quantity, 0);
+  const fefo = batches.filter(b => withExpired || !expired(b))
+    .sort((a, b) => (a.expiryDate ?? Infinity) - (b.expiryDate ?? Infinity) || a.createdAt - b.createdAt);
+
+  const allocation = [];
+  let rest = quantity;
+  for (const b of fefo) {
+    if (!rest) break;
+    const take = Math.min(rest, b.quantity);
+    b.quantity -= take;
+    await b.save({ session });
+    allocation.push({ batch: b._id, batchNo: b.batchNo, expiryDate: b.expiryDate, quantity: take });
+    rest -= take;
+  }
+  if (rest > Math.max(0, untracked)) throw httpError(400, `Not enough ${withExpired ? '' : 'unexpired '}stock of ${sku.name} in ${where.name}.`);
+  if (rest) allocation.push({ batchNo: null, quantity: rest });
+  return allocation;
+};
+
+// Put allocated quantities back on their batches (cancellation, amendment)
+batchSchema.statics.release = async function (allocation = [], session) {
+  for (const a of allocation) {
+    if (a.batch) await this.updateOne({ _id: a.batch }, { $inc: { quantity: a.quantity } }, { session });
+  }
+};
+
+// On-hand batches inside their category's alert window, and those already
+// expired. Each comes back with `daysLeft` and the `alertDays` applied.
+batchSchema.statics.expiryAlerts = async function (settings, warehouse) {
+  const today = startOfToday();
+  const widest = Math.max(settings.expiry?.alertDays ?? 30, ...(settings.expiry?.byCategory || []).map(c => c.alertDays));
+  const horizon = new Date(today.getTime() + widest * 86400000);
+  const query = { quantity: { $gt: 0 }, expiryDate: { $lte: horizon } };
+  if (warehouse) query.warehouse = mongoose.model('Warehouse').scope(warehouse);
+  const batches = await this.find(query)
+    .populate('sku', 'name code category unit purchasePrice sellingPrice')
+    .populate('liquidationScheme', 'name percent validTo active')
+    .populate('warehouse', 'name code')
+    .sort({ expiryDate: 1 });
+
+  const expiring = [];
+  const expiredStock = [];
+  for (const b of batches) {
+    if (!b.sku) continue;
+    const daysLeft = Math.ceil((b.expiryDate - today) / 86400000);
+    const alertDays = settings.expiryAlertDays(b.sku.category);
+    const row = { ...b.toObject(), daysLeft, alertDays };
+    if (expired(b)) expiredStock.push(row);
+    else if (daysLeft <= alertDays) expiring.push(row);
+  }
+  return { expiring, expired: expiredStock };
+};
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const round4 = (n) => Math.round((n + Number.EPSILON) * 10000) / 10000;
+
+// A quantity of a SKU that came in at one unit cost, consumed oldest-first.
+// Costing is company-wide: warehouses and batches don't split layers.
+const costLayerSchema = new mongoose.Schema({
+  sku:         { type: ObjectId, ref: 'SKU', required: true },
+  unitCost:    { type: Number, required: true, min: 0 },  // per base unit
+  receivedQty: { type: Number, required: true },
+  quantity:    { type: Number, required: true },  // still on hand
+  date:        { type: Date, default: Date.now },
+  refModel:    { type: String },
+  ref:         { type: ObjectId },
+  refNumber:   { type: String },
+}, { timestamps: true });
+
+costLayerSchema.index({ sku: 1, quantity: 1, date: 1 });
+
+// Open a layer for stock coming in
+costLayerSchema.statics.receive = async function (sku, quantity, unitCost, meta, session) {
+  await this.create([{ sku: sku._id, unitCost, receivedQty: quantity, quantity, ...meta }], { session });
+};
+
+// Take `quantity` off the oldest layers and return its first-in-first-out
+// unit cost. Stock with no layer behind it (from before costing) is valued
+// at `fallbackCost`.
+costLayerSchema.statics.issue = async function (sku, quantity, fallbackCost, session) {
+  const layers = await this.find({ sku: sku._id, quantity: { $gt: 0 } }).sort({ date: 1, _id: 1 }).session(session);
+  let rest = quantity;
+  let value = 0;
+  for (const layer of layers) {
+    if (!rest) break;
+    const take = Math.min(rest, layer.quantity);
+    layer.quantity -= take;
+    await layer.save({ session });
+    value += take * layer.unitCost;
+    rest -= take;
+  }
+  value += rest * fallbackCost;
+  return round4(value / quantity);
+};
+
+costLayerSchema.statics.round4 = round4;
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
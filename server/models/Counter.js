@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence per key, e.g. "sale:2026-27"
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Audit trail of owner decisions on sales held by credit control
+const creditOverrideSchema = new mongoose.Schema({
+  sale:          { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+  invoiceNumber: { type: String },
+  retailer:      { type: mongoose.Schema.Types.ObjectId, ref: 'Retailer', required: true },
+  retailerName:  { type: String },
+  decision:      { type: String, enum: ['approved', 'rejected'], required: true },
+  holdReason:    { type: String },
+  reason:        { type: String, required: true },
+  amount:        { type: Number },  // balance the sale puts on credit
+  creditLimit:   { type: Number },
+  outstanding:   { type: Number },  // retailer outstanding at decision time
+  decidedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedByName: { type: String },
+}, { timestamps: true });
+
+module.exports = mongoose.model('CreditOverride', creditOverrideSchema);
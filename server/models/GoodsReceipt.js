@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { nextNumber } = require('../utils/numbering');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// One delivery against a purchase order. Each line records what came off the
+// vehicle, what was taken into stock and what was sent back; a PO is filled
+// by one or more receipts. A substitute is a different SKU the supplier sent
+// in place of the ordered one; `conversion` says how many of the ordered
+// SKU's base units each of its base units stands for on that PO line.
+const grnItemSchema = new mongoose.Schema({
+  poItem:       { type: ObjectId },  // the PO line delivered against
+  sku:          { type: ObjectId, ref: 'SKU', required: true },
+  skuName:      { type: String },
+  substitute:   { type: Boolean, default: false },
+  conversion:   { type: Number, default: 1 },  // ordered base units per base unit received
+  received:     { type: Number, required: true, min: 0 },  // base units delivered
+  accepted:     { type: Number, default: 0, min: 0 },      // taken into stock
+  countsAs:     { type: Number, default: 0 },  // accepted, in the ordered SKU's base units
+  rejected:     { type: Number, default: 0, min: 0 },      // returned with the vehicle
+  rejectReason: { type: String, trim: true },
+  batch:        { type: ObjectId, ref: 'Batch' },
+  batchNo:      { type: String },
+  mfgDate:      { type: Date },
+  expiryDate:   { type: Date },
+  unitCost:     { type: Number, default: 0 },  // per base unit
+  value:        { type: Number, default: 0 },  // accepted × unitCost
+});
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber:     { type: String, unique: true },
+  purchaseOrder: { type: ObjectId, ref: 'PurchaseOrder', required: true },
+  poNumber:      { type: String },
+  supplier:      { type: ObjectId, ref: 'Supplier' },
+  supplierName:  { type: String },
+  warehouse:     { type: ObjectId, ref: 'Warehouse' },
+  receivedDate:  { type: Date, default: Date.now },
+  challanNo:     { type: String, trim: true },  // the supplier's delivery note
+  items:         [grnItemSchema],
+  value:         { type: Number, default: 0 },  // accepted goods at cost
+  bill:          { type: ObjectId, ref: 'SupplierBill' },
+  notes:         { type: String },
+  createdBy:     { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+goodsReceiptSchema.index({ purchaseOrder: 1, receivedDate: 1 });
+goodsReceiptSchema.index({ supplier: 1, receivedDate: -1 });
+
+// Number from the counter-backed series for the document's financial year
+goodsReceiptSchema.pre('save', async function (next) {
+  if (!this.grnNumber) {
+    this.grnNumber = await nextNumber('goodsReceipt', this.receivedDate, this.$session());
+  }
+  next();
+});
+
+// Receive a delivery against a PO. `lines` are
+// { poItem, sku?, conversion?, received, rejected?, rejectReason?, batchNo?, mfgDate?, expiryDate?, unitCost? };
+// accepted is what was received less what was rejected, and a line can't
+// accept more than is still outstanding on its PO line. A substitute needs
+// its conversion and, unless given a cost, is costed at the PO price through
+// it. Accepted goods go into stock on their lot (the PO number when none is
+// given) and then to open backorders. With `bill: { billNumber, billDate, amount }` the
+// supplier's bill is booked for the accepted value plus the PO's tax share,
+// unless an amount is given.
+goodsReceiptSchema.statics.receive = async function ({ po, lines = [], receivedDate, challanNo, notes, bill, user }, session) {
+  const SKU = mongoose.model('SKU');
+  const CostLayer = mongoose.model('CostLayer');
+  const Batch = mongoose.model('Batch');
+  const Backorder = mongoose.model('Backorder');
+  const StockMovement = mongoose.model('StockMovement');
+  const Warehouse = mongoose.model('Warehouse');
+  const Supplier = mongoose.model('Supplier');
+  const SupplierBill = mongoose.model('SupplierBill');
+
+  if (!po.canReceive()) throw httpError(400, `PO ${po.poNumber} is ${po.status.replace('_', ' ')}; nothing more can be received.`);
+  const items = [];
+  const accepting = {};
+  for (const line of lines) {
+    const item = po.items.id(line.poItem);
+    if (!item?.sku) throw httpError(400, 'Every receipt line must name a line on the PO.');
+    const received = Number(line.received) || 0;
+    const rejected = Number(line.rejected) || 0;
+    if (received < 0) throw httpError(400, `Received quantity for ${item.skuName} can't be negative.`);
+    if (!received) continue;
+    if (rejected < 0 || rejected > received) throw httpError(400, `Rejected quantity for ${item.skuName} must be between 0 and ${received}.`);
+    if (rejected && !line.rejectReason?.trim()) throw httpError(400, `Give a reason for rejecting ${item.skuName}.`);
+    if (line.mfgDate && line.expiryDate && new Date(line.expiryDate) <= new Date(line.mfgDate))
+      throw httpError(400, `Expiry must be after manufacture for ${item.skuName}.`);
+    const substitute = line.sku && String(line.sku) !== String(item.sku);
+    const sku = substitute ? await SKU.findById(line.sku).session(session) : null;
+    if (substitute && !sku) throw httpError(404, `Substitute for ${item.skuName} not found.`);
+    const conversion = substitute ? Number(line.conversion) : 1;
+    if (!(conversion > 0))
+      throw httpError(400, `Say how many ${item.skuName} base units each unit of substitute ${sku.name} stands for.`);
+    const key = String(item._id);
+    const countsAs = CostLayer.round4((received - rejected) * conversion);
+    accepting[key] = (accepting[key] || 0) + countsAs;
+    const outstanding = po.outstanding(item);
+    if (accepting[key] > outstanding)
+      throw httpError(400, `Only ${outstanding} of ${item.skuName} is still due; reject the excess.`);
+    const unitCost = line.unitCost !== undefined && line.unitCost !== '' ? Number(line.unitCost) : CostLayer.round4(item.price * conversion);
+    items.push({
+      poItem: item._id, sku: substitute ? sku._id : item.sku, skuName: substitute ? sku.name : item.skuName, substitute: !!substitute, conversion,
+      received, accepted: received - rejected, countsAs, rejected, rejectReason: rejected ? line.rejectReason.trim() : undefined,
+      batchNo: line.batchNo?.trim() || po.poNumber, mfgDate: line.mfgDate || undefined, expiryDate: line.expiryDate || undefined,
+      unitCost, value: round2((received - rejected) * unitCost),
+    });
+  }
+  if (!items.length) throw httpError(400, 'Enter the quantity received on at least one line.');
+
+  const warehouse = await Warehouse.resolve(po.warehouse, session);
+  const [grn] = await this.create([{
+    purchaseOrder: po._id, poNumber: po.poNumber, supplier: po.supplier, supplierName: po.supplierName,
+    warehouse: warehouse._id, receivedDate: receivedDate ? new Date(receivedDate) : new Date(),
+    challanNo, notes, items, value: round2(items.reduce((a, i) => a + i.value, 0)), createdBy: user,
+  }], { session });
+
+  for (const line of grn.items) {
+    const item = po.items.id(line.poItem);
+    item.receivedQty = (item.receivedQty || 0) + line.countsAs;
+    item.rejectedQty = (item.rejectedQty || 0) + line.rejected * line.conversion;
+    if (!line.accepted) continue;
+    const batch = await Batch.findOneAndUpdate(
+      { sku: line.sku, batchNo: line.batchNo, warehouse: Warehouse.scope(warehouse) },
+      {
+        $inc: { quantity: line.accepted, receivedQty: line.accepted },
+        $setOnInsert: { warehouse: warehouse._id, mfgDate: line.mfgDate, expiryDate: line.expiryDate, purchaseOrder: po._id, receivedDate: grn.receivedDate },
+      },
+      { upsert: true, new: true, session }
+    );
+    line.batch = batch._id;
+    await StockMovement.record({
+      sku: line.sku, warehouse, delta: line.accepted, unitCost: line.unitCost, type: 'po_receipt', batch: batch._id, batchNo: batch.batchNo,
+      ref: grn._id, refModel: 'GoodsReceipt', refNumber: grn.grnNumber, reason: `${po.poNumber}${line.substitute ? ` · substitute for ${item.skuName}` : ''}`, user,
+    }, session);
+  }
+  // Incoming stock goes to open backorders before it becomes sellable
+  const stocked = [...new Set(grn.items.filter(i => i.accepted).map(i => String(i.sku)))];
+  for (const skuId of stocked) await Backorder.fulfilFromStock(skuId, session, user, warehouse);
+
+  if (bill?.billNumber) {
+    const supplier = await Supplier.findById(po.supplier).session(session);
+    if (!supplier) throw httpError(404, 'Supplier not found.');
+    const taxShare = po.subtotal > 0 ? po.total / po.subtotal : 1;
+    const booked = await SupplierBill.book({
+      ...bill, amount: Number(bill.amount) || round2(grn.value * taxShare), supplier, purchaseOrder: po, user,
+    }, session);
+    grn.bill = booked._id;
+  }
+  await grn.save({ session });
+  po.markReceipt(grn.receivedDate);
+  await po.save({ session });
+  return grn;
+};
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { nextNumber } = require('../utils/numbering');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Physical bundles built ahead of sale. The components leave stock and the
+// kits come in as the bundle's own stock, on a lot named after the assembly,
+// carried at what the components cost.
+const kitAssemblySchema = new mongoose.Schema({
+  assemblyNumber: { type: String, unique: true },
+  bundle:       { type: ObjectId, ref: 'SKU', required: true },
+  bundleName:   { type: String },
+  warehouse:    { type: ObjectId, ref: 'Warehouse', required: true },
+  quantity:     { type: Number, required: true, min: 1 },  // kits built, bundle base units
+  batch:        { type: ObjectId, ref: 'Batch' },
+  expiryDate:   { type: Date },  // the earliest expiry among the components used
+  components: [{
+    sku:      { type: ObjectId, ref: 'SKU' },
+    skuName:  { type: String },
+    quantity: { type: Number },  // base units of that SKU
+    unitCost: { type: Number },
+    batches: [{
+      batch:      { type: ObjectId, ref: 'Batch' },
+      batchNo:    { type: String },
+      expiryDate: { type: Date },
+      quantity:   { type: Number },
+      _id: false,
+    }],
+    _id: false,
+  }],
+  unitCost:     { type: Number },  // per kit
+  value:        { type: Number },
+  assemblyDate: { type: Date, default: Date.now },
+  notes:        { type: String },
+  createdBy:    { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+kitAssemblySchema.index({ bundle: 1, assemblyDate: -1 });
+
+// Number from the counter-backed series for the document's financial year
+kitAssemblySchema.pre('save', async function (next) {
+  if (!this.assemblyNumber) {
+    this.assemblyNumber = await nextNumber('kitAssembly', this.assemblyDate, this.$session());
+  }
+  next();
+});
+
+// Build `quantity` kits of a bundle in a warehouse from its components'
+// sellable stock, first-expiry-first-out
+kitAssemblySchema.statics.assemble = async function ({ bundle, warehouse, quantity, notes, user }, session) {
+  const Batch = mongoose.model('Batch');
+  const CostLayer = mongoose.model('CostLayer');
+  const StockMovement = mongoose.model('StockMovement');
+  if (!bundle.isBundle) throw httpError(400, `${bundle.name} has no components to assemble.`);
+  if (!Number.isInteger(quantity) || quantity < 1) throw httpError(400, 'Quantity must be a whole number of kits.');
+
+  const parts = await bundle.componentSkus(session);
+  for (const part of parts) {
+    const available = await Batch.onShelf(part.sku, warehouse, session);
+    if (quantity * part.quantity > available)
+      throw httpError(400, `Not enough ${part.sku.name} in ${warehouse.name}: ${quantity * part.quantity} needed, ${available} available.`);
+  }
+
+  const [kit] = await this.create([{
+    bundle: bundle._id, bundleName: bundle.name, warehouse: warehouse._id, quantity, notes, createdBy: user,
+  }], { session });
+  const movement = { warehouse, type: 'kit_assembly', ref: kit._id, refModel: 'KitAssembly', refNumber: kit.assemblyNumber, user };
+  for (const part of parts) {
+    const need = quantity * part.quantity;
+    const batches = await Batch.allocate(part.sku, need, session, { warehouse });
+    const { unitCost } = await StockMovement.record({ ...movement, sku: part.sku._id, delta: -need, reason: `Built into ${bundle.name}` }, session);
+    kit.components.push({ sku: part.sku._id, skuName: part.sku.name, quantity: need, unitCost, batches });
+  }
+  const value = kit.components.reduce((a, c) => a + c.quantity * c.unitCost, 0);
+  const expiries = kit.components.flatMap(c => c.batches.map(b => b.expiryDate)).filter(Boolean);
+  kit.unitCost = CostLayer.round4(value / quantity);
+  kit.value = round2(value);
+  kit.expiryDate = expiries.length ? new Date(Math.min(...expiries)) : undefined;
+
+  const [batch] = await Batch.create([{
+    sku: bundle._id, warehouse: warehouse._id, batchNo: kit.assemblyNumber, mfgDate: kit.assemblyDate,
+    expiryDate: kit.expiryDate, quantity, receivedQty: quantity,
+  }], { session });
+  kit.batch = batch._id;
+  await StockMovement.record({
+    ...movement, sku: bundle._id, delta: quantity, unitCost: kit.unitCost, batch: batch._id, batchNo: batch.batchNo,
+    reason: `Assembled from ${parts.length} component(s)`,
+  }, session);
+  await kit.save({ session });
+  return kit;
+};
+
+module.exports = mongoose.model('KitAssembly', kitAssemblySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// A dated price for one SKU; an open effectiveTo runs until replaced
+const priceSchema = new mongoose.Schema({
+  sku:           { type: ObjectId, ref: 'SKU', required: true },
+  price:         { type: Number, required: true, min: 0 },
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  effectiveTo:   { type: Date },
+});
+
+// Channel or account-specific selling prices assigned to retailers
+const priceListSchema = new mongoose.Schema({
+  name:        { type: String, required: true, trim: true, unique: true },
+  channel:     { type: String, enum: ['wholesale', 'general_trade', 'modern_trade', 'key_account'], default: 'general_trade' },
+  description: { type: String },
+  active:      { type: Boolean, default: true },
+  items:       [priceSchema],
+  createdBy:   { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+// SKU id -> price effective on `date`; the latest-starting entry wins
+priceListSchema.methods.pricesOn = function (date = new Date()) {
+  const prices = {};
+  const from = {};
+  for (const p of this.items) {
+    if (p.effectiveFrom > date || (p.effectiveTo && p.effectiveTo < date)) continue;
+    const id = String(p.sku);
+    if (!from[id] || p.effectiveFrom > from[id]) {
+      prices[id] = p.price;
+      from[id] = p.effectiveFrom;
+    }
+  }
+  return prices;
+};
+
+// Prices for a retailer's assigned list, or {} when it has none
+priceListSchema.statics.forRetailer = async function (retailer, date, session) {
+  if (!retailer.priceList) return {};
+  const list = await this.findOne({ _id: retailer.priceList, active: true }).session(session);
+  return list ? list.pricesOn(date) : {};
+};
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -9,6 +9,7 @@ const productTestSchema = new mongoose.Schema({
   parameters: [{ name: String, value: String, passed: Boolean }],
   result:     { type: String, enum: ['pass', 'fail', 'pending'], default: 'pending' },
   notes:      { type: String },
+  holds:      [{ type: mongoose.Schema.Types.ObjectId, ref: 'StockHold' }],  // batch stock quarantined on failure
   createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
@@ -1,35 +1,83 @@
 const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { nextNumber } = require('../utils/numbering');
 
 const poItemSchema = new mongoose.Schema({
   sku:      { type: mongoose.Schema.Types.ObjectId, ref: 'SKU' },
   skuName:  { type: String },
-  quantity: { type: Number, required: true, min: 1 },
+  quantity: { type: Number, required: true, min: 1 },  // base units
+  uom:      { type: String },    // unit the line was keyed in
+  uomFactor:{ type: Number, default: 1 },
+  quantityText: { type: String },  // e.g. "3 cs 5 pcs"
+  receivedQty: { type: Number, default: 0 },  // accepted into stock across goods receipts
+  rejectedQty: { type: Number, default: 0 },  // sent back at delivery
+  // Lot captured at receipt, on orders received before goods receipts
+  batchNo:    { type: String },
+  mfgDate:    { type: Date },
+  expiryDate: { type: Date },
   price:    { type: Number, required: true, min: 0 },
   total:    { type: Number, required: true },
 });
 
 const purchaseOrderSchema = new mongoose.Schema({
   poNumber:     { type: String, unique: true },
-  supplier:     { type: String, required: true, trim: true },
+  supplier:     { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: { type: String },
   supplierPhone:{ type: String },
+  warehouse:    { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },  // godown receiving the goods
   items:        [poItemSchema],
   subtotal:     { type: Number, default: 0 },
   tax:          { type: Number, default: 0 },
   total:        { type: Number, default: 0 },
-  status:       { type: String, enum: ['draft', 'ordered', 'received', 'cancelled'], default: 'draft' },
+  status:       { type: String, enum: ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'], default: 'draft' },
   orderDate:    { type: Date, default: Date.now },
   expectedDate: { type: Date },
   receivedDate: { type: Date },
+  // Closed with lines still short: the rest isn't coming
+  shortClose: {
+    note:     { type: String },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date },
+  },
   notes:        { type: String },
   createdBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
+// Number from the counter-backed series for the document's financial year
 purchaseOrderSchema.pre('save', async function (next) {
   if (!this.poNumber) {
-    const count = await mongoose.model('PurchaseOrder').countDocuments();
-    this.poNumber = `PO-${String(count + 1).padStart(5, '0')}`;
+    this.poNumber = await nextNumber('purchaseOrder', this.orderDate, this.$session());
   }
   next();
 });
 
+// Still expecting goods
+purchaseOrderSchema.methods.canReceive = function () {
+  return ['draft', 'ordered', 'partially_received'].includes(this.status);
+};
+
+// Base units of a line still to come
+purchaseOrderSchema.methods.outstanding = function (item) {
+  return Math.max(0, item.quantity - (item.receivedQty || 0));
+};
+
+// Move to received once every line is in full, partially received until then
+purchaseOrderSchema.methods.markReceipt = function (date) {
+  const complete = this.items.every(i => !i.sku || this.outstanding(i) === 0);
+  this.status = complete ? 'received' : 'partially_received';
+  if (complete) this.receivedDate = date;
+};
+
+// Stop waiting for what hasn't arrived
+purchaseOrderSchema.methods.closeShort = function ({ note, user }) {
+  if (this.status !== 'partially_received')
+    throw httpError(400, this.status === 'ordered' || this.status === 'draft'
+      ? 'Nothing has been received on this PO; cancel it instead.'
+      : `PO is ${this.status}; only a partially received PO can be closed short.`);
+  if (!note?.trim()) throw httpError(400, 'Note what was short and why.');
+  this.status = 'closed';
+  this.receivedDate = new Date();
+  this.shortClose = { note: note.trim(), closedBy: user, closedAt: new Date() };
+};
+
 module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -10,6 +10,8 @@ const retailerSchema = new mongoose.Schema({
   area:         { type: String, trim: true },
   city:         { type: String, trim: true },
   gstin:        { type: String, trim: true },
+  retailerClass:{ type: String, trim: true },  // e.g. "A", "Wholesale" — used by scheme targeting
+  priceList:    { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
   creditLimit:  { type: Number, default: 0 },
   outstandingBalance: { type: Number, default: 0 },
   status:       { type: String, enum: ['active', 'inactive', 'blocked'], default: 'active' },
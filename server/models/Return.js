@@ -1,12 +1,21 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
 
 const returnItemSchema = new mongoose.Schema({
   sku:      { type: mongoose.Schema.Types.ObjectId, ref: 'SKU' },
   skuName:  { type: String },
-  quantity: { type: Number, required: true, min: 1 },
+  quantity: { type: Number, required: true, min: 1 },  // base units
+  uom:      { type: String },    // unit the line was keyed in
+  uomFactor:{ type: Number, default: 1 },
+  quantityText: { type: String },  // e.g. "3 cs 5 pcs"
+  batch:    { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+  batchNo:  { type: String },
   price:    { type: Number, required: true },
   total:    { type: Number, required: true },
   reason:   { type: String },
+  // What the goods went into when received back
+  state:    { type: String, enum: ['sellable', 'quarantine', 'damaged'] },
+  hold:     { type: mongoose.Schema.Types.ObjectId, ref: 'StockHold' },
 });
 
 const returnSchema = new mongoose.Schema({
@@ -20,13 +29,21 @@ const returnSchema = new mongoose.Schema({
   status:     { type: String, enum: ['pending', 'approved', 'rejected', 'processed'], default: 'pending' },
   returnDate: { type: Date, default: Date.now },
   notes:      { type: String },
+  warehouse:  { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },  // godown the goods came back to
+  receivedAt: { type: Date },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
+// Where returned goods go by default, by return type
+returnSchema.statics.DEFAULT_STATE = {
+  damage: 'damaged', expiry: 'damaged', quality: 'quarantine', wrong_item: 'sellable', other: 'quarantine',
+};
+
+// Number from the counter-backed series for the document's financial year
 returnSchema.pre('save', async function (next) {
   if (!this.returnNumber) {
-    const count = await mongoose.model('Return').countDocuments();
-    this.returnNumber = `RET-${String(count + 1).padStart(5, '0')}`;
+    this.returnNumber = await nextNumber('return', this.returnDate, this.$session());
   }
   next();
 });
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { GST_RATES, round2 } = require('../utils/gst');
+const { toBase, formatQty } = require('../utils/uom');
+const httpError = require('../utils/httpError');
+const barcode = require('../utils/barcode');
+const Settings = require('./Settings');
 
 const skuSchema = new mongoose.Schema({
   name:          { type: String, required: true, trim: true },
@@ -9,11 +14,238 @@ const skuSchema = new mongoose.Schema({
   mrp:           { type: Number, required: true, min: 0 },
   sellingPrice:  { type: Number, required: true, min: 0 },
   purchasePrice: { type: Number, default: 0 },
+  avgCost:       { type: Number },  // moving weighted-average cost per base unit, kept by StockMovement.record
+  hsnCode:       { type: String, trim: true },
+  gstRate:       { type: Number, enum: GST_RATES, default: 0 },  // % exclusive of price
+  cessRate:      { type: Number, default: 0, min: 0 },
   stock:         { type: Number, default: 0 },
   minStock:      { type: Number, default: 10 },
-  unit:          { type: String, default: 'pcs' },
+  // Replenishment: who it is bought from and how long they take to deliver
+  supplier:      { type: String, trim: true },
+  supplierPhone: { type: String, trim: true },
+  leadTimeDays:  { type: Number, min: 0 },  // settings default when unset
+  unit:          { type: String, default: 'pcs' },  // base unit; stock is held in it
+  // Larger packs, each worth `factor` base units, e.g. { name: 'cs', factor: 144 }
+  uoms: [{
+    name:   { type: String, required: true, trim: true },
+    factor: { type: Number, required: true, min: 2 },
+    _id: false,
+  }],
+  // EAN/UPC barcodes, each printed on one unit: the base unit, or a pack unit by name
+  barcodes: [{
+    code: { type: String, required: true, trim: true },
+    uom:  { type: String, trim: true },  // empty for the base unit
+    _id: false,
+  }],
+  // A bundle (gift pack, combo) is built from other SKUs: `quantity` base
+  // units of each per base unit of the bundle. Its own stock is pre-built kits.
+  components: [{
+    sku:      { type: mongoose.Schema.Types.ObjectId, ref: 'SKU', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    _id: false,
+  }],
+  // Demand analysis, recomputed by SKU.recomputeMetrics
+  movement:        { type: String, enum: ['FAST', 'SLOW', 'DEAD'] },
+  abcClass:        { type: String, enum: ['A', 'B', 'C'] },
+  xyzClass:        { type: String, enum: ['X', 'Y', 'Z'] },
+  avgMonthlySale:  { type: Number },  // base units per 30 days
+  daysOfInventory: { type: Number },
+  demandCv:        { type: Number },  // coefficient of variation of monthly demand
+  revenue:         { type: Number },  // over the analysis window
+  revenueShare:    { type: Number },  // % of all SKUs' revenue
+  lastSaleDate:    { type: Date },
+  metricsAt:       { type: Date },
+  // What a sale does when a line asks for more than is in stock
+  backorderPolicy: { type: String, enum: ['reject', 'backorder', 'partial'], default: 'reject' },
   active:        { type: Boolean, default: true },
   description:   { type: String },
-}, { timestamps: true });
+}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// What a unit of stock is carried at today; purchase price until stock has been received
+skuSchema.methods.currentCost = function () {
+  return this.avgCost ?? this.purchasePrice ?? 0;
+};
+
+skuSchema.index({ 'barcodes.code': 1 }, { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } });
+
+skuSchema.virtual('isBundle').get(function () {
+  return this.components?.length > 0;
+});
+
+skuSchema.virtual('stockText').get(function () {
+  return formatQty(this, this.stock || 0);
+});
+
+// Check a SKU's barcodes: valid GTINs with their check digit, on units the
+// SKU has, and not already on another SKU
+skuSchema.statics.checkBarcodes = async function (barcodes = [], uoms = [], selfId) {
+  const codes = barcodes.map(b => String(b.code).trim());
+  if (new Set(codes).size !== codes.length) throw httpError(400, 'Each barcode can only be listed once.');
+  for (const b of barcodes) {
+    if (!barcode.isValid(String(b.code).trim())) throw httpError(400, `${b.code} is not a valid EAN/UPC barcode; check the last digit.`);
+    if (b.uom && !uoms.some(u => u.name === b.uom)) throw httpError(400, `Barcode ${b.code} is for unit ${b.uom}, which this SKU doesn't have.`);
+  }
+  const taken = await this.findOne({ 'barcodes.code': { $in: codes.flatMap(barcode.variants) }, _id: { $ne: selfId } }, 'name');
+  if (taken) throw httpError(400, `A barcode is already on ${taken.name}.`);
+};
+
+// The SKU and unit a scanned barcode belongs to, or null
+skuSchema.statics.findByBarcode = async function (scanned) {
+  const code = String(scanned).trim();
+  const sku = await this.findOne({ 'barcodes.code': { $in: barcode.variants(code) } }).populate('brand', 'name');
+  if (!sku) return null;
+  const entry = sku.barcodes.find(b => barcode.variants(code).includes(b.code));
+  const pack = entry.uom && sku.uoms.find(u => u.name === entry.uom);
+  return { sku, code: entry.code, uom: pack ? pack.name : '', factor: pack ? pack.factor : 1 };
+};
+
+// Check a bundle's bill of components: existing plain SKUs, each listed
+// once, and not the bundle itself. Bundles don't nest.
+skuSchema.statics.checkComponents = async function (components = [], selfId) {
+  const ids = components.map(c => String(c.sku));
+  if (new Set(ids).size !== ids.length) throw httpError(400, 'Each component can only be listed once.');
+  if (selfId && ids.includes(String(selfId))) throw httpError(400, 'A bundle cannot contain itself.');
+  const skus = await this.find({ _id: { $in: ids } });
+  for (const c of components) {
+    const sku = skus.find(s => String(s._id) === String(c.sku));
+    if (!sku) throw httpError(404, `Component SKU ${c.sku} not found.`);
+    if (sku.isBundle) throw httpError(400, `${sku.name} is itself a bundle; list its components instead.`);
+    if (!(c.quantity >= 1)) throw httpError(400, `Quantity of ${sku.name} must be at least 1.`);
+  }
+  if (selfId && components.length && await this.exists({ 'components.sku': selfId }))
+    throw httpError(400, 'This SKU is a component of another bundle, so it cannot be a bundle itself.');
+};
+
+// The bundle's components as SKU documents alongside their quantities
+skuSchema.methods.componentSkus = async function (session) {
+  const skus = await this.constructor.find({ _id: { $in: this.components.map(c => c.sku) } }).session(session);
+  return this.components.map(c => {
+    const sku = skus.find(s => s._id.equals(c.sku));
+    if (!sku) throw httpError(404, `A component of ${this.name} no longer exists.`);
+    return { sku, quantity: c.quantity };
+  });
+};
+
+// What one base unit of a bundle costs to make from its components today
+skuSchema.methods.buildCost = async function (session) {
+  const parts = await this.componentSkus(session);
+  return parts.reduce((a, p) => a + p.quantity * p.sku.currentCost(), 0);
+};
+
+// Take `quantity` of a bundle out of the movement's warehouse: pre-built kits
+// first, the rest made up from its components on the spot. Records a movement
+// for every SKU drawn and returns what was drawn, each at the cost it went
+// out at, with the blended cost per bundle unit.
+skuSchema.methods.issueBundle = async function (quantity, session, movement) {
+  const Batch = mongoose.model('Batch');
+  const StockMovement = mongoose.model('StockMovement');
+  const Warehouse = mongoose.model('Warehouse');
+  const warehouse = movement.warehouse?._id ? movement.warehouse : await Warehouse.resolve(movement.warehouse, session);
+  const components = [];
+  const draw = async (sku, qty, reason) => {
+    if (qty <= 0) return;
+    const batches = await Batch.allocate(sku, qty, session, { warehouse });
+    const { unitCost } = await StockMovement.record({ ...movement, warehouse, sku: sku._id, delta: -qty, reason }, session);
+    components.push({ sku: sku._id, skuName: sku.name, quantity: qty, batches, unitCost });
+  };
+  const kits = Math.min(quantity, await Batch.onShelf(this, warehouse, session));
+  await draw(this, kits, movement.reason);
+  if (quantity > kits) {
+    for (const part of await this.componentSkus(session)) await draw(part.sku, (quantity - kits) * part.quantity, `Made up into ${this.name}`);
+  }
+  const value = components.reduce((a, c) => a + c.quantity * c.unitCost, 0);
+  const unitCost = quantity > 0 ? value / quantity : this.avgCost ?? await this.buildCost(session);
+  return { components, unitCost: mongoose.model('CostLayer').round4(unitCost) };
+};
+
+// Resolve PO/return lines against their SKUs: base-unit quantity and price,
+// the SKU's name, and a display quantity. Lines without a SKU pass through.
+skuSchema.statics.toBaseLines = async function (items = [], session) {
+  const lines = [];
+  for (const item of items) {
+    if (!item.sku) { lines.push(item); continue; }
+    const sku = await this.findById(item.sku).session(session);
+    if (!sku) throw httpError(404, `SKU ${item.sku} not found.`);
+    const line = toBase(sku, item);
+    lines.push({
+      ...line, skuName: sku.name, quantityText: formatQty(sku, line.quantity),
+      total: round2(line.quantity * line.price),
+    });
+  }
+  return lines;
+};
+
+const METRICS = [
+  'movement', 'abcClass', 'xyzClass', 'avgMonthlySale', 'daysOfInventory',
+  'demandCv', 'revenue', 'revenueShare', 'lastSaleDate', 'metricsAt',
+];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Recompute every SKU's demand metrics and classes from posted sales, using
+// the settings' analysis windows. Demand is bucketed into 30-day periods
+// counted back from now.
+skuSchema.statics.recomputeMetrics = async function () {
+  const Sale = mongoose.model('Sale');
+  const { months, fastDays, deadDays, abc, xyz } = (await Settings.load()).analysis;
+  const now = new Date();
+  const posted = { status: { $nin: Sale.UNPOSTED } };
+  const periods = await Sale.aggregate([
+    { $match: { ...posted, saleDate: { $gte: new Date(now - months * 30 * DAY), $lte: now } } },
+    { $unwind: '$items' },
+    { $group: {
+      _id: { sku: '$items.sku', period: { $floor: { $divide: [{ $subtract: [now, '$saleDate'] }, 30 * DAY] } } },
+      quantity: { $sum: '$items.quantity' }, revenue: { $sum: '$items.total' },
+    } },
+  ]);
+  const lastSales = await Sale.aggregate([
+    { $match: posted },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.sku', date: { $max: '$saleDate' } } },
+  ]);
+  const lastSale = Object.fromEntries(lastSales.map(r => [String(r._id), r.date]));
+  const demand = {};
+  for (const row of periods) {
+    const d = (demand[String(row._id.sku)] ||= { monthly: Array(months).fill(0), revenue: 0 });
+    d.monthly[Math.min(row._id.period, months - 1)] += row.quantity;
+    d.revenue += row.revenue;
+  }
+
+  const skus = await this.find({}, 'stock createdAt');
+  const totalRevenue = Object.values(demand).reduce((sum, d) => sum + d.revenue, 0);
+  // A SKU is A while the SKUs ranked above it make up less than the A share
+  const abcOf = {};
+  let cumulative = 0;
+  for (const s of [...skus].sort((a, b) => (demand[b._id]?.revenue || 0) - (demand[a._id]?.revenue || 0))) {
+    const revenue = demand[s._id]?.revenue || 0;
+    abcOf[s._id] = !revenue ? 'C' : cumulative < abc.a ? 'A' : cumulative < abc.b ? 'B' : 'C';
+    cumulative += (revenue / totalRevenue) * 100;
+  }
+
+  const ops = skus.map(s => {
+    const id = String(s._id);
+    const d = demand[id];
+    const sold = d ? d.monthly.reduce((sum, q) => sum + q, 0) : 0;
+    const mean = sold / months;
+    const sd = d ? Math.sqrt(d.monthly.reduce((sum, q) => sum + (q - mean) ** 2, 0) / months) : 0;
+    const cv = mean ? round2(sd / mean) : null;
+    const idleDays = (now - (lastSale[id] || s.createdAt || now)) / DAY;
+    return { updateOne: { filter: { _id: s._id }, update: { $set: {
+      movement: idleDays > deadDays ? 'DEAD' : lastSale[id] && idleDays <= fastDays ? 'FAST' : 'SLOW',
+      abcClass: abcOf[id],
+      xyzClass: cv == null ? 'Z' : cv <= xyz.x ? 'X' : cv <= xyz.y ? 'Y' : 'Z',
+      avgMonthlySale: round2(mean),
+      daysOfInventory: mean ? Math.round(Math.max(s.stock, 0) / (mean / 30)) : null,
+      demandCv: cv,
+      revenue: round2(d?.revenue || 0),
+      revenueShare: totalRevenue ? round2(((d?.revenue || 0) / totalRevenue) * 100) : 0,
+      lastSaleDate: lastSale[id] || null,
+      metricsAt: now,
+    } } } };
+  });
+  if (ops.length) await this.bulkWrite(ops);
+  return { skus: ops.length, metricsAt: now };
+};
+
+skuSchema.statics.METRICS = METRICS;
 
 module.exports = mongoose.model('SKU', skuSchema);
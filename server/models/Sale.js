@@ -1,39 +1,158 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
+
+// Statuses that never reached the books — keep them out of revenue figures
+const UNPOSTED = ['cancelled', 'pending_approval', 'rejected', 'confirmed'];
+
+// Quantities drawn from batches, first-expiry-first-out
+const allocation = [{
+  batch:      { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+  batchNo:    { type: String },  // null for stock that predates batch tracking
+  expiryDate: { type: Date },
+  quantity:   { type: Number },
+  _id: false,
+}];
 
 const saleItemSchema = new mongoose.Schema({
   sku:      { type: mongoose.Schema.Types.ObjectId, ref: 'SKU', required: true },
   skuName:  { type: String },
-  quantity: { type: Number, required: true, min: 1 },
+  quantity: { type: Number, required: true, min: 1 },  // base units
+  uom:      { type: String },    // unit the line was keyed in
+  uomFactor:{ type: Number, default: 1 },
+  quantityText: { type: String },  // e.g. "3 cs 5 pcs"
+  // Batches the shipped quantity was drawn from
+  batches: allocation,
+  // Bundle lines draw their stock through `components` instead: pre-built
+  // kits of the bundle itself first, then the components they were made up from
+  isBundle:   { type: Boolean, default: false },
+  components: [{
+    sku:      { type: mongoose.Schema.Types.ObjectId, ref: 'SKU' },
+    skuName:  { type: String },
+    quantity: { type: Number },  // base units of that SKU
+    batches:  allocation,
+    unitCost: { type: Number },
+    _id: false,
+  }],
   price:    { type: Number, required: true, min: 0 },
   discount: { type: Number, default: 0 },
   total:    { type: Number, required: true },
+  backorderQty: { type: Number, default: 0 },  // billed but awaiting stock
+  unitCost:     { type: Number },  // cost per base unit when billed, for COGS
+  brand:        { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },
+  // Trade scheme that discounted this line, or gave it away free
+  scheme:         { type: mongoose.Schema.Types.ObjectId, ref: 'Scheme' },
+  schemeName:     { type: String },
+  schemeDiscount: { type: Number, default: 0 },  // value of the benefit, for claims
+  isFree:         { type: Boolean, default: false },
+  // GST snapshot from the SKU at billing time
+  hsnCode:      { type: String },
+  gstRate:      { type: Number, default: 0 },
+  cessRate:     { type: Number, default: 0 },
+  taxableValue: { type: Number, default: 0 },  // after line and share of bill discount
+  cgst:         { type: Number, default: 0 },
+  sgst:         { type: Number, default: 0 },
+  igst:         { type: Number, default: 0 },
+  cess:         { type: Number, default: 0 },
 });
 
+// HSN-wise tax summary printed on the invoice
+const taxBreakupSchema = new mongoose.Schema({
+  hsnCode:      { type: String },
+  gstRate:      { type: Number },
+  cessRate:     { type: Number },
+  taxableValue: { type: Number },
+  cgst:         { type: Number },
+  sgst:         { type: Number },
+  igst:         { type: Number },
+  cess:         { type: Number },
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   invoiceNumber: { type: String, unique: true },
+  orderNumber:   { type: String },  // carried as the invoice number until an order or held sale posts
   retailer:      { type: mongoose.Schema.Types.ObjectId, ref: 'Retailer', required: true },
   retailerName:  { type: String },
+  warehouse:     { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },  // godown the stock ships from
   items:         [saleItemSchema],
   subtotal:      { type: Number, required: true },
   discount:      { type: Number, default: 0 },
-  tax:           { type: Number, default: 0 },
+  tax:           { type: Number, default: 0 },  // total GST + cess
+  placeOfSupply: { type: String },               // GST state code
+  interState:    { type: Boolean, default: false },
+  taxBreakup:    [taxBreakupSchema],
   total:         { type: Number, required: true },
   paid:          { type: Number, default: 0 },
   balance:       { type: Number, default: 0 },
   paymentMode:   { type: String, enum: ['cash', 'credit', 'upi', 'bank_transfer'], default: 'credit' },
-  status:        { type: String, enum: ['pending', 'paid', 'partial', 'cancelled'], default: 'pending' },
+  status:        { type: String, enum: ['pending', 'paid', 'partial', 'cancelled', 'pending_approval', 'rejected', 'confirmed'], default: 'pending' },
+  // Confirmed orders and held sales keep their stock reserved until dispatch
+  // or this date, whichever comes first
+  reservedUntil: { type: Date },
+  // Credit sales over the limit or to a held retailer wait for an owner here
+  creditHold: {
+    reason:    { type: String },
+    decision:  { type: String, enum: ['approved', 'rejected'] },
+    note:      { type: String },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+  },
+  cancellation: {
+    reason:      { type: String },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: { type: Date },
+  },
+  // Bumped by each amendment; earlier versions live in SaleRevision
+  version:       { type: Number, default: 1 },
+  amendedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amendedAt:     { type: Date },
+  amendReason:   { type: String },
   saleDate:      { type: Date, default: Date.now },
   notes:         { type: String },
   createdBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
-// Auto-generate invoice number
+// Number from the counter-backed series for the sale date's financial year.
+// Orders and held sales take an order number; the invoice number is only
+// taken when they post, dated by the day they go out.
+saleSchema.methods.assignNumber = async function (session) {
+  const posting = !UNPOSTED.includes(this.status);
+  if (this.invoiceNumber && !(posting && this.invoiceNumber === this.orderNumber)) return;
+  if (posting) this.invoiceNumber = await nextNumber('sale', this.saleDate, session);
+  else this.invoiceNumber = this.orderNumber = await nextNumber('order', this.saleDate, session);
+};
+
 saleSchema.pre('save', async function (next) {
-  if (!this.invoiceNumber) {
-    const count = await mongoose.model('Sale').countDocuments();
-    this.invoiceNumber = `INV-${String(count + 1).padStart(6, '0')}`;
-  }
+  await this.assignNumber(this.$session());
   next();
 });
 
-module.exports = mongoose.model('Sale', saleSchema);
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Posted quantity per SKU in each of the last `weeks` 7-day periods ending
+// now, oldest first, by SKU id. Backordered quantity counts: it was demand.
+saleSchema.statics.weeklyDemand = async function ({ weeks, skus, warehouse, now = new Date() }) {
+  const match = { status: { $nin: this.UNPOSTED }, saleDate: { $gt: new Date(now - weeks * WEEK), $lte: now } };
+  if (warehouse) match.warehouse = mongoose.model('Warehouse').scope(warehouse);
+  const rows = await this.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    ...(skus ? [{ $match: { 'items.sku': { $in: skus.map(s => s._id || s) } } }] : []),
+    { $group: {
+      _id: { sku: '$items.sku', ago: { $floor: { $divide: [{ $subtract: [now, '$saleDate'] }, WEEK] } } },
+      quantity: { $sum: '$items.quantity' },
+    } },
+  ]);
+  const series = {};
+  for (const { _id, quantity } of rows) {
+    const id = String(_id.sku);
+    series[id] ||= Array(weeks).fill(0);
+    series[id][weeks - 1 - Math.min(_id.ago, weeks - 1)] += quantity;
+  }
+  return series;
+};
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+Sale.UNPOSTED = UNPOSTED;
+
+module.exports = Sale;
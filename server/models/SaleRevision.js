@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const revisionItemSchema = new mongoose.Schema({
+  sku:          { type: mongoose.Schema.Types.ObjectId, ref: 'SKU' },
+  skuName:      { type: String },
+  quantity:     { type: Number },
+  quantityText: { type: String },
+  price:        { type: Number },
+  discount:     { type: Number },
+  total:        { type: Number },
+  backorderQty: { type: Number },
+  batches:      [{ batchNo: String, quantity: Number, _id: false }],
+  schemeName:   { type: String },
+  isFree:       { type: Boolean },
+}, { _id: false });
+
+// Snapshot of a sale version that an amendment replaced
+const saleRevisionSchema = new mongoose.Schema({
+  sale:          { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true, index: true },
+  invoiceNumber: { type: String },
+  version:       { type: Number, required: true },
+  items:         [revisionItemSchema],
+  subtotal:      { type: Number },
+  discount:      { type: Number },
+  tax:           { type: Number },
+  total:         { type: Number },
+  paid:          { type: Number },
+  balance:       { type: Number },
+  // Who produced this version and why (the creator for v1)
+  changedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt:     { type: Date },
+  reason:        { type: String },
+}, { timestamps: true });
+
+module.exports = mongoose.model('SaleRevision', saleRevisionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Trade promotion applied automatically at billing
+const schemeSchema = new mongoose.Schema({
+  name:        { type: String, required: true, trim: true },
+  description: { type: String },
+  type:        { type: String, enum: ['free_goods', 'slab_discount', 'percent_off', 'combo'], required: true },
+  validFrom:   { type: Date, required: true },
+  validTo:     { type: Date, required: true },
+  active:      { type: Boolean, default: true },
+  // Who qualifies; an empty list means no restriction on that dimension
+  target: {
+    brands:          [{ type: ObjectId, ref: 'Brand' }],
+    skus:            [{ type: ObjectId, ref: 'SKU' }],
+    retailerClasses: [{ type: String, trim: true }],
+    areas:           [{ type: String, trim: true }],
+    warehouses:      [{ type: ObjectId, ref: 'Warehouse' }],  // bills shipping from these godowns
+    // A clearance markdown covers only as many units as its batch still holds
+    batch:           { type: ObjectId, ref: 'Batch' },
+  },
+  // free_goods: buy `buyQty`, get `freeQty` of `freeSku` (or the same SKU)
+  buyQty:      { type: Number, min: 1 },
+  freeQty:     { type: Number, min: 1 },
+  freeSku:     { type: ObjectId, ref: 'SKU' },
+  // slab_discount: highest slab whose minQty the line reaches, counted in the
+  // slab's pack unit (`uom`) or in base units when it has none
+  slabs:       [{ minQty: { type: Number, min: 1 }, uom: { type: String, trim: true }, percent: { type: Number, min: 0, max: 100 }, _id: false }],
+  // percent_off, and combo discount on each complete set
+  percent:     { type: Number, min: 0, max: 100 },
+  comboItems:  [{ sku: { type: ObjectId, ref: 'SKU' }, quantity: { type: Number, min: 1 }, _id: false }],
+  createdBy:   { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+// Active schemes valid on a date that admit this retailer's class and area
+// and a bill shipping from `warehouse`
+schemeSchema.statics.applicableTo = async function (retailer, date, session, warehouse) {
+  const schemes = await this.find({ active: true, validFrom: { $lte: date }, validTo: { $gte: date } }).session(session);
+  return schemes.filter(s => {
+    const { retailerClasses = [], areas = [], warehouses = [] } = s.target || {};
+    return (!retailerClasses.length || retailerClasses.includes(retailer.retailerClass))
+      && (!areas.length || areas.includes(retailer.area))
+      && (!warehouses.length || warehouses.some(id => warehouse && id.equals(warehouse._id)));
+  });
+};
+
+// Units each batch-bound scheme can still discount, by scheme id: what is
+// left of its batch
+schemeSchema.statics.batchLimits = async function (schemes, session) {
+  const bound = schemes.filter(s => s.target?.batch);
+  const batches = await mongoose.model('Batch').find({ _id: { $in: bound.map(s => s.target.batch) } }, 'quantity').session(session);
+  return Object.fromEntries(bound.map(s => [String(s._id), batches.find(b => b._id.equals(s.target.batch))?.quantity || 0]));
+};
+
+module.exports = mongoose.model('Scheme', schemeSchema);
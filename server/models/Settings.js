@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = (prefix, padding) => ({
+  prefix:  { type: String, default: prefix, trim: true },
+  padding: { type: Number, default: padding, min: 1, max: 10 },
+});
+
+// Single document of business-wide settings
+const settingsSchema = new mongoose.Schema({
+  _id: { type: String, default: 'global' },
+  company: {
+    name:      { type: String, trim: true },
+    gstin:     { type: String, trim: true, uppercase: true },
+    stateCode: { type: String, trim: true },  // GST state code; defaults to the GSTIN's
+    address:   { type: String, trim: true },
+  },
+  // Document number series, e.g. INV/2026-27/000123
+  numbering: {
+    sale:          seriesSchema('INV', 6),
+    order:         seriesSchema('SO', 5),   // confirmed orders and held sales, until invoiced
+    purchaseOrder: seriesSchema('PO', 5),
+    return:        seriesSchema('RET', 5),
+    transfer:      seriesSchema('TRF', 5),
+    stockCount:    seriesSchema('SC', 5),
+    kitAssembly:   seriesSchema('KIT', 5),
+    supplierPayment: seriesSchema('SPAY', 5),
+    goodsReceipt:  seriesSchema('GRN', 5),
+  },
+  // How stock issued out is costed: moving weighted average or first-in-first-out
+  costing: {
+    method: { type: String, enum: ['wac', 'fifo'], default: 'wac' },
+  },
+  // Reorder suggestions: demand is averaged over `velocityDays` of sales; an
+  // order covers lead time, `safetyDays` of buffer and `coverDays` after arrival
+  reorder: {
+    velocityDays: { type: Number, default: 30, min: 1 },
+    safetyDays:   { type: Number, default: 7, min: 0 },
+    coverDays:    { type: Number, default: 15, min: 0 },
+    leadTimeDays: { type: Number, default: 7, min: 0 },  // for SKUs without their own
+    useForecast:  { type: Boolean, default: false },  // demand from the SKU forecast instead
+  },
+  // Stock reserved for a confirmed order or a credit-held sale goes back on
+  // sale if it isn't dispatched within `days`
+  reservation: {
+    days: { type: Number, default: 3, min: 1 },
+  },
+  // Weeks of sales history the demand forecasts are fitted on
+  forecast: {
+    historyWeeks: { type: Number, default: 104, min: 8, max: 260 },
+  },
+  // SKU classification: movement by days since the last sale, ABC by
+  // cumulative revenue share, XYZ by month-to-month variation in demand,
+  // all over the last `months` 30-day periods
+  analysis: {
+    months:   { type: Number, default: 6, min: 2, max: 24 },
+    fastDays: { type: Number, default: 15, min: 1 },
+    deadDays: { type: Number, default: 45, min: 1 },
+    abc: {
+      a: { type: Number, default: 80, min: 1, max: 100 },  // cumulative revenue %
+      b: { type: Number, default: 95, min: 1, max: 100 },
+    },
+    xyz: {
+      x: { type: Number, default: 0.5, min: 0 },  // coefficient of variation
+      y: { type: Number, default: 1, min: 0 },
+    },
+  },
+  // How many days before expiry a batch starts raising alerts
+  expiry: {
+    alertDays:  { type: Number, default: 30, min: 1 },
+    byCategory: [{ category: { type: String, trim: true }, alertDays: { type: Number, min: 1 }, _id: false }],
+  },
+}, { timestamps: true });
+
+// The stored settings, or unsaved defaults if none have been saved yet
+settingsSchema.statics.load = async function (session) {
+  return (await this.findById('global').session(session)) || new this();
+};
+
+// Alert window in days for a SKU category
+settingsSchema.methods.expiryAlertDays = function (category) {
+  const rule = this.expiry?.byCategory?.find(c => c.category === category);
+  return rule?.alertDays ?? this.expiry?.alertDays ?? 30;
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const countItemSchema = new mongoose.Schema({
+  sku:        { type: ObjectId, ref: 'SKU', required: true },
+  skuName:    { type: String },
+  code:       { type: String },
+  unit:       { type: String },
+  systemQty:  { type: Number, required: true },  // warehouse stock when the session opened
+  countedQty: { type: Number, default: null, min: 0 },  // null until counted
+  variance:   { type: Number, default: 0 },     // counted − system, base units
+  unitCost:   { type: Number, default: 0 },     // carrying cost when the session opened
+  varianceValue: { type: Number, default: 0 },  // variance at that cost
+}, { _id: false });
+
+// A physical count of one warehouse. System stock is frozen when the session
+// opens; on approval each counted line's variance is posted as an adjustment.
+const stockCountSchema = new mongoose.Schema({
+  countNumber: { type: String, unique: true },
+  warehouse:   { type: ObjectId, ref: 'Warehouse', required: true },
+  // Full counts take every active SKU; cycle counts one brand or category
+  scope: {
+    type:     { type: String, enum: ['full', 'cycle'], default: 'full' },
+    brand:    { type: ObjectId, ref: 'Brand' },
+    category: { type: String, trim: true },
+  },
+  items:      [countItemSchema],
+  status:     { type: String, enum: ['counting', 'posted', 'cancelled'], default: 'counting' },
+  countDate:  { type: Date, default: Date.now },
+  notes:      { type: String },
+  createdBy:  { type: ObjectId, ref: 'User' },
+  approvedBy: { type: ObjectId, ref: 'User' },
+  postedAt:   { type: Date },
+}, { timestamps: true });
+
+// Record a counted quantity against a line and work out its variance
+stockCountSchema.methods.setCount = function (item, countedQty) {
+  item.countedQty = countedQty;
+  item.variance = countedQty === null ? 0 : countedQty - item.systemQty;
+  item.varianceValue = round2(item.variance * item.unitCost);
+};
+
+// Lines counted, still to count, and the net and absolute variance at cost
+stockCountSchema.methods.summary = function () {
+  const counted = this.items.filter(i => i.countedQty !== null);
+  return {
+    lines: this.items.length,
+    counted: counted.length,
+    withVariance: counted.filter(i => i.variance).length,
+    shortValue: round2(counted.filter(i => i.variance < 0).reduce((a, i) => a - i.varianceValue, 0)),
+    excessValue: round2(counted.filter(i => i.variance > 0).reduce((a, i) => a + i.varianceValue, 0)),
+    netValue: round2(counted.reduce((a, i) => a + i.varianceValue, 0)),
+  };
+};
+
+stockCountSchema.index({ status: 1, countDate: -1 });
+
+// Number from the counter-backed series for the document's financial year
+stockCountSchema.pre('save', async function (next) {
+  if (!this.countNumber) {
+    this.countNumber = await nextNumber('stockCount', this.countDate, this.$session());
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
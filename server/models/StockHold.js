@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const STATES = ['quarantine', 'damaged', 'reserved'];
+const ACTIONS = ['release', 'scrap', 'return_to_brand'];
+
+// Stock on the books that can't be sold. Quarantined and damaged goods have
+// left sellable stock (SKU.stock) and are carried here at the cost they left
+// at until they are released, scrapped or sent back to the brand. Reserved
+// stock stays in SKU.stock; Batch.sellable keeps sales off it. A sale waiting
+// to be dispatched reserves its lines until `expiresAt`.
+const stockHoldSchema = new mongoose.Schema({
+  sku:         { type: ObjectId, ref: 'SKU', required: true },
+  skuName:     { type: String },
+  warehouse:   { type: ObjectId, ref: 'Warehouse', required: true },
+  state:       { type: String, enum: STATES, required: true },
+  quantity:    { type: Number, required: true, min: 0 },  // still held, base units
+  originalQty: { type: Number, required: true },
+  unitCost:    { type: Number, default: 0 },
+  // Lots the held quantity belongs to; null batchNo for untracked stock
+  batches: [{
+    batch:      { type: ObjectId, ref: 'Batch' },
+    batchNo:    { type: String },
+    mfgDate:    { type: Date },
+    expiryDate: { type: Date },
+    quantity:   { type: Number },
+    _id: false,
+  }],
+  reason:      { type: String, trim: true },
+  // Where the goods came from
+  refModel:    { type: String, enum: ['SKU', 'Batch', 'Return', 'ProductTest', 'PurchaseOrder', 'Sale'] },
+  ref:         { type: ObjectId, refPath: 'refModel' },
+  refNumber:   { type: String },
+  expiresAt:   { type: Date },  // reservations only; past it the stock is sellable again
+  status:      { type: String, enum: ['open', 'closed'], default: 'open' },
+  dispositions: [{
+    action:   { type: String, enum: ACTIONS, required: true },
+    quantity: { type: Number, required: true },
+    value:    { type: Number, default: 0 },
+    note:     { type: String, trim: true },
+    writeOff: { type: ObjectId, ref: 'WriteOff' },
+    user:     { type: ObjectId, ref: 'User' },
+    date:     { type: Date, default: Date.now },
+  }],
+  createdBy:   { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+stockHoldSchema.index({ sku: 1, warehouse: 1, state: 1, status: 1 });
+stockHoldSchema.index({ refModel: 1, ref: 1 });
+
+// Reservations still in force, whether or not the expiry sweep has run
+const live = () => ({ state: 'reserved', status: 'open', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+// Open reserved quantity of a SKU in a warehouse
+stockHoldSchema.statics.reservedIn = async function (sku, warehouse, session) {
+  const [row] = await this.aggregate([
+    { $match: { sku: sku._id, warehouse: warehouse._id, ...live() } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+  return row?.quantity || 0;
+};
+
+// Set stock aside from a warehouse's sellable stock: one batch if given,
+// otherwise first-expiry-first-out. Quarantined and damaged stock leaves
+// SKU.stock through a 'hold' movement.
+stockHoldSchema.statics.fromStock = async function ({ sku, warehouse, state, quantity, batch, reason, refModel, ref, refNumber, expiresAt, user }, session) {
+  const Batch = mongoose.model('Batch');
+  const StockMovement = mongoose.model('StockMovement');
+  if (!STATES.includes(state)) throw httpError(400, `State must be one of ${STATES.join(', ')}.`);
+  if (!(quantity > 0)) throw httpError(400, 'Quantity must be positive.');
+
+  let batches;
+  if (state === 'reserved') {
+    const available = await Batch.onShelf(sku, warehouse, session);  // kits only, for a bundle
+    if (quantity > available) throw httpError(400, `Only ${available} ${sku.unit} of ${sku.name} can be reserved in ${warehouse.name}.`);
+    batches = [];
+  } else if (batch) {
+    if (quantity > batch.quantity) throw httpError(400, `Only ${batch.quantity} ${sku.unit} left in batch ${batch.batchNo}.`);
+    batch.quantity -= quantity;
+    await batch.save({ session });
+    batches = [{ batch: batch._id, batchNo: batch.batchNo, mfgDate: batch.mfgDate, expiryDate: batch.expiryDate, quantity }];
+  } else {
+    batches = await Batch.allocate(sku, quantity, session, { warehouse });
+  }
+
+  const holdId = new mongoose.Types.ObjectId();
+  let unitCost = sku.currentCost();
+  if (state !== 'reserved') {
+    unitCost = (await StockMovement.record({
+      sku: sku._id, warehouse, delta: -quantity, type: 'hold', batch: batch?._id, batchNo: batch?.batchNo,
+      ref: holdId, refModel: 'StockHold', reason: `To ${state}${reason ? `: ${reason}` : ''}`, user,
+    }, session)).unitCost;
+  }
+  const [hold] = await this.create([{
+    _id: holdId, sku: sku._id, skuName: sku.name, warehouse: warehouse._id, state,
+    quantity, originalQty: quantity, unitCost, batches, reason,
+    refModel: refModel || (batch ? 'Batch' : 'SKU'), ref: ref || batch?._id || sku._id, refNumber,
+    expiresAt: state === 'reserved' ? expiresAt : undefined, createdBy: user,
+  }], { session });
+  return hold;
+};
+
+// Open reserved quantity per SKU id, in one warehouse or across all of
+// them, for showing available = on hand − reserved
+stockHoldSchema.statics.reservedBySku = async function (skus, warehouse) {
+  const match = live();
+  if (skus) match.sku = { $in: skus.map(s => s._id || s) };
+  if (warehouse) match.warehouse = warehouse._id;
+  const rows = await this.aggregate([{ $match: match }, { $group: { _id: '$sku', quantity: { $sum: '$quantity' } } }]);
+  return Object.fromEntries(rows.map(r => [String(r._id), r.quantity]));
+};
+
+// Reserve what a sale will ship from its warehouse until `expiresAt`. A
+// bundle line reserves kits on the shelf, then the components to make up
+// the rest.
+stockHoldSchema.statics.reserveFor = async function (sale, { expiresAt, user }, session) {
+  const Batch = mongoose.model('Batch');
+  const SKU = mongoose.model('SKU');
+  const Warehouse = mongoose.model('Warehouse');
+  const warehouse = await Warehouse.resolve(sale.warehouse, session);
+  const hold = { warehouse, state: 'reserved', refModel: 'Sale', ref: sale._id, refNumber: sale.invoiceNumber, expiresAt, user,
+    reason: `For ${sale.retailerName}` };
+  for (const item of sale.items) {
+    const sku = await SKU.findById(item.sku).session(session);
+    const ship = item.quantity - item.backorderQty;
+    const own = item.isBundle ? Math.min(ship, await Batch.onShelf(sku, warehouse, session)) : ship;
+    if (own > 0) await this.fromStock({ ...hold, sku, quantity: own }, session);
+    if (ship === own) continue;
+    for (const part of await sku.componentSkus(session)) {
+      await this.fromStock({ ...hold, sku: part.sku, quantity: (ship - own) * part.quantity, reason: `${hold.reason}, in ${sku.name}` }, session);
+    }
+  }
+};
+
+// Release whatever a sale still has reserved
+stockHoldSchema.statics.releaseFor = async function (sale, { note, user }, session) {
+  const holds = await this.find({ refModel: 'Sale', ref: sale._id, state: 'reserved', status: 'open' }).session(session);
+  for (const hold of holds) await hold.dispose({ action: 'release', quantity: hold.quantity, note, user }, session);
+};
+
+// Release reservations past their expiry; run on a schedule
+stockHoldSchema.statics.expireReservations = async function () {
+  const holds = await this.find({ state: 'reserved', status: 'open', expiresAt: { $lte: new Date() } });
+  for (const hold of holds) await hold.dispose({ action: 'release', quantity: hold.quantity, note: 'Reservation expired' });
+  return { expired: holds.length };
+};
+
+// Take `quantity` off the held batches, oldest entry first
+const takeBatches = (hold, quantity) => {
+  const taken = [];
+  let rest = quantity;
+  for (const part of hold.batches) {
+    if (!rest) break;
+    const take = Math.min(rest, part.quantity);
+    if (!take) continue;
+    part.quantity -= take;
+    taken.push({ ...part.toObject(), quantity: take });
+    rest -= take;
+  }
+  hold.batches = hold.batches.filter(p => p.quantity > 0);
+  return taken;
+};
+
+// Dispose of some or all of a hold. Releasing puts quarantined or damaged
+// goods back into sellable stock at the cost they were held at, on their
+// batches, and fills open backorders; scrapping books a write-off; goods
+// sent back to the brand are valued for the claim. A reservation can only
+// be released.
+stockHoldSchema.methods.dispose = async function ({ action, quantity, note, user }, session) {
+  const Batch = mongoose.model('Batch');
+  const Backorder = mongoose.model('Backorder');
+  const StockMovement = mongoose.model('StockMovement');
+  const Warehouse = mongoose.model('Warehouse');
+  const WriteOff = mongoose.model('WriteOff');
+  if (!ACTIONS.includes(action)) throw httpError(400, `Action must be one of ${ACTIONS.join(', ')}.`);
+  if (this.status !== 'open') throw httpError(400, 'This hold is already closed.');
+  if (this.state === 'reserved' && action !== 'release') throw httpError(400, 'Reserved stock can only be released.');
+  if (!(quantity > 0) || quantity > this.quantity) throw httpError(400, `Quantity must be between 1 and ${this.quantity}.`);
+
+  const value = round2(quantity * this.unitCost);
+  const disposition = { action, quantity, value, note, user, date: new Date() };
+  const parts = takeBatches(this, quantity);
+  if (action === 'release' && this.state !== 'reserved') {
+    const warehouse = await Warehouse.resolve(this.warehouse, session);
+    for (const part of parts) {
+      const batch = part.batchNo && await Batch.findOneAndUpdate(
+        { sku: this.sku, batchNo: part.batchNo, warehouse: Warehouse.scope(warehouse) },
+        {
+          $inc: { quantity: part.quantity },
+          $setOnInsert: { warehouse: warehouse._id, mfgDate: part.mfgDate, expiryDate: part.expiryDate, receivedDate: new Date() },
+        },
+        { upsert: true, new: true, session }
+      );
+      await StockMovement.record({
+        sku: this.sku, warehouse, delta: part.quantity, type: 'hold_release', unitCost: this.unitCost,
+        batch: batch?._id, batchNo: batch?.batchNo, ref: this._id, refModel: 'StockHold',
+        reason: `Released from ${this.state}${note ? `: ${note}` : ''}`, user,
+      }, session);
+    }
+    // Untracked goods were held without batches
+    const untracked = quantity - parts.reduce((a, p) => a + p.quantity, 0);
+    if (untracked > 0) {
+      await StockMovement.record({
+        sku: this.sku, warehouse, delta: untracked, type: 'hold_release', unitCost: this.unitCost,
+        ref: this._id, refModel: 'StockHold', reason: `Released from ${this.state}${note ? `: ${note}` : ''}`, user,
+      }, session);
+    }
+    await Backorder.fulfilFromStock(this.sku, session, user, warehouse);
+  } else if (action === 'scrap') {
+    const [writeOff] = await WriteOff.create([{
+      sku: this.sku, skuName: this.skuName, batch: parts[0]?.batch, batchNo: parts.map(p => p.batchNo).filter(Boolean).join(', ') || undefined,
+      warehouse: this.warehouse, hold: this._id, bucket: this.state, quantity,
+      unitCost: this.unitCost, value, reason: note || this.reason || `Scrapped from ${this.state}`, createdBy: user,
+    }], { session });
+    disposition.writeOff = writeOff._id;
+  }
+
+  this.quantity -= quantity;
+  if (!this.quantity) this.status = 'closed';
+  this.dispositions.push(disposition);
+  await this.save({ session });
+  return this;
+};
+
+stockHoldSchema.statics.STATES = STATES;
+stockHoldSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('StockHold', stockHoldSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { round2 } = require('../utils/gst');
+const CostLayer = require('./CostLayer');
+const Settings = require('./Settings');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const TYPES = [
+  'opening', 'import', 'adjustment', 'sale', 'sale_amend', 'sale_cancel',
+  'backorder_fulfil', 'po_receipt', 'write_off', 'transfer_out', 'transfer_in',
+  'stock_count', 'hold', 'hold_release', 'return', 'kit_assembly',
+];
+
+// One change to a SKU's on-hand stock. Append-only: written by
+// StockMovement.record alongside the change itself and never edited.
+const stockMovementSchema = new mongoose.Schema({
+  sku:       { type: ObjectId, ref: 'SKU', required: true },
+  skuName:   { type: String },
+  type:      { type: String, enum: TYPES, required: true },
+  delta:     { type: Number, required: true },  // base units, + in / - out
+  balance:   { type: Number, required: true },  // SKU stock after this movement
+  warehouse: { type: ObjectId, ref: 'Warehouse' },
+  warehouseBalance: { type: Number },           // that warehouse's stock after it
+  batch:     { type: ObjectId, ref: 'Batch' },
+  batchNo:   { type: String },
+  unitCost:  { type: Number, default: 0 },  // per base unit: receipt cost in, costing method out
+  value:     { type: Number, default: 0 },  // delta × unitCost
+  // The document that caused the movement
+  refModel:  { type: String, enum: ['Sale', 'PurchaseOrder', 'WriteOff', 'SKU', 'StockTransfer', 'StockCount', 'StockHold', 'Return', 'KitAssembly', 'GoodsReceipt'] },
+  ref:       { type: ObjectId, refPath: 'refModel' },
+  refNumber: { type: String },
+  reason:    { type: String, trim: true },
+  user:      { type: ObjectId, ref: 'User' },
+  date:      { type: Date, default: Date.now },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ sku: 1, date: 1 });
+stockMovementSchema.index({ warehouse: 1, sku: 1, date: 1 });
+
+const immutable = function (next) { next(httpError(400, 'Stock movements cannot be changed.')); };
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+// Apply a stock change to a SKU in a warehouse (default if omitted) and log
+// it in the same session. Every stock mutation goes through here.
+// Stock coming in is costed at `unitCost` (the current cost if omitted) and
+// moves the weighted average; stock going out is costed by the settings'
+// method. Returns the movement, whose `unitCost` is what it was costed at.
+stockMovementSchema.statics.record = async function ({ sku, warehouse, delta, type, unitCost, ref, refModel, refNumber, batch, batchNo, reason, user }, session) {
+  const SKU = mongoose.model('SKU');
+  const Warehouse = mongoose.model('Warehouse');
+  const WarehouseStock = mongoose.model('WarehouseStock');
+  const where = warehouse?._id ? warehouse : await Warehouse.resolve(warehouse, session);
+  const updated = await SKU.findByIdAndUpdate(sku, { $inc: { stock: delta } }, { new: true, session });
+  if (!updated) throw httpError(404, `SKU ${sku} not found.`);
+
+  const current = updated.currentCost();
+  let cost;
+  if (delta > 0) {
+    cost = unitCost ?? current;
+    await CostLayer.receive(updated, delta, cost, { ref, refModel, refNumber }, session);
+    const onHand = Math.max(0, updated.stock - delta);
+    const avgCost = CostLayer.round4(onHand ? (onHand * current + delta * cost) / (onHand + delta) : cost);
+    if (avgCost !== updated.avgCost) await SKU.updateOne({ _id: updated._id }, { avgCost }, { session });
+  } else {
+    // Layers are kept under either method so it can be switched
+    const fifo = await CostLayer.issue(updated, -delta, current, session);
+    cost = (await Settings.load(session)).costing?.method === 'fifo' ? fifo : current;
+  }
+
+  // The default warehouse's stock is whatever the others don't hold
+  if (!where.isDefault) {
+    await WarehouseStock.updateOne(
+      { sku: updated._id, warehouse: where._id }, { $inc: { quantity: delta } }, { upsert: true, session }
+    );
+  }
+  const [movement] = await this.create([{
+    sku: updated._id, skuName: updated.name, type, delta, balance: updated.stock,
+    warehouse: where._id, warehouseBalance: await Warehouse.stockOf(updated, where, session),
+    unitCost: cost, value: round2(delta * cost),
+    batch, batchNo, ref, refModel, refNumber, reason, user,
+  }], { session });
+  return movement;
+};
+
+// Log the stock a SKU was created with as its opening balance, costed at its
+// purchase price. The SKU already carries the stock, so this only opens the
+// cost layer and the ledger.
+stockMovementSchema.statics.opening = async function (sku, { type = 'opening', reason = 'Opening stock', user } = {}, session) {
+  const unitCost = sku.purchasePrice || 0;
+  await CostLayer.receive(sku, sku.stock, unitCost, { ref: sku._id, refModel: 'SKU' }, session);
+  const [movement] = await this.create([{
+    sku: sku._id, skuName: sku.name, type, delta: sku.stock, balance: sku.stock,
+    unitCost, value: round2(sku.stock * unitCost),
+    ref: sku._id, refModel: 'SKU', reason, user,
+  }], { session });
+  return movement;
+};
+
+// Take stock out other than by sale (counts, adjustments, write-offs) so the
+// batches keep adding up to it: drawn first-expiry-first-out with expired
+// batches first, one movement per batch. Returns the movements.
+stockMovementSchema.statics.takeOut = async function (sku, quantity, movement, session) {
+  const Batch = mongoose.model('Batch');
+  const Warehouse = mongoose.model('Warehouse');
+  const where = movement.warehouse?._id ? movement.warehouse : await Warehouse.resolve(movement.warehouse, session);
+  const allocation = await Batch.allocate(sku, quantity, session, { warehouse: where, expired: true });
+  const movements = [];
+  for (const part of allocation) {
+    movements.push(await this.record({
+      ...movement, sku: sku._id, warehouse: where, delta: -part.quantity, batch: part.batch, batchNo: part.batchNo || undefined,
+    }, session));
+  }
+  return movements;
+};
+
+stockMovementSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const transferItemSchema = new mongoose.Schema({
+  sku:          { type: ObjectId, ref: 'SKU', required: true },
+  skuName:      { type: String },
+  quantity:     { type: Number, required: true, min: 1 },  // base units
+  quantityText: { type: String },
+  unitCost:     { type: Number },  // carried at on dispatch; received back in at the same cost
+  // Source batches the quantity was drawn from, first-expiry-first-out
+  batches: [{
+    batch:      { type: ObjectId, ref: 'Batch' },
+    batchNo:    { type: String },  // null for stock that predates batch tracking
+    mfgDate:    { type: Date },
+    expiryDate: { type: Date },
+    quantity:   { type: Number },
+    _id: false,
+  }],
+});
+
+// Stock moved between godowns. It leaves the source on dispatch and is
+// counted nowhere until the destination receives it.
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: { type: String, unique: true },
+  from:           { type: ObjectId, ref: 'Warehouse', required: true },
+  to:             { type: ObjectId, ref: 'Warehouse', required: true },
+  items:          [transferItemSchema],
+  status:         { type: String, enum: ['in_transit', 'received', 'cancelled'], default: 'in_transit' },
+  dispatchDate:   { type: Date, default: Date.now },
+  receivedDate:   { type: Date },
+  notes:          { type: String },
+  cancellation: {
+    reason:      { type: String },
+    cancelledBy: { type: ObjectId, ref: 'User' },
+    cancelledAt: { type: Date },
+  },
+  createdBy:  { type: ObjectId, ref: 'User' },
+  receivedBy: { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+stockTransferSchema.index({ status: 1, dispatchDate: -1 });
+
+// Number from the counter-backed series for the document's financial year
+stockTransferSchema.pre('save', async function (next) {
+  if (!this.transferNumber) {
+    this.transferNumber = await nextNumber('transfer', this.dispatchDate, this.$session());
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Companies and distributor-stockists we buy from. `outstandingBalance` is
+// what we owe them: bills booked less payments made.
+const supplierSchema = new mongoose.Schema({
+  name:          { type: String, required: true, trim: true, unique: true },
+  contactPerson: { type: String, trim: true },
+  phone:         { type: String, trim: true },
+  email:         { type: String, trim: true, lowercase: true },
+  address:       { type: String, trim: true },
+  city:          { type: String, trim: true },
+  gstin:         { type: String, trim: true, uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'GSTIN must be 15 characters, e.g. 27AAPFU0939F1ZV.'] },
+  paymentTermsDays: { type: Number, default: 30, min: 0 },  // bills fall due this long after the bill date
+  brands:        [{ type: ObjectId, ref: 'Brand' }],  // brands bought from this supplier
+  outstandingBalance: { type: Number, default: 0 },
+  active:        { type: Boolean, default: true },
+  notes:         { type: String },
+}, { timestamps: true });
+
+supplierSchema.index({ brands: 1 });
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The supplier with this name, ignoring case, or null
+supplierSchema.statics.named = function (name, session) {
+  return this.findOne({ name: { $regex: `^${escapeRegex(name.trim())}$`, $options: 'i' } }).session(session);
+};
+
+// The supplier with this name, ignoring case, created if there isn't one
+supplierSchema.statics.byName = async function (name, fields = {}, session) {
+  const found = await this.named(name, session);
+  if (found) return found;
+  const [created] = await this.create([{ name: name.trim(), ...fields }], { session });
+  return created;
+};
+
+// Who a SKU is bought from: the active supplier named on the SKU, otherwise
+// the supplier of its brand. A name that matches no supplier gives null
+// rather than a new supplier, so a typo can't end up in payables.
+supplierSchema.statics.forSku = async function (sku, session) {
+  if (sku.supplier) {
+    const named = await this.named(sku.supplier, session);
+    return named?.active ? named : null;
+  }
+  if (!sku.brand) return null;
+  return this.findOne({ brands: sku.brand._id || sku.brand, active: true }).sort({ name: 1 }).session(session);
+};
+
+// Purchase orders from before the supplier master named their supplier in
+// free text; give each name a supplier and link the orders to it
+supplierSchema.statics.adoptLegacy = async function () {
+  const orders = mongoose.model('PurchaseOrder').collection;
+  const names = await orders.distinct('supplier', { supplier: { $type: 'string' } });
+  for (const name of names.filter(n => n.trim())) {
+    const phone = (await orders.findOne({ supplier: name, supplierPhone: { $nin: [null, ''] } }))?.supplierPhone;
+    const supplier = await this.byName(name, { phone });
+    await orders.updateMany({ supplier: name }, [{ $set: { supplierName: supplier.name, supplier: supplier._id } }]);
+  }
+  return { adopted: names.length };
+};
+
+module.exports = mongoose.model('Supplier', supplierSchema);
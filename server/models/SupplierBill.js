@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A supplier's invoice for goods we bought, usually against a purchase order.
+// Booking one adds to what we owe the supplier; payments settle it.
+const supplierBillSchema = new mongoose.Schema({
+  supplier:      { type: ObjectId, ref: 'Supplier', required: true },
+  supplierName:  { type: String },
+  purchaseOrder: { type: ObjectId, ref: 'PurchaseOrder' },
+  poNumber:      { type: String },
+  billNumber:    { type: String, required: true, trim: true },  // the supplier's invoice number
+  billDate:      { type: Date, required: true },
+  dueDate:       { type: Date, required: true },
+  amount:        { type: Number, required: true, min: 0 },
+  paid:          { type: Number, default: 0 },
+  balance:       { type: Number, default: 0 },
+  status:        { type: String, enum: ['unpaid', 'partial', 'paid', 'cancelled'], default: 'unpaid' },
+  notes:         { type: String },
+  cancellation: {
+    reason:      { type: String },
+    cancelledBy: { type: ObjectId, ref: 'User' },
+    cancelledAt: { type: Date },
+  },
+  createdBy:     { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+supplierBillSchema.index({ supplier: 1, billNumber: 1 }, { unique: true });
+supplierBillSchema.index({ supplier: 1, status: 1, dueDate: 1 });
+
+// Book a bill to a supplier's account, due after their payment terms. Any
+// advance paid to the supplier goes against it straight away.
+supplierBillSchema.statics.book = async function ({ supplier, purchaseOrder, billNumber, billDate, amount, notes, user }, session) {
+  const SupplierPayment = mongoose.model('SupplierPayment');
+  if (!billNumber?.trim()) throw httpError(400, 'The supplier\'s bill number is required.');
+  if (!(amount > 0)) throw httpError(400, 'Bill amount must be positive.');
+  const date = billDate ? new Date(billDate) : new Date();
+  if (await this.exists({ supplier: supplier._id, billNumber: billNumber.trim() }).session(session))
+    throw httpError(400, `Bill ${billNumber.trim()} from ${supplier.name} is already booked.`);
+  const [bill] = await this.create([{
+    supplier: supplier._id, supplierName: supplier.name,
+    purchaseOrder: purchaseOrder?._id, poNumber: purchaseOrder?.poNumber,
+    billNumber, billDate: date, dueDate: new Date(date.getTime() + (supplier.paymentTermsDays || 0) * DAY),
+    amount: round2(amount), balance: round2(amount), notes, createdBy: user,
+  }], { session });
+  const advances = await SupplierPayment.find({ supplier: supplier._id, unallocated: { $gt: 0 } }).sort({ paymentDate: 1 }).session(session);
+  for (const payment of advances) {
+    if (!bill.balance) break;
+    const take = Math.min(payment.unallocated, bill.balance);
+    bill.settle(take);
+    payment.allocations.push({ bill: bill._id, billNumber: bill.billNumber, amount: take });
+    payment.unallocated = round2(payment.unallocated - take);
+    await payment.save({ session });
+  }
+  if (advances.length) await bill.save({ session });
+  supplier.outstandingBalance = round2((supplier.outstandingBalance || 0) + bill.amount);
+  await supplier.save({ session });
+  return bill;
+};
+
+// Take an unpaid bill off the supplier's account
+supplierBillSchema.methods.cancel = async function ({ reason, user }, session) {
+  const Supplier = mongoose.model('Supplier');
+  if (this.status === 'cancelled') throw httpError(400, 'Bill is already cancelled.');
+  if (this.paid > 0) throw httpError(400, `₹${this.paid} has been paid against bill ${this.billNumber}; it can't be cancelled.`);
+  const supplier = await Supplier.findById(this.supplier).session(session);
+  if (supplier) {
+    supplier.outstandingBalance = round2((supplier.outstandingBalance || 0) - this.amount);
+    await supplier.save({ session });
+  }
+  this.status = 'cancelled';
+  this.balance = 0;
+  this.cancellation = { reason, cancelledBy: user, cancelledAt: new Date() };
+  await this.save({ session });
+  return this;
+};
+
+// Apply part of a payment to this bill
+supplierBillSchema.methods.settle = function (amount) {
+  this.paid = round2(this.paid + amount);
+  this.balance = round2(this.amount - this.paid);
+  this.status = this.balance <= 0 ? 'paid' : 'partial';
+};
+
+module.exports = mongoose.model('SupplierBill', supplierBillSchema);
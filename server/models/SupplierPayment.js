@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+const { nextNumber } = require('../utils/numbering');
+const { round2 } = require('../utils/gst');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Money paid to a supplier, set against their bills. Whatever isn't set
+// against a bill stays on account as an advance.
+const supplierPaymentSchema = new mongoose.Schema({
+  paymentNumber: { type: String, unique: true },
+  supplier:      { type: ObjectId, ref: 'Supplier', required: true },
+  supplierName:  { type: String },
+  amount:        { type: Number, required: true, min: 0.01 },
+  mode:          { type: String, enum: ['cash', 'upi', 'bank_transfer', 'cheque'], default: 'bank_transfer' },
+  reference:     { type: String, trim: true },  // UTR, cheque number
+  paymentDate:   { type: Date, default: Date.now },
+  allocations: [{
+    bill:       { type: ObjectId, ref: 'SupplierBill' },
+    billNumber: { type: String },
+    amount:     { type: Number },
+    _id: false,
+  }],
+  unallocated:   { type: Number, default: 0 },
+  notes:         { type: String },
+  createdBy:     { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+supplierPaymentSchema.index({ supplier: 1, paymentDate: -1 });
+
+// Number from the counter-backed series for the document's financial year
+supplierPaymentSchema.pre('save', async function (next) {
+  if (!this.paymentNumber) {
+    this.paymentNumber = await nextNumber('supplierPayment', this.paymentDate, this.$session());
+  }
+  next();
+});
+
+// Pay a supplier. `bills` maps bill id to the amount to set against it;
+// without it the payment settles open bills oldest-due first.
+supplierPaymentSchema.statics.pay = async function ({ supplier, amount, mode, reference, paymentDate, bills, notes, user }, session) {
+  const SupplierBill = mongoose.model('SupplierBill');
+  if (!(amount > 0)) throw httpError(400, 'Payment amount must be positive.');
+  const open = await SupplierBill.find({ supplier: supplier._id, status: { $in: ['unpaid', 'partial'] } })
+    .sort({ dueDate: 1, billDate: 1 }).session(session);
+
+  const allocations = [];
+  let rest = round2(amount);
+  if (bills && Object.keys(bills).length) {
+    for (const [id, share] of Object.entries(bills)) {
+      const bill = open.find(b => String(b._id) === id);
+      if (!bill) throw httpError(400, 'Payments can only be set against this supplier\'s open bills.');
+      const take = round2(Number(share));
+      if (!(take > 0) || take > bill.balance) throw httpError(400, `Bill ${bill.billNumber} has ${bill.balance} outstanding.`);
+      if (take > rest) throw httpError(400, 'Amounts set against bills exceed the payment.');
+      allocations.push({ bill, take });
+      rest = round2(rest - take);
+    }
+  } else {
+    for (const bill of open) {
+      if (!rest) break;
+      const take = Math.min(rest, bill.balance);
+      allocations.push({ bill, take });
+      rest = round2(rest - take);
+    }
+  }
+  for (const { bill, take } of allocations) {
+    bill.settle(take);
+    await bill.save({ session });
+  }
+
+  const [payment] = await this.create([{
+    supplier: supplier._id, supplierName: supplier.name, amount: round2(amount), mode, reference,
+    paymentDate: paymentDate || new Date(), notes, createdBy: user,
+    allocations: allocations.map(({ bill, take }) => ({ bill: bill._id, billNumber: bill.billNumber, amount: take })),
+    unallocated: rest,
+  }], { session });
+  supplier.outstandingBalance = round2((supplier.outstandingBalance || 0) - payment.amount);
+  await supplier.save({ session });
+  return payment;
+};
+
+module.exports = mongoose.model('SupplierPayment', supplierPaymentSchema);
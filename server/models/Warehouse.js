@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+
+// A godown or stock point. The default warehouse holds whatever SKU stock
+// isn't booked to another warehouse, which covers stock from before
+// warehouses existed.
+const warehouseSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  code:      { type: String, required: true, trim: true, uppercase: true, unique: true },
+  address:   { type: String, trim: true },
+  isDefault: { type: Boolean, default: false },
+  active:    { type: Boolean, default: true },
+}, { timestamps: true });
+
+// The default warehouse. The server creates it at startup, so requests only
+// read it; creating it inside concurrent transactions would collide on its code.
+warehouseSchema.statics.main = async function (session) {
+  const main = await this.findOne({ isDefault: true }).session(session);
+  if (main) return main;
+  const [created] = await this.create([{ name: 'Main Godown', code: 'MAIN', isDefault: true }], { session });
+  return created;
+};
+
+// The warehouse with this id, or the default one when none is given
+warehouseSchema.statics.resolve = async function (id, session) {
+  if (!id) return this.main(session);
+  const warehouse = await this.findById(id).session(session);
+  if (!warehouse) throw httpError(404, 'Warehouse not found.');
+  if (!warehouse.active) throw httpError(400, `${warehouse.name} is inactive.`);
+  return warehouse;
+};
+
+// Query fragment for documents (batches, sales) belonging to a warehouse;
+// untagged documents belong to the default one
+warehouseSchema.statics.scope = function (warehouse) {
+  return warehouse.isDefault ? { $in: [warehouse._id, null] } : warehouse._id;
+};
+
+// On-hand quantity of a SKU in one warehouse
+warehouseSchema.statics.stockOf = async function (sku, warehouse, session) {
+  const WarehouseStock = mongoose.model('WarehouseStock');
+  if (!warehouse.isDefault) {
+    const row = await WarehouseStock.findOne({ sku: sku._id, warehouse: warehouse._id }).session(session);
+    return row?.quantity || 0;
+  }
+  const [elsewhere] = await WarehouseStock.aggregate([
+    { $match: { sku: sku._id } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+  return sku.stock - (elsewhere?.quantity || 0);
+};
+
+// On-hand quantity in one warehouse for each of the given SKUs, by SKU id
+warehouseSchema.statics.stockLevels = async function (skus, warehouse, session) {
+  const WarehouseStock = mongoose.model('WarehouseStock');
+  const match = { sku: { $in: skus.map(s => s._id) } };
+  if (!warehouse.isDefault) match.warehouse = warehouse._id;
+  const rows = await WarehouseStock.aggregate([
+    { $match: match },
+    { $group: { _id: '$sku', quantity: { $sum: '$quantity' } } },
+  ]).session(session);
+  const held = Object.fromEntries(rows.map(r => [String(r._id), r.quantity]));
+  return Object.fromEntries(skus.map(s => {
+    const id = String(s._id);
+    return [id, warehouse.isDefault ? s.stock - (held[id] || 0) : held[id] || 0];
+  }));
+};
+
+module.exports = mongoose.model('Warehouse', warehouseSchema);
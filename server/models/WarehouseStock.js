@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// SKU stock held in a non-default warehouse. Kept by StockMovement.record.
+const warehouseStockSchema = new mongoose.Schema({
+  sku:       { type: mongoose.Schema.Types.ObjectId, ref: 'SKU', required: true },
+  warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+  quantity:  { type: Number, default: 0 },
+}, { timestamps: true });
+
+warehouseStockSchema.index({ sku: 1, warehouse: 1 }, { unique: true });
+
+module.exports = mongoose.model('WarehouseStock', warehouseStockSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+// Stock taken out of the sellable pool as a loss, valued at its carrying cost.
+// Scrapped quarantined or damaged goods come from their hold.
+const writeOffSchema = new mongoose.Schema({
+  sku:       { type: ObjectId, ref: 'SKU', required: true },
+  skuName:   { type: String },
+  batch:     { type: ObjectId, ref: 'Batch' },
+  batchNo:   { type: String },
+  warehouse: { type: ObjectId, ref: 'Warehouse' },
+  hold:      { type: ObjectId, ref: 'StockHold' },
+  bucket:    { type: String, enum: ['expired', 'damaged', 'quarantine'], required: true },
+  quantity:  { type: Number, required: true, min: 1 },  // base units
+  unitCost:  { type: Number, default: 0 },
+  value:     { type: Number, default: 0 },
+  reason:    { type: String, required: true, trim: true },
+  date:      { type: Date, default: Date.now },
+  createdBy: { type: ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+writeOffSchema.index({ date: -1 });
+
+module.exports = mongoose.model('WriteOff', writeOffSchema);
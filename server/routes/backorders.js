@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const Backorder = require('../models/Backorder');
+
+// GET /api/backorders?status=open&sku=&retailer=
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, sku, retailer } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (sku) query.sku = sku;
+    if (retailer) query.retailer = retailer;
+    const backorders = await Backorder.find(query)
+      .populate('sku', 'name code stock unit')
+      .sort({ createdAt: 1 });
+    res.json(backorders);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const Batch = require('../models/Batch');
+const Sale = require('../models/Sale');
+const Warehouse = require('../models/Warehouse');
+
+// GET /api/batches?sku=&warehouse=&status=in_stock|expired|all
+router.get('/', async (req, res, next) => {
+  try {
+    const { sku, warehouse, status = 'in_stock' } = req.query;
+    const query = {};
+    if (sku) query.sku = sku;
+    if (warehouse) query.warehouse = Warehouse.scope(await Warehouse.resolve(warehouse));
+    if (status !== 'all') query.quantity = { $gt: 0 };
+    if (status === 'expired') query.expiryDate = { $lt: new Date() };
+    const batches = await Batch.find(query)
+      .populate('sku', 'name code unit')
+      .populate('purchaseOrder', 'poNumber supplierName')
+      .populate('warehouse', 'name code')
+      .sort({ expiryDate: 1, createdAt: 1 });
+    res.json(batches);
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const b = await Batch.findById(req.params.id).populate('sku', 'name code unit').populate('purchaseOrder', 'poNumber supplierName');
+    if (!b) return res.status(404).json({ message: 'Batch not found.' });
+    res.json(b);
+  } catch (err) { next(err); }
+});
+
+// GET /api/batches/:id/trace — which retailers received this batch, on its
+// own or inside a bundle
+router.get('/:id/trace', async (req, res, next) => {
+  try {
+    const batch = await Batch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: 'Batch not found.' });
+    const sales = await Sale.aggregate([
+      {
+        $match: {
+          $or: [{ 'items.batches.batch': batch._id }, { 'items.components.batches.batch': batch._id }],
+          status: { $nin: Sale.UNPOSTED },
+        }
+      },
+      { $unwind: '$items' },
+      {
+        $project: {
+          invoiceNumber: 1, saleDate: 1, retailer: 1, retailerName: 1, skuName: '$items.skuName',
+          drawn: {
+            $concatArrays: ['$items.batches', {
+              $reduce: { input: { $ifNull: ['$items.components', []] }, initialValue: [], in: { $concatArrays: ['$$value', '$$this.batches'] } },
+            }],
+          },
+        }
+      },
+      { $unwind: '$drawn' },
+      { $match: { 'drawn.batch': batch._id } },
+      {
+        $project: {
+          invoiceNumber: 1, saleDate: 1, retailer: 1, retailerName: 1, skuName: 1, quantity: '$drawn.quantity',
+        }
+      },
+      { $sort: { saleDate: 1 } }
+    ]);
+    res.json({ batch, sales });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Retailer = require('../models/Retailer');
 const Sale = require('../models/Sale');
+const CreditOverride = require('../models/CreditOverride');
 
 // GET /api/credit-control — all retailers with credit info
 router.get('/', async (req, res, next) => {
@@ -13,6 +14,18 @@ router.get('/', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// GET /api/credit-control/overrides — owner decisions on held credit sales
+router.get('/overrides', async (req, res, next) => {
+  try {
+    const { retailer, decision } = req.query;
+    const query = {};
+    if (retailer) query.retailer = retailer;
+    if (decision) query.decision = decision;
+    const overrides = await CreditOverride.find(query).sort({ createdAt: -1 }).limit(200);
+    res.json(overrides);
+  } catch (err) { next(err); }
+});
+
 // POST /api/credit-control/:retailerId/payment — record a payment
 router.post('/:retailerId/payment', async (req, res, next) => {
   try {
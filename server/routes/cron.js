@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const SKU = require('../models/SKU');
+const StockHold = require('../models/StockHold');
+
+// Scheduled jobs. Vercel Cron (see vercel.json) calls these with
+// `Authorization: Bearer $CRON_SECRET` instead of a user token.
+router.use((req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ message: 'Not authorised to run scheduled jobs.' });
+  }
+  next();
+});
+
+// GET /api/cron/sku-metrics — daily movement and ABC-XYZ recomputation
+router.get('/sku-metrics', async (req, res, next) => {
+  try {
+    res.json(await SKU.recomputeMetrics());
+  } catch (err) { next(err); }
+});
+
+// GET /api/cron/reservations — release stock reserved for orders that
+// weren't dispatched in time. Daily is enough: availability already ignores
+// reservations past their expiry, so this only closes them out.
+router.get('/reservations', async (req, res, next) => {
+  try {
+    res.json(await StockHold.expireReservations());
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -22,11 +22,11 @@ router.get('/summary', async (req, res, next) => {
     ] = await Promise.all([
       Retailer.countDocuments({ status: 'active' }),
       Sale.aggregate([
-        { $match: { saleDate: { $gte: startOfDay }, status: { $ne: 'cancelled' } } },
+        { $match: { saleDate: { $gte: startOfDay }, status: { $nin: Sale.UNPOSTED } } },
         { $group: { _id: null, total: { $sum: '$total' }, count: { $sum: 1 } } }
       ]),
       Sale.aggregate([
-        { $match: { saleDate: { $gte: startOfMonth }, status: { $ne: 'cancelled' } } },
+        { $match: { saleDate: { $gte: startOfMonth }, status: { $nin: Sale.UNPOSTED } } },
         { $group: { _id: null, total: { $sum: '$total' }, count: { $sum: 1 } } }
       ]),
       Retailer.aggregate([
@@ -39,7 +39,7 @@ router.get('/summary', async (req, res, next) => {
         {
           $match: {
             saleDate: { $gte: new Date(today.getFullYear(), today.getMonth() - 5, 1) },
-            status: { $ne: 'cancelled' }
+            status: { $nin: Sale.UNPOSTED }
           }
         },
         {
@@ -70,7 +70,7 @@ router.get('/top-retailers', async (req, res, next) => {
     const today = new Date();
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     const top = await Sale.aggregate([
-      { $match: { saleDate: { $gte: startOfMonth }, status: { $ne: 'cancelled' } } },
+      { $match: { saleDate: { $gte: startOfMonth }, status: { $nin: Sale.UNPOSTED } } },
       { $group: { _id: '$retailer', name: { $first: '$retailerName' }, total: { $sum: '$total' } } },
       { $sort: { total: -1 } },
       { $limit: 5 }
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const Sale = require('../models/Sale');
+const SKU = require('../models/SKU');
+const Settings = require('../models/Settings');
+const Warehouse = require('../models/Warehouse');
+const { round2 } = require('../utils/gst');
+const { forecast, METHODS } = require('../utils/forecast');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const horizonOf = (weeks = 8) => {
+  const horizon = Number(weeks);
+  if (!Number.isInteger(horizon) || horizon < 4 || horizon > 12) throw httpError(400, 'Forecast horizon must be 4 to 12 weeks.');
+  return horizon;
+};
+
+// GET /api/forecasts?weeks=8&brand=&warehouse= — every active SKU's forecast
+// total over the horizon, with the model chosen and its backtest error
+router.get('/', async (req, res, next) => {
+  try {
+    const horizon = horizonOf(req.query.weeks);
+    const { historyWeeks } = (await Settings.load()).forecast;
+    const warehouse = req.query.warehouse && await Warehouse.resolve(req.query.warehouse);
+    const query = { active: true };
+    if (req.query.brand) query.brand = req.query.brand;
+    const skus = await SKU.find(query).populate('brand', 'name').sort({ name: 1 });
+    const history = await Sale.weeklyDemand({ weeks: historyWeeks, skus, warehouse });
+    const items = skus.map(s => {
+      const series = history[String(s._id)] || [];
+      const result = forecast(series, horizon);
+      const total = result.forecast.reduce((a, q) => a + q, 0);
+      return {
+        sku: s._id, name: s.name, code: s.code, brand: s.brand?.name, unit: s.unit,
+        method: result.method, intermittent: result.intermittent, seasonal: result.seasonal,
+        weeksOfHistory: result.weeksOfHistory,
+        lastWeeks: series.slice(-horizon).reduce((a, q) => a + q, 0),  // same span just gone, to compare
+        forecast: Math.round(total), metrics: result.metrics,
+      };
+    });
+    res.json({ horizonWeeks: horizon, historyWeeks, items });
+  } catch (err) { next(err); }
+});
+
+// GET /api/forecasts/:sku?weeks=8&method=auto&warehouse= — one SKU's weekly
+// history and forecast with every model's backtest errors
+router.get('/:sku', async (req, res, next) => {
+  try {
+    const horizon = horizonOf(req.query.weeks);
+    const { method = 'auto' } = req.query;
+    if (method !== 'auto' && !METHODS.includes(method)) return res.status(400).json({ message: `Method must be auto or one of ${METHODS.join(', ')}.` });
+    const sku = await SKU.findById(req.params.sku);
+    if (!sku) return res.status(404).json({ message: 'SKU not found.' });
+    const { historyWeeks } = (await Settings.load()).forecast;
+    const warehouse = req.query.warehouse && await Warehouse.resolve(req.query.warehouse);
+    const now = new Date();
+    const series = (await Sale.weeklyDemand({ weeks: historyWeeks, skus: [sku], warehouse, now }))[String(sku._id)] || Array(historyWeeks).fill(0);
+    const result = forecast(series, horizon, method);
+    // Week i of the series starts (historyWeeks - i) weeks before now
+    const weekStart = (offset) => new Date(now - offset * WEEK);
+    res.json({
+      sku: { _id: sku._id, name: sku.name, code: sku.code, unit: sku.unit, stock: sku.stock, stockText: sku.stockText },
+      horizonWeeks: horizon, ...result,
+      history: series.map((quantity, i) => ({ weekStart: weekStart(historyWeeks - i), quantity })),
+      forecast: result.forecast.map((quantity, i) => ({ weekStart: weekStart(-i), quantity })),
+      total: round2(result.forecast.reduce((a, q) => a + q, 0)),
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
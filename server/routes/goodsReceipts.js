@@ -0,0 +1,56 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+// GET /api/goods-receipts?purchaseOrder=&supplier=&from=&to=
+router.get('/', async (req, res, next) => {
+  try {
+    const { purchaseOrder, supplier, from, to } = req.query;
+    const query = {};
+    if (purchaseOrder) query.purchaseOrder = purchaseOrder;
+    if (supplier) query.supplier = supplier;
+    if (from || to) {
+      query.receivedDate = {};
+      if (from) query.receivedDate.$gte = new Date(from);
+      if (to) { const end = new Date(to); end.setHours(23, 59, 59, 999); query.receivedDate.$lte = end; }
+    }
+    const receipts = await GoodsReceipt.find(query)
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ receivedDate: -1 })
+      .limit(200);
+    res.json(receipts);
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const grn = await GoodsReceipt.findById(req.params.id)
+      .populate('warehouse', 'name code')
+      .populate('bill', 'billNumber amount status')
+      .populate('createdBy', 'name');
+    if (!grn) return res.status(404).json({ message: 'Goods receipt not found.' });
+    res.json(grn);
+  } catch (err) { next(err); }
+});
+
+// POST /api/goods-receipts — { purchaseOrder, receivedDate?, challanNo?, notes?, bill?,
+// lines: [{ poItem, sku?, received, rejected?, rejectReason?, batchNo?, mfgDate?, expiryDate?, unitCost? }] }
+// A line with a `sku` other than the ordered one is a substitute for it.
+router.post('/', async (req, res, next) => {
+  try {
+    const { purchaseOrder, lines, receivedDate, challanNo, notes, bill } = req.body;
+    let grn;
+    await mongoose.connection.transaction(async (session) => {
+      const po = await PurchaseOrder.findById(purchaseOrder).session(session);
+      if (!po) throw httpError(404, 'PO not found.');
+      grn = await GoodsReceipt.receive({ po, lines, receivedDate, challanNo, notes, bill, user: req.user?.id }, session);
+    });
+    res.status(201).json(grn);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const multer = require('multer');
 const XLSX = require('xlsx');
@@ -6,6 +7,7 @@ const path = require('path');
 const Retailer = require('../models/Retailer');
 const SKU = require('../models/SKU');
 const Sale = require('../models/Sale');
+const StockMovement = require('../models/StockMovement');
 
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
@@ -21,15 +23,32 @@ router.post('/retailers', upload.single('file'), async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-// POST /api/import/skus
+// POST /api/import/skus — one SKU per row. Imported stock opens each SKU's
+// ledger at its purchase price, as when a SKU is added by hand. Rows that
+// fail are reported by their sheet row number.
 router.post('/skus', upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) return res.status(400).json({ message: 'No file uploaded.' });
     const wb = XLSX.read(req.file.buffer, { type: 'buffer' });
     const sheet = wb.Sheets[wb.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(sheet);
-    const inserted = await SKU.insertMany(rows, { ordered: false }).catch(e => e.insertedDocs || []);
-    res.json({ message: `Imported ${Array.isArray(inserted) ? inserted.length : inserted.insertedCount || 0} SKUs.` });
+    // A "barcode" column is the base unit's EAN
+    const rows = XLSX.utils.sheet_to_json(sheet).map(({ barcode, ...row }) => (barcode ? { ...row, barcodes: [{ code: String(barcode).trim() }] } : row));
+    let inserted = 0;
+    const errors = [];
+    for (const [i, { avgCost, ...fields }] of rows.entries()) {
+      try {
+        // Barcodes get the same check digit and duplicate checks as the SKU form
+        if (fields.barcodes?.length) await SKU.checkBarcodes(fields.barcodes, fields.uoms);
+        await mongoose.connection.transaction(async (session) => {
+          const [s] = await SKU.create([{ ...fields, avgCost: fields.stock ? fields.purchasePrice || 0 : undefined }], { session });
+          if (s.stock) await StockMovement.opening(s, { type: 'import', reason: 'Excel import', user: req.user?.id }, session);
+        });
+        inserted++;
+      } catch (err) {
+        errors.push({ row: i + 2, name: fields.name, message: err.message });
+      }
+    }
+    res.json({ message: `Imported ${inserted} SKUs.`, inserted, errors });
   } catch (err) { next(err); }
 });
 
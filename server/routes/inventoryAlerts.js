@@ -1,17 +1,288 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const httpError = require('../utils/httpError');
 const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const Scheme = require('../models/Scheme');
+const Settings = require('../models/Settings');
+const WriteOff = require('../models/WriteOff');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const Sale = require('../models/Sale');
+const Backorder = require('../models/Backorder');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockHold = require('../models/StockHold');
+const CostLayer = require('../models/CostLayer');
+const Supplier = require('../models/Supplier');
+const { round2 } = require('../utils/gst');
+const { unitsOf, formatQty } = require('../utils/uom');
+const { forecast, demandOver } = require('../utils/forecast');
 
-// GET /api/inventory-alerts
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sum a quantity per SKU over an aggregation, by SKU id
+const totalsBySku = async (Model, pipeline) => {
+  const rows = await Model.aggregate(pipeline);
+  return Object.fromEntries(rows.map(r => [String(r._id), r.quantity]));
+};
+
+// GET /api/inventory-alerts?warehouse=
+// With a warehouse, stock levels are that godown's own against the SKU minimum.
 router.get('/', async (req, res, next) => {
   try {
-    const lowStock = await SKU.find({ $expr: { $lte: ['$stock', '$minStock'] }, active: true })
-      .populate('brand', 'name')
-      .sort({ stock: 1 });
-    const outOfStock = lowStock.filter(s => s.stock === 0);
-    const critical = lowStock.filter(s => s.stock > 0 && s.stock <= s.minStock / 2);
-    const warning = lowStock.filter(s => s.stock > s.minStock / 2 && s.stock <= s.minStock);
-    res.json({ lowStock, outOfStock, critical, warning, total: lowStock.length });
+    const { warehouse: warehouseId } = req.query;
+    const warehouse = warehouseId && await Warehouse.resolve(warehouseId);
+    const skus = await SKU.find({ active: true }).populate('brand', 'name');
+    const levels = warehouse && await Warehouse.stockLevels(skus, warehouse);
+    const reserved = await StockHold.reservedBySku(skus, warehouse);
+    // Minimums are checked against what is free to sell: on hand − reserved
+    const lowStock = skus.map(s => {
+      const id = String(s._id);
+      if (levels) s.stock = levels[id];
+      const available = Math.max(0, s.stock - (reserved[id] || 0));
+      return { ...s.toJSON(), reserved: reserved[id] || 0, available, availableText: formatQty(s, available) };
+    }).filter(s => s.available <= s.minStock).sort((a, b) => a.available - b.available);
+    const outOfStock = lowStock.filter(s => s.available === 0);
+    const critical = lowStock.filter(s => s.available > 0 && s.available <= s.minStock / 2);
+    const warning = lowStock.filter(s => s.available > s.minStock / 2 && s.available <= s.minStock);
+    const { expiring, expired } = await Batch.expiryAlerts(await Settings.load(), warehouse);
+    res.json({ lowStock, outOfStock, critical, warning, total: lowStock.length, expiring, expired });
+  } catch (err) { next(err); }
+});
+
+// GET /api/inventory-alerts/reorder-suggestions?warehouse=
+// Daily demand is posted sale quantity (backordered included) over the
+// look-back window, or with `reorder.useForecast` each SKU's 12-week demand
+// forecast, so a festive peak inside the lead time raises the order ahead of
+// it. A SKU is due once stock plus open POs, less reservations and open
+// backorders, falls to
+// its reorder point: demand over its lead time plus safety days, never below
+// the SKU minimum. The suggested order tops it up to that point plus the
+// cover days' demand, rounded up to whole largest packs.
+router.get('/reorder-suggestions', async (req, res, next) => {
+  try {
+    const { warehouse: warehouseId } = req.query;
+    const warehouse = warehouseId && await Warehouse.resolve(warehouseId);
+    const settings = await Settings.load();
+    const { velocityDays, safetyDays, coverDays, leadTimeDays, useForecast } = settings.reorder;
+    const scoped = (match) => (warehouse ? { ...match, warehouse: Warehouse.scope(warehouse) } : match);
+
+    const skus = await SKU.find({ active: true }).populate('brand', 'name');
+    const levels = warehouse && await Warehouse.stockLevels(skus, warehouse);
+    const history = useForecast && await Sale.weeklyDemand({ weeks: settings.forecast.historyWeeks, skus, warehouse });
+    const sold = history ? {} : await totalsBySku(Sale, [
+      { $match: scoped({ status: { $nin: Sale.UNPOSTED }, saleDate: { $gte: new Date(Date.now() - velocityDays * DAY) } }) },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.sku', quantity: { $sum: '$items.quantity' } } },
+    ]);
+    const onOrder = await totalsBySku(PurchaseOrder, [
+      { $match: scoped({ status: { $in: ['draft', 'ordered', 'partially_received'] } }) },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.sku', quantity: { $sum: { $max: [0, { $subtract: ['$items.quantity', { $ifNull: ['$items.receivedQty', 0] }] }] } } } },
+    ]);
+    const reserved = await StockHold.reservedBySku(skus, warehouse);
+    // SKUs without a supplier of their own are bought from their brand's
+    const brandSuppliers = {};
+    for (const supplier of await Supplier.find({ active: true }).sort({ name: -1 })) {
+      for (const brand of supplier.brands) brandSuppliers[String(brand)] = supplier.name;
+    }
+    const backordered = await totalsBySku(Backorder, [
+      { $match: scoped({ status: 'open' }) },
+      { $group: { _id: '$sku', quantity: { $sum: { $subtract: ['$quantity', '$fulfilledQty'] } } } },
+    ]);
+
+    const suggestions = [];
+    for (const s of skus) {
+      const id = String(s._id);
+      const stock = levels ? levels[id] : s.stock;
+      const leadTime = s.leadTimeDays ?? leadTimeDays;
+      let velocity = (sold[id] || 0) / velocityDays;
+      let leadDemand = velocity * leadTime;
+      let coverDemand = velocity * coverDays;
+      let forecastMethod;
+      if (history) {
+        const fit = forecast(history[id] || [], 12);
+        leadDemand = demandOver(fit.forecast, leadTime);
+        coverDemand = demandOver(fit.forecast, leadTime + coverDays) - leadDemand;
+        velocity = leadTime + coverDays ? (leadDemand + coverDemand) / (leadTime + coverDays) : demandOver(fit.forecast, 7) / 7;
+        forecastMethod = fit.method;
+      }
+      const safetyStock = Math.ceil(velocity * safetyDays);
+      const reorderPoint = Math.max(Math.ceil(leadDemand) + safetyStock, s.minStock || 0);
+      const position = stock + (onOrder[id] || 0) - (reserved[id] || 0) - (backordered[id] || 0);
+      if (position > reorderPoint) continue;
+
+      const pack = unitsOf(s)[0];
+      const wanted = Math.max(reorderPoint + Math.ceil(coverDemand) - position, 1);
+      const quantity = Math.ceil(wanted / pack.factor) * pack.factor;
+      const unitCost = s.purchasePrice || s.currentCost();
+      suggestions.push({
+        sku: s._id, name: s.name, code: s.code, brand: s.brand?.name, unit: s.unit,
+        supplier: s.supplier || brandSuppliers[String(s.brand?._id)] || null, stock, stockText: formatQty(s, stock),
+        onOrder: onOrder[id] || 0, reserved: reserved[id] || 0, backordered: backordered[id] || 0,
+        dailyVelocity: round2(velocity), forecastMethod, daysOfCover: velocity ? round2(stock / velocity) : null,
+        leadTimeDays: leadTime, safetyStock, reorderPoint,
+        quantity, quantityText: formatQty(s, quantity),
+        unitCost, estimatedCost: round2(quantity * unitCost),
+      });
+    }
+    // Soonest to run out first; SKUs with no recent sales last
+    suggestions.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || a.name.localeCompare(b.name));
+    res.json({
+      settings: { velocityDays, safetyDays, coverDays, leadTimeDays, useForecast },
+      suggestions,
+      totalEstimatedCost: round2(suggestions.reduce((sum, s) => sum + s.estimatedCost, 0)),
+    });
+  } catch (err) { next(err); }
+});
+
+// POST /api/inventory-alerts/reorder-suggestions/purchase-orders
+// Body: { items: [{ sku, quantity }], warehouse? } with base-unit quantities.
+// Raises one draft PO per supplier (the SKU's, else its brand's) at the
+// purchase price, keyed in the largest pack where the quantity divides evenly.
+router.post('/reorder-suggestions/purchase-orders', async (req, res, next) => {
+  try {
+    const { items = [], warehouse: warehouseId } = req.body;
+    const lines = items.filter(i => i.quantity > 0);
+    if (!lines.length) return res.status(400).json({ message: 'Select at least one SKU to order.' });
+    const orders = [];
+    await mongoose.connection.transaction(async (session) => {
+      orders.length = 0;
+      const warehouse = await Warehouse.resolve(warehouseId, session);
+      const { reorder } = await Settings.load(session);
+      const skus = await SKU.find({ _id: { $in: lines.map(i => i.sku) } }).session(session);
+      const byId = Object.fromEntries(skus.map(s => [String(s._id), s]));
+      const missing = lines.filter(i => !byId[String(i.sku)]);
+      if (missing.length) throw httpError(404, `SKU ${missing[0].sku} not found.`);
+      const groups = {};
+      const unassigned = [];
+      for (const line of lines) {
+        const sku = byId[String(line.sku)];
+        const supplier = await Supplier.forSku(sku, session);
+        if (!supplier) { unassigned.push(sku); continue; }
+        (groups[supplier._id] ||= { supplier, lines: [] }).lines.push({ sku, quantity: Math.ceil(line.quantity) });
+      }
+      if (unassigned.length) {
+        const why = (s) => (s.supplier ? `${s.name} (no active supplier named "${s.supplier}")` : s.name);
+        throw httpError(400, `No supplier to order from for ${unassigned.map(why).join(', ')}. Add the supplier, or fix the SKU's supplier or brand.`);
+      }
+
+      for (const { supplier, lines: group } of Object.values(groups)) {
+        const poLines = await SKU.toBaseLines(group.map(({ sku, quantity }) => {
+          const pack = unitsOf(sku)[0];
+          return quantity % pack.factor
+            ? { sku: sku._id, quantity, price: sku.purchasePrice || 0 }
+            : { sku: sku._id, quantity: quantity / pack.factor, uom: pack.name, price: (sku.purchasePrice || 0) * pack.factor };
+        }), session);
+        const total = round2(poLines.reduce((sum, l) => sum + l.total, 0));
+        const leadTime = Math.max(...group.map(({ sku }) => sku.leadTimeDays ?? reorder.leadTimeDays));
+        const [po] = await PurchaseOrder.create([{
+          supplier: supplier._id, supplierName: supplier.name,
+          supplierPhone: supplier.phone || group.find(({ sku }) => sku.supplierPhone)?.sku.supplierPhone,
+          warehouse: warehouse._id,
+          items: poLines, subtotal: total, total, status: 'draft',
+          expectedDate: new Date(Date.now() + leadTime * DAY),
+          notes: 'Raised from reorder suggestions', createdBy: req.user?.id,
+        }], { session });
+        orders.push(po);
+      }
+    });
+    res.status(201).json(orders);
+  } catch (err) { next(err); }
+});
+
+// POST /api/inventory-alerts/liquidate — { batch, percent }
+// Marks the batch down through a percent-off scheme that lapses when the batch
+// expires or sells out, whichever is first. It applies only to bills from the
+// batch's warehouse and to no more units than the batch holds; FEFO
+// allocation ships the near-expiry batch first.
+router.post('/liquidate', async (req, res, next) => {
+  try {
+    const { batch: batchId, percent } = req.body;
+    if (!(percent > 0 && percent <= 100)) return res.status(400).json({ message: 'Discount must be between 0 and 100%.' });
+    const batch = await Batch.findById(batchId).populate('sku', 'name');
+    if (!batch) return res.status(404).json({ message: 'Batch not found.' });
+    if (!batch.expiryDate || !batch.quantity) return res.status(400).json({ message: 'Only on-hand batches with an expiry date can be liquidated.' });
+
+    const warehouse = await Warehouse.resolve(batch.warehouse);
+    const validTo = new Date(batch.expiryDate);
+    validTo.setHours(23, 59, 59, 999);
+    const fields = {
+      name: `Clearance ${batch.sku.name} (${batch.batchNo})`,
+      description: `Liquidation of batch ${batch.batchNo} before expiry`,
+      type: 'percent_off', percent, active: true, validFrom: new Date(), validTo,
+      target: { skus: [batch.sku._id], warehouses: [warehouse._id], batch: batch._id },
+    };
+    let scheme = batch.liquidationScheme && await Scheme.findById(batch.liquidationScheme);
+    if (scheme) scheme.set(fields);
+    else scheme = new Scheme({ ...fields, createdBy: req.user?.id });
+    await scheme.save();
+    batch.liquidationScheme = scheme._id;
+    await batch.save();
+    res.json(scheme);
+  } catch (err) { next(err); }
+});
+
+// POST /api/inventory-alerts/write-off — { sku, batch?, warehouse?, quantity, bucket, reason }
+// A batch write-off comes out of the batch's own warehouse; otherwise it is
+// drawn from the batches first-expiry-first-out. Stock reserved for orders
+// can't be written off.
+router.post('/write-off', async (req, res, next) => {
+  try {
+    const { sku: skuId, batch: batchId, warehouse: warehouseId, quantity, bucket = 'expired', reason } = req.body;
+    if (!(quantity > 0)) return res.status(400).json({ message: 'Quantity must be positive.' });
+    if (!reason?.trim()) return res.status(400).json({ message: 'A write-off reason is required.' });
+    let writeOff;
+    await mongoose.connection.transaction(async (session) => {
+      const batch = batchId ? await Batch.findById(batchId).session(session) : null;
+      if (batchId && !batch) throw httpError(404, 'Batch not found.');
+      const sku = await SKU.findById(batch?.sku || skuId).session(session);
+      if (!sku) throw httpError(404, 'SKU not found.');
+      const warehouse = await Warehouse.resolve(batch ? batch.warehouse : warehouseId, session);
+      const reserved = await StockHold.reservedIn(sku, warehouse, session);
+      const free = Math.max(0, (await Warehouse.stockOf(sku, warehouse, session)) - reserved);
+      const available = batch ? Math.min(batch.quantity, free) : free;
+      if (quantity > available)
+        throw httpError(400, `Only ${available} ${sku.unit} can be written off in ${warehouse.name}${reserved ? ` (${reserved} reserved for orders)` : ''}.`);
+
+      // Valued at what the stock was carried at, so the movements come first
+      const writeOffId = new mongoose.Types.ObjectId();
+      const movement = { warehouse, type: 'write_off', ref: writeOffId, refModel: 'WriteOff', reason: reason.trim(), user: req.user?.id };
+      let movements;
+      if (batch) {
+        batch.quantity -= quantity;
+        await batch.save({ session });
+        movements = [await StockMovement.record({ ...movement, sku: sku._id, delta: -quantity, batch: batch._id, batchNo: batch.batchNo }, session)];
+      } else {
+        movements = await StockMovement.takeOut(sku, quantity, movement, session);
+      }
+      const value = -movements.reduce((a, m) => a + m.value, 0);
+      const drawn = movements.length === 1 ? movements[0] : {};
+      [writeOff] = await WriteOff.create([{
+        _id: writeOffId, sku: sku._id, skuName: sku.name, batch: drawn.batch, batchNo: drawn.batchNo, warehouse: warehouse._id,
+        bucket, quantity, reason: reason.trim(),
+        unitCost: CostLayer.round4(value / quantity), value: round2(value),
+        createdBy: req.user?.id,
+      }], { session });
+    });
+    res.status(201).json(writeOff);
+  } catch (err) { next(err); }
+});
+
+// GET /api/inventory-alerts/write-offs?from=&to=&bucket=
+router.get('/write-offs', async (req, res, next) => {
+  try {
+    const { from, to, bucket } = req.query;
+    const query = {};
+    if (bucket) query.bucket = bucket;
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+    const writeOffs = await WriteOff.find(query).populate('createdBy', 'name').populate('warehouse', 'name code').sort({ date: -1 }).limit(200);
+    res.json(writeOffs);
   } catch (err) { next(err); }
 });
 
@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 const Sale = require('../models/Sale');
 
-// GET /api/invoices — list invoices (alias for sales)
+// Posted sales, and posted sales since cancelled, which keep their place in
+// the invoice series. Orders and held sales only carry an order number.
+const invoiced = {
+  $or: [
+    { status: { $nin: Sale.UNPOSTED } },
+    { status: 'cancelled', $expr: { $ne: ['$invoiceNumber', '$orderNumber'] } },
+  ],
+};
+
+// GET /api/invoices — list invoices (alias for posted sales)
 router.get('/', async (req, res, next) => {
   try {
     const { page = 1, limit = 50 } = req.query;
-    const total = await Sale.countDocuments();
-    const invoices = await Sale.find()
+    const total = await Sale.countDocuments(invoiced);
+    const invoices = await Sale.find(invoiced)
       .populate('retailer', 'name phone address gstin')
       .sort({ saleDate: -1 })
       .skip((page - 1) * limit)
@@ -0,0 +1,71 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const KitAssembly = require('../models/KitAssembly');
+const Warehouse = require('../models/Warehouse');
+const { round2 } = require('../utils/gst');
+
+// GET /api/kit-assemblies?bundle=&warehouse=
+router.get('/', async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.bundle) query.bundle = req.query.bundle;
+    if (req.query.warehouse) query.warehouse = req.query.warehouse;
+    const kits = await KitAssembly.find(query)
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ assemblyDate: -1 })
+      .limit(200);
+    res.json(kits);
+  } catch (err) { next(err); }
+});
+
+// GET /api/kit-assemblies/bundles?warehouse= — every bundle with its
+// components, the kits on the shelf and how many more the components can make
+router.get('/bundles', async (req, res, next) => {
+  try {
+    const warehouse = await Warehouse.resolve(req.query.warehouse);
+    const bundles = await SKU.find({ 'components.0': { $exists: true } }).populate('brand', 'name').sort({ name: 1 });
+    const rows = [];
+    for (const bundle of bundles) {
+      const parts = await bundle.componentSkus();
+      const components = [];
+      for (const part of parts) {
+        const onShelf = await Batch.onShelf(part.sku, warehouse);
+        components.push({
+          sku: part.sku._id, name: part.sku.name, code: part.sku.code, unit: part.sku.unit,
+          quantity: part.quantity, onShelf, makes: Math.floor(onShelf / part.quantity),
+        });
+      }
+      rows.push({
+        _id: bundle._id, name: bundle.name, code: bundle.code, unit: bundle.unit, brand: bundle.brand?.name,
+        active: bundle.active, sellingPrice: bundle.sellingPrice,
+        kits: await Batch.onShelf(bundle, warehouse),
+        buildable: components.length ? Math.min(...components.map(c => c.makes)) : 0,
+        buildCost: round2(await bundle.buildCost()),
+        components,
+      });
+    }
+    res.json({ warehouse: { _id: warehouse._id, name: warehouse.name }, bundles: rows });
+  } catch (err) { next(err); }
+});
+
+// POST /api/kit-assemblies — { bundle, warehouse?, quantity, notes }
+router.post('/', async (req, res, next) => {
+  try {
+    const { bundle: bundleId, warehouse: warehouseId, quantity, notes } = req.body;
+    let kit;
+    await mongoose.connection.transaction(async (session) => {
+      const bundle = await SKU.findById(bundleId).session(session);
+      if (!bundle) throw httpError(404, 'Bundle not found.');
+      const warehouse = await Warehouse.resolve(warehouseId, session);
+      kit = await KitAssembly.assemble({ bundle, warehouse, quantity: Number(quantity), notes, user: req.user?.id }, session);
+    });
+    res.status(201).json(kit);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const Retailer         = require('../models/Retailer');
 const PaymentReminder  = require('../models/PaymentReminder');
 const Return           = require('../models/Return');
 const Sale             = require('../models/Sale');
+const Batch            = require('../models/Batch');
+const Settings         = require('../models/Settings');
 
 /**
  * GET /api/notifications
@@ -113,6 +115,49 @@ router.get('/', async (req, res, next) => {
       });
     });
 
+    // ── 6. Sales held for credit approval ─────────────────────────────
+    const heldSales = await Sale.find({ status: 'pending_approval' })
+      .sort({ createdAt: -1 }).limit(10);
+
+    heldSales.forEach(sale => {
+      items.push({
+        id:       `hold-${sale._id}`,
+        type:     'credit',
+        severity: 'warning',
+        title:    'Sale Awaiting Approval',
+        message:  `${sale.invoiceNumber} — ${sale.retailerName}: ${sale.creditHold?.reason || 'credit hold'}`,
+        link:     '/sales',
+        time:     sale.createdAt,
+      });
+    });
+
+    // ── 7. Batches near or past expiry ────────────────────────────────
+    const { expiring, expired } = await Batch.expiryAlerts(await Settings.load());
+
+    expiring.slice(0, 15).forEach(b => {
+      items.push({
+        id:       `expiry-${b._id}`,
+        type:     'inventory',
+        severity: b.daysLeft <= 7 ? 'warning' : 'info',
+        title:    `Expiring in ${b.daysLeft} day${b.daysLeft === 1 ? '' : 's'}`,
+        message:  `${b.sku.name} batch ${b.batchNo} — ${b.quantity} ${b.sku.unit} on hand`,
+        link:     '/inventory-alerts',
+        time:     now.toISOString(),
+      });
+    });
+
+    expired.slice(0, 10).forEach(b => {
+      items.push({
+        id:       `expired-${b._id}`,
+        type:     'inventory',
+        severity: 'error',
+        title:    'Expired Stock',
+        message:  `${b.sku.name} batch ${b.batchNo} — ${b.quantity} ${b.sku.unit} to write off`,
+        link:     '/inventory-alerts',
+        time:     b.expiryDate,
+      });
+    });
+
     // Sort: errors first, then by time descending
     const severityOrder = { error: 0, warning: 1, info: 2 };
     items.sort((a, b) => {
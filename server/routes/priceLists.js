@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const PriceList = require('../models/PriceList');
+const Retailer = require('../models/Retailer');
+
+router.get('/', async (req, res, next) => {
+  try {
+    const lists = await PriceList.find().populate('items.sku', 'name code sellingPrice').sort({ name: 1 });
+    const counts = await Retailer.aggregate([
+      { $match: { priceList: { $ne: null } } },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]);
+    const byList = Object.fromEntries(counts.map(c => [String(c._id), c.count]));
+    res.json(lists.map(l => ({ ...l.toObject(), retailerCount: byList[String(l._id)] || 0 })));
+  } catch (err) { next(err); }
+});
+
+// GET /api/price-lists/resolve?retailer=&date= — SKU id -> price the sale will use
+router.get('/resolve', async (req, res, next) => {
+  try {
+    const { retailer, date } = req.query;
+    const r = await Retailer.findById(retailer);
+    if (!r) return res.status(404).json({ message: 'Retailer not found.' });
+    res.json(await PriceList.forRetailer(r, date ? new Date(date) : new Date()));
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const l = await PriceList.findById(req.params.id).populate('items.sku', 'name code sellingPrice');
+    if (!l) return res.status(404).json({ message: 'Price list not found.' });
+    res.json(l);
+  } catch (err) { next(err); }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const l = await PriceList.create({ ...req.body, createdBy: req.user?.id });
+    res.status(201).json(l);
+  } catch (err) { next(err); }
+});
+
+router.put('/:id', async (req, res, next) => {
+  try {
+    const l = await PriceList.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!l) return res.status(404).json({ message: 'Price list not found.' });
+    res.json(l);
+  } catch (err) { next(err); }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const assigned = await Retailer.countDocuments({ priceList: req.params.id });
+    if (assigned)
+      return res.status(400).json({ message: `Price list is assigned to ${assigned} retailer(s). Reassign them first.` });
+    await PriceList.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Price list deleted.' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const httpError = require('../utils/httpError');
 const ProductTest = require('../models/ProductTest');
+const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const StockHold = require('../models/StockHold');
+const Warehouse = require('../models/Warehouse');
 
 router.get('/', async (req, res, next) => {
   try {
@@ -32,6 +38,35 @@ router.put('/:id', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// POST /api/product-tests/:id/quarantine — move the failed batch's on-hand
+// stock, in every warehouse, out of sellable stock into quarantine
+router.post('/:id/quarantine', async (req, res, next) => {
+  try {
+    let test;
+    await mongoose.connection.transaction(async (session) => {
+      test = await ProductTest.findById(req.params.id).session(session);
+      if (!test) throw httpError(404, 'Test not found.');
+      if (test.result !== 'fail') throw httpError(400, 'Only a failed test can quarantine stock.');
+      if (!test.batchNumber) throw httpError(400, 'Record the batch number that failed first.');
+      const sku = await SKU.findById(test.sku).session(session);
+      if (!sku) throw httpError(404, 'SKU not found.');
+      const batches = await Batch.find({ sku: sku._id, batchNo: test.batchNumber, quantity: { $gt: 0 } }).session(session);
+      if (!batches.length) throw httpError(400, `No stock of batch ${test.batchNumber} on hand.`);
+      for (const batch of batches) {
+        const warehouse = await Warehouse.resolve(batch.warehouse, session);
+        const hold = await StockHold.fromStock({
+          sku, warehouse, state: 'quarantine', quantity: batch.quantity, batch,
+          reason: `Failed product test${test.notes ? `: ${test.notes}` : ''}`,
+          refModel: 'ProductTest', ref: test._id, refNumber: test.batchNumber, user: req.user?.id,
+        }, session);
+        test.holds.push(hold._id);
+      }
+      await test.save({ session });
+    });
+    res.json(test);
+  } catch (err) { next(err); }
+});
+
 router.delete('/:id', async (req, res, next) => {
   try {
     await ProductTest.findByIdAndDelete(req.params.id);
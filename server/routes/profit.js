@@ -5,12 +5,13 @@ const SKU = require('../models/SKU');
 const Retailer = require('../models/Retailer');
 const Return = require('../models/Return');
 const PurchaseOrder = require('../models/PurchaseOrder');
+const WriteOff = require('../models/WriteOff');
 
 // GET /api/profit/summary?from=&to=
 router.get('/summary', async (req, res, next) => {
   try {
     const { from, to } = req.query;
-    const match = { status: { $ne: 'cancelled' } };
+    const match = { status: { $nin: Sale.UNPOSTED } };
     if (from || to) {
       match.saleDate = {};
       if (from) match.saleDate.$gte = new Date(from);
@@ -19,15 +20,31 @@ router.get('/summary', async (req, res, next) => {
     const sales = await Sale.find(match).populate('items.sku', 'purchasePrice');
     let revenue = 0, cogs = 0;
     for (const sale of sales) {
-      revenue += sale.total;
+      // Taxable value: GST collected is owed to the government, not earned
+      revenue += sale.subtotal - (sale.discount || 0);
+      // Lines billed before costing was captured fall back to today's purchase price
       for (const item of sale.items) {
-        const purchasePrice = item.sku?.purchasePrice ?? 0;
-        cogs += purchasePrice * item.quantity;
+        cogs += (item.unitCost ?? item.sku?.purchasePrice ?? 0) * item.quantity;
       }
     }
     const grossProfit = revenue - cogs;
     const margin = revenue > 0 ? ((grossProfit / revenue) * 100).toFixed(2) : 0;
-    res.json({ revenue, cogs, grossProfit, margin: Number(margin) });
+
+    // Expired and damaged stock written off in the same period
+    const writeOffMatch = match.saleDate ? { date: match.saleDate } : {};
+    const [losses] = await WriteOff.aggregate([
+      { $match: writeOffMatch },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$value' },
+          expired: { $sum: { $cond: [{ $eq: ['$bucket', 'expired'] }, '$value', 0] } },
+          damaged: { $sum: { $cond: [{ $eq: ['$bucket', 'damaged'] }, '$value', 0] } },
+        }
+      }
+    ]);
+    const writeOffs = { total: losses?.total || 0, expired: losses?.expired || 0, damaged: losses?.damaged || 0 };
+    res.json({ revenue, cogs, grossProfit, margin: Number(margin), writeOffs, netProfit: grossProfit - writeOffs.total });
   } catch (err) { next(err); }
 });
 
@@ -35,20 +52,28 @@ router.get('/summary', async (req, res, next) => {
 router.get('/by-sku', async (req, res, next) => {
   try {
     const items = await Sale.aggregate([
-      { $match: { status: { $ne: 'cancelled' } } },
+      { $match: { status: { $nin: Sale.UNPOSTED } } },
       { $unwind: '$items' },
       {
         $group: {
           _id: '$items.sku',
           name: { $first: '$items.skuName' },
-          revenue: { $sum: '$items.total' },
-          qty: { $sum: '$items.quantity' }
+          // Net of the bill discount share; sales from before GST carry the line total
+          revenue: { $sum: { $ifNull: ['$items.taxableValue', '$items.total'] } },
+          qty: { $sum: '$items.quantity' },
+          cogs: { $sum: { $multiply: ['$items.quantity', '$items.unitCost'] } },
+          uncostedQty: { $sum: { $cond: [{ $eq: [{ $type: '$items.unitCost' }, 'missing'] }, '$items.quantity', 0] } },
         }
       },
       { $sort: { revenue: -1 } },
       { $limit: 20 }
     ]);
-    res.json(items);
+    const skus = await SKU.find({ _id: { $in: items.map(i => i._id) } }, 'purchasePrice');
+    const price = Object.fromEntries(skus.map(s => [String(s._id), s.purchasePrice || 0]));
+    res.json(items.map(({ uncostedQty, ...i }) => {
+      const cogs = i.cogs + uncostedQty * (price[String(i._id)] || 0);
+      return { ...i, cogs, grossProfit: i.revenue - cogs };
+    }));
   } catch (err) { next(err); }
 });
 
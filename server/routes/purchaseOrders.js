@@ -1,14 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const httpError = require('../utils/httpError');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const SKU = require('../models/SKU');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Supplier = require('../models/Supplier');
+const SupplierBill = require('../models/SupplierBill');
+
+// The supplier an order is placed with, and the name and phone it carries
+const supplierFields = async (id, phone) => {
+  const supplier = await Supplier.findById(id);
+  if (!supplier) throw httpError(404, 'Supplier not found.');
+  return { supplier: supplier._id, supplierName: supplier.name, supplierPhone: phone || supplier.phone };
+};
 
 router.get('/', async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 50 } = req.query;
-    const query = status ? { status } : {};
+    const { status, supplier, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
     const total = await PurchaseOrder.countDocuments(query);
-    const orders = await PurchaseOrder.find(query).sort({ orderDate: -1 })
+    const orders = await PurchaseOrder.find(query).populate('warehouse', 'name code').sort({ orderDate: -1 })
       .skip((page - 1) * limit).limit(Number(limit));
     res.json({ orders, total, page: Number(page), pages: Math.ceil(total / limit) });
   } catch (err) { next(err); }
@@ -16,39 +30,66 @@ router.get('/', async (req, res, next) => {
 
 router.get('/:id', async (req, res, next) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id).populate('items.sku', 'name code');
+    const po = await PurchaseOrder.findById(req.params.id).populate('items.sku', 'name code').populate('supplier', 'name gstin phone paymentTermsDays');
     if (!po) return res.status(404).json({ message: 'PO not found.' });
-    res.json(po);
+    const bills = await SupplierBill.find({ purchaseOrder: po._id }).sort({ billDate: 1 });
+    const receipts = await GoodsReceipt.find({ purchaseOrder: po._id }).populate('createdBy', 'name').sort({ receivedDate: 1 });
+    res.json({ ...po.toJSON(), bills, receipts });
   } catch (err) { next(err); }
 });
 
 router.post('/', async (req, res, next) => {
   try {
-    const po = await PurchaseOrder.create({ ...req.body, createdBy: req.user?.id });
+    if (!req.body.supplier) return res.status(400).json({ message: 'Supplier is required.' });
+    const items = await SKU.toBaseLines(req.body.items);
+    const supplier = await supplierFields(req.body.supplier, req.body.supplierPhone);
+    const po = await PurchaseOrder.create({ ...req.body, ...supplier, items, createdBy: req.user?.id });
     res.status(201).json(po);
   } catch (err) { next(err); }
 });
 
 router.put('/:id', async (req, res, next) => {
   try {
-    const po = await PurchaseOrder.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const update = { ...req.body };
+    // Receipts and short-closing move the status past ordered
+    if (['partially_received', 'received', 'closed'].includes(update.status))
+      return res.status(400).json({ message: 'Receive goods against the PO, or close it short, to change this status.' });
+    if (update.items && await GoodsReceipt.exists({ purchaseOrder: req.params.id }))
+      return res.status(400).json({ message: 'Goods have been received against this PO; its lines can\'t change.' });
+    if (update.items) update.items = await SKU.toBaseLines(update.items);
+    if (update.supplier) Object.assign(update, await supplierFields(update.supplier, update.supplierPhone));
+    const po = await PurchaseOrder.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
     if (!po) return res.status(404).json({ message: 'PO not found.' });
     res.json(po);
   } catch (err) { next(err); }
 });
 
-// POST /api/purchase-orders/:id/receive — mark received, update stock
+// POST /api/purchase-orders/:id/receive — receive everything still due in
+// one goods receipt. Body: { batches: { [itemId]: { batchNo, mfgDate, expiryDate } }, bill? }.
+// A line without a batch number is booked under the PO number. With
+// `bill: { billNumber, billDate, amount }` the supplier's bill is booked to
+// payables too. Short or damaged deliveries go through /api/goods-receipts.
 router.post('/:id/receive', async (req, res, next) => {
+  try {
+    const { batches = {}, bill } = req.body;
+    let po;
+    await mongoose.connection.transaction(async (session) => {
+      po = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!po) throw httpError(404, 'PO not found.');
+      const lines = po.items.filter(i => i.sku && po.outstanding(i)).map(i => ({ ...batches[i._id], poItem: i._id, received: po.outstanding(i) }));
+      await GoodsReceipt.receive({ po, lines, bill, user: req.user?.id }, session);
+    });
+    res.json(po);
+  } catch (err) { next(err); }
+});
+
+// POST /api/purchase-orders/:id/close — stop waiting on a partly received PO
+// Body: { note } saying what was short
+router.post('/:id/close', async (req, res, next) => {
   try {
     const po = await PurchaseOrder.findById(req.params.id);
     if (!po) return res.status(404).json({ message: 'PO not found.' });
-    for (const item of po.items) {
-      if (item.sku) {
-        await SKU.findByIdAndUpdate(item.sku, { $inc: { stock: item.quantity } });
-      }
-    }
-    po.status = 'received';
-    po.receivedDate = new Date();
+    po.closeShort({ note: req.body.note, user: req.user?.id });
     await po.save();
     res.json(po);
   } catch (err) { next(err); }
@@ -56,6 +97,10 @@ router.post('/:id/receive', async (req, res, next) => {
 
 router.delete('/:id', async (req, res, next) => {
   try {
+    if (await GoodsReceipt.exists({ purchaseOrder: req.params.id }))
+      return res.status(400).json({ message: 'Goods have been received against this PO; it can only be closed.' });
+    if (await SupplierBill.exists({ purchaseOrder: req.params.id, status: { $ne: 'cancelled' } }))
+      return res.status(400).json({ message: 'Bills are booked against this PO. Cancel them first.' });
     await PurchaseOrder.findByIdAndDelete(req.params.id);
     res.json({ message: 'PO deleted.' });
   } catch (err) { next(err); }
@@ -3,12 +3,24 @@ const router = express.Router();
 const Sale = require('../models/Sale');
 const Retailer = require('../models/Retailer');
 const SKU = require('../models/SKU');
+const Warehouse = require('../models/Warehouse');
+const CostLayer = require('../models/CostLayer');
+const Settings = require('../models/Settings');
+const StockHold = require('../models/StockHold');
+const { round2 } = require('../utils/gst');
+const { formatQty } = require('../utils/uom');
 
-// GET /api/reports/sales?from=&to=&retailer=&format=json
+// Restrict a sales match to one warehouse when `?warehouse=` is given
+const byWarehouse = async (match, warehouse) => {
+  if (warehouse) match.warehouse = Warehouse.scope(await Warehouse.resolve(warehouse));
+  return match;
+};
+
+// GET /api/reports/sales?from=&to=&retailer=&warehouse=&format=json
 router.get('/sales', async (req, res, next) => {
   try {
-    const { from, to, retailer } = req.query;
-    const match = { status: { $ne: 'cancelled' } };
+    const { from, to, retailer, warehouse } = req.query;
+    const match = await byWarehouse({ status: { $nin: Sale.UNPOSTED } }, warehouse);
     if (retailer) match.retailer = retailer;
     if (from || to) {
       match.saleDate = {};
@@ -17,6 +29,7 @@ router.get('/sales', async (req, res, next) => {
     }
     const sales = await Sale.find(match)
       .populate('retailer', 'name phone area')
+      .populate('warehouse', 'name code')
       .populate('items.sku', 'name code')
       .sort({ saleDate: -1 })
       .limit(1000);
@@ -24,11 +37,11 @@ router.get('/sales', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-// GET /api/reports/retailer-wise
+// GET /api/reports/retailer-wise?from=&to=&warehouse=
 router.get('/retailer-wise', async (req, res, next) => {
   try {
-    const { from, to } = req.query;
-    const match = { status: { $ne: 'cancelled' } };
+    const { from, to, warehouse } = req.query;
+    const match = await byWarehouse({ status: { $nin: Sale.UNPOSTED } }, warehouse);
     if (from || to) {
       match.saleDate = {};
       if (from) match.saleDate.$gte = new Date(from);
@@ -52,24 +65,157 @@ router.get('/retailer-wise', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
-// GET /api/reports/product-wise
+// GET /api/reports/product-wise?warehouse=
 router.get('/product-wise', async (req, res, next) => {
   try {
+    const match = await byWarehouse({ status: { $nin: Sale.UNPOSTED } }, req.query.warehouse);
     const report = await Sale.aggregate([
-      { $match: { status: { $ne: 'cancelled' } } },
+      { $match: match },
       { $unwind: '$items' },
       {
         $group: {
           _id: '$items.sku',
           name: { $first: '$items.skuName' },
           totalQty: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' }
+          totalRevenue: { $sum: { $ifNull: ['$items.taxableValue', '$items.total'] } },  // net of the bill discount share
+          totalCost: { $sum: { $multiply: ['$items.quantity', '$items.unitCost'] } },
+          uncostedQty: { $sum: { $cond: [{ $eq: [{ $type: '$items.unitCost' }, 'missing'] }, '$items.quantity', 0] } },
         }
       },
       { $sort: { totalRevenue: -1 } },
       { $limit: 100 }
     ]);
-    res.json(report);
+    const skus = await SKU.find({ _id: { $in: report.map(r => r._id) } }, 'unit uoms purchasePrice');
+    const byId = Object.fromEntries(skus.map(s => [String(s._id), s]));
+    res.json(report.map(({ uncostedQty, ...r }) => {
+      const sku = byId[String(r._id)];
+      // Lines billed before costing was captured fall back to today's purchase price
+      const totalCost = round2(r.totalCost + uncostedQty * (sku?.purchasePrice || 0));
+      return { ...r, totalCost, grossProfit: round2(r.totalRevenue - totalCost), quantityText: sku ? formatQty(sku, r.totalQty) : String(r.totalQty) };
+    }));
+  } catch (err) { next(err); }
+});
+
+// GET /api/reports/stock-valuation?warehouse= — on-hand stock at carrying
+// cost: the weighted average, or open FIFO layers under FIFO costing. Stock
+// from before costing began is carried at the weighted average. Quarantined
+// and damaged goods are outside stock and reported at their held cost.
+router.get('/stock-valuation', async (req, res, next) => {
+  try {
+    const { method } = (await Settings.load()).costing;
+    const warehouse = req.query.warehouse && await Warehouse.resolve(req.query.warehouse);
+    const skus = await SKU.find({ active: true }).populate('brand', 'name').sort({ name: 1 });
+    const levels = warehouse ? await Warehouse.stockLevels(skus, warehouse) : null;
+    const layers = method === 'fifo' ? await CostLayer.aggregate([
+      { $match: { quantity: { $gt: 0 } } },
+      { $group: { _id: '$sku', quantity: { $sum: '$quantity' }, value: { $sum: { $multiply: ['$quantity', '$unitCost'] } } } },
+    ]) : [];
+    const layered = Object.fromEntries(layers.map(l => [String(l._id), l]));
+    const items = skus.map(s => {
+      const id = String(s._id);
+      let unitCost = s.currentCost();
+      const layer = layered[id];
+      if (layer && s.stock > 0) {
+        const covered = Math.min(layer.quantity, s.stock);
+        unitCost = (layer.value * covered / layer.quantity + (s.stock - covered) * s.currentCost()) / s.stock;
+      }
+      const quantity = levels ? levels[id] : s.stock;
+      return {
+        sku: s._id, name: s.name, code: s.code, brand: s.brand?.name, category: s.category,
+        quantity, quantityText: formatQty(s, quantity),
+        unitCost: CostLayer.round4(unitCost), value: round2(quantity * unitCost),
+      };
+    }).filter(i => i.quantity);
+    const heldMatch = { status: 'open', state: { $ne: 'reserved' } };
+    if (warehouse) heldMatch.warehouse = warehouse._id;
+    const [held] = await StockHold.aggregate([
+      { $match: heldMatch },
+      { $group: { _id: null, value: { $sum: { $multiply: ['$quantity', '$unitCost'] } } } },
+    ]);
+    res.json({ method, warehouse, items, totalValue: round2(items.reduce((a, i) => a + i.value, 0)), heldValue: round2(held?.value || 0) });
+  } catch (err) { next(err); }
+});
+
+// GET /api/reports/sku-analysis?movement=&abc=&xyz= — the stored demand
+// metrics per SKU with an ABC × XYZ matrix and movement totals. Metrics are
+// as of the last recomputation (daily, or POST /api/skus/metrics/recompute).
+router.get('/sku-analysis', async (req, res, next) => {
+  try {
+    const { movement, abc, xyz } = req.query;
+    const { analysis } = await Settings.load();
+    const query = { active: true };
+    if (movement) query.movement = movement;
+    if (abc) query.abcClass = abc;
+    if (xyz) query.xyzClass = xyz;
+    const skus = await SKU.find(query).populate('brand', 'name').sort({ revenue: -1, name: 1 });
+    const matrix = {};
+    const byMovement = { FAST: 0, SLOW: 0, DEAD: 0 };
+    const items = skus.map(s => {
+      const stockValue = round2(Math.max(s.stock, 0) * s.currentCost());
+      if (s.abcClass && s.xyzClass) {
+        const cell = (matrix[s.abcClass + s.xyzClass] ||= { count: 0, revenue: 0, stockValue: 0 });
+        cell.count += 1;
+        cell.revenue = round2(cell.revenue + (s.revenue || 0));
+        cell.stockValue = round2(cell.stockValue + stockValue);
+      }
+      if (s.movement) byMovement[s.movement] += 1;
+      return {
+        sku: s._id, name: s.name, code: s.code, brand: s.brand?.name, category: s.category,
+        movement: s.movement, abcClass: s.abcClass, xyzClass: s.xyzClass,
+        revenue: s.revenue || 0, revenueShare: s.revenueShare || 0,
+        avgMonthlySale: s.avgMonthlySale || 0, demandCv: s.demandCv, daysOfInventory: s.daysOfInventory,
+        lastSaleDate: s.lastSaleDate, stock: s.stock, stockText: s.stockText, stockValue,
+      };
+    });
+    const metricsAt = skus.reduce((latest, s) => (s.metricsAt > latest ? s.metricsAt : latest), null);
+    res.json({ settings: analysis, metricsAt, matrix, byMovement, items });
+  } catch (err) { next(err); }
+});
+
+// GET /api/reports/gst?from=&to= — HSN-wise outward supplies with the tax split
+router.get('/gst', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const match = { status: { $nin: Sale.UNPOSTED } };
+    if (from || to) {
+      match.saleDate = {};
+      if (from) match.saleDate.$gte = new Date(from);
+      if (to) match.saleDate.$lte = new Date(to);
+    }
+    const [hsn, bySupply] = await Promise.all([
+      Sale.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { hsnCode: '$items.hsnCode', gstRate: '$items.gstRate' },
+            quantity: { $sum: '$items.quantity' },
+            taxableValue: { $sum: '$items.taxableValue' },
+            cgst: { $sum: '$items.cgst' },
+            sgst: { $sum: '$items.sgst' },
+            igst: { $sum: '$items.igst' },
+            cess: { $sum: '$items.cess' },
+          }
+        },
+        { $sort: { '_id.hsnCode': 1, '_id.gstRate': 1 } }
+      ]),
+      Sale.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$interState',
+            invoices: { $sum: 1 },
+            total: { $sum: '$total' },
+            tax: { $sum: '$tax' },
+          }
+        }
+      ]),
+    ]);
+    res.json({
+      hsn: hsn.map(({ _id, ...r }) => ({ hsnCode: _id.hsnCode || '', gstRate: _id.gstRate ?? 0, ...r })),
+      intraState: bySupply.find(r => r._id !== true) || { invoices: 0, total: 0, tax: 0 },
+      interState: bySupply.find(r => r._id === true) || { invoices: 0, total: 0, tax: 0 },
+    });
   } catch (err) { next(err); }
 });
 
@@ -1,6 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const httpError = require('../utils/httpError');
 const Return = require('../models/Return');
+const SKU = require('../models/SKU');
+const Sale = require('../models/Sale');
+const Batch = require('../models/Batch');
+const Backorder = require('../models/Backorder');
+const StockHold = require('../models/StockHold');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
 
 router.get('/', async (req, res, next) => {
   try {
@@ -25,21 +34,92 @@ router.get('/:id', async (req, res, next) => {
 
 router.post('/', async (req, res, next) => {
   try {
-    const r = await Return.create({ ...req.body, createdBy: req.user?.id });
+    const items = await SKU.toBaseLines(req.body.items);
+    const r = await Return.create({ ...req.body, items, createdBy: req.user?.id });
     res.status(201).json(r);
   } catch (err) { next(err); }
 });
 
 router.put('/:id', async (req, res, next) => {
   try {
-    const r = await Return.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const { warehouse, receivedAt, receivedBy, ...update } = req.body;
+    const existing = await Return.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Return not found.' });
+    if (existing.status === 'processed') return res.status(400).json({ message: 'Goods are already received against this return.' });
+    if (update.status === 'processed') return res.status(400).json({ message: 'Receive the goods to process a return.' });
+    if (update.items) update.items = await SKU.toBaseLines(update.items);
+    const r = await Return.findByIdAndUpdate(req.params.id, update, { new: true });
     if (!r) return res.status(404).json({ message: 'Return not found.' });
     res.json(r);
   } catch (err) { next(err); }
 });
 
+// POST /api/returns/:id/receive — { warehouse?, states: { [itemId]: 'sellable' | 'quarantine' | 'damaged' } }
+// Book the returned goods into a warehouse (the sale's, else the default).
+// Sellable goods go back into stock on their batch; the rest are held for
+// disposition. Each line is costed at what it was sold at, else the current
+// cost. Lines without a state follow the return type's default.
+router.post('/:id/receive', async (req, res, next) => {
+  try {
+    const { states = {} } = req.body;
+    let ret;
+    await mongoose.connection.transaction(async (session) => {
+      ret = await Return.findById(req.params.id).session(session);
+      if (!ret) throw httpError(404, 'Return not found.');
+      if (['processed', 'rejected'].includes(ret.status)) throw httpError(400, `Return is already ${ret.status}.`);
+      const sale = ret.sale && await Sale.findById(ret.sale).session(session);
+      const warehouse = await Warehouse.resolve(req.body.warehouse || sale?.warehouse, session);
+      const movement = { type: 'return', warehouse, ref: ret._id, refModel: 'Return', refNumber: ret.returnNumber, user: req.user?.id };
+      const restocked = new Set();
+      for (const item of ret.items) {
+        if (!item.sku) continue;
+        const sku = await SKU.findById(item.sku).session(session);
+        if (!sku) throw httpError(404, `SKU ${item.skuName} not found.`);
+        const state = states[item._id] || Return.DEFAULT_STATE[ret.type] || 'quarantine';
+        if (!['sellable', 'quarantine', 'damaged'].includes(state)) throw httpError(400, `Unknown stock state "${state}".`);
+        const sold = sale?.items.find(i => String(i.sku) === String(item.sku) && i.unitCost !== undefined);
+        const unitCost = sold?.unitCost ?? sku.currentCost();
+        const lot = item.batch && await Batch.findById(item.batch).session(session);
+        const batchNo = lot?.batchNo || item.batchNo;
+        item.state = state;
+
+        if (state === 'sellable') {
+          const batch = batchNo && await Batch.findOneAndUpdate(
+            { sku: sku._id, batchNo, warehouse: Warehouse.scope(warehouse) },
+            {
+              $inc: { quantity: item.quantity },
+              $setOnInsert: { warehouse: warehouse._id, mfgDate: lot?.mfgDate, expiryDate: lot?.expiryDate, receivedDate: new Date() },
+            },
+            { upsert: true, new: true, session }
+          );
+          await StockMovement.record({
+            ...movement, sku: sku._id, delta: item.quantity, unitCost, batch: batch?._id, batchNo: batch?.batchNo,
+            reason: `Returned by ${ret.retailerName || 'retailer'}`,
+          }, session);
+          restocked.add(String(sku._id));
+        } else {
+          const [hold] = await StockHold.create([{
+            sku: sku._id, skuName: sku.name, warehouse: warehouse._id, state,
+            quantity: item.quantity, originalQty: item.quantity, unitCost,
+            batches: batchNo ? [{ batch: lot?._id, batchNo, mfgDate: lot?.mfgDate, expiryDate: lot?.expiryDate, quantity: item.quantity }] : [],
+            reason: item.reason || `${ret.type.replace('_', ' ')} return`,
+            refModel: 'Return', ref: ret._id, refNumber: ret.returnNumber, createdBy: req.user?.id,
+          }], { session });
+          item.hold = hold._id;
+        }
+      }
+      Object.assign(ret, { status: 'processed', warehouse: warehouse._id, receivedAt: new Date(), receivedBy: req.user?.id });
+      await ret.save({ session });
+      for (const skuId of restocked) await Backorder.fulfilFromStock(skuId, session, req.user?.id, warehouse);
+    });
+    res.json(ret);
+  } catch (err) { next(err); }
+});
+
 router.delete('/:id', async (req, res, next) => {
   try {
+    const ret = await Return.findById(req.params.id);
+    if (ret?.status === 'processed') return res.status(400).json({ message: 'Goods are already received against this return.' });
     await Return.findByIdAndDelete(req.params.id);
     res.json({ message: 'Return deleted.' });
   } catch (err) { next(err); }
@@ -1,14 +1,254 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const httpError = require('../utils/httpError');
+const requireRole = require('../middleware/requireRole');
 const Sale = require('../models/Sale');
 const SKU = require('../models/SKU');
 const Retailer = require('../models/Retailer');
+const Backorder = require('../models/Backorder');
+const Batch = require('../models/Batch');
+const Warehouse = require('../models/Warehouse');
+const StockMovement = require('../models/StockMovement');
+const CreditControl = require('../models/CreditControl');
+const CreditOverride = require('../models/CreditOverride');
+const SaleRevision = require('../models/SaleRevision');
+const Settings = require('../models/Settings');
+const Scheme = require('../models/Scheme');
+const StockHold = require('../models/StockHold');
+const PriceList = require('../models/PriceList');
+const { placeOfSupply, computeGst, round2 } = require('../utils/gst');
+const { applySchemes } = require('../utils/schemes');
+const { toBase, formatQty, unitsOf } = require('../utils/uom');
+
+const paymentStatus = (balance, paid) => (balance <= 0 ? 'paid' : paid > 0 ? 'partial' : 'pending');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Hold a sale's stock for it until it is dispatched or the reservation expires
+const reserve = async (sale, session, userId) => {
+  const { reservation } = await Settings.load(session);
+  sale.reservedUntil = new Date(Date.now() + (reservation?.days ?? 3) * DAY);
+  await sale.save({ session });
+  await StockHold.reserveFor(sale, { expiresAt: sale.reservedUntil, user: userId }, session);
+};
+
+// Why a sale can't go on credit without an owner's approval, or null if it can
+const creditHoldReason = async (retailerDoc, balance, session) => {
+  if (balance <= 0) return null;
+  const control = await CreditControl.findOne({ retailer: retailerDoc._id }).session(session);
+  if (retailerDoc.status === 'blocked' || control?.status === 'blocked')
+    return `${retailerDoc.name} is on credit hold.`;
+  const outstanding = retailerDoc.outstandingBalance || 0;
+  if (retailerDoc.creditLimit > 0 && outstanding + balance > retailerDoc.creditLimit)
+    return `Credit limit exceeded. Limit: ₹${retailerDoc.creditLimit}, Outstanding: ₹${outstanding}, This sale: ₹${balance}`;
+  return null;
+};
+
+// Price each requested line and split it into shipped and backordered
+// quantity under the SKU's stock policy, against the stock in `warehouse`.
+// `released` maps SKU id to stock the
+// sale being amended already holds, which counts as available again;
+// `available` carries the running balance per SKU id between calls for the
+// same bill; a bundle line draws its own kits first and then its components'
+// balances, so it can't count component stock another line has taken.
+// Items with a `scheme` are free goods: zero price, and never reject the sale.
+// Unpriced lines take the retailer's price list (`prices`), then the SKU price.
+// Lines may be keyed in any of the SKU's units and are converted to base units.
+const buildLines = async (items, session, { warehouse, released = {}, available = {}, prices = {} } = {}) => {
+  const lines = [];
+  for (const item of items) {
+    const sku = await SKU.findById(item.sku).session(session);
+    if (!sku) throw httpError(404, `SKU ${item.sku} not found.`);
+    const entered = toBase(sku, item);
+    const id = String(sku._id);
+    const free = Boolean(item.scheme);
+    const onShelf = async (s) => {
+      available[String(s._id)] ??= (await Batch.onShelf(s, warehouse, session)) + (released[String(s._id)] || 0);
+      return available[String(s._id)];
+    };
+    const kits = await onShelf(sku);
+    const parts = sku.isBundle ? await sku.componentSkus(session) : [];
+    let buildable = parts.length ? Infinity : 0;
+    for (const part of parts) buildable = Math.min(buildable, Math.floor((await onShelf(part.sku)) / part.quantity));
+    const stock = kits + buildable;
+    // Short lines follow the SKU's backorder policy
+    const policy = free && sku.backorderPolicy === 'reject' ? 'partial' : sku.backorderPolicy;
+    let quantity = entered.quantity;
+    let backorderQty = 0;
+    if (quantity > stock) {
+      if (policy === 'backorder') backorderQty = quantity - stock;
+      else if (policy === 'partial') quantity = stock;
+      else throw httpError(400, `Insufficient stock for ${sku.name}: ${formatQty(sku, stock)} available.`);
+    }
+    if (!quantity) continue;
+    const shipped = quantity - backorderQty;
+    available[id] -= Math.min(shipped, kits);
+    for (const part of parts) available[String(part.sku._id)] -= Math.max(0, shipped - kits) * part.quantity;
+    const listPrice = prices[id] ?? sku.sellingPrice;
+    const price = free ? 0 : entered.price ?? listPrice;
+    const itemDiscount = free ? 0 : item.discount ?? 0;
+    const total = round2((price * quantity) - itemDiscount);
+    lines.push({
+      sku: sku._id, skuName: sku.name, brand: sku.brand, quantity, price, discount: itemDiscount, total, backorderQty,
+      uom: entered.uom, uomFactor: entered.uomFactor, quantityText: formatQty(sku, quantity), units: unitsOf(sku),
+      hsnCode: sku.hsnCode, gstRate: sku.gstRate, cessRate: sku.cessRate, isBundle: sku.isBundle,
+      ...(free && {
+        isFree: true, scheme: item.scheme._id, schemeName: item.scheme.name,
+        schemeDiscount: round2(quantity * listPrice),
+      }),
+    });
+  }
+  return lines;
+};
+
+// Build the full bill: paid lines, scheme discounts and free goods, then GST
+const priceBill = async ({ items, retailerDoc, discount, saleDate, session, warehouse, released }) => {
+  const available = {};
+  const prices = await PriceList.forRetailer(retailerDoc, saleDate, session);
+  const paid = await buildLines(items.filter(i => !i.isFree), session, { warehouse, released, available, prices });
+  if (!paid.length) throw httpError(400, 'None of the items are in stock.');
+  const schemes = await Scheme.applicableTo(retailerDoc, saleDate, session, warehouse);
+  const { lines: discounted, freeGoods } = applySchemes(paid, schemes, await Scheme.batchLimits(schemes, session));
+  const free = await buildLines(freeGoods, session, { warehouse, released, available, prices });
+
+  const supply = placeOfSupply(await Settings.load(session), retailerDoc.gstin);
+  const { lines, taxBreakup, tax } = computeGst([...discounted, ...free], discount, supply.interState);
+  const subtotal = round2(lines.reduce((a, i) => a + i.total, 0));
+  return { lines, subtotal, tax, total: round2(subtotal - discount + tax), taxBreakup, ...supply };
+};
+
+// Average unit cost per SKU id across a sale's costed lines
+const costBySku = (items) => {
+  const totals = items.filter(i => i.unitCost !== undefined).reduce((acc, i) => {
+    const id = String(i.sku);
+    acc[id] ??= { quantity: 0, value: 0 };
+    acc[id].quantity += i.quantity;
+    acc[id].value += i.quantity * i.unitCost;
+    return acc;
+  }, {});
+  return Object.fromEntries(Object.entries(totals).map(([id, t]) => [id, t.quantity ? t.value / t.quantity : 0]));
+};
+
+// Quantity actually shipped per SKU id across a sale's lines
+const shippedBySku = (items) => items.reduce((acc, i) => {
+  const id = String(i.sku);
+  acc[id] = (acc[id] || 0) + i.quantity - i.backorderQty;
+  return acc;
+}, {});
+
+// Stock a posted sale holds per SKU id: shipped lines, and the components
+// bundle lines were made up from
+const heldBySku = (items) => {
+  const held = shippedBySku(items);
+  for (const item of items.filter(i => i.isBundle)) {
+    for (const c of item.components.filter(c => !c.sku.equals(item.sku))) held[String(c.sku)] = (held[String(c.sku)] || 0) + c.quantity;
+  }
+  return held;
+};
+
+// Track the unshipped quantity so PO receipts can fill it
+const openBackorders = async (sale, session, userId) => {
+  const backorders = sale.items.filter(i => i.backorderQty > 0).map(i => ({
+    sku: i.sku, skuName: i.skuName, sale: sale._id, saleItem: i._id,
+    invoiceNumber: sale.invoiceNumber, retailer: sale.retailer, retailerName: sale.retailerName,
+    warehouse: sale.warehouse, quantity: i.backorderQty, createdBy: userId,
+  }));
+  if (backorders.length) await Backorder.insertMany(backorders, { session });
+};
+
+// Line-level changes between two versions of a sale, keyed by SKU
+const diffVersions = (before, after) => {
+  const index = (items) => items.reduce((acc, i) => {
+    const id = String(i.sku);
+    acc[id] ??= { skuName: i.skuName, quantity: 0, price: i.price, total: 0 };
+    acc[id].quantity += i.quantity;
+    acc[id].total += i.total;
+    return acc;
+  }, {});
+  const a = index(before.items);
+  const b = index(after.items);
+  const lines = [];
+  for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!a[id]) lines.push({ sku: id, skuName: b[id].skuName, change: 'added', after: b[id] });
+    else if (!b[id]) lines.push({ sku: id, skuName: a[id].skuName, change: 'removed', before: a[id] });
+    else if (a[id].quantity !== b[id].quantity || a[id].price !== b[id].price || a[id].total !== b[id].total)
+      lines.push({ sku: id, skuName: b[id].skuName, change: 'changed', before: a[id], after: b[id] });
+  }
+  return lines;
+};
+
+// Stock ledger fields for a movement caused by this sale
+const saleMovement = (sale, type, user) => ({
+  type, warehouse: sale.warehouse, ref: sale._id, refModel: 'Sale', refNumber: sale.invoiceNumber, user,
+});
+
+// Draw a line's shipped quantity from the movement's warehouse, recording the
+// batches it came from. The line keeps the unit cost it shipped at, or the
+// current cost if it is all backordered. Bundle lines draw kits and
+// components instead; see SKU#issueBundle.
+const shipItem = async (item, sku, session, movement) => {
+  const ship = item.quantity - item.backorderQty;
+  if (item.isBundle) {
+    const { components, unitCost } = await sku.issueBundle(ship, session, movement);
+    Object.assign(item, { batches: [], components, unitCost });
+    return;
+  }
+  item.batches = await Batch.allocate(sku, ship, session, { warehouse: movement.warehouse });
+  item.unitCost = ship > 0
+    ? (await StockMovement.record({ ...movement, sku: sku._id, delta: -ship }, session)).unitCost
+    : sku.currentCost();
+};
+
+// Put a line's shipped quantity back into stock, at the cost it went out at,
+// and onto its batches. A bundle line puts back each SKU it drew.
+const unshipItem = async (item, session, movement) => {
+  if (item.isBundle) {
+    for (const c of item.components) {
+      await StockMovement.record({ ...movement, sku: c.sku, delta: c.quantity, unitCost: c.unitCost }, session);
+      await Batch.release(c.batches, session);
+    }
+    return;
+  }
+  const shipped = item.quantity - item.backorderQty;
+  if (shipped > 0) await StockMovement.record({ ...movement, sku: item.sku, delta: shipped, unitCost: item.unitCost }, session);
+  await Batch.release(item.batches, session);
+};
+
+// Deduct stock, open backorders and book the balance to the retailer.
+// Runs at billing time, or later when an owner releases a credit hold.
+const postSale = async (sale, retailerDoc, session, userId) => {
+  // An order or held sale swaps its order number for an invoice number here,
+  // before the stock ledger refers to it
+  await sale.assignNumber(session);
+  const warehouse = await Warehouse.resolve(sale.warehouse, session);
+  for (const item of sale.items) {
+    const sku = await SKU.findById(item.sku).session(session);
+    if (!sku) throw httpError(404, `SKU ${item.skuName} not found.`);
+    // Stock may have moved while the sale sat on hold
+    const available = await Batch.sellable(sku, warehouse, session);
+    const ship = item.quantity - item.backorderQty;
+    if (ship > available) {
+      if (sku.backorderPolicy !== 'backorder')
+        throw httpError(400, `Insufficient stock for ${sku.name}: ${formatQty(sku, available)} available.`);
+      item.backorderQty += ship - available;
+    }
+    await shipItem(item, sku, session, { ...saleMovement(sale, 'sale', userId), warehouse });
+  }
+  await sale.save({ session });
+  await openBackorders(sale, session, userId);
+
+  // Update outstanding balance on retailer
+  retailerDoc.outstandingBalance = (retailerDoc.outstandingBalance || 0) + sale.balance;
+  await retailerDoc.save({ session });
+};
 
 router.get('/', async (req, res, next) => {
   try {
-    const { retailer, status, from, to, page = 1, limit = 50 } = req.query;
+    const { retailer, warehouse, status, from, to, page = 1, limit = 50 } = req.query;
     const query = {};
     if (retailer) query.retailer = retailer;
+    if (warehouse) query.warehouse = Warehouse.scope(await Warehouse.resolve(warehouse));
     if (status) query.status = status;
     if (from || to) {
       query.saleDate = {};
@@ -18,6 +258,7 @@ router.get('/', async (req, res, next) => {
     const total = await Sale.countDocuments(query);
     const sales = await Sale.find(query)
       .populate('retailer', 'name phone')
+      .populate('warehouse', 'name code')
       .sort({ saleDate: -1 })
       .skip((page - 1) * limit)
       .limit(Number(limit));
@@ -29,6 +270,7 @@ router.get('/:id', async (req, res, next) => {
   try {
     const s = await Sale.findById(req.params.id)
       .populate('retailer', 'name phone address gstin')
+      .populate('warehouse', 'name code address')
       .populate('items.sku', 'name code unitSize');
     if (!s) return res.status(404).json({ message: 'Sale not found.' });
     res.json(s);
@@ -37,73 +279,294 @@ router.get('/:id', async (req, res, next) => {
 
 router.post('/', async (req, res, next) => {
   try {
-    const { retailer, items, discount = 0, tax = 0, paid = 0, paymentMode, saleDate, notes } = req.body;
+    // `dispatch: false` books a confirmed order that reserves its stock and
+    // is invoiced when it goes out
+    const { retailer, warehouse, items, discount = 0, paid = 0, paymentMode, saleDate, notes, dispatch = true } = req.body;
     if (!retailer || !items?.length)
       return res.status(400).json({ message: 'Retailer and items are required.' });
 
-    const retailerDoc = await Retailer.findById(retailer);
-    if (!retailerDoc) return res.status(404).json({ message: 'Retailer not found.' });
-
-    let subtotal = 0;
-    const processedItems = [];
-    for (const item of items) {
-      const sku = await SKU.findById(item.sku);
-      if (!sku) return res.status(404).json({ message: `SKU ${item.sku} not found.` });
-      const price = item.price ?? sku.sellingPrice;
-      const itemDiscount = item.discount ?? 0;
-      const total = (price * item.quantity) - itemDiscount;
-      subtotal += total;
-      processedItems.push({ sku: sku._id, skuName: sku.name, quantity: item.quantity, price, discount: itemDiscount, total });
-      // Deduct stock
-      sku.stock = Math.max(0, sku.stock - item.quantity);
-      await sku.save();
-    }
-    const totalAmount = subtotal - discount + tax;
-    const balance = totalAmount - paid;
-
-    const sale = await Sale.create({
-      retailer, retailerName: retailerDoc.name, items: processedItems,
-      subtotal, discount, tax, total: totalAmount, paid, balance,
-      paymentMode: paymentMode || 'credit',
-      status: balance <= 0 ? 'paid' : paid > 0 ? 'partial' : 'pending',
-      saleDate: saleDate || new Date(), notes, createdBy: req.user?.id,
-    });
+    // Stock deduction, the invoice and the retailer ledger commit or roll back together
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      const retailerDoc = await Retailer.findById(retailer).session(session);
+      if (!retailerDoc) throw httpError(404, 'Retailer not found.');
+      const warehouseDoc = await Warehouse.resolve(warehouse, session);
 
-    // Update outstanding balance on retailer
-    retailerDoc.outstandingBalance = (retailerDoc.outstandingBalance || 0) + balance;
-    await retailerDoc.save();
+      const bill = await priceBill({ items, retailerDoc, discount, saleDate: saleDate || new Date(), session, warehouse: warehouseDoc });
+      const balance = bill.total - paid;
+      // Orders face the credit check when they are dispatched
+      const holdReason = dispatch ? await creditHoldReason(retailerDoc, balance, session) : null;
+
+      [sale] = await Sale.create([{
+        retailer, retailerName: retailerDoc.name, warehouse: warehouseDoc._id, items: bill.lines,
+        subtotal: bill.subtotal, discount, tax: bill.tax, total: bill.total, paid, balance,
+        placeOfSupply: bill.placeOfSupply, interState: bill.interState, taxBreakup: bill.taxBreakup,
+        paymentMode: paymentMode || 'credit',
+        status: !dispatch ? 'confirmed' : holdReason ? 'pending_approval' : paymentStatus(balance, paid),
+        creditHold: holdReason ? { reason: holdReason } : undefined,
+        saleDate: saleDate || new Date(), notes, createdBy: req.user?.id,
+      }], { session });
+
+      // Orders and held sales only reserve stock until dispatched or approved
+      if (!dispatch || holdReason) await reserve(sale, session, req.user?.id);
+      else await postSale(sale, retailerDoc, session, req.user?.id);
+    });
 
     res.status(201).json(sale);
   } catch (err) { next(err); }
 });
 
+// POST /api/sales/:id/dispatch — invoice a confirmed order on the day it goes
+// out. Over the credit limit it waits for approval with its stock still reserved.
+router.post('/:id/dispatch', async (req, res, next) => {
+  try {
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (sale.status !== 'confirmed') throw httpError(400, 'Only confirmed orders can be dispatched.');
+      const retailerDoc = await Retailer.findById(sale.retailer).session(session);
+      if (!retailerDoc) throw httpError(404, 'Retailer not found.');
+
+      sale.saleDate = new Date();
+      const holdReason = await creditHoldReason(retailerDoc, sale.balance, session);
+      if (holdReason) {
+        sale.status = 'pending_approval';
+        sale.creditHold = { reason: holdReason };
+        await sale.save({ session });
+        return;
+      }
+      await StockHold.releaseFor(sale, { note: 'Dispatched', user: req.user?.id }, session);
+      sale.status = paymentStatus(sale.balance, sale.paid);
+      await postSale(sale, retailerDoc, session, req.user?.id);
+    });
+    res.json(sale);
+  } catch (err) { next(err); }
+});
+
 router.put('/:id', async (req, res, next) => {
   try {
     const { paid, status, notes } = req.body;
-    const sale = await Sale.findById(req.params.id);
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (Sale.UNPOSTED.includes(sale.status))
+        throw httpError(400, `Sale is ${sale.status.replace('_', ' ')}.`);
+      if (Sale.UNPOSTED.includes(status))
+        throw httpError(400, 'Use the cancel or approval actions to change this status.');
+      if (paid !== undefined) {
+        const extraPaid = paid - sale.paid;
+        sale.paid = paid;
+        sale.balance = sale.total - paid;
+        sale.status = paymentStatus(sale.balance, paid);
+        // Update retailer outstanding
+        const retailer = await Retailer.findById(sale.retailer).session(session);
+        if (retailer) {
+          retailer.outstandingBalance = Math.max(0, retailer.outstandingBalance - extraPaid);
+          await retailer.save({ session });
+        }
+      }
+      if (status) sale.status = status;
+      if (notes !== undefined) sale.notes = notes;
+      await sale.save({ session });
+    });
+    res.json(sale);
+  } catch (err) { next(err); }
+});
+
+// POST /api/sales/:id/amend — replace the lines, posting only the stock and balance deltas
+router.post('/:id/amend', async (req, res, next) => {
+  try {
+    const { items, discount, reason } = req.body;
+    if (!items?.length) return res.status(400).json({ message: 'Items are required.' });
+    if (!reason?.trim()) return res.status(400).json({ message: 'An amendment reason is required.' });
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (Sale.UNPOSTED.includes(sale.status)) throw httpError(400, 'Only posted sales can be amended.');
+      const retailerDoc = await Retailer.findById(sale.retailer).session(session);
+      if (!retailerDoc) throw httpError(404, 'Retailer not found.');
+
+      const warehouse = await Warehouse.resolve(sale.warehouse, session);
+      const newDiscount = discount ?? sale.discount;
+      const bill = await priceBill({ items, retailerDoc, discount: newDiscount, saleDate: sale.saleDate, session, warehouse, released: heldBySku(sale.items) });
+      const { total } = bill;
+      const balanceDelta = (total - sale.paid) - sale.balance;
+
+      const hold = await creditHoldReason(retailerDoc, balanceDelta, session);
+      if (hold) throw httpError(400, `Amendment needs credit approval: ${hold}`);
+
+      await SaleRevision.create([{
+        sale: sale._id, invoiceNumber: sale.invoiceNumber, version: sale.version,
+        items: sale.items.map(i => i.toObject()),
+        subtotal: sale.subtotal, discount: sale.discount, tax: sale.tax,
+        total: sale.total, paid: sale.paid, balance: sale.balance,
+        changedBy: sale.amendedBy || sale.createdBy, changedAt: sale.amendedAt || sale.createdAt,
+        reason: sale.amendReason,
+      }], { session });
+
+      // Give back the old lines' batches and draw the new lines FEFO, then
+      // post one net movement per SKU rather than a full reversal and re-issue.
+      // Lines keep the SKU's original cost; only newly added SKUs are costed now.
+      // Bundles draw from several SKUs, so their old lines go back in full
+      // and the new ones are drawn afresh once the plain lines are settled.
+      const amendMovement = { ...saleMovement(sale, 'sale_amend', req.user?.id), warehouse, reason: reason.trim() };
+      for (const item of sale.items) {
+        if (item.isBundle) await unshipItem(item, session, amendMovement);
+        else await Batch.release(item.batches, session);
+      }
+      const plain = (lines) => lines.filter(l => !l.isBundle);
+      const before = shippedBySku(plain(sale.items));
+      const after = shippedBySku(plain(bill.lines));
+      const priorCost = costBySku(sale.items);
+      for (const id of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const sku = await SKU.findById(id).session(session);
+        let onHand = (await Warehouse.stockOf(sku, warehouse, session)) + (before[id] || 0);
+        for (const line of plain(bill.lines).filter(l => String(l.sku) === id)) {
+          const ship = line.quantity - line.backorderQty;
+          line.batches = await Batch.allocate(sku, ship, session, { warehouse, onHand });
+          onHand -= ship;
+        }
+        const delta = (before[id] || 0) - (after[id] || 0);
+        const movement = delta && await StockMovement.record({ ...amendMovement, sku: id, delta, unitCost: priorCost[id] }, session);
+        const unitCost = priorCost[id] ?? (movement ? movement.unitCost : sku.currentCost());
+        for (const line of plain(bill.lines).filter(l => String(l.sku) === id)) line.unitCost = unitCost;
+      }
+      for (const line of bill.lines.filter(l => l.isBundle)) {
+        await shipItem(line, await SKU.findById(line.sku).session(session), session, amendMovement);
+      }
+      await Backorder.updateMany({ sale: sale._id, status: 'open' }, { status: 'cancelled' }, { session });
+
+      retailerDoc.outstandingBalance = Math.max(0, (retailerDoc.outstandingBalance || 0) + balanceDelta);
+      await retailerDoc.save({ session });
+
+      Object.assign(sale, {
+        items: bill.lines, subtotal: bill.subtotal, discount: newDiscount, tax: bill.tax, total,
+        placeOfSupply: bill.placeOfSupply, interState: bill.interState, taxBreakup: bill.taxBreakup,
+        balance: total - sale.paid, status: paymentStatus(total - sale.paid, sale.paid),
+        version: sale.version + 1, amendedBy: req.user?.id, amendedAt: new Date(), amendReason: reason.trim(),
+      });
+      await sale.save({ session });
+      await openBackorders(sale, session, req.user?.id);
+    });
+    res.json(sale);
+  } catch (err) { next(err); }
+});
+
+// GET /api/sales/:id/revisions — every version with the line changes between them
+router.get('/:id/revisions', async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id).populate('amendedBy createdBy', 'name');
     if (!sale) return res.status(404).json({ message: 'Sale not found.' });
-    if (paid !== undefined) {
-      const extraPaid = paid - sale.paid;
-      sale.paid = paid;
-      sale.balance = sale.total - paid;
-      sale.status = sale.balance <= 0 ? 'paid' : paid > 0 ? 'partial' : 'pending';
-      // Update retailer outstanding
-      const retailer = await Retailer.findById(sale.retailer);
-      if (retailer) {
-        retailer.outstandingBalance = Math.max(0, retailer.outstandingBalance - extraPaid);
-        await retailer.save();
+    const revisions = await SaleRevision.find({ sale: sale._id }).populate('changedBy', 'name').sort({ version: 1 });
+    const versions = [
+      ...revisions.map(r => ({
+        version: r.version, items: r.items, total: r.total,
+        changedBy: r.changedBy?.name, changedAt: r.changedAt, reason: r.reason,
+      })),
+      {
+        version: sale.version, items: sale.items, total: sale.total,
+        changedBy: (sale.amendedBy || sale.createdBy)?.name, changedAt: sale.amendedAt || sale.createdAt,
+        reason: sale.amendReason,
+      },
+    ];
+    const changes = versions.slice(1).map((v, i) => ({
+      from: versions[i].version, to: v.version,
+      changedBy: v.changedBy, changedAt: v.changedAt, reason: v.reason,
+      totalBefore: versions[i].total, totalAfter: v.total,
+      lines: diffVersions(versions[i], v),
+    }));
+    res.json({ versions, changes });
+  } catch (err) { next(err); }
+});
+
+// POST /api/sales/:id/approve | /reject — owner decides on a credit hold
+const decideHold = (decision) => async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: 'A reason is required.' });
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (sale.status !== 'pending_approval') throw httpError(400, 'Sale is not awaiting approval.');
+      const retailerDoc = await Retailer.findById(sale.retailer).session(session);
+      if (!retailerDoc) throw httpError(404, 'Retailer not found.');
+
+      await CreditOverride.create([{
+        sale: sale._id, invoiceNumber: sale.invoiceNumber,
+        retailer: retailerDoc._id, retailerName: retailerDoc.name,
+        decision, holdReason: sale.creditHold?.reason, reason: reason.trim(),
+        amount: sale.balance, creditLimit: retailerDoc.creditLimit, outstanding: retailerDoc.outstandingBalance,
+        decidedBy: req.user?.id, decidedByName: req.user?.name,
+      }], { session });
+
+      sale.creditHold = {
+        reason: sale.creditHold?.reason, decision, note: reason.trim(),
+        decidedBy: req.user?.id, decidedAt: new Date(),
+      };
+      await StockHold.releaseFor(sale, { note: `Credit ${decision}`, user: req.user?.id }, session);
+      if (decision === 'approved') {
+        sale.status = paymentStatus(sale.balance, sale.paid);
+        await postSale(sale, retailerDoc, session, req.user?.id);
+      } else {
+        sale.status = 'rejected';
+        await sale.save({ session });
       }
-    }
-    if (status) sale.status = status;
-    if (notes !== undefined) sale.notes = notes;
-    await sale.save();
+    });
+    res.json(sale);
+  } catch (err) { next(err); }
+};
+
+router.post('/:id/approve', requireRole('owner'), decideHold('approved'));
+router.post('/:id/reject', requireRole('owner'), decideHold('rejected'));
+
+// POST /api/sales/:id/cancel — reverse stock and receivables, keep the invoice
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: 'A cancellation reason is required.' });
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (['cancelled', 'rejected'].includes(sale.status))
+        throw httpError(400, `Sale is already ${sale.status}.`);
+
+      // Orders and held sales never touched stock or the ledger, only reserved it
+      if (Sale.UNPOSTED.includes(sale.status)) {
+        await StockHold.releaseFor(sale, { note: `Cancelled: ${reason.trim()}`, user: req.user?.id }, session);
+      } else {
+        for (const item of sale.items) await unshipItem(item, session, { ...saleMovement(sale, 'sale_cancel', req.user?.id), reason: reason.trim() });
+        await Backorder.updateMany({ sale: sale._id, status: 'open' }, { status: 'cancelled' }, { session });
+        const retailer = await Retailer.findById(sale.retailer).session(session);
+        if (retailer) {
+          retailer.outstandingBalance = Math.max(0, retailer.outstandingBalance - sale.balance);
+          await retailer.save({ session });
+        }
+      }
+
+      sale.status = 'cancelled';
+      sale.cancellation = { reason: reason.trim(), cancelledBy: req.user?.id, cancelledAt: new Date() };
+      await sale.save({ session });
+    });
     res.json(sale);
   } catch (err) { next(err); }
 });
 
+// Posted invoices are cancelled, never deleted; only unposted drafts can go
 router.delete('/:id', async (req, res, next) => {
   try {
-    await Sale.findByIdAndDelete(req.params.id);
+    await mongoose.connection.transaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+      if (!sale) throw httpError(404, 'Sale not found.');
+      if (!['pending_approval', 'rejected', 'confirmed'].includes(sale.status))
+        throw httpError(400, 'Posted invoices cannot be deleted. Cancel the sale instead.');
+      await StockHold.releaseFor(sale, { note: 'Sale deleted', user: req.user?.id }, session);
+      await sale.deleteOne({ session });
+    });
     res.json({ message: 'Sale deleted.' });
   } catch (err) { next(err); }
 });
@@ -45,7 +45,7 @@ router.get('/progress/:month/:year', async (req, res, next) => {
     const [targets, salesAgg] = await Promise.all([
       SalesTarget.find({ month: Number(month), year: Number(year) }),
       Sale.aggregate([
-        { $match: { saleDate: { $gte: startDate, $lte: endDate }, status: { $ne: 'cancelled' } } },
+        { $match: { saleDate: { $gte: startDate, $lte: endDate }, status: { $nin: Sale.UNPOSTED } } },
         { $group: { _id: null, total: { $sum: '$total' } } }
       ])
     ]);
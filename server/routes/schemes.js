@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const Scheme = require('../models/Scheme');
+const Sale = require('../models/Sale');
+
+// GET /api/schemes?active=true
+router.get('/', async (req, res, next) => {
+  try {
+    const { active } = req.query;
+    const query = {};
+    if (active === 'true') {
+      const now = new Date();
+      Object.assign(query, { active: true, validFrom: { $lte: now }, validTo: { $gte: now } });
+    }
+    const schemes = await Scheme.find(query)
+      .populate('target.brands', 'name')
+      .populate('target.skus freeSku comboItems.sku', 'name code')
+      .sort({ validTo: -1 });
+    res.json(schemes);
+  } catch (err) { next(err); }
+});
+
+// GET /api/schemes/claims?from=&to= — benefit given per scheme, for claiming from the company
+router.get('/claims', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const match = { status: { $nin: Sale.UNPOSTED } };
+    if (from || to) {
+      match.saleDate = {};
+      if (from) match.saleDate.$gte = new Date(from);
+      if (to) match.saleDate.$lte = new Date(to);
+    }
+    const claims = await Sale.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      { $match: { 'items.scheme': { $ne: null } } },
+      {
+        $group: {
+          _id: '$items.scheme',
+          name: { $first: '$items.schemeName' },
+          invoices: { $addToSet: '$_id' },
+          freeQty: { $sum: { $cond: ['$items.isFree', '$items.quantity', 0] } },
+          freeValue: { $sum: { $cond: ['$items.isFree', '$items.schemeDiscount', 0] } },
+          discountValue: { $sum: { $cond: ['$items.isFree', 0, '$items.schemeDiscount'] } },
+        }
+      },
+      { $addFields: { invoices: { $size: '$invoices' }, claimValue: { $add: ['$freeValue', '$discountValue'] } } },
+      { $sort: { claimValue: -1 } }
+    ]);
+    res.json(claims);
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const s = await Scheme.findById(req.params.id);
+    if (!s) return res.status(404).json({ message: 'Scheme not found.' });
+    res.json(s);
+  } catch (err) { next(err); }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const s = await Scheme.create({ ...req.body, createdBy: req.user?.id });
+    res.status(201).json(s);
+  } catch (err) { next(err); }
+});
+
+router.put('/:id', async (req, res, next) => {
+  try {
+    const s = await Scheme.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!s) return res.status(404).json({ message: 'Scheme not found.' });
+    res.json(s);
+  } catch (err) { next(err); }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await Scheme.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Scheme deleted.' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
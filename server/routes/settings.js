@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const requireRole = require('../middleware/requireRole');
+const Settings = require('../models/Settings');
+const Counter = require('../models/Counter');
+const { financialYear, peekNumber } = require('../utils/numbering');
+
+const SERIES = ['sale', 'order', 'purchaseOrder', 'return', 'transfer', 'stockCount', 'kitAssembly', 'supplierPayment', 'goodsReceipt'];
+
+// GET /api/settings
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await Settings.load());
+  } catch (err) { next(err); }
+});
+
+// PUT /api/settings
+router.put('/', requireRole('owner'), async (req, res, next) => {
+  try {
+    const settings = await Settings.load();
+    const { _id, createdAt, updatedAt, ...changes } = req.body;
+    settings.set(changes);
+    await settings.save();
+    res.json(settings);
+  } catch (err) { next(err); }
+});
+
+// GET /api/settings/numbering — next number of each series in the current financial year
+router.get('/numbering', async (req, res, next) => {
+  try {
+    const series = {};
+    for (const type of SERIES) series[type] = await peekNumber(type);
+    res.json(series);
+  } catch (err) { next(err); }
+});
+
+// PUT /api/settings/numbering/:type — move a series forward, e.g. when migrating mid-year
+router.put('/numbering/:type', requireRole('owner'), async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const next = Number(req.body.next);
+    if (!SERIES.includes(type)) return res.status(404).json({ message: 'Unknown number series.' });
+    if (!Number.isInteger(next) || next < 1) return res.status(400).json({ message: 'Next number must be a positive whole number.' });
+    // $max never lowers the counter, so a number claimed meanwhile can't be reissued
+    const before = await Counter.findOneAndUpdate(
+      { _id: `${type}:${financialYear()}` },
+      { $max: { seq: next - 1 } },
+      { upsert: true, new: false }
+    );
+    const current = (before?.seq || 0) + 1;
+    if (next < current)
+      return res.status(400).json({ message: `Series can only move forward. Next number is already ${current}.` });
+    res.json(await peekNumber(type));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,19 +1,83 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
 const SKU = require('../models/SKU');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const Counter = require('../models/Counter');
+const StockHold = require('../models/StockHold');
+const requireRole = require('../middleware/requireRole');
+const barcode = require('../utils/barcode');
 
 router.get('/', async (req, res, next) => {
   try {
-    const { brand, search, lowStock } = req.query;
+    const { brand, search, lowStock, movement, abc, xyz } = req.query;
     const query = {};
     if (brand) query.brand = brand;
+    if (movement) query.movement = movement;
+    if (abc) query.abcClass = abc;
+    if (xyz) query.xyzClass = xyz;
     if (search) query.$or = [
       { name: { $regex: search, $options: 'i' } },
       { code: { $regex: search, $options: 'i' } },
+      { 'barcodes.code': search.trim() },
     ];
-    if (lowStock === 'true') query.$expr = { $lte: ['$stock', '$minStock'] };
     const skus = await SKU.find(query).populate('brand', 'name').sort({ name: 1 });
-    res.json(skus);
+    // Stock reserved for confirmed orders isn't free to sell
+    const reserved = await StockHold.reservedBySku(skus);
+    const rows = skus.map(s => {
+      const held = reserved[String(s._id)] || 0;
+      return { ...s.toJSON(), reserved: held, available: Math.max(0, s.stock - held) };
+    });
+    res.json(lowStock === 'true' ? rows.filter(s => s.available <= s.minStock) : rows);
+  } catch (err) { next(err); }
+});
+
+// POST /api/skus/metrics/recompute — refresh movement and ABC-XYZ classes
+// now rather than waiting for the daily run
+router.post('/metrics/recompute', requireRole('owner', 'manager'), async (req, res, next) => {
+  try {
+    res.json(await SKU.recomputeMetrics());
+  } catch (err) { next(err); }
+});
+
+// GET /api/skus/barcode/:code — the SKU and unit a scanned barcode is on
+router.get('/barcode/:code', async (req, res, next) => {
+  try {
+    const found = await SKU.findByBarcode(req.params.code);
+    if (!found) return res.status(404).json({ message: `No SKU has barcode ${req.params.code}.` });
+    res.json(found);
+  } catch (err) { next(err); }
+});
+
+// POST /api/skus/barcodes/next — claim a fresh in-store EAN-13 for a SKU the
+// brand hasn't barcoded
+router.post('/barcodes/next', async (req, res, next) => {
+  try {
+    let code;
+    do {
+      const { seq } = await Counter.findOneAndUpdate({ _id: 'barcode:instore' }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+      code = barcode.inStore(seq);
+    } while (await SKU.exists({ 'barcodes.code': code }));
+    res.json({ code });
+  } catch (err) { next(err); }
+});
+
+// GET /api/skus/:id/label?type=shelf|carton&uom= — printable label as SVG.
+// Carton labels default to the largest pack unit.
+router.get('/:id/label', async (req, res, next) => {
+  try {
+    const { type = 'shelf' } = req.query;
+    if (!['shelf', 'carton'].includes(type)) return res.status(400).json({ message: 'Type must be shelf or carton.' });
+    const sku = await SKU.findById(req.params.id).populate('brand', 'name');
+    if (!sku) return res.status(404).json({ message: 'SKU not found.' });
+    const largest = [...sku.uoms].sort((a, b) => b.factor - a.factor)[0];
+    const uom = req.query.uom ?? (type === 'carton' ? largest?.name || '' : '');
+    const pack = uom ? sku.uoms.find(u => u.name === uom) : null;
+    if (uom && !pack) return res.status(400).json({ message: `${sku.name} has no unit ${uom}.` });
+    const code = sku.barcodes.find(b => (b.uom || '') === uom)?.code;
+    res.type('image/svg+xml').send(barcode.labelSvg(sku, { type, code, pack }));
   } catch (err) { next(err); }
 });
 
@@ -25,16 +89,34 @@ router.get('/:id', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// Stock given at creation is logged as the opening balance, costed at the
+// purchase price
 router.post('/', async (req, res, next) => {
   try {
-    const s = await SKU.create(req.body);
+    let s;
+    await mongoose.connection.transaction(async (session) => {
+      const { avgCost, ...fields } = req.body;
+      if (fields.components?.length) await SKU.checkComponents(fields.components);
+      if (fields.barcodes?.length) await SKU.checkBarcodes(fields.barcodes, fields.uoms);
+      [s] = await SKU.create([{ ...fields, avgCost: fields.stock ? fields.purchasePrice || 0 : undefined }], { session });
+      if (s.stock) await StockMovement.opening(s, { user: req.user?.id }, session);
+    });
     res.status(201).json(s);
   } catch (err) { next(err); }
 });
 
 router.put('/:id', async (req, res, next) => {
   try {
-    const s = await SKU.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    // Stock and its cost only change through movements; see PATCH /:id/stock.
+    // Demand metrics are computed.
+    const { stock, avgCost, ...changes } = req.body;
+    SKU.METRICS.forEach(key => delete changes[key]);
+    if (changes.components?.length) await SKU.checkComponents(changes.components, req.params.id);
+    if (changes.barcodes?.length) {
+      const current = await SKU.findById(req.params.id, 'uoms');
+      await SKU.checkBarcodes(changes.barcodes, changes.uoms ?? current?.uoms, req.params.id);
+    }
+    const s = await SKU.findByIdAndUpdate(req.params.id, changes, { new: true, runValidators: true });
     if (!s) return res.status(404).json({ message: 'SKU not found.' });
     res.json(s);
   } catch (err) { next(err); }
@@ -42,21 +124,40 @@ router.put('/:id', async (req, res, next) => {
 
 router.delete('/:id', async (req, res, next) => {
   try {
+    const bundle = await SKU.findOne({ 'components.sku': req.params.id }, 'name');
+    if (bundle) return res.status(400).json({ message: `This SKU is a component of ${bundle.name}. Remove it from the bundle first.` });
     await SKU.findByIdAndDelete(req.params.id);
     res.json({ message: 'SKU deleted.' });
   } catch (err) { next(err); }
 });
 
-// PATCH /api/skus/:id/stock — adjust stock
+// PATCH /api/skus/:id/stock — manual adjustment in one warehouse (default if
+// omitted), logged with its reason
 router.patch('/:id/stock', async (req, res, next) => {
   try {
-    const { adjustment, type } = req.body; // type: 'add' | 'subtract' | 'set'
-    const sku = await SKU.findById(req.params.id);
-    if (!sku) return res.status(404).json({ message: 'SKU not found.' });
-    if (type === 'set') sku.stock = adjustment;
-    else if (type === 'subtract') sku.stock = Math.max(0, sku.stock - adjustment);
-    else sku.stock += adjustment;
-    await sku.save();
+    const { adjustment, type, reason, warehouse: warehouseId } = req.body; // type: 'add' | 'subtract' | 'set'
+    if (!['add', 'subtract', 'set'].includes(type)) return res.status(400).json({ message: 'Type must be add, subtract or set.' });
+    const qty = Number(adjustment);
+    if (!(qty >= 0)) return res.status(400).json({ message: 'Adjustment must be a non-negative number.' });
+    if (!reason?.trim()) return res.status(400).json({ message: 'A reason is required for stock adjustments.' });
+    let sku;
+    await mongoose.connection.transaction(async (session) => {
+      sku = await SKU.findById(req.params.id).session(session);
+      if (!sku) throw httpError(404, 'SKU not found.');
+      const warehouse = await Warehouse.resolve(warehouseId, session);
+      const onHand = await Warehouse.stockOf(sku, warehouse, session);
+      const delta = type === 'set' ? qty - onHand
+        : type === 'subtract' ? -qty
+        : qty;
+      if (!delta) return;
+      if (onHand + delta < 0)
+        throw httpError(400, `Only ${onHand} ${sku.unit} of ${sku.name} in ${warehouse.name}; stock can't go below zero.`);
+      const movement = { warehouse, type: 'adjustment', ref: sku._id, refModel: 'SKU', reason: reason.trim(), user: req.user?.id };
+      // A decrease comes out of the batches too
+      if (delta < 0) await StockMovement.takeOut(sku, -delta, movement, session);
+      else await StockMovement.record({ ...movement, sku: sku._id, delta }, session);
+      sku = await SKU.findById(sku._id).session(session);
+    });
     res.json(sku);
   } catch (err) { next(err); }
 });
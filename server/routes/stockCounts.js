@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const multer = require('multer');
+const XLSX = require('xlsx');
+const httpError = require('../utils/httpError');
+const requireRole = require('../middleware/requireRole');
+const StockCount = require('../models/StockCount');
+const Warehouse = require('../models/Warehouse');
+const SKU = require('../models/SKU');
+const StockMovement = require('../models/StockMovement');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+const withSummary = (count) => ({ ...count.toObject(), summary: count.summary() });
+
+// An open session, or a 400 once it has been posted or cancelled
+const openCount = async (id, session) => {
+  const count = await StockCount.findById(id).session(session);
+  if (!count) throw httpError(404, 'Stock count not found.');
+  if (count.status !== 'counting') throw httpError(400, `Stock count is already ${count.status}.`);
+  return count;
+};
+
+// Apply { sku | code, countedQty } entries to the session's lines. Returns
+// the codes or ids that didn't match a line.
+const applyCounts = (count, entries) => {
+  const unmatched = [];
+  for (const entry of entries) {
+    const item = count.items.find(i => (entry.sku && String(i.sku) === String(entry.sku)) || (entry.code && i.code === String(entry.code).trim()));
+    if (!item) { unmatched.push(entry.code || entry.sku); continue; }
+    const qty = entry.countedQty === '' || entry.countedQty === null || entry.countedQty === undefined ? null : Number(entry.countedQty);
+    if (qty !== null && !(qty >= 0)) throw httpError(400, `Counted quantity for ${item.skuName} must be zero or more.`);
+    count.setCount(item, qty);
+  }
+  return unmatched;
+};
+
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, warehouse } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (warehouse) query.warehouse = warehouse;
+    const counts = await StockCount.find(query)
+      .populate('warehouse', 'name code')
+      .populate('scope.brand', 'name')
+      .populate('createdBy approvedBy', 'name')
+      .sort({ countDate: -1 })
+      .limit(100);
+    res.json(counts.map(c => {
+      const { items, ...rest } = withSummary(c);
+      return rest;
+    }));
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const count = await StockCount.findById(req.params.id)
+      .populate('warehouse', 'name code')
+      .populate('scope.brand', 'name')
+      .populate('createdBy approvedBy', 'name');
+    if (!count) return res.status(404).json({ message: 'Stock count not found.' });
+    res.json(withSummary(count));
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-counts — { warehouse, type: full|cycle, brand?, category?, notes }
+// Opens a session with a snapshot of the warehouse's system stock
+router.post('/', async (req, res, next) => {
+  try {
+    const { warehouse: warehouseId, type = 'full', brand, category, notes } = req.body;
+    if (type === 'cycle' && !brand && !category)
+      return res.status(400).json({ message: 'A cycle count needs a brand or category.' });
+    const warehouse = await Warehouse.resolve(warehouseId);
+    const query = { active: true };
+    if (type === 'cycle' && brand) query.brand = brand;
+    if (type === 'cycle' && category) query.category = category;
+    const skus = await SKU.find(query).sort({ name: 1 });
+    if (!skus.length) return res.status(400).json({ message: 'No active SKUs match this count.' });
+    const levels = await Warehouse.stockLevels(skus, warehouse);
+    const count = await StockCount.create({
+      warehouse: warehouse._id,
+      scope: { type, brand: type === 'cycle' ? brand || undefined : undefined, category: type === 'cycle' ? category || undefined : undefined },
+      items: skus.map(s => ({
+        sku: s._id, skuName: s.name, code: s.code, unit: s.unit,
+        systemQty: levels[String(s._id)], unitCost: s.currentCost(),
+      })),
+      notes, createdBy: req.user?.id,
+    });
+    res.status(201).json(withSummary(count));
+  } catch (err) { next(err); }
+});
+
+// PUT /api/stock-counts/:id/counts — { counts: [{ sku, countedQty }] }; a blank quantity clears the line
+router.put('/:id/counts', async (req, res, next) => {
+  try {
+    const count = await openCount(req.params.id);
+    const unmatched = applyCounts(count, req.body.counts || []);
+    await count.save();
+    res.json({ ...withSummary(count), unmatched });
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-counts/:id/upload — sheet with Code and Counted columns
+router.post('/:id/upload', upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded.' });
+    const count = await openCount(req.params.id);
+    const wb = XLSX.read(req.file.buffer, { type: 'buffer' });
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]]);
+    const field = (row, ...names) => names.map(n => Object.keys(row).find(k => k.trim().toLowerCase() === n)).find(Boolean);
+    const entries = rows
+      .map(row => ({ code: row[field(row, 'code', 'sku code')], countedQty: row[field(row, 'counted', 'counted qty', 'quantity', 'qty')] }))
+      .filter(e => e.code !== undefined && e.countedQty !== undefined && e.countedQty !== '');
+    if (!entries.length) return res.status(400).json({ message: 'No rows with Code and Counted columns found.' });
+    const unmatched = applyCounts(count, entries);
+    await count.save();
+    res.json({ ...withSummary(count), unmatched });
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-counts/:id/approve — owner posts every counted variance as
+// a stock_count movement. Variances are against the opening snapshot, so
+// sales and receipts during the count are kept.
+router.post('/:id/approve', requireRole('owner'), async (req, res, next) => {
+  try {
+    let count;
+    await mongoose.connection.transaction(async (session) => {
+      count = await openCount(req.params.id, session);
+      if (!count.items.some(i => i.countedQty !== null)) throw httpError(400, 'Nothing has been counted yet.');
+      const warehouse = await Warehouse.findById(count.warehouse).session(session);
+      for (const item of count.items) {
+        if (item.countedQty === null || !item.variance) continue;
+        const movement = {
+          warehouse, type: 'stock_count', ref: count._id, refModel: 'StockCount', refNumber: count.countNumber,
+          reason: `Physical count: ${item.countedQty} vs system ${item.systemQty}`, user: req.user?.id,
+        };
+        if (item.variance > 0) {
+          await StockMovement.record({ ...movement, sku: item.sku, delta: item.variance, unitCost: item.unitCost }, session);
+          continue;
+        }
+        // A shortfall comes out of the batches too
+        const sku = await SKU.findById(item.sku).session(session);
+        if (!sku) throw httpError(404, `SKU ${item.skuName} not found.`);
+        await StockMovement.takeOut(sku, -item.variance, movement, session);
+      }
+      count.status = 'posted';
+      count.approvedBy = req.user?.id;
+      count.postedAt = new Date();
+      await count.save({ session });
+    });
+    res.json(withSummary(count));
+  } catch (err) { next(err); }
+});
+
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const count = await openCount(req.params.id);
+    count.status = 'cancelled';
+    await count.save();
+    res.json(withSummary(count));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const StockHold = require('../models/StockHold');
+const Warehouse = require('../models/Warehouse');
+const { round2 } = require('../utils/gst');
+
+// GET /api/stock-holds?state=&status=open&warehouse=&sku=
+router.get('/', async (req, res, next) => {
+  try {
+    const { state, status = 'open', warehouse, sku } = req.query;
+    const query = {};
+    if (state) query.state = state;
+    if (status !== 'all') query.status = status;
+    if (warehouse) query.warehouse = warehouse;
+    if (sku) query.sku = sku;
+    const holds = await StockHold.find(query)
+      .populate('sku', 'name code unit uoms')
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(500);
+    res.json(holds);
+  } catch (err) { next(err); }
+});
+
+// GET /api/stock-holds/summary?warehouse= — open quantity and carrying value by state
+router.get('/summary', async (req, res, next) => {
+  try {
+    const match = { status: 'open' };
+    if (req.query.warehouse) match.warehouse = new mongoose.Types.ObjectId(String(req.query.warehouse));
+    const rows = await StockHold.aggregate([
+      { $match: match },
+      { $group: { _id: '$state', holds: { $sum: 1 }, quantity: { $sum: '$quantity' }, value: { $sum: { $multiply: ['$quantity', '$unitCost'] } } } },
+    ]);
+    const summary = Object.fromEntries(StockHold.STATES.map(state => {
+      const row = rows.find(r => r._id === state);
+      return [state, { holds: row?.holds || 0, quantity: row?.quantity || 0, value: round2(row?.value || 0) }];
+    }));
+    res.json(summary);
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-holds — { sku, warehouse?, batch?, state, quantity, reason }
+// Move sellable stock into quarantine or damaged, or reserve it. A batch
+// pins the warehouse to the batch's own.
+router.post('/', async (req, res, next) => {
+  try {
+    const { sku: skuId, warehouse: warehouseId, batch: batchId, state, quantity, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: 'A reason is required.' });
+    let hold;
+    await mongoose.connection.transaction(async (session) => {
+      const batch = batchId ? await Batch.findById(batchId).session(session) : null;
+      if (batchId && !batch) throw httpError(404, 'Batch not found.');
+      const sku = await SKU.findById(batch?.sku || skuId).session(session);
+      if (!sku) throw httpError(404, 'SKU not found.');
+      const warehouse = await Warehouse.resolve(batch ? batch.warehouse : warehouseId, session);
+      hold = await StockHold.fromStock({
+        sku, warehouse, state, quantity: Number(quantity), batch, reason: reason.trim(), user: req.user?.id,
+      }, session);
+    });
+    res.status(201).json(hold);
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-holds/:id/dispose — { action: release | scrap | return_to_brand, quantity?, note }
+// Quantity defaults to everything still held.
+router.post('/:id/dispose', async (req, res, next) => {
+  try {
+    const { action, quantity, note } = req.body;
+    let hold;
+    await mongoose.connection.transaction(async (session) => {
+      hold = await StockHold.findById(req.params.id).session(session);
+      if (!hold) throw httpError(404, 'Hold not found.');
+      await hold.dispose({ action, quantity: quantity == null ? hold.quantity : Number(quantity), note: note?.trim(), user: req.user?.id }, session);
+    });
+    res.json(hold);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const SKU = require('../models/SKU');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+
+// GET /api/stock-movements?sku=&warehouse=&from=&to=&type=
+// A SKU's ledger for a period, with the balance either side of it. With a
+// warehouse, only its movements and its own running balance.
+router.get('/', async (req, res, next) => {
+  try {
+    const { sku: skuId, warehouse: warehouseId, from, to, type } = req.query;
+    if (!skuId) return res.status(400).json({ message: 'sku is required.' });
+    const sku = await SKU.findById(skuId, 'name code unit uoms stock');
+    if (!sku) return res.status(404).json({ message: 'SKU not found.' });
+
+    const warehouse = warehouseId && await Warehouse.resolve(warehouseId);
+    const scope = warehouse ? { sku: sku._id, warehouse: Warehouse.scope(warehouse) } : { sku: sku._id };
+    // Movements from before warehouses existed carry only the SKU balance
+    const balanceOf = (m) => (warehouse ? m.warehouseBalance ?? m.balance : m.balance);
+    const query = { ...scope };
+    if (type) query.type = type;
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(`${to}T23:59:59.999`);
+    }
+    const movements = await StockMovement.find(query).populate('user', 'name').populate('warehouse', 'name code').sort({ date: 1, _id: 1 }).limit(1000);
+    const prior = from && await StockMovement.findOne({ ...scope, date: { $lt: new Date(from) } }).sort({ date: -1, _id: -1 });
+    // Stock from before the ledger existed shows up as the opening balance
+    const current = warehouse ? await Warehouse.stockOf(sku, warehouse) : sku.stock;
+    const openingBalance = prior ? balanceOf(prior) : movements[0] ? balanceOf(movements[0]) - movements[0].delta : current;
+    const inward = movements.filter(m => m.delta > 0).reduce((a, m) => a + m.delta, 0);
+    const outward = movements.filter(m => m.delta < 0).reduce((a, m) => a - m.delta, 0);
+    const closingBalance = movements.length ? balanceOf(movements.at(-1)) : openingBalance;
+    res.json({ sku, warehouse, openingBalance, inward, outward, movements, closingBalance });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const StockTransfer = require('../models/StockTransfer');
+const Warehouse = require('../models/Warehouse');
+const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const Backorder = require('../models/Backorder');
+const StockMovement = require('../models/StockMovement');
+const { toBase, formatQty } = require('../utils/uom');
+
+// Stock ledger fields for a movement caused by this transfer
+const transferMovement = (transfer, type, user) => ({
+  type, ref: transfer._id, refModel: 'StockTransfer', refNumber: transfer.transferNumber, user,
+});
+
+// GET /api/stock-transfers?status=&warehouse=
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, warehouse } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (warehouse) query.$or = [{ from: warehouse }, { to: warehouse }];
+    const transfers = await StockTransfer.find(query)
+      .populate('from to', 'name code')
+      .sort({ dispatchDate: -1 })
+      .limit(200);
+    res.json(transfers);
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const t = await StockTransfer.findById(req.params.id)
+      .populate('from to', 'name code address')
+      .populate('createdBy receivedBy', 'name');
+    if (!t) return res.status(404).json({ message: 'Transfer not found.' });
+    res.json(t);
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-transfers — { from, to, items: [{ sku, quantity, uom }], notes }
+// Dispatches at once: stock leaves the source FEFO and is in transit until
+// received. Only unexpired stock not reserved for orders can go.
+router.post('/', async (req, res, next) => {
+  try {
+    const { from, to, items, notes, dispatchDate } = req.body;
+    if (!from || !to || !items?.length) return res.status(400).json({ message: 'Source, destination and items are required.' });
+    if (String(from) === String(to)) return res.status(400).json({ message: 'Source and destination must differ.' });
+    let transfer;
+    await mongoose.connection.transaction(async (session) => {
+      const source = await Warehouse.resolve(from, session);
+      const destination = await Warehouse.resolve(to, session);
+      const lines = [];
+      // Running totals per SKU id, so a SKU on several lines can't be sent twice
+      // over: stock only leaves the source once every line is allocated
+      const available = {};
+      const onHand = {};
+      for (const item of items) {
+        const sku = await SKU.findById(item.sku).session(session);
+        if (!sku) throw httpError(404, `SKU ${item.sku} not found.`);
+        const { quantity } = toBase(sku, item);
+        if (!(quantity > 0)) throw httpError(400, `Quantity for ${sku.name} must be positive.`);
+        const id = String(sku._id);
+        // Stock reserved for orders stays where the orders will ship from
+        available[id] ??= await Batch.onShelf(sku, source, session);
+        onHand[id] ??= await Warehouse.stockOf(sku, source, session);
+        if (quantity > available[id])
+          throw httpError(400, `Only ${available[id]} ${sku.unit} of ${sku.name} in ${source.name} is free to transfer.`);
+        const allocation = await Batch.allocate(sku, quantity, session, { warehouse: source, onHand: onHand[id] });
+        available[id] -= quantity;
+        onHand[id] -= quantity;
+        const lots = await Batch.find({ _id: { $in: allocation.map(a => a.batch).filter(Boolean) } }).session(session);
+        lines.push({
+          sku: sku._id, skuName: sku.name, quantity, quantityText: formatQty(sku, quantity),
+          batches: allocation.map(a => ({ ...a, mfgDate: lots.find(l => l._id.equals(a.batch))?.mfgDate })),
+        });
+      }
+      [transfer] = await StockTransfer.create([{
+        from: source._id, to: destination._id, items: lines, notes,
+        dispatchDate: dispatchDate || new Date(), createdBy: req.user?.id,
+      }], { session });
+      for (const line of transfer.items) {
+        line.unitCost = (await StockMovement.record({
+          ...transferMovement(transfer, 'transfer_out', req.user?.id),
+          sku: line.sku, warehouse: source, delta: -line.quantity, reason: `To ${destination.name}`,
+        }, session)).unitCost;
+      }
+      await transfer.save({ session });
+    });
+    res.status(201).json(transfer);
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-transfers/:id/receive — book the goods into the destination
+// under their source batch numbers, then fill its open backorders
+router.post('/:id/receive', async (req, res, next) => {
+  try {
+    let transfer;
+    await mongoose.connection.transaction(async (session) => {
+      transfer = await StockTransfer.findById(req.params.id).session(session);
+      if (!transfer) throw httpError(404, 'Transfer not found.');
+      if (transfer.status !== 'in_transit') throw httpError(400, `Transfer is already ${transfer.status}.`);
+      const source = await Warehouse.findById(transfer.from).session(session);
+      const destination = await Warehouse.resolve(transfer.to, session);
+      const movement = { ...transferMovement(transfer, 'transfer_in', req.user?.id), warehouse: destination, reason: `From ${source?.name}` };
+      for (const item of transfer.items) {
+        for (const part of item.batches) {
+          if (!part.quantity) continue;
+          let batch = null;
+          if (part.batchNo) {
+            batch = await Batch.findOneAndUpdate(
+              { sku: item.sku, batchNo: part.batchNo, warehouse: Warehouse.scope(destination) },
+              {
+                $inc: { quantity: part.quantity, receivedQty: part.quantity },
+                $setOnInsert: { warehouse: destination._id, mfgDate: part.mfgDate, expiryDate: part.expiryDate, receivedDate: new Date() },
+              },
+              { upsert: true, new: true, session }
+            );
+          }
+          await StockMovement.record({
+            ...movement, sku: item.sku, delta: part.quantity, unitCost: item.unitCost, batch: batch?._id, batchNo: batch?.batchNo,
+          }, session);
+        }
+      }
+      for (const skuId of new Set(transfer.items.map(i => String(i.sku))))
+        await Backorder.fulfilFromStock(skuId, session, req.user?.id, destination);
+      transfer.status = 'received';
+      transfer.receivedDate = new Date();
+      transfer.receivedBy = req.user?.id;
+      await transfer.save({ session });
+    });
+    res.json(transfer);
+  } catch (err) { next(err); }
+});
+
+// POST /api/stock-transfers/:id/cancel — put in-transit goods back where they came from
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: 'A cancellation reason is required.' });
+    let transfer;
+    await mongoose.connection.transaction(async (session) => {
+      transfer = await StockTransfer.findById(req.params.id).session(session);
+      if (!transfer) throw httpError(404, 'Transfer not found.');
+      if (transfer.status !== 'in_transit') throw httpError(400, `Transfer is already ${transfer.status}.`);
+      const source = await Warehouse.findById(transfer.from).session(session);
+      for (const item of transfer.items) {
+        await Batch.release(item.batches, session);
+        await StockMovement.record({
+          ...transferMovement(transfer, 'transfer_in', req.user?.id),
+          sku: item.sku, warehouse: source, delta: item.quantity, unitCost: item.unitCost, reason: `Cancelled: ${reason.trim()}`,
+        }, session);
+      }
+      transfer.status = 'cancelled';
+      transfer.cancellation = { reason: reason.trim(), cancelledBy: req.user?.id, cancelledAt: new Date() };
+      await transfer.save({ session });
+    });
+    res.json(transfer);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const Supplier = require('../models/Supplier');
+const SupplierBill = require('../models/SupplierBill');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+// GET /api/supplier-bills?supplier=&status=&purchaseOrder=&overdue=true
+router.get('/', async (req, res, next) => {
+  try {
+    const { supplier, status, purchaseOrder, overdue } = req.query;
+    const query = {};
+    if (supplier) query.supplier = supplier;
+    if (purchaseOrder) query.purchaseOrder = purchaseOrder;
+    if (status === 'open') query.status = { $in: ['unpaid', 'partial'] };
+    else if (status) query.status = status;
+    if (overdue === 'true') Object.assign(query, { status: { $in: ['unpaid', 'partial'] }, dueDate: { $lt: new Date() } });
+    const bills = await SupplierBill.find(query).populate('createdBy', 'name').sort({ billDate: -1 }).limit(500);
+    res.json(bills);
+  } catch (err) { next(err); }
+});
+
+// POST /api/supplier-bills — { supplier, purchaseOrder?, billNumber, billDate, amount, notes }
+router.post('/', async (req, res, next) => {
+  try {
+    const { supplier: supplierId, purchaseOrder: poId, ...fields } = req.body;
+    let bill;
+    await mongoose.connection.transaction(async (session) => {
+      const supplier = await Supplier.findById(supplierId).session(session);
+      if (!supplier) throw httpError(404, 'Supplier not found.');
+      const purchaseOrder = poId && await PurchaseOrder.findById(poId).session(session);
+      if (poId && !purchaseOrder) throw httpError(404, 'PO not found.');
+      if (purchaseOrder && !purchaseOrder.supplier.equals(supplier._id))
+        throw httpError(400, `${purchaseOrder.poNumber} was placed with ${purchaseOrder.supplierName}.`);
+      bill = await SupplierBill.book({ ...fields, amount: Number(fields.amount), supplier, purchaseOrder, user: req.user?.id }, session);
+    });
+    res.status(201).json(bill);
+  } catch (err) { next(err); }
+});
+
+// POST /api/supplier-bills/:id/cancel — { reason }; only bills nothing has been paid against
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: 'A cancellation reason is required.' });
+    let bill;
+    await mongoose.connection.transaction(async (session) => {
+      bill = await SupplierBill.findById(req.params.id).session(session);
+      if (!bill) throw httpError(404, 'Bill not found.');
+      await bill.cancel({ reason: reason.trim(), user: req.user?.id }, session);
+    });
+    res.json(bill);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const httpError = require('../utils/httpError');
+const Supplier = require('../models/Supplier');
+const SupplierPayment = require('../models/SupplierPayment');
+
+// GET /api/supplier-payments?supplier=&from=&to=
+router.get('/', async (req, res, next) => {
+  try {
+    const { supplier, from, to } = req.query;
+    const query = {};
+    if (supplier) query.supplier = supplier;
+    if (from || to) {
+      query.paymentDate = {};
+      if (from) query.paymentDate.$gte = new Date(from);
+      if (to) query.paymentDate.$lte = new Date(to);
+    }
+    const payments = await SupplierPayment.find(query).populate('createdBy', 'name').sort({ paymentDate: -1 }).limit(500);
+    res.json(payments);
+  } catch (err) { next(err); }
+});
+
+// POST /api/supplier-payments — { supplier, amount, mode, reference, paymentDate, bills?: { [billId]: amount }, notes }
+router.post('/', async (req, res, next) => {
+  try {
+    const { supplier: supplierId, amount, ...fields } = req.body;
+    let payment;
+    await mongoose.connection.transaction(async (session) => {
+      const supplier = await Supplier.findById(supplierId).session(session);
+      if (!supplier) throw httpError(404, 'Supplier not found.');
+      payment = await SupplierPayment.pay({ ...fields, amount: Number(amount), supplier, user: req.user?.id }, session);
+    });
+    res.status(201).json(payment);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const Supplier = require('../models/Supplier');
+const SupplierBill = require('../models/SupplierBill');
+const SupplierPayment = require('../models/SupplierPayment');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { round2 } = require('../utils/gst');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BUCKETS = [
+  { key: 'current', label: 'Not due', upTo: 0 },
+  { key: 'd1_30', label: '1–30 days', upTo: 30 },
+  { key: 'd31_60', label: '31–60 days', upTo: 60 },
+  { key: 'd61_90', label: '61–90 days', upTo: 90 },
+  { key: 'd90_plus', label: 'Over 90 days', upTo: Infinity },
+];
+
+// GET /api/suppliers?search=&active=&brand=
+router.get('/', async (req, res, next) => {
+  try {
+    const { search, active, brand } = req.query;
+    const query = {};
+    if (active !== undefined) query.active = active === 'true';
+    if (brand) query.brands = brand;
+    if (search) query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { contactPerson: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } },
+      { gstin: { $regex: search, $options: 'i' } },
+    ];
+    const suppliers = await Supplier.find(query).populate('brands', 'name').sort({ name: 1 });
+    res.json(suppliers);
+  } catch (err) { next(err); }
+});
+
+// GET /api/suppliers/ageing?asOf= — open bills by how far past due they
+// are, per supplier, with advances paid on account set off against them.
+// Balances are as they stood on `asOf`: only payments made by then count.
+router.get('/ageing', async (req, res, next) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (req.query.asOf) asOf.setHours(23, 59, 59, 999);
+    const bills = await SupplierBill.find({
+      billDate: { $lte: asOf },
+      $or: [{ status: { $ne: 'cancelled' } }, { 'cancellation.cancelledAt': { $gt: asOf } }],
+    }).sort({ dueDate: 1 });
+    const payments = await SupplierPayment.find({ paymentDate: { $lte: asOf } }, 'supplier amount allocations');
+    // What each bill had been paid by then; money not yet set against a bill
+    // booked by then was still an advance
+    const booked = new Set(bills.map(b => String(b._id)));
+    const paid = {};
+    const advanceBy = {};
+    for (const p of payments) {
+      let left = p.amount;
+      for (const a of p.allocations) {
+        if (!booked.has(String(a.bill))) continue;
+        paid[a.bill] = round2((paid[a.bill] || 0) + a.amount);
+        left -= a.amount;
+      }
+      if (round2(left) > 0) advanceBy[p.supplier] = round2((advanceBy[p.supplier] || 0) + left);
+    }
+    const empty = () => Object.fromEntries(BUCKETS.map(b => [b.key, 0]));
+    const rows = {};
+    const row = (id, name) => (rows[id] ||= { supplier: id, supplierName: name, ...empty(), total: 0, advance: 0, oldestDue: null });
+    for (const bill of bills) {
+      const balance = round2(bill.amount - (paid[bill._id] || 0));
+      if (balance <= 0) continue;
+      const overdue = Math.floor((asOf - bill.dueDate) / DAY);
+      const bucket = BUCKETS.find(b => overdue <= b.upTo);
+      const r = row(String(bill.supplier), bill.supplierName);
+      r[bucket.key] = round2(r[bucket.key] + balance);
+      r.total = round2(r.total + balance);
+      r.oldestDue ??= bill.dueDate;
+    }
+    const names = Object.fromEntries((await Supplier.find({ _id: { $in: Object.keys(advanceBy) } }, 'name')).map(s => [String(s._id), s.name]));
+    for (const [id, amount] of Object.entries(advanceBy)) row(id, names[id]).advance = amount;
+    const suppliers = Object.values(rows).map(r => ({ ...r, net: round2(r.total - r.advance) })).sort((a, b) => b.net - a.net);
+    const totals = { ...empty(), total: 0, advance: 0, net: 0 };
+    for (const r of suppliers) for (const key of Object.keys(totals)) totals[key] = round2(totals[key] + r[key]);
+    res.json({ asOf, buckets: BUCKETS.map(({ key, label }) => ({ key, label })), suppliers, totals });
+  } catch (err) { next(err); }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const s = await Supplier.findById(req.params.id).populate('brands', 'name');
+    if (!s) return res.status(404).json({ message: 'Supplier not found.' });
+    res.json(s);
+  } catch (err) { next(err); }
+});
+
+// GET /api/suppliers/:id/statement?from=&to= — bills and payments in date
+// order with the running balance owed, opening with what was owed before `from`
+router.get('/:id/statement', async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found.' });
+    const from = req.query.from ? new Date(req.query.from) : new Date(0);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    to.setHours(23, 59, 59, 999);
+
+    const billed = { supplier: supplier._id, status: { $ne: 'cancelled' } };
+    const sum = async (Model, match) => (await Model.aggregate([{ $match: match }, { $group: { _id: null, total: { $sum: '$amount' } } }]))[0]?.total || 0;
+    const opening = round2(
+      await sum(SupplierBill, { ...billed, billDate: { $lt: from } })
+      - await sum(SupplierPayment, { supplier: supplier._id, paymentDate: { $lt: from } })
+    );
+    const bills = await SupplierBill.find({ ...billed, billDate: { $gte: from, $lte: to } });
+    const payments = await SupplierPayment.find({ supplier: supplier._id, paymentDate: { $gte: from, $lte: to } });
+    const entries = [
+      ...bills.map(b => ({
+        date: b.billDate, type: 'bill', number: b.billNumber, ref: b.poNumber, id: b._id,
+        detail: `Due ${b.dueDate.toISOString().slice(0, 10)}`, billed: b.amount, paid: 0,
+      })),
+      ...payments.map(p => ({
+        date: p.paymentDate, type: 'payment', number: p.paymentNumber, ref: p.reference, id: p._id,
+        detail: [p.mode.replace('_', ' '), ...p.allocations.map(a => a.billNumber)].join(' · '), billed: 0, paid: p.amount,
+      })),
+    ].sort((a, b) => a.date - b.date);
+    let balance = opening;
+    for (const e of entries) e.balance = balance = round2(balance + e.billed - e.paid);
+    res.json({
+      supplier, from, to, opening, entries, closing: balance,
+      totalBilled: round2(entries.reduce((a, e) => a + e.billed, 0)),
+      totalPaid: round2(entries.reduce((a, e) => a + e.paid, 0)),
+    });
+  } catch (err) { next(err); }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const { outstandingBalance, ...fields } = req.body;
+    const s = await Supplier.create(fields);
+    res.status(201).json(s);
+  } catch (err) { next(err); }
+});
+
+router.put('/:id', async (req, res, next) => {
+  try {
+    // The balance only moves through bills and payments
+    const { outstandingBalance, ...fields } = req.body;
+    const s = await Supplier.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!s) return res.status(404).json({ message: 'Supplier not found.' });
+    res.json(s);
+  } catch (err) { next(err); }
+});
+
+// Suppliers with orders or bills are kept for the books; deactivate them instead
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (await PurchaseOrder.exists({ supplier: req.params.id }) || await SupplierBill.exists({ supplier: req.params.id }))
+      return res.status(400).json({ message: 'This supplier has purchase orders or bills. Mark it inactive instead.' });
+    await Supplier.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Supplier deleted.' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+const StockMovement = require('../models/StockMovement');
+const SKU = require('../models/SKU');
+const { formatQty } = require('../utils/uom');
+
+router.get('/', async (req, res, next) => {
+  try {
+    await Warehouse.main();
+    const warehouses = await Warehouse.find().sort({ isDefault: -1, name: 1 });
+    res.json(warehouses);
+  } catch (err) { next(err); }
+});
+
+// GET /api/warehouses/:id/stock — on-hand quantity of every SKU held there
+router.get('/:id/stock', async (req, res, next) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) return res.status(404).json({ message: 'Warehouse not found.' });
+    const skus = await SKU.find({ active: true }).populate('brand', 'name').sort({ name: 1 });
+    const levels = await Warehouse.stockLevels(skus, warehouse);
+    const stock = skus
+      .map(s => ({
+        sku: s._id, name: s.name, code: s.code, brand: s.brand?.name, unit: s.unit,
+        quantity: levels[String(s._id)], quantityText: formatQty(s, levels[String(s._id)]),
+        value: levels[String(s._id)] * s.currentCost(),
+      }))
+      .filter(s => s.quantity);
+    res.json({ warehouse, stock, totalValue: stock.reduce((a, s) => a + s.value, 0) });
+  } catch (err) { next(err); }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    await Warehouse.main();
+    const { isDefault, ...fields } = req.body;
+    const w = await Warehouse.create(fields);
+    res.status(201).json(w);
+  } catch (err) { next(err); }
+});
+
+router.put('/:id', async (req, res, next) => {
+  try {
+    // The default warehouse is fixed: its stock is implied by the others'
+    const { isDefault, ...update } = req.body;
+    const w = await Warehouse.findById(req.params.id);
+    if (!w) return res.status(404).json({ message: 'Warehouse not found.' });
+    if (update.active === false && w.active) {
+      if (w.isDefault) return res.status(400).json({ message: 'The default warehouse cannot be deactivated.' });
+      if (await WarehouseStock.exists({ warehouse: w._id, quantity: { $ne: 0 } }))
+        return res.status(400).json({ message: `${w.name} still holds stock. Transfer it out first.` });
+    }
+    w.set(update);
+    await w.save();
+    res.json(w);
+  } catch (err) { next(err); }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const w = await Warehouse.findById(req.params.id);
+    if (!w) return res.status(404).json({ message: 'Warehouse not found.' });
+    if (w.isDefault) return res.status(400).json({ message: 'The default warehouse cannot be deleted.' });
+    if (await StockMovement.exists({ warehouse: w._id }))
+      return res.status(400).json({ message: `${w.name} has stock history. Deactivate it instead.` });
+    await WarehouseStock.deleteMany({ warehouse: w._id });
+    await w.deleteOne();
+    res.json({ message: 'Warehouse deleted.' });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
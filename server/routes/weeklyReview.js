@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Sale = require('../models/Sale');
 const Retailer = require('../models/Retailer');
+const SKU = require('../models/SKU');
+const { round2 } = require('../utils/gst');
 
 // GET /api/weekly-review?week=&year=
 router.get('/', async (req, res, next) => {
@@ -15,13 +17,13 @@ router.get('/', async (req, res, next) => {
     endOfWeek.setDate(startOfWeek.getDate() + 6);
     endOfWeek.setHours(23, 59, 59, 999);
 
-    const [weeklySales, dailyBreakdown] = await Promise.all([
+    const [weeklySales, dailyBreakdown, deadStock] = await Promise.all([
       Sale.aggregate([
-        { $match: { saleDate: { $gte: startOfWeek, $lte: endOfWeek }, status: { $ne: 'cancelled' } } },
+        { $match: { saleDate: { $gte: startOfWeek, $lte: endOfWeek }, status: { $nin: Sale.UNPOSTED } } },
         { $group: { _id: null, total: { $sum: '$total' }, count: { $sum: 1 } } }
       ]),
       Sale.aggregate([
-        { $match: { saleDate: { $gte: startOfWeek, $lte: endOfWeek }, status: { $ne: 'cancelled' } } },
+        { $match: { saleDate: { $gte: startOfWeek, $lte: endOfWeek }, status: { $nin: Sale.UNPOSTED } } },
         {
           $group: {
             _id: { $dayOfWeek: '$saleDate' },
@@ -30,7 +32,10 @@ router.get('/', async (req, res, next) => {
           }
         },
         { $sort: { _id: 1 } }
-      ])
+      ]),
+      // Candidates to clear or delist, as classified by the last metrics run
+      SKU.find({ movement: 'DEAD', stock: { $gt: 0 }, active: true }, 'name code stock unit uoms lastSaleDate avgCost purchasePrice')
+        .sort({ lastSaleDate: 1 })
     ]);
 
     res.json({
@@ -38,6 +43,10 @@ router.get('/', async (req, res, next) => {
       weekEnd: endOfWeek,
       summary: weeklySales[0] || { total: 0, count: 0 },
       dailyBreakdown,
+      deadStock: deadStock.map(s => ({
+        _id: s._id, name: s.name, code: s.code, stockText: s.stockText, lastSaleDate: s.lastSaleDate,
+        value: round2(s.stock * s.currentCost()),
+      })),
     });
   } catch (err) { next(err); }
 });
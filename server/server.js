@@ -18,6 +18,17 @@ const retailerRoutes      = require('./routes/retailers');
 const brandRoutes         = require('./routes/brands');
 const skuRoutes           = require('./routes/skus');
 const salesRoutes         = require('./routes/sales');
+const backorderRoutes     = require('./routes/backorders');
+const batchRoutes         = require('./routes/batches');
+const stockMovementRoutes = require('./routes/stockMovements');
+const warehouseRoutes     = require('./routes/warehouses');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const stockCountRoutes    = require('./routes/stockCounts');
+const forecastRoutes      = require('./routes/forecasts');
+const stockHoldRoutes     = require('./routes/stockHolds');
+const kitAssemblyRoutes   = require('./routes/kitAssemblies');
+const schemeRoutes        = require('./routes/schemes');
+const priceListRoutes     = require('./routes/priceLists');
 const purchaseOrderRoutes = require('./routes/purchaseOrders');
 const returnRoutes        = require('./routes/returns');
 const invoiceRoutes       = require('./routes/invoices');
@@ -35,15 +46,34 @@ const whatsappRoutes      = require('./routes/whatsapp');
 const productTestRoutes   = require('./routes/productTests');
 const notificationRoutes  = require('./routes/notifications');
 const healthRoutes        = require('./routes/health');
+const settingsRoutes      = require('./routes/settings');
+const cronRoutes          = require('./routes/cron');
+const supplierRoutes      = require('./routes/suppliers');
+const supplierBillRoutes  = require('./routes/supplierBills');
+const supplierPaymentRoutes = require('./routes/supplierPayments');
+const goodsReceiptRoutes  = require('./routes/goodsReceipts');
+const SKU                 = require('./models/SKU');
+const StockHold           = require('./models/StockHold');
+const Supplier            = require('./models/Supplier');
+const Warehouse           = require('./models/Warehouse');
 
 // ─── App Init ─────────────────────────────────────────────────────────────────
 const app = express();
 const dbPromise = connectDB();
 
+// Purchase orders from before the supplier master get linked to suppliers
+// before any request can read them, and the default warehouse exists before
+// a transaction needs it
+const ready = dbPromise
+  .then(() => Supplier.adoptLegacy()
+    .catch(err => console.error('Linking legacy PO suppliers failed:', err.message)))
+  .then(() => Warehouse.main()
+    .catch(err => console.error('Creating the default warehouse failed:', err.message)));
+
 // Ensure DB is connected before handling any request (critical for serverless)
 app.use(async (req, res, next) => {
   try {
-    await dbPromise;
+    await ready;
     next();
   } catch (err) {
     res.status(503).json({ message: 'Database connection failed', error: err.message });
@@ -77,11 +107,27 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 // ─── API Routes ───────────────────────────────────────────────────────────────
 app.use('/api/auth',             authRoutes);
 app.use('/api/health',           healthRoutes);
+app.use('/api/cron',             cronRoutes);
 app.use('/api/retailers',        authMiddleware, retailerRoutes);
 app.use('/api/brands',           authMiddleware, brandRoutes);
 app.use('/api/skus',             authMiddleware, skuRoutes);
 app.use('/api/sales',            authMiddleware, salesRoutes);
+app.use('/api/backorders',       authMiddleware, backorderRoutes);
+app.use('/api/batches',          authMiddleware, batchRoutes);
+app.use('/api/stock-movements',  authMiddleware, stockMovementRoutes);
+app.use('/api/warehouses',       authMiddleware, warehouseRoutes);
+app.use('/api/stock-transfers',  authMiddleware, stockTransferRoutes);
+app.use('/api/stock-counts',     authMiddleware, stockCountRoutes);
+app.use('/api/forecasts',        authMiddleware, forecastRoutes);
+app.use('/api/stock-holds',      authMiddleware, stockHoldRoutes);
+app.use('/api/kit-assemblies',   authMiddleware, kitAssemblyRoutes);
+app.use('/api/schemes',          authMiddleware, schemeRoutes);
+app.use('/api/price-lists',      authMiddleware, priceListRoutes);
 app.use('/api/purchase-orders',  authMiddleware, purchaseOrderRoutes);
+app.use('/api/suppliers',        authMiddleware, supplierRoutes);
+app.use('/api/supplier-bills',   authMiddleware, supplierBillRoutes);
+app.use('/api/supplier-payments',authMiddleware, supplierPaymentRoutes);
+app.use('/api/goods-receipts',   authMiddleware, goodsReceiptRoutes);
 app.use('/api/returns',          authMiddleware, returnRoutes);
 app.use('/api/invoices',         authMiddleware, invoiceRoutes);
 app.use('/api/credit-control',   authMiddleware, creditControlRoutes);
@@ -97,6 +143,7 @@ app.use('/api/inventory-alerts', authMiddleware, inventoryRoutes);
 app.use('/api/notifications',    authMiddleware, notificationRoutes);
 app.use('/api/whatsapp',         authMiddleware, whatsappRoutes);
 app.use('/api/product-tests',    authMiddleware, productTestRoutes);
+app.use('/api/settings',         authMiddleware, settingsRoutes);
 
 // ─── 404 ──────────────────────────────────────────────────────────────────────
 app.use((req, res) => res.status(404).json({ message: 'Route not found' }));
@@ -114,4 +161,16 @@ if (require.main === module) {
     console.log(`🚀 FMCG Server running on http://localhost:${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
   });
+
+  // Serverless deployments get this from the Vercel cron instead
+  const recomputeMetrics = () => dbPromise
+    .then(() => SKU.recomputeMetrics())
+    .catch(err => console.error('SKU metrics recomputation failed:', err.message));
+  recomputeMetrics();
+  setInterval(recomputeMetrics, 24 * 60 * 60 * 1000);
+
+  const expireReservations = () => dbPromise
+    .then(() => StockHold.expireReservations())
+    .catch(err => console.error('Reservation expiry failed:', err.message));
+  setInterval(expireReservations, 60 * 60 * 1000);
 }
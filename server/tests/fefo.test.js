@@ -0,0 +1,105 @@
+/**
+ * First-expiry-first-out batch allocation and shelf stock.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const StockHold = require('../models/StockHold');
+const Warehouse = require('../models/Warehouse');
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (n) => new Date(Date.now() + n * DAY);
+
+const sku = { _id: new mongoose.Types.ObjectId(), name: 'Soap 100g' };
+const godown = { _id: new mongoose.Types.ObjectId(), name: 'Main Godown', isDefault: true };
+
+// Batches as the warehouse holds them, with `stock` on hand in total
+// (anything beyond the batches predates batch tracking)
+const shelf = (t, batches, stock) => {
+  const docs = batches.map((b, i) => {
+    const doc = new Batch({ sku: sku._id, warehouse: godown._id, ...b });
+    doc.createdAt = new Date(2026, 0, i + 1);
+    doc.save = async () => doc;
+    return doc;
+  });
+  t.mock.method(Batch, 'find', () => ({ session: async () => docs.filter(d => d.quantity > 0) }));
+  t.mock.method(Warehouse, 'stockOf', async () => stock ?? docs.reduce((a, d) => a + d.quantity, 0));
+  return docs;
+};
+
+const taken = (allocation) => allocation.map(a => [a.batchNo, a.quantity]);
+
+test('sales draw the earliest expiry first', async (t) => {
+  shelf(t, [
+    { batchNo: 'LATE', expiryDate: inDays(90), quantity: 10 },
+    { batchNo: 'SOON', expiryDate: inDays(10), quantity: 4 },
+  ]);
+  const allocation = await Batch.allocate(sku, 6, null, { warehouse: godown });
+  assert.deepEqual(taken(allocation), [['SOON', 4], ['LATE', 2]]);
+});
+
+test('undated batches go after dated ones, oldest first', async (t) => {
+  shelf(t, [
+    { batchNo: 'UNDATED-1', quantity: 3 },
+    { batchNo: 'UNDATED-2', quantity: 3 },
+    { batchNo: 'DATED', expiryDate: inDays(200), quantity: 2 },
+  ]);
+  const allocation = await Batch.allocate(sku, 6, null, { warehouse: godown });
+  assert.deepEqual(taken(allocation), [['DATED', 2], ['UNDATED-1', 3], ['UNDATED-2', 1]]);
+});
+
+test('allocation takes the quantity off the batches', async (t) => {
+  const [batch] = shelf(t, [{ batchNo: 'B1', expiryDate: inDays(30), quantity: 10 }]);
+  await Batch.allocate(sku, 7, null, { warehouse: godown });
+  assert.equal(batch.quantity, 3);
+});
+
+test('expired batches are never sold', async (t) => {
+  shelf(t, [
+    { batchNo: 'OLD', expiryDate: inDays(-2), quantity: 5 },
+    { batchNo: 'NEW', expiryDate: inDays(60), quantity: 5 },
+  ]);
+  const allocation = await Batch.allocate(sku, 5, null, { warehouse: godown });
+  assert.deepEqual(taken(allocation), [['NEW', 5]]);
+  await assert.rejects(
+    Batch.allocate(sku, 1, null, { warehouse: godown }),
+    { status: 400, message: 'Not enough unexpired stock of Soap 100g in Main Godown.' }
+  );
+});
+
+test('stock taken out other than by sale clears expired batches first', async (t) => {
+  shelf(t, [
+    { batchNo: 'NEW', expiryDate: inDays(60), quantity: 5 },
+    { batchNo: 'OLD', expiryDate: inDays(-2), quantity: 5 },
+  ]);
+  const allocation = await Batch.allocate(sku, 7, null, { warehouse: godown, expired: true });
+  assert.deepEqual(taken(allocation), [['OLD', 5], ['NEW', 2]]);
+});
+
+test('stock from before batch tracking fills the rest without a batch', async (t) => {
+  shelf(t, [{ batchNo: 'B1', expiryDate: inDays(30), quantity: 4 }], 10);
+  const allocation = await Batch.allocate(sku, 9, null, { warehouse: godown });
+  assert.deepEqual(taken(allocation), [['B1', 4], [null, 5]]);
+});
+
+test('allocation fails when batches and untracked stock fall short', async (t) => {
+  shelf(t, [{ batchNo: 'B1', expiryDate: inDays(30), quantity: 4 }], 10);
+  await assert.rejects(Batch.allocate(sku, 11, null, { warehouse: godown }), { status: 400 });
+});
+
+test('an in-memory on-hand figure limits the untracked stock', async (t) => {
+  shelf(t, [{ batchNo: 'B1', expiryDate: inDays(30), quantity: 4 }], 10);
+  await assert.rejects(Batch.allocate(sku, 6, null, { warehouse: godown, onHand: 5 }), { status: 400 });
+  assert.equal(Warehouse.stockOf.mock.callCount(), 0);
+});
+
+test('shelf stock leaves out expired batches and reserved stock', async (t) => {
+  const expiredBatch = new Batch({ sku: sku._id, batchNo: 'OLD', expiryDate: inDays(-1), quantity: 3 });
+  t.mock.method(Batch, 'find', () => ({ session: async () => [expiredBatch] }));
+  t.mock.method(Warehouse, 'stockOf', async () => 20);
+  t.mock.method(StockHold, 'reservedIn', async () => 5);
+  assert.equal(await Batch.onShelf(sku, godown), 12);
+});
@@ -0,0 +1,88 @@
+/**
+ * GST per line, place of supply and the HSN summary.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeGst, placeOfSupply, stateFromGstin } = require('../utils/gst');
+
+const settings = { company: { gstin: '27AAACB1234C1Z5' } };
+
+test('state code comes from the first two digits of a GSTIN', () => {
+  assert.equal(stateFromGstin('29ABCDE1234F1Z5'), '29');
+  assert.equal(stateFromGstin(''), null);
+  assert.equal(stateFromGstin(undefined), null);
+});
+
+test('a retailer in another state is billed inter-state', () => {
+  assert.deepEqual(placeOfSupply(settings, '29ABCDE1234F1Z5'), { placeOfSupply: '29', interState: true });
+  assert.deepEqual(placeOfSupply(settings, '27ABCDE1234F1Z5'), { placeOfSupply: '27', interState: false });
+});
+
+test('an unregistered retailer is billed as local', () => {
+  assert.deepEqual(placeOfSupply(settings, ''), { placeOfSupply: '27', interState: false });
+});
+
+test('the company state code overrides its GSTIN', () => {
+  const s = { company: { gstin: '27AAACB1234C1Z5', stateCode: '29' } };
+  assert.equal(placeOfSupply(s, '29ABCDE1234F1Z5').interState, false);
+});
+
+test('intra-state GST splits into CGST and SGST', () => {
+  const { lines, tax } = computeGst([{ total: 1000, gstRate: 18, hsnCode: '3401' }], 0, false);
+  assert.equal(lines[0].taxableValue, 1000);
+  assert.equal(lines[0].cgst, 90);
+  assert.equal(lines[0].sgst, 90);
+  assert.equal(lines[0].igst, 0);
+  assert.equal(tax, 180);
+});
+
+test('inter-state GST is all IGST', () => {
+  const { lines, tax } = computeGst([{ total: 1000, gstRate: 18 }], 0, true);
+  assert.equal(lines[0].igst, 180);
+  assert.equal(lines[0].cgst + lines[0].sgst, 0);
+  assert.equal(tax, 180);
+});
+
+test('CGST and SGST add up to the rounded GST on an odd paisa', () => {
+  const { lines } = computeGst([{ total: 100.1, gstRate: 5 }], 0, false);
+  assert.equal(lines[0].cgst, 2.51);
+  assert.equal(lines[0].sgst, 2.5);
+});
+
+test('the bill discount is spread across lines by value before tax', () => {
+  const { lines, tax } = computeGst([
+    { total: 750, gstRate: 18 },
+    { total: 250, gstRate: 5 },
+  ], 100, false);
+  assert.equal(lines[0].taxableValue, 675);
+  assert.equal(lines[1].taxableValue, 225);
+  assert.equal(tax, 132.75);
+});
+
+test('cess is charged on the taxable value', () => {
+  const { lines, tax } = computeGst([{ total: 200, gstRate: 28, cessRate: 12 }], 0, false);
+  assert.equal(lines[0].cess, 24);
+  assert.equal(tax, 56 + 24);
+});
+
+test('the HSN summary groups lines by HSN code and rate', () => {
+  const { taxBreakup } = computeGst([
+    { total: 100, gstRate: 18, hsnCode: '3401' },
+    { total: 300, gstRate: 18, hsnCode: '3401' },
+    { total: 100, gstRate: 12, hsnCode: '3401' },
+    { total: 50, gstRate: 18, hsnCode: '1905' },
+  ], 0, false);
+  assert.equal(taxBreakup.length, 3);
+  const soap = taxBreakup.find(r => r.hsnCode === '3401' && r.gstRate === 18);
+  assert.equal(soap.taxableValue, 400);
+  assert.equal(soap.cgst, 36);
+  assert.equal(soap.sgst, 36);
+});
+
+test('zero-rated lines carry no tax', () => {
+  const { lines, tax } = computeGst([{ total: 500 }], 0, false);
+  assert.equal(lines[0].cgst + lines[0].sgst + lines[0].igst + lines[0].cess, 0);
+  assert.equal(tax, 0);
+});
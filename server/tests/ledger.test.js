@@ -0,0 +1,116 @@
+/**
+ * The append-only stock movement ledger.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SKU = require('../models/SKU');
+const Batch = require('../models/Batch');
+const CostLayer = require('../models/CostLayer');
+const Settings = require('../models/Settings');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+
+const main = { _id: new mongoose.Types.ObjectId(), name: 'Main Godown', isDefault: true };
+const branch = { _id: new mongoose.Types.ObjectId(), name: 'Branch Godown', isDefault: false };
+
+// A SKU holding `stock` at `avgCost`, with the collections record() writes to
+// stubbed out. Returns what was written.
+const ledger = (t, { stock, avgCost, costing = 'wac', layers = [] }) => {
+  const sku = new SKU({ name: 'Soap 100g', code: 'SOAP100', stock, avgCost });
+  const written = { movements: [], layers: [], skuUpdates: [], warehouseStock: [] };
+  t.mock.method(SKU, 'findByIdAndUpdate', async (id, { $inc }) => {
+    sku.stock += $inc.stock;
+    return sku;
+  });
+  t.mock.method(SKU, 'updateOne', async (filter, update) => { written.skuUpdates.push(update); });
+  t.mock.method(CostLayer, 'create', async ([layer]) => { written.layers.push(layer); });
+  t.mock.method(CostLayer, 'find', () => ({
+    sort: () => ({ session: async () => layers.map(l => Object.assign(l, { save: async () => l })) }),
+  }));
+  t.mock.method(Settings, 'load', async () => new Settings({ costing: { method: costing } }));
+  t.mock.method(WarehouseStock, 'updateOne', async (filter, update) => { written.warehouseStock.push({ filter, update }); });
+  t.mock.method(Warehouse, 'stockOf', async (s) => s.stock);
+  t.mock.method(StockMovement, 'create', async ([doc]) => {
+    const movement = new StockMovement(doc);
+    written.movements.push(movement);
+    return [movement];
+  });
+  return { sku, written };
+};
+
+test('a receipt adds stock, logs the running balance and opens a cost layer', async (t) => {
+  const { sku, written } = ledger(t, { stock: 10, avgCost: 20 });
+  const movement = await StockMovement.record({ sku: sku._id, warehouse: main, delta: 5, unitCost: 26, type: 'po_receipt' });
+  assert.equal(sku.stock, 15);
+  assert.equal(movement.delta, 5);
+  assert.equal(movement.balance, 15);
+  assert.equal(movement.unitCost, 26);
+  assert.equal(movement.value, 130);
+  assert.deepEqual(written.layers.map(l => [l.quantity, l.unitCost]), [[5, 26]]);
+});
+
+test('a receipt moves the weighted average cost', async (t) => {
+  const { sku, written } = ledger(t, { stock: 10, avgCost: 20 });
+  await StockMovement.record({ sku: sku._id, warehouse: main, delta: 10, unitCost: 30, type: 'po_receipt' });
+  assert.deepEqual(written.skuUpdates, [{ avgCost: 25 }]);
+});
+
+test('stock going out is costed at the weighted average by default', async (t) => {
+  const { sku } = ledger(t, { stock: 10, avgCost: 20, layers: [{ quantity: 10, unitCost: 12 }] });
+  const movement = await StockMovement.record({ sku: sku._id, warehouse: main, delta: -4, type: 'sale' });
+  assert.equal(movement.balance, 6);
+  assert.equal(movement.unitCost, 20);
+  assert.equal(movement.value, -80);
+});
+
+test('stock going out is costed from the oldest layers under FIFO', async (t) => {
+  const layers = [{ quantity: 2, unitCost: 10 }, { quantity: 8, unitCost: 16 }];
+  const { sku } = ledger(t, { stock: 10, avgCost: 14.8, costing: 'fifo', layers });
+  const movement = await StockMovement.record({ sku: sku._id, warehouse: main, delta: -4, type: 'sale' });
+  assert.equal(movement.unitCost, 13);
+  assert.deepEqual(layers.map(l => l.quantity), [0, 6]);
+});
+
+test('stock outside the default warehouse is booked to that warehouse', async (t) => {
+  const { sku, written } = ledger(t, { stock: 10, avgCost: 20 });
+  await StockMovement.record({ sku: sku._id, warehouse: branch, delta: 3, type: 'transfer_in' });
+  assert.equal(written.warehouseStock.length, 1);
+  assert.equal(written.warehouseStock[0].filter.warehouse, branch._id);
+  assert.deepEqual(written.warehouseStock[0].update, { $inc: { quantity: 3 } });
+
+  await StockMovement.record({ sku: sku._id, warehouse: main, delta: 3, type: 'adjustment' });
+  assert.equal(written.warehouseStock.length, 1);
+});
+
+test('an unknown SKU is rejected', async (t) => {
+  ledger(t, { stock: 0 });
+  SKU.findByIdAndUpdate.mock.mockImplementation(async () => null);
+  await assert.rejects(
+    StockMovement.record({ sku: new mongoose.Types.ObjectId(), warehouse: main, delta: 1, type: 'adjustment' }),
+    { status: 404 }
+  );
+});
+
+test('takeOut writes one movement per batch drawn', async (t) => {
+  const { sku, written } = ledger(t, { stock: 10, avgCost: 20 });
+  const b1 = new mongoose.Types.ObjectId();
+  t.mock.method(Batch, 'allocate', async () => [
+    { batch: b1, batchNo: 'B1', quantity: 4 },
+    { batchNo: null, quantity: 2 },
+  ]);
+  const movements = await StockMovement.takeOut(sku, 6, { warehouse: main, type: 'write_off', reason: 'Expired' });
+  assert.equal(Batch.allocate.mock.calls[0].arguments[3].expired, true);
+  assert.deepEqual(movements.map(m => [m.batchNo, m.delta, m.balance]), [['B1', -4, 6], [undefined, -2, 4]]);
+  assert.equal(written.movements.every(m => m.type === 'write_off' && m.reason === 'Expired'), true);
+});
+
+test('movements cannot be edited or deleted', async () => {
+  const id = new mongoose.Types.ObjectId();
+  await assert.rejects(StockMovement.updateOne({ _id: id }, { delta: 0 }), { status: 400, message: 'Stock movements cannot be changed.' });
+  await assert.rejects(StockMovement.deleteOne({ _id: id }), { status: 400 });
+  await assert.rejects(StockMovement.findOneAndUpdate({ _id: id }, { delta: 0 }), { status: 400 });
+});
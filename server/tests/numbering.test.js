@@ -0,0 +1,84 @@
+/**
+ * Document numbering: financial-year series and sale/order numbers.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const Sale = require('../models/Sale');
+const { financialYear, nextNumber } = require('../utils/numbering');
+
+// Stand-in for the counter collection: one sequence per `type:fy` key
+const counters = (t) => {
+  const seqs = {};
+  t.mock.method(Settings, 'load', async () => new Settings());
+  t.mock.method(Counter, 'findOneAndUpdate', async ({ _id }) => {
+    seqs[_id] = (seqs[_id] || 0) + 1;
+    return { _id, seq: seqs[_id] };
+  });
+  return seqs;
+};
+
+test('financial year runs April to March', () => {
+  assert.equal(financialYear(new Date('2026-04-15T06:00:00Z')), '2026-27');
+  assert.equal(financialYear(new Date('2027-03-15T06:00:00Z')), '2026-27');
+  assert.equal(financialYear(new Date('2027-01-01T06:00:00Z')), '2026-27');
+});
+
+test('financial year rolls over at midnight IST on April 1', () => {
+  // 18:29 UTC on March 31 is 23:59 IST; a minute later it is April 1 in India
+  assert.equal(financialYear(new Date('2026-03-31T18:29:00Z')), '2025-26');
+  assert.equal(financialYear(new Date('2026-03-31T18:31:00Z')), '2026-27');
+});
+
+test('nextNumber formats prefix, year and padded sequence', async (t) => {
+  counters(t);
+  const date = new Date('2026-06-01T06:00:00Z');
+  assert.equal(await nextNumber('sale', date), 'INV/2026-27/000001');
+  assert.equal(await nextNumber('sale', date), 'INV/2026-27/000002');
+  assert.equal(await nextNumber('purchaseOrder', date), 'PO/2026-27/00001');
+});
+
+test('each financial year has its own sequence', async (t) => {
+  const seqs = counters(t);
+  await nextNumber('sale', new Date('2026-03-10T06:00:00Z'));
+  assert.equal(await nextNumber('sale', new Date('2026-04-10T06:00:00Z')), 'INV/2026-27/000001');
+  assert.deepEqual(Object.keys(seqs).sort(), ['sale:2025-26', 'sale:2026-27']);
+});
+
+test('nextNumber claims the number in the caller session', async (t) => {
+  counters(t);
+  const session = { id: 'txn' };
+  await nextNumber('return', new Date('2026-06-01T06:00:00Z'), session);
+  assert.equal(Counter.findOneAndUpdate.mock.calls[0].arguments[2].session, session);
+});
+
+test('an unposted sale takes an order number', async (t) => {
+  counters(t);
+  const sale = new Sale({ status: 'confirmed', saleDate: new Date('2026-06-01T06:00:00Z') });
+  await sale.assignNumber();
+  assert.equal(sale.orderNumber, 'SO/2026-27/00001');
+  assert.equal(sale.invoiceNumber, sale.orderNumber);
+});
+
+test('an order gets an invoice number when it posts and keeps its order number', async (t) => {
+  counters(t);
+  const sale = new Sale({ status: 'pending_approval', saleDate: new Date('2026-06-01T06:00:00Z') });
+  await sale.assignNumber();
+  sale.status = 'pending';
+  await sale.assignNumber();
+  assert.equal(sale.invoiceNumber, 'INV/2026-27/000001');
+  assert.equal(sale.orderNumber, 'SO/2026-27/00001');
+});
+
+test('a posted sale keeps its invoice number', async (t) => {
+  counters(t);
+  const sale = new Sale({ status: 'pending', saleDate: new Date('2026-06-01T06:00:00Z') });
+  await sale.assignNumber();
+  await sale.assignNumber();
+  assert.equal(sale.invoiceNumber, 'INV/2026-27/000001');
+  assert.equal(sale.orderNumber, undefined);
+  assert.equal(Counter.findOneAndUpdate.mock.callCount(), 1);
+});
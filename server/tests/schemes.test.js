@@ -0,0 +1,91 @@
+/**
+ * Trade schemes applied to bill lines.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Scheme = require('../models/Scheme');
+const { applySchemes } = require('../utils/schemes');
+
+const units = [{ name: 'cs', factor: 12 }, { name: 'pc', factor: 1 }];
+const line = (sku, quantity, price = 10) => ({ sku, price, quantity, discount: 0, total: price * quantity, units });
+
+test('a line takes the most valuable discount it qualifies for', () => {
+  const schemes = [
+    { _id: 'p5', name: '5% off', type: 'percent_off', percent: 5 },
+    { _id: 'p8', name: '8% off', type: 'percent_off', percent: 8 },
+  ];
+  const { lines } = applySchemes([line('a', 10)], schemes);
+  assert.equal(lines[0].schemeName, '8% off');
+  assert.equal(lines[0].schemeDiscount, 8);
+  assert.equal(lines[0].total, 92);
+});
+
+test('schemes only cover their target SKUs', () => {
+  const schemes = [{ _id: 'p', name: 'Soap only', type: 'percent_off', percent: 10, target: { skus: ['a'] } }];
+  const { lines } = applySchemes([line('a', 10), line('b', 10)], schemes);
+  assert.equal(lines[0].schemeDiscount, 10);
+  assert.equal(lines[1].schemeDiscount, undefined);
+});
+
+test('slabs in base units take the highest slab reached', () => {
+  const schemes = [{ _id: 's', name: 'Slab', type: 'slab_discount', slabs: [{ minQty: 10, percent: 2 }, { minQty: 50, percent: 5 }] }];
+  const { lines } = applySchemes([line('a', 9), line('b', 20), line('c', 60)], schemes);
+  assert.deepEqual(lines.map(l => l.schemeDiscount), [undefined, 4, 30]);
+});
+
+test('slabs in a pack unit convert through the SKU factor', () => {
+  const schemes = [{ _id: 's', name: 'Case slab', type: 'slab_discount', slabs: [{ minQty: 2, uom: 'cs', percent: 10 }] }];
+  const { lines } = applySchemes([line('a', 23), line('b', 24)], schemes);
+  assert.deepEqual(lines.map(l => l.schemeDiscount), [undefined, 24]);
+});
+
+test('slabs in a unit the SKU does not trade in do not apply', () => {
+  const schemes = [{ _id: 's', name: 'Box slab', type: 'slab_discount', slabs: [{ minQty: 1, uom: 'box', percent: 10 }] }];
+  const { lines } = applySchemes([line('a', 100)], schemes);
+  assert.equal(lines[0].schemeDiscount, undefined);
+});
+
+test('free goods are requested per complete buy quantity', () => {
+  const schemes = [{ _id: 'f', name: '10+1', type: 'free_goods', buyQty: 10, freeQty: 1 }];
+  const { freeGoods } = applySchemes([line('a', 25)], schemes);
+  assert.deepEqual(freeGoods.map(g => [g.sku, g.quantity]), [['a', 2]]);
+});
+
+test('a combo discounts each complete set', () => {
+  const schemes = [{
+    _id: 'c', name: 'Soap + shampoo', type: 'combo', percent: 10,
+    comboItems: [{ sku: 'a', quantity: 2 }, { sku: 'b', quantity: 1 }],
+  }];
+  const { lines } = applySchemes([line('a', 5), line('b', 3, 50)], schemes);
+  assert.deepEqual(lines.map(l => l.schemeDiscount), [4, 10]);
+});
+
+test('a clearance markdown covers no more units than its batch holds', () => {
+  const schemes = [{ _id: 'clear', name: 'Clearance', type: 'percent_off', percent: 50, target: { skus: ['a'] } }];
+  const { lines } = applySchemes([line('a', 6), line('a', 6)], schemes, { clear: 8 });
+  assert.deepEqual(lines.map(l => l.schemeDiscount), [30, 10]);
+});
+
+test('clearance schemes apply only to bills from their warehouse', async (t) => {
+  const main = new mongoose.Types.ObjectId();
+  const branch = new mongoose.Types.ObjectId();
+  const clearance = new Scheme({ name: 'Clearance', type: 'percent_off', percent: 30, target: { warehouses: [branch] } });
+  const open = new Scheme({ name: 'Monsoon', type: 'percent_off', percent: 5 });
+  t.mock.method(Scheme, 'find', () => ({ session: async () => [clearance, open] }));
+  const retailer = { retailerClass: 'A', area: 'North' };
+  const names = async (warehouse) => (await Scheme.applicableTo(retailer, new Date(), null, warehouse)).map(s => s.name);
+  assert.deepEqual(await names({ _id: main }), ['Monsoon']);
+  assert.deepEqual(await names({ _id: branch }), ['Clearance', 'Monsoon']);
+});
+
+test('a batch-bound scheme is limited to what is left of the batch', async (t) => {
+  const batch = new mongoose.Types.ObjectId();
+  const clearance = new Scheme({ name: 'Clearance', type: 'percent_off', percent: 30, target: { batch } });
+  const open = new Scheme({ name: 'Monsoon', type: 'percent_off', percent: 5 });
+  t.mock.method(Batch, 'find', () => ({ session: async () => [{ _id: batch, quantity: 7 }] }));
+  assert.deepEqual(await Scheme.batchLimits([clearance, open]), { [String(clearance._id)]: 7 });
+});
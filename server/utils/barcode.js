@@ -0,0 +1,118 @@
+// GTIN barcodes: validation, and bar patterns for EAN-13 / UPC-A, EAN-8 and
+// ITF-14 (GTIN-14 on cartons), drawn as SVG for shelf and carton labels.
+
+const L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R = L.map(p => p.replace(/./g, b => (b === '1' ? '0' : '1')));
+const G = R.map(p => [...p].reverse().join(''));
+// Which left-hand digits of an EAN-13 use the G set, by the first digit
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'GLLLGG', 'GLGLGL', 'GLLGLG'];
+// ITF: five elements per digit, narrow or wide
+const ITF = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+
+// GS1 mod-10 check digit for the digits before it
+const checkDigit = (body) => {
+  const sum = [...body].reverse().reduce((a, d, i) => a + Number(d) * (i % 2 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// EAN-8, UPC-A, EAN-13 or GTIN-14 with a correct check digit
+const isValid = (code) => /^(\d{8}|\d{12,14})$/.test(code) && checkDigit(code.slice(0, -1)) === code.slice(-1);
+
+// Forms the same GTIN may be scanned in: UPC-A is an EAN-13 with a leading 0
+const variants = (code) => {
+  const forms = [code];
+  if (code.length === 12) forms.push(`0${code}`);
+  if (code.length === 13 && code.startsWith('0')) forms.push(code.slice(1));
+  return forms;
+};
+
+// In-store EAN-13 from the restricted-circulation range (prefix 2), for SKUs
+// the brand hasn't numbered
+const inStore = (seq) => {
+  const body = `2${String(seq).padStart(11, '0')}`;
+  return body + checkDigit(body);
+};
+
+// Modules (1 bar, 0 space) for a valid code
+const modules = (code) => {
+  if (code.length === 14) {
+    const wide = (e, bar) => (e === 'w' ? bar.repeat(3) : bar);
+    let bits = '1010';
+    for (let i = 0; i < 14; i += 2) {
+      const bars = ITF[code[i]];
+      const spaces = ITF[code[i + 1]];
+      for (let k = 0; k < 5; k++) bits += wide(bars[k], '1') + wide(spaces[k], '0');
+    }
+    return `${bits}11101`;
+  }
+  if (code.length === 8) {
+    const d = [...code];
+    return `101${d.slice(0, 4).map(x => L[x]).join('')}01010${d.slice(4).map(x => R[x]).join('')}101`;
+  }
+  const ean = code.length === 12 ? `0${code}` : code;
+  const d = [...ean];
+  const left = d.slice(1, 7).map((x, i) => (PARITY[d[0]][i] === 'G' ? G : L)[x]).join('');
+  return `101${left}01010${d.slice(7).map(x => R[x]).join('')}101`;
+};
+
+const escape = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// Bars and human-readable digits as SVG elements, in mm, fitting `width`
+const bars = (code, { x, y, width, height }) => {
+  const bits = modules(code);
+  const module = Math.min(code.length === 14 ? 0.5 : 0.33, width / (bits.length + 14));  // quiet zones either side
+  const left = x + (width - bits.length * module) / 2;
+  let out = '';
+  for (const run of bits.matchAll(/1+/g)) {
+    out += `<rect x="${(left + run.index * module).toFixed(3)}" y="${y}" width="${(run[0].length * module).toFixed(3)}" height="${height}"/>`;
+  }
+  out += `<text x="${x + width / 2}" y="${y + height + 3}" font-size="3" text-anchor="middle" letter-spacing="0.4">${code}</text>`;
+  return out;
+};
+
+const money = (n) => `₹${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Split a name onto at most two lines of roughly `chars` characters
+const wrap = (text, chars) => {
+  const words = String(text).split(/\s+/);
+  const lines = [''];
+  for (const word of words) {
+    const line = lines[lines.length - 1];
+    if (line && (line + ' ' + word).length > chars) lines.push(word);
+    else lines[lines.length - 1] = line ? `${line} ${word}` : word;
+  }
+  if (lines.length > 2) lines[1] = `${lines.slice(1).join(' ').slice(0, chars - 1)}…`;
+  return lines.slice(0, 2);
+};
+
+// A printable label for a SKU as a standalone SVG sized in millimetres.
+// Shelf labels carry the base unit's barcode and MRP; carton labels a pack
+// unit's barcode and its contents.
+const labelSvg = (sku, { type = 'shelf', code, pack } = {}) => {
+  const [w, h] = type === 'carton' ? [100, 70] : [60, 35];
+  const name = wrap(sku.name, type === 'carton' ? 30 : 28);
+  const size = type === 'carton' ? 6 : 3.4;
+  let body = name.map((line, i) => `<text x="3" y="${5 + size + i * (size + 1)}" font-size="${size}" font-weight="700">${escape(line)}</text>`).join('');
+  let y = 5 + name.length * (size + 1) + 1;
+  const sub = [sku.brand?.name, sku.unitSize].filter(Boolean).join(' · ');
+  if (type === 'carton') {
+    if (sub) { body += `<text x="3" y="${y + 3}" font-size="3.5">${escape(sub)}</text>`; y += 5; }
+    const contents = pack ? `1 ${pack.name} = ${pack.factor} ${sku.unit}` : `1 ${sku.unit}`;
+    body += `<text x="3" y="${y + 4}" font-size="4.5" font-weight="700">${escape(contents)}</text>`;
+    body += `<text x="${w - 3}" y="${y + 4}" font-size="3.5" text-anchor="end">MRP ${money(sku.mrp)} / ${escape(sku.unit)}</text>`;
+    y += 8;
+    body += code ? bars(code, { x: 3, y, width: w - 6, height: h - y - 10 }) : '';
+    body += `<text x="3" y="${h - 2.5}" font-size="3">SKU ${escape(sku.code)}</text>`;
+  } else {
+    // Price on the left, barcode on the right
+    body += `<text x="3" y="${y + 2.5}" font-size="2.4">${escape(sub)}</text>`;
+    body += `<text x="3" y="${y + 5.5}" font-size="2.4">${escape(sku.code)}</text>`;
+    body += `<text x="3" y="${y + 12}" font-size="4.6" font-weight="700">${money(sku.mrp)}</text>`;
+    body += `<text x="3" y="${y + 15}" font-size="2">MRP incl. of all taxes</text>`;
+    body += code ? bars(code, { x: 26, y, width: w - 28, height: h - y - 6.5 }) : '';
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}mm" height="${h}mm" viewBox="0 0 ${w} ${h}" font-family="Arial, Helvetica, sans-serif">`
+    + `<rect x="0.2" y="0.2" width="${w - 0.4}" height="${h - 0.4}" fill="#fff" stroke="#000" stroke-width="0.2"/><g fill="#000">${body}</g></svg>`;
+};
+
+module.exports = { checkDigit, isValid, variants, inStore, modules, labelSvg };
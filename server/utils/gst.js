@@ -0,0 +1,47 @@
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+// Two-digit GST state code a GSTIN starts with, e.g. "27" for Maharashtra
+const stateFromGstin = (gstin) => (/^\d{2}/.test(gstin || '') ? gstin.slice(0, 2) : null);
+
+// Place of supply for a retailer. Without a GSTIN the retailer is treated as
+// local, so unregistered buyers are always billed CGST + SGST.
+const placeOfSupply = (settings, retailerGstin) => {
+  const home = settings.company?.stateCode || stateFromGstin(settings.company?.gstin);
+  const pos = stateFromGstin(retailerGstin) || home;
+  return { placeOfSupply: pos, interState: Boolean(home && pos && pos !== home) };
+};
+
+// Taxable value and GST for each line plus an HSN-wise summary. Rates are
+// exclusive: `total` on a line is its value after line discount, and the
+// bill-level discount is spread across lines by value before tax.
+const computeGst = (lines, billDiscount, interState) => {
+  const gross = lines.reduce((a, l) => a + l.total, 0);
+  const summary = {};
+  const taxed = lines.map((l) => {
+    const share = gross > 0 ? billDiscount * (l.total / gross) : 0;
+    const taxableValue = round2(l.total - share);
+    const gst = round2(taxableValue * (l.gstRate || 0) / 100);
+    const igst = interState ? gst : 0;
+    const cgst = interState ? 0 : round2(gst / 2);
+    const sgst = interState ? 0 : round2(gst - cgst);
+    const cess = round2(taxableValue * (l.cessRate || 0) / 100);
+
+    const key = `${l.hsnCode || ''}|${l.gstRate || 0}|${l.cessRate || 0}`;
+    summary[key] ??= { hsnCode: l.hsnCode, gstRate: l.gstRate || 0, cessRate: l.cessRate || 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    const row = summary[key];
+    row.taxableValue = round2(row.taxableValue + taxableValue);
+    row.cgst = round2(row.cgst + cgst);
+    row.sgst = round2(row.sgst + sgst);
+    row.igst = round2(row.igst + igst);
+    row.cess = round2(row.cess + cess);
+
+    return { ...l, taxableValue, cgst, sgst, igst, cess };
+  });
+  const taxBreakup = Object.values(summary);
+  const tax = round2(taxBreakup.reduce((a, r) => a + r.cgst + r.sgst + r.igst + r.cess, 0));
+  return { lines: taxed, taxBreakup, tax };
+};
+
+module.exports = { GST_RATES, round2, stateFromGstin, placeOfSupply, computeGst };
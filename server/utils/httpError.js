@@ -0,0 +1,5 @@
+// Build an Error that errorHandler turns into the given HTTP status.
+// Throw these from inside a transaction so the session aborts cleanly.
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = httpError;
@@ -0,0 +1,37 @@
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial year (April–March) for a date, e.g. "2026-27".
+// Evaluated in IST so the series rolls over at midnight on April 1 locally.
+const financialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+const format = (series, fy, seq) => `${series.prefix}/${fy}/${String(seq).padStart(series.padding, '0')}`;
+
+// Claim the next number in a series. Pass the caller's session so an aborted
+// transaction gives the number back instead of leaving a gap.
+const nextNumber = async (type, date, session) => {
+  const settings = await Settings.load(session);
+  const fy = financialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${type}:${fy}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return format(settings.numbering[type], fy, counter.seq);
+};
+
+// The number the next document would get, without claiming it
+const peekNumber = async (type, date) => {
+  const settings = await Settings.load();
+  const fy = financialYear(date);
+  const counter = await Counter.findById(`${type}:${fy}`);
+  return { financialYear: fy, next: (counter?.seq || 0) + 1, preview: format(settings.numbering[type], fy, (counter?.seq || 0) + 1) };
+};
+
+module.exports = { financialYear, nextNumber, peekNumber };
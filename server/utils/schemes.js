@@ -0,0 +1,72 @@
+const { round2 } = require('./gst');
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Does a SKU/brand scheme cover this line? No SKU or brand list covers all.
+const covers = (scheme, line) => {
+  const { skus = [], brands = [] } = scheme.target || {};
+  if (!skus.length && !brands.length) return true;
+  return skus.some(id => sameId(id, line.sku)) || brands.some(id => sameId(id, line.brand));
+};
+
+// A slab's minimum in the line's base units. Slabs set in a pack unit convert
+// through the line SKU's factor for it and don't apply to SKUs without it.
+const slabMin = (slab, line) => {
+  if (!slab.uom) return slab.minQty;
+  const unit = (line.units || []).find(u => u.name === slab.uom);
+  return unit ? slab.minQty * unit.factor : null;
+};
+
+// Evaluate schemes against priced bill lines. Each line takes the single most
+// valuable discount it qualifies for (percent off, slab or combo); free-goods
+// schemes stack on top and are returned as requests for zero-price lines.
+// `limits` caps the units a scheme can discount across the bill, by scheme id.
+const applySchemes = (lines, schemes, limits = {}) => {
+  const left = { ...limits };
+  const best = lines.map(() => null);
+  const offer = (i, scheme, amount) => {
+    if (amount > 0 && (!best[i] || amount > best[i].amount)) best[i] = { scheme, amount: round2(amount) };
+  };
+  const freeGoods = [];
+
+  for (const scheme of schemes) {
+    if (scheme.type === 'combo') {
+      // Every component must be on the bill; the benefit scales with complete sets
+      const parts = scheme.comboItems.map(c => ({ c, i: lines.findIndex(l => sameId(l.sku, c.sku)) }));
+      if (!parts.length || parts.some(p => p.i < 0)) continue;
+      const sets = Math.min(...parts.map(p => Math.floor(lines[p.i].quantity / p.c.quantity)));
+      if (!sets) continue;
+      for (const p of parts) offer(p.i, scheme, lines[p.i].price * p.c.quantity * sets * (scheme.percent || 0) / 100);
+      continue;
+    }
+    lines.forEach((l, i) => {
+      if (!covers(scheme, l)) return;
+      const value = l.price * l.quantity;
+      if (scheme.type === 'percent_off') {
+        const id = String(scheme._id);
+        const units = id in left ? Math.min(l.quantity, left[id]) : l.quantity;
+        if (id in left) left[id] -= units;
+        offer(i, scheme, l.price * units * (scheme.percent || 0) / 100);
+      } else if (scheme.type === 'slab_discount') {
+        const reached = scheme.slabs.map(slab => ({ slab, min: slabMin(slab, l) }))
+          .filter(s => s.min !== null).sort((a, b) => b.min - a.min).find(s => l.quantity >= s.min);
+        if (reached) offer(i, scheme, value * reached.slab.percent / 100);
+      } else if (scheme.type === 'free_goods') {
+        const free = Math.floor(l.quantity / scheme.buyQty) * scheme.freeQty;
+        if (free > 0) freeGoods.push({ sku: scheme.freeSku || l.sku, quantity: free, scheme });
+      }
+    });
+  }
+
+  const discounted = lines.map((l, i) => {
+    if (!best[i]) return l;
+    const { scheme, amount } = best[i];
+    return {
+      ...l, discount: round2(l.discount + amount), total: round2(l.total - amount),
+      scheme: scheme._id, schemeName: scheme.name, schemeDiscount: amount,
+    };
+  });
+  return { lines: discounted, freeGoods };
+};
+
+module.exports = { applySchemes };
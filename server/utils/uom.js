@@ -0,0 +1,41 @@
+const httpError = require('./httpError');
+
+// Units a SKU trades in, largest first. The base unit (`sku.unit`) has factor 1
+// and is the unit stock is always held in.
+const unitsOf = (sku) =>
+  [...(sku.uoms || []), { name: sku.unit, factor: 1 }].sort((a, b) => b.factor - a.factor);
+
+// Base units in one `uom`; an unset uom means the base unit
+const unitFactor = (sku, uom) => {
+  if (!uom || uom === sku.unit) return 1;
+  const unit = (sku.uoms || []).find(u => u.name === uom);
+  if (!unit) throw httpError(400, `${sku.name} has no unit "${uom}".`);
+  return unit.factor;
+};
+
+// Convert a line keyed in any unit to base units. Quantity and price come in
+// per entered unit and go out per base unit; `uom` records what was keyed.
+const toBase = (sku, item) => {
+  const uomFactor = unitFactor(sku, item.uom);
+  return {
+    ...item,
+    uom: item.uom || sku.unit,
+    uomFactor,
+    quantity: item.quantity * uomFactor,
+    ...(item.price != null && { price: item.price / uomFactor }),
+  };
+};
+
+// Base quantity broken into the largest units first, e.g. "3 cs 5 pcs"
+const formatQty = (sku, quantity) => {
+  let rest = quantity;
+  const parts = [];
+  for (const u of unitsOf(sku)) {
+    const n = u.factor === 1 ? rest : Math.floor(rest / u.factor);
+    if (n) parts.push(`${n} ${u.name}`);
+    rest -= n * u.factor;
+  }
+  return parts.join(' ') || `0 ${sku.unit}`;
+};
+
+module.exports = { unitsOf, unitFactor, toBase, formatQty };